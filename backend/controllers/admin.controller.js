@@ -9,11 +9,117 @@
  * - Update tournaments (rules only editable in draft)
  * - Delete tournaments (prevent deleting live tournaments)
  * - Update tournament status (draft -> live -> completed)
+ * - Divisions: tournaments created under a main tournament (parentTournament)
+ * - Eligibility rules: who may enter (rating, age, gender)
  */
 
 import mongoose from 'mongoose';
 import Tournament from '../models/tournament.model.js';
 import Match from '../models/match.model.js';
+import { BEST_OF_OPTIONS } from '../services/scoring.service.js';
+import { emitTournamentLive } from '../services/socket.service.js';
+import { validateTiebreakers } from '../services/standings.service.js';
+import { PLACEMENT_OPTIONS } from '../services/fixture.service.js';
+import { getDivisionSummary } from '../services/division.service.js';
+import { validateEligibilityRules } from '../services/eligibility.service.js';
+
+/**
+ * Validate Best Of Rules (Helper)
+ *
+ * Validates rules.bestOf (tournament default) and rules.roundBestOf
+ * (per-round overrides, e.g. { "Final": 5 }).
+ *
+ * @param {Object} rules - Rules object from request body
+ * @returns {string|null} Error message or null if valid
+ */
+const validateBestOfRules = (rules) => {
+  if (rules.bestOf !== undefined && !BEST_OF_OPTIONS.includes(Number(rules.bestOf))) {
+    return `Best of must be one of: ${BEST_OF_OPTIONS.join(', ')}`;
+  }
+
+  if (rules.roundBestOf !== undefined) {
+    if (rules.roundBestOf === null || typeof rules.roundBestOf !== 'object' || Array.isArray(rules.roundBestOf)) {
+      return 'Round best of must be an object mapping round names to 1, 3 or 5';
+    }
+    for (const [round, value] of Object.entries(rules.roundBestOf)) {
+      if (!BEST_OF_OPTIONS.includes(Number(value))) {
+        return `Best of for round "${round}" must be one of: ${BEST_OF_OPTIONS.join(', ')}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate Score Cap (Helper)
+ *
+ * A cap ends a game at that score even without a 2-point lead,
+ * so it must be higher than the points needed to win.
+ *
+ * @param {*} cap - rules.cap from request body (null/'' = no cap)
+ * @param {number} points - Points needed to win a game
+ * @returns {string|null} Error message or null if valid
+ */
+const validateScoreCap = (cap, points) => {
+  if (cap === undefined || cap === null || cap === '') {
+    return null;
+  }
+
+  const capValue = Number(cap);
+  if (!Number.isInteger(capValue) || capValue <= points) {
+    return `Score cap must be a whole number greater than ${points} points`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate Forfeit Points (Helper)
+ *
+ * @param {*} forfeitPoints - rules.forfeitPoints from request body (null/'' = the points of a game)
+ * @returns {string|null} Error message or null if valid
+ */
+const validateForfeitPoints = (forfeitPoints) => {
+  if (forfeitPoints === undefined || forfeitPoints === null || forfeitPoints === '') {
+    return null;
+  }
+
+  const value = Number(forfeitPoints);
+  if (!Number.isInteger(value) || value < 0) {
+    return 'Forfeit points must be a whole number (0 or more)';
+  }
+
+  return null;
+};
+
+/**
+ * Build Round Best Of Map (Helper)
+ *
+ * @param {Object} roundBestOf - { roundName: bestOf } from request body
+ * @returns {Object} Same mapping with numeric values
+ */
+const buildRoundBestOf = (roundBestOf) => {
+  return Object.fromEntries(
+    Object.entries(roundBestOf || {}).map(([round, value]) => [round, Number(value)])
+  );
+};
+
+/**
+ * Build Eligibility (Helper)
+ *
+ * @param {Object} eligibility - Rules from request body (validated)
+ * @returns {Object} Rules with numbers, null for the ones not set
+ */
+const buildEligibility = (eligibility) => {
+  const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  return {
+    minRating: toNumber(eligibility?.minRating),
+    maxRating: toNumber(eligibility?.maxRating),
+    minAge: toNumber(eligibility?.minAge),
+    gender: eligibility?.gender || 'open'
+  };
+};
 
 /**
  * Create Tournament
@@ -27,13 +133,21 @@ import Match from '../models/match.model.js';
  * - Format must be 'group', 'roundRobin', or 'knockout'
  * - Points must be 11 or 15
  * - Scoring system must be 'rally' or 'pickleball'
+ * - Score cap (optional) must be greater than points
+ * - Best of (default and per round) must be 1, 3 or 5
+ * - Forfeit points (optional) must be a whole number, 0 or more
+ * - Eligibility (optional): rating range 1-8, minimum age, gender
+ *   ('open', 'male', 'female', or 'mixed' for doubles)
+ * - parentTournament (optional) creates a division: the main tournament must
+ *   belong to the admin and not be a division itself. Location, date and
+ *   visibility default to those of the main tournament.
  * 
  * @param {Object} req - Express request object (req.admin contains authenticated admin info)
  * @param {Object} res - Express response object
  */
 export const createTournament = async (req, res) => {
   try {
-    const { name, location, date, type, format, rules, currentRound, isPublic } = req.body;
+    const { name, location, date, type, format, rules, eligibility, currentRound, isPublic, parentTournament } = req.body;
 
     // Validation: Required fields
     if (!name || !type || !format) {
@@ -52,10 +166,18 @@ export const createTournament = async (req, res) => {
     }
 
     // Validation: Tournament format
-    if (!['group', 'roundRobin', 'knockout', 'custom'].includes(format)) {
+    if (!['group', 'roundRobin', 'knockout', 'doubleElimination', 'custom', 'swiss', 'rotatingPartners'].includes(format)) {
       return res.status(400).json({
         success: false,
-        message: 'Tournament format must be "group", "roundRobin", "knockout", or "custom"'
+        message: 'Tournament format must be "group", "roundRobin", "knockout", "doubleElimination", "custom", "swiss", or "rotatingPartners"'
+      });
+    }
+
+    // Validation: Rotating partners play doubles with individual entries
+    if (format === 'rotatingPartners' && type !== 'doubles') {
+      return res.status(400).json({
+        success: false,
+        message: 'Rotating partner tournaments must be doubles'
       });
     }
 
@@ -74,23 +196,122 @@ export const createTournament = async (req, res) => {
           message: 'Scoring system must be either "rally" or "pickleball"'
         });
       }
+
+      const bestOfError = validateBestOfRules(rules);
+      if (bestOfError) {
+        return res.status(400).json({
+          success: false,
+          message: bestOfError
+        });
+      }
+
+      const capError = validateScoreCap(rules.cap, rules.points || 11);
+      if (capError) {
+        return res.status(400).json({
+          success: false,
+          message: capError
+        });
+      }
+
+      if (rules.tiebreakers !== undefined && rules.tiebreakers !== null) {
+        const tiebreakerError = validateTiebreakers(rules.tiebreakers);
+        if (tiebreakerError) {
+          return res.status(400).json({
+            success: false,
+            message: tiebreakerError
+          });
+        }
+      }
+
+      if (rules.placement !== undefined && !PLACEMENT_OPTIONS.includes(rules.placement)) {
+        return res.status(400).json({
+          success: false,
+          message: `Placement must be one of: ${PLACEMENT_OPTIONS.join(', ')}`
+        });
+      }
+
+      const forfeitPointsError = validateForfeitPoints(rules.forfeitPoints);
+      if (forfeitPointsError) {
+        return res.status(400).json({
+          success: false,
+          message: forfeitPointsError
+        });
+      }
+    }
+
+    // Validation: Eligibility rules (if provided)
+    if (eligibility) {
+      const eligibilityError = validateEligibilityRules(eligibility, { type, format });
+      if (eligibilityError) {
+        return res.status(400).json({
+          success: false,
+          message: eligibilityError
+        });
+      }
+    }
+
+    // Validation: Divisions go under a main tournament of the same admin
+    let parent = null;
+    if (parentTournament) {
+      if (!mongoose.Types.ObjectId.isValid(parentTournament)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent tournament ID format'
+        });
+      }
+
+      parent = await Tournament.findById(parentTournament);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent tournament not found'
+        });
+      }
+
+      if (parent.createdBy.toString() !== req.admin.id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add divisions to this tournament'
+        });
+      }
+
+      if (parent.parentTournament) {
+        return res.status(400).json({
+          success: false,
+          message: 'Divisions cannot have divisions of their own'
+        });
+      }
     }
 
     // Create tournament (always as draft)
     const tournament = new Tournament({
       name: name.trim(),
-      location: location?.trim() || null,
-      date: date ? new Date(date) : null,
+      location: location?.trim() || parent?.location || null,
+      date: date ? new Date(date) : (parent?.date || null),
       type,
       format,
       rules: {
         points: rules?.points || 11,
-        scoringSystem: rules?.scoringSystem || 'rally'
+        scoringSystem: rules?.scoringSystem || 'rally',
+        cap: rules?.cap ? Number(rules.cap) : null,
+        bestOf: rules?.bestOf ? Number(rules.bestOf) : 1,
+        roundBestOf: buildRoundBestOf(rules?.roundBestOf),
+        // Unset = default tiebreakers (see standings.service.js)
+        tiebreakers: rules?.tiebreakers?.length ? rules.tiebreakers : undefined,
+        // Knockouts: matches for places (see addPlacementMatches)
+        placement: rules?.placement || 'none',
+        // Walkovers and disqualifications (null = the points of a game)
+        forfeitPoints: rules?.forfeitPoints === undefined || rules?.forfeitPoints === null || rules?.forfeitPoints === ''
+          ? null
+          : Number(rules.forfeitPoints)
       },
+      eligibility: buildEligibility(eligibility),
       status: 'draft', // Always create as draft
       currentRound: currentRound?.trim() || null,
       createdBy: req.admin.id, // Set from authenticated admin
-      isPublic: isPublic !== undefined ? isPublic : false // Default to draft (not published)
+      // Default to draft (not published), or as visible as the main tournament
+      isPublic: isPublic !== undefined ? isPublic : (parent?.isPublic || false),
+      parentTournament: parent?._id || null
     });
 
     await tournament.save();
@@ -127,7 +348,8 @@ export const createTournament = async (req, res) => {
  * 
  * Business Rules:
  * - Rules can only be edited when tournament is in 'draft' status
- * - Other fields can be updated in any status
+ * - Other fields can be updated in any status (eligibility rules only
+ *   apply to entries added after they change)
  * - Status cannot be changed via this endpoint (use PATCH /status)
  * 
  * @param {Object} req - Express request object
@@ -136,7 +358,7 @@ export const createTournament = async (req, res) => {
 export const updateTournament = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, location, date, type, format, rules, currentRound, isPublic } = req.body;
+    const { name, location, date, type, format, rules, eligibility, currentRound, isPublic } = req.body;
 
     // Validate MongoDB ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -192,10 +414,17 @@ export const updateTournament = async (req, res) => {
       });
     }
 
-    if (format && !['group', 'roundRobin', 'knockout', 'custom'].includes(format)) {
+    if (format && !['group', 'roundRobin', 'knockout', 'doubleElimination', 'custom', 'swiss', 'rotatingPartners'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tournament format must be "group", "roundRobin", "knockout", "doubleElimination", "custom", "swiss", or "rotatingPartners"'
+      });
+    }
+
+    if ((format || tournament.format) === 'rotatingPartners' && (type || tournament.type) !== 'doubles') {
       return res.status(400).json({
         success: false,
-        message: 'Tournament format must be "group", "roundRobin", "knockout", or "custom"'
+        message: 'Rotating partner tournaments must be doubles'
       });
     }
 
@@ -217,6 +446,62 @@ export const updateTournament = async (req, res) => {
           message: 'Scoring system must be either "rally" or "pickleball"'
         });
       }
+
+      const bestOfError = validateBestOfRules(rules);
+      if (bestOfError) {
+        return res.status(400).json({
+          success: false,
+          message: bestOfError
+        });
+      }
+
+      // Check the cap against the points being saved (new value or existing)
+      const pointsForCap = rules.points !== undefined ? parseInt(rules.points) : tournament.rules.points;
+      const capForPoints = rules.cap !== undefined ? rules.cap : tournament.rules.cap;
+      const capError = validateScoreCap(capForPoints, pointsForCap);
+      if (capError) {
+        return res.status(400).json({
+          success: false,
+          message: capError
+        });
+      }
+
+      if (rules.tiebreakers !== undefined && rules.tiebreakers !== null) {
+        const tiebreakerError = validateTiebreakers(rules.tiebreakers);
+        if (tiebreakerError) {
+          return res.status(400).json({
+            success: false,
+            message: tiebreakerError
+          });
+        }
+      }
+
+      if (rules.placement !== undefined && !PLACEMENT_OPTIONS.includes(rules.placement)) {
+        return res.status(400).json({
+          success: false,
+          message: `Placement must be one of: ${PLACEMENT_OPTIONS.join(', ')}`
+        });
+      }
+
+      const forfeitPointsError = validateForfeitPoints(rules.forfeitPoints);
+      if (forfeitPointsError) {
+        return res.status(400).json({
+          success: false,
+          message: forfeitPointsError
+        });
+      }
+    }
+
+    // Validation: Eligibility rules, against the type and format being saved
+    const eligibilityError = validateEligibilityRules(
+      eligibility || tournament.eligibility || {},
+      { type: type || tournament.type, format: format || tournament.format }
+    );
+    if (eligibilityError) {
+      return res.status(400).json({
+        success: false,
+        message: eligibilityError
+      });
     }
 
     // Update allowed fields
@@ -227,6 +512,7 @@ export const updateTournament = async (req, res) => {
     if (format !== undefined) tournament.format = format;
     if (currentRound !== undefined) tournament.currentRound = currentRound?.trim() || null;
     if (isPublic !== undefined) tournament.isPublic = isPublic;
+    if (eligibility !== undefined) tournament.eligibility = buildEligibility(eligibility);
 
     // Update rules only if tournament is draft
     if (rules && tournament.status === 'draft') {
@@ -234,6 +520,16 @@ export const updateTournament = async (req, res) => {
         tournament.rules.points = typeof rules.points === 'string' ? parseInt(rules.points) : rules.points;
       }
       if (rules.scoringSystem !== undefined) tournament.rules.scoringSystem = rules.scoringSystem;
+      if (rules.cap !== undefined) tournament.rules.cap = rules.cap ? Number(rules.cap) : null;
+      if (rules.bestOf !== undefined) tournament.rules.bestOf = Number(rules.bestOf);
+      if (rules.roundBestOf !== undefined) tournament.rules.roundBestOf = buildRoundBestOf(rules.roundBestOf);
+      if (rules.tiebreakers !== undefined) {
+        tournament.rules.tiebreakers = rules.tiebreakers?.length ? rules.tiebreakers : undefined;
+      }
+      if (rules.placement !== undefined) tournament.rules.placement = rules.placement;
+      if (rules.forfeitPoints !== undefined) {
+        tournament.rules.forfeitPoints = rules.forfeitPoints === null || rules.forfeitPoints === '' ? null : Number(rules.forfeitPoints);
+      }
     }
 
     await tournament.save();
@@ -270,6 +566,7 @@ export const updateTournament = async (req, res) => {
  * Business Rules:
  * - Live tournaments cannot be deleted (must be completed or draft)
  * - Prevents accidental deletion of active tournaments
+ * - A main tournament cannot be deleted while it has divisions
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -316,6 +613,15 @@ export const deleteTournament = async (req, res) => {
       });
     }
 
+    // Validation: Divisions would be left without their main tournament
+    const divisionCount = await Tournament.countDocuments({ parentTournament: id });
+    if (divisionCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This tournament has ${divisionCount} division(s). Delete them first.`
+      });
+    }
+
     // Check if tournament has matches (optional: warn or prevent deletion)
     const matchCount = await Match.countDocuments({ tournamentId: id });
     if (matchCount > 0) {
@@ -375,7 +681,8 @@ export const getAllTournaments = async (req, res) => {
 /**
  * Get Custom Tournaments
  * 
- * Gets all tournaments with format = 'custom' created by this admin.
+ * Gets all tournaments managed from the custom tournament pages (format =
+ * 'custom', 'swiss' or 'rotatingPartners') created by this admin.
  * Sorted by creation date (newest first).
  * 
  * @param {Object} req - Express request object
@@ -383,10 +690,10 @@ export const getAllTournaments = async (req, res) => {
  */
 export const getCustomTournaments = async (req, res) => {
   try {
-    // Get all custom tournaments created by this admin
+    // Get all custom, Swiss and rotating partner tournaments created by this admin
     const tournaments = await Tournament.find({ 
       createdBy: req.admin.id,
-      format: 'custom'
+      format: { $in: ['custom', 'swiss', 'rotatingPartners'] }
     })
       .sort({ createdAt: -1 })
       .lean();
@@ -410,6 +717,8 @@ export const getCustomTournaments = async (req, res) => {
  * Get Tournament by ID
  * 
  * Gets a single tournament by ID. Only the admin who created it can view it.
+ * Includes its main tournament (parent, for a division) and the divisions
+ * of the main tournament.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -453,9 +762,15 @@ export const getTournament = async (req, res) => {
       });
     }
 
+    const { parent, divisions } = await getDivisionSummary(tournament);
+
     res.status(200).json({
       success: true,
-      data: tournament
+      data: {
+        ...tournament.toJSON(),
+        parent,
+        divisions
+      }
     });
   } catch (error) {
     console.error('Error fetching tournament:', error);
@@ -564,6 +879,10 @@ export const updateTournamentStatus = async (req, res) => {
 
     await tournament.save();
 
+    // Notify viewers when the tournament goes live
+    if (status === 'live') {
+      emitTournamentLive(tournament._id.toString());
+    }
 
     res.status(200).json({
       success: true,
@@ -3,28 +3,44 @@
  * 
  * Handles manual fixture generation for custom tournaments.
  * Allows admins to create rounds with matches manually.
+ * Swiss tournaments use the same rounds, paired from the standings
+ * (see swiss.service.js).
  */
 
 import mongoose from 'mongoose';
 import Tournament from '../models/tournament.model.js';
 import Participant from '../models/participant.model.js';
 import Match from '../models/match.model.js';
+import { createRandom } from '../services/random.service.js';
+import { sortForDraw, resolveDrawSeed, drawCustomRoundPairs, recordDraw } from '../services/draw.service.js';
+import { loadStandings } from '../services/standings.service.js';
+import { pairSwissRound, getSwissHistory } from '../services/swiss.service.js';
+import { emitStandingsUpdated, emitScheduleUpdated } from '../services/socket.service.js';
 
 /**
  * Create Custom Round
  * 
  * Creates a new round with matches for a custom tournament.
- * - Randomly pairs participants
+ * - Randomly pairs participants (seeded draw, recorded for the draw audit)
  * - Handles odd numbers with TBD
  * - Does NOT auto-complete tournament
  * 
+ * Swiss tournaments:
+ * - All participants play every round (except those who withdrew or were
+ *   disqualified); the previous round must be finished
+ * - The first round is the random draw, later rounds are paired from the
+ *   standings (see swiss.service.js)
+ * - With an odd number, one participant gets a bye (a completed match
+ *   without participantB that counts as a win)
+ * - The round name defaults to "Round N"
+ * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const createCustomRound = async (req, res) => {
   try {
     const { id } = req.params;
-    const { roundName, participantIds, topPlayers } = req.body;
+    const { participantIds, topPlayers } = req.body;
 
     // Validate MongoDB ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -34,11 +50,11 @@ export const createCustomRound = async (req, res) => {
       });
     }
 
-    // Validation: Round name required
-    if (!roundName || !roundName.trim()) {
+    const { seed: drawSeed, error: seedError } = resolveDrawSeed(req.body.drawSeed);
+    if (seedError) {
       return res.status(400).json({
         success: false,
-        message: 'Round name is required'
+        message: seedError
       });
     }
 
@@ -63,25 +79,49 @@ export const createCustomRound = async (req, res) => {
       });
     }
 
-    // Validation: Must be custom tournament
-    if (tournament.format !== 'custom') {
+    // Validation: Must be custom or Swiss tournament
+    if (tournament.format !== 'custom' && tournament.format !== 'swiss') {
       return res.status(400).json({
         success: false,
-        message: 'This endpoint is only for custom tournaments'
+        message: 'This endpoint is only for custom and Swiss tournaments'
+      });
+    }
+
+    const isSwiss = tournament.format === 'swiss';
+    const previousMatches = isSwiss ? await Match.find({ tournamentId: id }).lean() : [];
+
+    // Validation: Round name required (Swiss rounds are numbered by default)
+    const roundName = String(req.body.roundName || '').trim() ||
+      (isSwiss ? `Round ${new Set(previousMatches.map(m => m.round)).size + 1}` : '');
+    if (!roundName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Round name is required'
+      });
+    }
+
+    // Swiss: the next round is paired from the results of the previous ones
+    if (previousMatches.some(m => m.status === 'upcoming' || m.status === 'live')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Finish every match of the previous rounds before pairing the next Swiss round'
       });
     }
 
     // Get participants
     let participants;
-    if (participantIds && participantIds.length > 0) {
+    if (!isSwiss && participantIds && participantIds.length > 0) {
       // Use provided participant IDs (for subsequent rounds with top players)
       participants = await Participant.find({
         _id: { $in: participantIds },
         tournamentId: id
       }).lean();
     } else {
-      // Get all participants for first round
-      participants = await Participant.find({ tournamentId: id }).lean();
+      // Get all participants for first round (withdrawn and disqualified ones are not paired again)
+      participants = await Participant.find({
+        tournamentId: id,
+        status: { $nin: ['withdrawn', 'disqualified'] }
+      }).lean();
     }
 
     if (participants.length < 2) {
@@ -94,7 +134,7 @@ export const createCustomRound = async (req, res) => {
     // Check if round already exists
     const existingMatches = await Match.find({
       tournamentId: id,
-      round: roundName.trim()
+      round: roundName
     });
 
     if (existingMatches.length > 0) {
@@ -104,46 +144,69 @@ export const createCustomRound = async (req, res) => {
       });
     }
 
-    // Shuffle participants randomly
-    const shuffled = [...participants].sort(() => Math.random() - 0.5);
-    const matches = [];
-    const hasOddNumber = shuffled.length % 2 !== 0;
+    // Pair participants randomly with a seeded draw (odd number: last one plays TBD),
+    // or later Swiss rounds from the standings
+    const drawParticipants = sortForDraw(participants);
+    const hasOddNumber = participants.length % 2 !== 0;
+    const isDraw = !isSwiss || previousMatches.length === 0;
+    let pairs;
+    let rematches = 0;
+    if (isDraw) {
+      pairs = drawCustomRoundPairs(drawParticipants, createRandom(drawSeed));
+    } else {
+      const { standings } = await loadStandings(tournament, { withRatings: false });
+      const activeIds = new Set(participants.map(participant => participant._id.toString()));
+      const swissRound = pairSwissRound(
+        standings
+          .filter(standing => activeIds.has(standing.participant.id.toString()))
+          .map(standing => ({ id: standing.participant.id, wins: standing.stats.wins })),
+        getSwissHistory(previousMatches)
+      );
+      pairs = swissRound.bye
+        ? [...swissRound.pairs, { participantA: swissRound.bye, participantB: null }]
+        : swissRound.pairs;
+      rematches = swissRound.rematches;
+    }
 
-    // Create matches
-    for (let i = 0; i < shuffled.length - 1; i += 2) {
-      matches.push({
+    const matches = pairs.map((pair, index) => {
+      const bye = isSwiss && !pair.participantB;
+      return {
         tournamentId: id,
-        round: roundName.trim(),
-        participantA: shuffled[i]._id,
-        participantB: shuffled[i + 1]._id,
+        round: roundName,
+        participantA: pair.participantA,
+        participantB: pair.participantB, // null = TBD, or the bye in Swiss rounds
         score: { a: 0, b: 0 },
-        status: 'upcoming',
-        order: matches.length,
+        status: bye ? 'completed' : 'upcoming',
+        bye,
+        order: index,
         courtNumber: null
-      });
+      };
+    });
+
+    // Create matches in database
+    const createdMatches = await Match.insertMany(matches);
+
+    // Update tournament currentRound (Swiss: always the latest round)
+    if (!tournament.currentRound || isSwiss) {
+      tournament.currentRound = roundName;
     }
 
-    // If odd number, create a match with TBD
-    if (hasOddNumber) {
-      matches.push({
-        tournamentId: id,
-        round: roundName.trim(),
-        participantA: shuffled[shuffled.length - 1]._id,
-        participantB: null, // TBD
-        score: { a: 0, b: 0 },
-        status: 'upcoming',
-        order: matches.length,
-        courtNumber: null
+    if (isDraw) {
+      recordDraw(tournament, {
+        kind: 'customRound',
+        round: roundName,
+        seed: drawSeed,
+        participants: drawParticipants
       });
     }
+    await tournament.save();
 
-    // Create matches in database
-    const createdMatches = await Match.insertMany(matches);
+    // Viewers reload the matches to pick up the new round
+    emitScheduleUpdated(id);
 
-    // Update tournament currentRound if not set
-    if (!tournament.currentRound) {
-      tournament.currentRound = roundName.trim();
-      await tournament.save();
+    // A bye is a win straight away
+    if (matches.some(match => match.bye)) {
+      emitStandingsUpdated(id);
     }
 
     // Populate matches for response
@@ -152,6 +215,8 @@ export const createCustomRound = async (req, res) => {
     })
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .sort({ order: 1 })
       .lean();
 
@@ -159,10 +224,13 @@ export const createCustomRound = async (req, res) => {
       success: true,
       message: `Successfully created ${createdMatches.length} match(es) for round "${roundName}"`,
       data: {
-        round: roundName.trim(),
+        round: roundName,
         matches: populatedMatches,
         count: createdMatches.length,
-        hasTBD: hasOddNumber
+        hasTBD: hasOddNumber && !isSwiss,
+        bye: isSwiss && hasOddNumber ? matches.find(match => match.bye).participantA : null,
+        rematches,
+        drawSeed: isDraw ? drawSeed : null
       }
     });
   } catch (error) {
@@ -219,6 +287,8 @@ export const getCustomRounds = async (req, res) => {
     const matches = await Match.find({ tournamentId: id })
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .sort({ round: 1, order: 1 })
       .lean();
 
@@ -9,15 +9,27 @@ import mongoose from 'mongoose';
 import Tournament from '../models/tournament.model.js';
 import Participant from '../models/participant.model.js';
 import Match from '../models/match.model.js';
-import { generateFixtures } from '../services/fixture.service.js';
+import { getParticipantRatings } from '../services/rating.service.js';
+import { createRandom } from '../services/random.service.js';
+import { sortForDraw, resolveDrawSeed, drawFixtures, recordDraw } from '../services/draw.service.js';
+import { addPlacementMatches } from '../services/fixture.service.js';
+import { getScheduleOwner } from '../services/division.service.js';
 
 /**
  * Generate Tournament Fixtures
  * 
  * Automatically generates matches/fixtures for a tournament based on:
- * - Tournament format (group, roundRobin, knockout)
+ * - Tournament format (group, roundRobin, knockout, doubleElimination, rotatingPartners)
  * - Participant count
- * - Handles odd counts with byes (for knockout)
+ * - Handles odd counts with byes (for knockout formats)
+ * - Places seeded participants in standard bracket slots (for knockout formats),
+ *   then unseeded participants by player rating unless seedByRating is false
+ * - Knockout formats: links each match to where its winner (and loser) go next
+ * - Knockout: adds matches for 3rd place or every place (rules.placement)
+ * - Rotating partners: `rounds` rounds on `courts` courts (default: the
+ *   tournament's scheduled courts), with a new partner every round
+ * - Random choices use a seeded draw that is recorded on the tournament
+ *   (drawSeed in the body, or a new seed), so it can be replayed in the draw audit
  * 
  * Features:
  * - Validates tournament exists and admin owns it
@@ -32,6 +44,16 @@ export const generateTournamentFixtures = async (req, res) => {
   try {
     const { id } = req.params;
     const { groupSize } = req.body; // Optional: for group format
+    const { seedByRating = true } = req.body; // Optional: rank unseeded participants by rating
+    const { rounds, courts } = req.body; // Rotating partners: number of rounds and courts
+
+    const { seed: drawSeed, error: seedError } = resolveDrawSeed(req.body.drawSeed);
+    if (seedError) {
+      return res.status(400).json({
+        success: false,
+        message: seedError
+      });
+    }
 
     // Validate MongoDB ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -71,6 +93,14 @@ export const generateTournamentFixtures = async (req, res) => {
       });
     }
 
+    // Validation: Swiss rounds depend on the results of the previous round
+    if (tournament.format === 'swiss') {
+      return res.status(400).json({
+        success: false,
+        message: 'Swiss tournaments are paired one round at a time from the standings. Use the custom round endpoint for each round.'
+      });
+    }
+
     // Validation: Fixtures can only be generated before tournament goes live
     // Admin override only allowed before tournament goes live
     if (tournament.status === 'live' || tournament.status === 'completed') {
@@ -80,13 +110,34 @@ export const generateTournamentFixtures = async (req, res) => {
       });
     }
 
+    // Rotating partners: rounds are required, courts default to the scheduled courts
+    // (of the main tournament for a division)
+    const scheduleOwner = await getScheduleOwner(tournament);
+    const scheduleCourts = (scheduleOwner.schedule?.courts || []).map(court => court.number).sort((a, b) => a - b);
+    const rotation = tournament.format === 'rotatingPartners'
+      ? { rounds: parseInt(rounds), courts: parseInt(courts) || scheduleCourts.length }
+      : null;
+    if (rotation && (!Number.isInteger(rotation.rounds) || rotation.rounds < 1 || rotation.rounds > 50)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rotating partners requires the number of rounds (1 to 50)'
+      });
+    }
+    if (rotation && (!Number.isInteger(rotation.courts) || rotation.courts < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rotating partners requires the number of courts, or courts in the tournament schedule'
+      });
+    }
+
     // Get all participants for this tournament
     const participants = await Participant.find({ tournamentId: id })
-      .select('_id name players')
+      .select('_id name players playerIds seed')
       .lean();
 
     // Validation: Check minimum participant count
-    const MIN_PARTICIPANTS = 2;
+    // Rotating partners needs 4 players for a doubles match
+    const MIN_PARTICIPANTS = rotation ? 4 : 2;
     if (participants.length < MIN_PARTICIPANTS) {
       return res.status(400).json({
         success: false,
@@ -104,15 +155,27 @@ export const generateTournamentFixtures = async (req, res) => {
       });
     }
 
-    // Extract participant IDs for fixture generation
-    const participantIds = participants.map(p => p._id);
+    // Draws start from the participants sorted by ID so they can be replayed
+    const drawParticipants = sortForDraw(participants);
+
+    // Team ratings of participants linked to the player registry
+    const ratings = seedByRating ? await getParticipantRatings(participants) : null;
+
+    const drawOptions = {
+      format: tournament.format,
+      groupSize: groupSize || 4,
+      bracketReset: tournament.rules?.bracketReset !== false,
+      ...rotation
+    };
 
     // Generate fixtures based on tournament format
     let generatedMatches;
     try {
-      generatedMatches = generateFixtures(tournament.format, participantIds, {
-        groupSize: groupSize || 4
-      });
+      generatedMatches = drawFixtures({
+        ...drawOptions,
+        participants: drawParticipants,
+        ratings
+      }, createRandom(drawSeed));
     } catch (error) {
       return res.status(400).json({
         success: false,
@@ -129,6 +192,21 @@ export const generateTournamentFixtures = async (req, res) => {
       });
     }
 
+    // Bracket matches refer to each other by key: give every keyed match its ID upfront
+    const idsByKey = new Map(
+      generatedMatches
+        .filter(match => match.key)
+        .map(match => [match.key, new mongoose.Types.ObjectId()])
+    );
+    const linkFields = (match) => match.key ? {
+      _id: idsByKey.get(match.key),
+      bracket: match.bracket || null,
+      nextMatchId: match.nextMatchKey ? idsByKey.get(match.nextMatchKey) : null,
+      nextMatchSlot: match.nextMatchSlot || null,
+      loserMatchId: match.loserMatchKey ? idsByKey.get(match.loserMatchKey) : null,
+      loserMatchSlot: match.loserMatchSlot || null
+    } : {};
+
     // Transform matches for database insertion
     // Note: For knockout, some matches may have null participants (TBD)
     const matchesToCreate = generatedMatches.map(match => ({
@@ -136,15 +214,31 @@ export const generateTournamentFixtures = async (req, res) => {
       round: match.round,
       participantA: match.participantA || null, // Can be null for TBD in knockout
       participantB: match.participantB || null, // Can be null for TBD in knockout
+      partnerA: match.partnerA || null, // Rotating partners only
+      partnerB: match.partnerB || null,
       score: {
         a: 0,
         b: 0
       },
       status: 'upcoming',
       order: match.order,
-      courtNumber: null // Can be assigned later
+      // Rotating partners are drawn onto courts; other formats are assigned later
+      courtNumber: match.court ? (scheduleCourts[match.court - 1] ?? match.court) : null,
+      ...linkFields(match)
     }));
 
+    // Knockout: matches for places (losers are routed along loser links)
+    if (tournament.format === 'knockout') {
+      const placementMatches = addPlacementMatches(matchesToCreate, tournament.rules?.placement || 'none');
+      matchesToCreate.push(...placementMatches.map(match => ({
+        ...match,
+        tournamentId: id,
+        score: { a: 0, b: 0 },
+        status: 'upcoming',
+        courtNumber: null
+      })));
+    }
+
     // Save matches to database
     const createdMatches = await Match.insertMany(matchesToCreate);
 
@@ -153,13 +247,26 @@ export const generateTournamentFixtures = async (req, res) => {
       // Extract first round name from first match
       const firstRound = createdMatches[0].round;
       tournament.currentRound = firstRound;
-      await tournament.save();
     }
 
+    // Round robin has nothing random to record
+    if (tournament.format !== 'roundRobin') {
+      recordDraw(tournament, {
+        kind: 'fixtures',
+        seed: drawSeed,
+        participants: drawParticipants,
+        ratings,
+        options: drawOptions
+      });
+    }
+    await tournament.save();
+
     // Populate participant data for response
     const populatedMatches = await Match.find({ _id: { $in: createdMatches.map(m => m._id) } })
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .sort({ order: 1 })
       .lean();
 
@@ -191,7 +298,8 @@ export const generateTournamentFixtures = async (req, res) => {
         summary: {
           participants: participants.length,
           matchesGenerated: createdMatches.length,
-          rounds: Object.keys(matchesByRound).length
+          rounds: Object.keys(matchesByRound).length,
+          drawSeed: tournament.format !== 'roundRobin' ? drawSeed : null
         }
       }
     });
@@ -1,76 +1,105 @@
 /**
  * Group Standings Controller
- * 
- * Handles group-wise standings calculation and display
+ *
+ * Handles standings for admins (group-wise and overall), admin decisions
+ * for ties in the standings and locked group positions (qualifiers and
+ * reserves). Standings come from standings.service.js, the same engine used
+ * by the public endpoints.
  */
 
 import mongoose from 'mongoose';
 import Tournament from '../models/tournament.model.js';
 import Participant from '../models/participant.model.js';
 import Match from '../models/match.model.js';
+import {
+  loadStandings,
+  loadGroupStandings,
+  getStandingsRules,
+  OVERALL_SCOPE
+} from '../services/standings.service.js';
+import { fillKnockoutFromGroups } from '../services/progression.service.js';
+import { getQualifiers, WILDCARD_SCOPE } from '../services/qualification.service.js';
+import { emitMatchUpdated, emitStandingsUpdated } from '../services/socket.service.js';
+
+/**
+ * Find Own Tournament (Helper)
+ *
+ * @param {Object} req - Express request object
+ * @param {string} action - What the admin is doing, for the permission message
+ * @returns {Promise<Object>} { tournament } or { status, message } on failure
+ */
+async function findOwnTournament(req, action) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: 'Invalid tournament ID format' };
+  }
+
+  const tournament = await Tournament.findById(id);
+  if (!tournament) {
+    return { status: 404, message: 'Tournament not found' };
+  }
+
+  if (tournament.createdBy.toString() !== req.admin.id.toString()) {
+    return { status: 403, message: `You do not have permission to ${action} for this tournament` };
+  }
+
+  return { tournament };
+}
 
 /**
  * Get Group Standings
- * 
+ *
  * Returns standings for each group separately
  */
 export const getGroupStandings = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
+    const { tournament, status, message } = await findOwnTournament(req, 'view standings');
+    if (status) {
+      return res.status(status).json({
         success: false,
-        message: 'Invalid tournament ID format'
+        message
       });
     }
 
-    // Find tournament
-    const tournament = await Tournament.findById(id);
-    if (!tournament) {
-      return res.status(404).json({
-        success: false,
-        message: 'Tournament not found'
-      });
-    }
+    // Calculate standings per group
+    const { groupStandings, participants } = await loadGroupStandings(tournament);
 
-    const adminId = req.admin.id.toString();
-    const tournamentCreatorId = tournament.createdBy.toString();
-    if (tournamentCreatorId !== adminId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to view standings for this tournament'
+    // Wildcards: the race for the best places perGroup + 1 across groups
+    const { perGroup, wildcards } = tournament.qualification || {};
+    let wildcardRace = null;
+    if (perGroup && wildcards > 0) {
+      const { wildcardRanking, wildcardsUndecided } = getQualifiers(groupStandings, {
+        perGroup,
+        wildcards,
+        decisions: tournament.tiebreakDecisions
       });
+      wildcardRace = {
+        count: wildcards,
+        ranking: wildcardRanking.map(standing => ({
+          participant: standing.participant,
+          group: standing.group,
+          position: standing.position,
+          stats: standing.stats,
+          wildcardRank: standing.wildcardRank,
+          tied: standing.tied,
+          qualifies: standing.wildcardRank <= wildcards
+        })),
+        undecided: wildcardsUndecided
+      };
     }
 
-    // Get all participants
-    const participants = await Participant.find({ tournamentId: id }).lean();
-
-    // Get all group stage matches
-    const groupMatches = await Match.find({
-      tournamentId: id,
-      round: { $regex: /^Group / }
-    })
-      .populate('participantA', 'name players')
-      .populate('participantB', 'name players')
-      .lean();
-
-    // Get completed group matches
-    const completedGroupMatches = groupMatches.filter(m => 
-      m.status === 'completed' && m.participantA && m.participantB
-    );
-
-    // Calculate standings per group
-    const groupStandings = calculateGroupStandings(participants, completedGroupMatches);
-
     res.status(200).json({
       success: true,
       data: {
         tournament: {
           id: tournament._id,
-          name: tournament.name
+          name: tournament.name,
+          tiebreakers: getStandingsRules(tournament).tiebreakers,
+          qualification: tournament.qualification
         },
         groupStandings,
+        wildcards: wildcardRace,
         summary: {
           totalGroups: groupStandings.length,
           totalParticipants: participants.length
@@ -88,127 +117,342 @@ export const getGroupStandings = async (req, res) => {
 };
 
 /**
- * Calculate Group Standings
- * 
- * Calculates standings for each group separately
+ * Get Standings
+ *
+ * Returns the overall standings of a tournament (public or not)
  */
-function calculateGroupStandings(participants, completedMatches) {
-  const groupStandingsMap = new Map();
-
-  // Initialize standings for each group
-  completedMatches.forEach(match => {
-    const groupName = match.round.replace('Group ', ''); // Extract group letter (A, B, C, D...)
-    if (!groupStandingsMap.has(groupName)) {
-      groupStandingsMap.set(groupName, {
-        groupName,
-        participants: new Map()
-      });
-    }
-  });
-
-  // Process matches for each group
-  completedMatches.forEach(match => {
-    const groupName = match.round.replace('Group ', '');
-    const groupData = groupStandingsMap.get(groupName);
-    
-    if (!match.participantA || !match.participantB) return;
-
-    const pAId = match.participantA._id.toString();
-    const pBId = match.participantB._id.toString();
-
-    // Initialize participants if not exists
-    if (!groupData.participants.has(pAId)) {
-      const participant = participants.find(p => p._id.toString() === pAId);
-      if (participant) {
-        groupData.participants.set(pAId, {
-          participant: {
-            id: participant._id,
-            name: participant.name,
-            players: participant.players
-          },
-          stats: {
-            matchesPlayed: 0,
-            wins: 0,
-            losses: 0,
-            pointsFor: 0,
-            pointsAgainst: 0,
-            pointDifference: 0
-          }
-        });
-      }
+export const getStandings = async (req, res) => {
+  try {
+    const { tournament, status, message } = await findOwnTournament(req, 'view standings');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
     }
-    if (!groupData.participants.has(pBId)) {
-      const participant = participants.find(p => p._id.toString() === pBId);
-      if (participant) {
-        groupData.participants.set(pBId, {
-          participant: {
-            id: participant._id,
-            name: participant.name,
-            players: participant.players
-          },
-          stats: {
-            matchesPlayed: 0,
-            wins: 0,
-            losses: 0,
-            pointsFor: 0,
-            pointsAgainst: 0,
-            pointDifference: 0
-          }
-        });
+
+    const { standings, placings, participants, completedMatches } = await loadStandings(tournament);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tournament: {
+          id: tournament._id,
+          name: tournament.name,
+          tiebreakers: getStandingsRules(tournament).tiebreakers
+        },
+        standings,
+        placings,
+        summary: {
+          totalParticipants: participants.length,
+          completedMatches: completedMatches.length
+        }
       }
+    });
+  } catch (error) {
+    console.error('Error fetching standings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching standings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Decide Tiebreak
+ *
+ * Records the order of tied participants, used by the adminDecision
+ * tiebreaker, or between level wildcards (scope "wildcards"). Deciding the
+ * same participants again replaces the decision.
+ */
+export const decideTiebreak = async (req, res) => {
+  try {
+    const { tournament, status, message } = await findOwnTournament(req, 'decide ties');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
     }
 
-    const standingA = groupData.participants.get(pAId);
-    const standingB = groupData.participants.get(pBId);
+    const { scope = OVERALL_SCOPE, order, reason } = req.body;
 
-    if (!standingA || !standingB) return;
+    if (scope !== OVERALL_SCOPE && scope !== WILDCARD_SCOPE && !/^Group /.test(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scope must be "${OVERALL_SCOPE}", "${WILDCARD_SCOPE}" or a group round such as "Group A"`
+      });
+    }
 
-    standingA.stats.matchesPlayed++;
-    standingB.stats.matchesPlayed++;
+    if (!Array.isArray(order) || order.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list at least 2 tied participants'
+      });
+    }
 
-    standingA.stats.pointsFor += match.score.a || 0;
-    standingA.stats.pointsAgainst += match.score.b || 0;
-    standingB.stats.pointsFor += match.score.b || 0;
-    standingB.stats.pointsAgainst += match.score.a || 0;
+    const ids = order.map(participantId => String(participantId));
+    if (new Set(ids).size !== ids.length || !ids.every(participantId => mongoose.Types.ObjectId.isValid(participantId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list valid participant IDs, each once'
+      });
+    }
 
-    if (match.score.a > match.score.b) {
-      standingA.stats.wins++;
-      standingB.stats.losses++;
-    } else if (match.score.b > match.score.a) {
-      standingB.stats.wins++;
-      standingA.stats.losses++;
+    const found = await Participant.countDocuments({ _id: { $in: ids }, tournamentId: tournament._id });
+    if (found !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'All participants must belong to this tournament'
+      });
     }
 
-    standingA.stats.pointDifference = standingA.stats.pointsFor - standingA.stats.pointsAgainst;
-    standingB.stats.pointDifference = standingB.stats.pointsFor - standingB.stats.pointsAgainst;
-  });
+    const key = [...ids].sort().join(',');
+    tournament.tiebreakDecisions = tournament.tiebreakDecisions.filter(decision =>
+      !(decision.method === 'admin' && decision.scope === scope && decision.key === key)
+    );
+    tournament.tiebreakDecisions.push({
+      scope,
+      key,
+      participantIds: ids,
+      order: ids,
+      method: 'admin',
+      reason: reason ? String(reason).trim() : null,
+      decidedBy: req.admin.id,
+      decidedAt: new Date()
+    });
+    await tournament.save();
 
-  // Convert to array and sort each group
-  const groupStandings = [];
-  groupStandingsMap.forEach((groupData, groupName) => {
-    const standings = Array.from(groupData.participants.values());
-    // Sort by wins (desc), then point difference (desc)
-    standings.sort((a, b) => {
-      if (b.stats.wins !== a.stats.wins) {
-        return b.stats.wins - a.stats.wins;
+    // A wildcard decision may settle the last open qualification
+    if (scope === WILDCARD_SCOPE) {
+      const fill = await fillKnockoutFromGroups(tournament);
+      fill.updatedMatches.forEach(matchId => emitMatchUpdated(matchId));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tiebreak decision recorded',
+      data: {
+        tiebreakers: getStandingsRules(tournament).tiebreakers,
+        tiebreakDecisions: tournament.tiebreakDecisions
       }
-      return b.stats.pointDifference - a.stats.pointDifference;
     });
-    
-    standings.forEach((standing, index) => {
-      standing.position = index + 1;
-      standing.group = groupName;
+  } catch (error) {
+    console.error('Error recording tiebreak decision:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error recording tiebreak decision',
+      error: error.message
     });
-    
-    groupStandings.push({
-      groupName,
-      standings
+  }
+};
+
+/**
+ * Lock Group Standings
+ *
+ * Locks the final positions of a finished group and marks its qualifiers
+ * and reserves, with the reason. Locking again replaces the lock. Open
+ * places in the first knockout round are filled afterwards when the whole
+ * group stage is finished.
+ * 
+ * With a qualification rule, the qualifiers fit the places per group and
+ * the reserves can fill the places left. A group cannot be locked once
+ * the knockout has been filled from the groups.
+ */
+export const lockGroupStandings = async (req, res) => {
+  try {
+    const { tournament, status, message } = await findOwnTournament(req, 'lock group standings');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const fullGroupName = `Group ${req.params.group}`;
+    const { order, qualifiers = [], reserves = [], reason } = req.body;
+
+    const { groupStandings } = await loadGroupStandings(tournament, { withRatings: false });
+    const group = groupStandings.find(g => g.fullGroupName === fullGroupName);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: `${fullGroupName} not found`
+      });
+    }
+
+    if (!group.complete) {
+      return res.status(400).json({
+        success: false,
+        message: `${fullGroupName} still has matches to play`
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to lock group positions'
+      });
+    }
+
+    const memberIds = new Set(group.standings.map(standing => standing.participant.id.toString()));
+    const orderIds = Array.isArray(order) ? order.map(participantId => String(participantId)) : [];
+    if (orderIds.length !== memberIds.size || new Set(orderIds).size !== orderIds.length || !orderIds.every(participantId => memberIds.has(participantId))) {
+      return res.status(400).json({
+        success: false,
+        message: `Order must list every participant of ${fullGroupName} once`
+      });
+    }
+
+    if (!Array.isArray(qualifiers) || !Array.isArray(reserves)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Qualifiers and reserves must be lists of participant IDs'
+      });
+    }
+
+    const qualifierIds = qualifiers.map(participantId => String(participantId));
+    const reserveIds = reserves.map(participantId => String(participantId));
+    const marked = [...qualifierIds, ...reserveIds];
+    if (new Set(marked).size !== marked.length || !marked.every(participantId => memberIds.has(participantId))) {
+      return res.status(400).json({
+        success: false,
+        message: `Qualifiers and reserves must be participants of ${fullGroupName}, each marked once`
+      });
+    }
+
+    const perGroup = tournament.qualification?.perGroup;
+    if (reserveIds.length > 0 && qualifierIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reserves can only be marked together with qualifiers'
+      });
+    }
+
+    if (perGroup && qualifierIds.length > perGroup) {
+      return res.status(400).json({
+        success: false,
+        message: `${fullGroupName} has ${perGroup} qualifying place(s); ${qualifierIds.length} qualifiers were marked`
+      });
+    }
+
+    if (perGroup && qualifierIds.length > 0 && marked.length < perGroup) {
+      return res.status(400).json({
+        success: false,
+        message: `${fullGroupName} has ${perGroup} qualifying place(s); mark enough reserves to fill the places left by ${qualifierIds.length} qualifier(s)`
+      });
+    }
+
+    // Qualifiers have already been placed in the knockout
+    const knockoutFilled = await Match.exists({
+      tournamentId: tournament._id,
+      round: { $not: /^Group / },
+      $or: [{ participantA: { $ne: null } }, { participantB: { $ne: null } }]
     });
-  });
+    if (knockoutFilled) {
+      return res.status(400).json({
+        success: false,
+        message: 'The knockout has already been filled from the group standings, so a lock would not change it'
+      });
+    }
+
+    tournament.groupLocks = tournament.groupLocks.filter(lock => lock.group !== fullGroupName);
+    tournament.groupLocks.push({
+      group: fullGroupName,
+      order: orderIds,
+      // Marked participants are kept in their locked order
+      qualifiers: orderIds.filter(participantId => qualifierIds.includes(participantId)),
+      reserves: orderIds.filter(participantId => reserveIds.includes(participantId)),
+      reason: String(reason).trim(),
+      decidedBy: req.admin.id,
+      decidedAt: new Date()
+    });
+    await tournament.save();
 
-  // Sort groups alphabetically
-  groupStandings.sort((a, b) => a.groupName.localeCompare(b.groupName));
+    // The lock may settle the last undecided group
+    const fill = await fillKnockoutFromGroups(tournament);
+    fill.updatedMatches.forEach(matchId => emitMatchUpdated(matchId));
+    emitStandingsUpdated(tournament._id.toString());
 
-  return groupStandings;
-}
+    res.status(200).json({
+      success: true,
+      message: `${fullGroupName} positions locked`,
+      data: {
+        groupLocks: tournament.groupLocks,
+        knockoutRoundsFilled: fill.filled,
+        undecidedGroups: fill.undecidedGroups
+      }
+    });
+  } catch (error) {
+    console.error('Error locking group standings:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error locking group standings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Unlock Group Standings
+ *
+ * Removes the lock of a group, so its standings follow the tiebreakers again.
+ * Knockout places already filled are not changed.
+ */
+export const unlockGroupStandings = async (req, res) => {
+  try {
+    const { tournament, status, message } = await findOwnTournament(req, 'unlock group standings');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const fullGroupName = `Group ${req.params.group}`;
+    if (!tournament.groupLocks.some(lock => lock.group === fullGroupName)) {
+      return res.status(404).json({
+        success: false,
+        message: `${fullGroupName} is not locked`
+      });
+    }
+
+    tournament.groupLocks = tournament.groupLocks.filter(lock => lock.group !== fullGroupName);
+    await tournament.save();
+    emitStandingsUpdated(tournament._id.toString());
 
+    res.status(200).json({
+      success: true,
+      message: `${fullGroupName} positions unlocked`,
+      data: {
+        groupLocks: tournament.groupLocks
+      }
+    });
+  } catch (error) {
+    console.error('Error unlocking group standings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking group standings',
+      error: error.message
+    });
+  }
+};
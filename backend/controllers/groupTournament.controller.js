@@ -2,9 +2,13 @@
  * Group Tournament Controller
  * 
  * Handles group-based tournament fixture generation with:
- * - Group distribution
+ * - Group draw (random, snake by seed or rating, pots; optionally keeping
+ *   clubs apart - see groupDraw.service.js) with a preview
+ * - Seeded draws recorded on the tournament for the draw audit
  * - Group stage matches (Round Robin or Knockout)
- * - Knockout rounds with same-group avoidance
+ * - Knockout bracket of any size (byes when the qualifier count is not a
+ *   power of 2); qualifiers are the top of every group plus optional
+ *   wildcards, placed when the group stage ends (see qualification.service.js)
  * - Standings calculation per group
  */
 
@@ -12,15 +16,79 @@ import mongoose from 'mongoose';
 import Tournament from '../models/tournament.model.js';
 import Participant from '../models/participant.model.js';
 import Match from '../models/match.model.js';
+import { buildKnockoutBracket, addPlacementMatches } from '../services/fixture.service.js';
+import { getParticipantRatings } from '../services/rating.service.js';
+import {
+  GROUP_DRAW_METHODS,
+  calculateGroupDistribution,
+  drawGroups,
+  getParticipantClubs,
+  pairGroupKnockout
+} from '../services/groupDraw.service.js';
+import { createRandom } from '../services/random.service.js';
+import { sortForDraw, resolveDrawSeed, recordDraw } from '../services/draw.service.js';
+import { KNOCKOUT_STRUCTURES, getKnockoutSize, validateQualification } from '../services/qualification.service.js';
+
+/**
+ * Preview Group Draw
+ * 
+ * Draws the groups with the chosen method and returns them without
+ * creating any matches. Sending the returned drawSeed back to
+ * generateGroupTournament repeats exactly this draw.
+ */
+export const previewGroupDraw = async (req, res) => {
+  try {
+    const draw = await prepareGroupDraw(req);
+    if (draw.status) {
+      return res.status(draw.status).json({
+        success: false,
+        message: draw.message
+      });
+    }
+
+    const { participants, groupDistribution, drawMethod, drawSeed, ratings, clubs } = draw;
+    const { groups, conflicts } = drawGroups(participants, {
+      method: drawMethod,
+      distribution: groupDistribution,
+      ratings,
+      clubs,
+      random: createRandom(drawSeed)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        drawMethod,
+        drawSeed,
+        groupDistribution,
+        groups: formatGroups(groups, ratings, clubs),
+        clubConflicts: conflicts.map(conflict => ({
+          groupName: String.fromCharCode(65 + conflict.groupIndex),
+          club: conflict.club,
+          participantIds: conflict.participantIds
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing group draw:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing group draw',
+      error: error.message
+    });
+  }
+};
 
 /**
  * Generate Group Tournament
  * 
  * Creates a complete group-based tournament structure:
- * 1. Distributes participants into groups
+ * 1. Distributes participants into groups: the groups given by the admin,
+ *    otherwise a seeded draw with the chosen draw method (drawSeed from
+ *    the preview repeats the previewed draw)
  * 2. Generates group stage matches (Round Robin or Knockout)
- * 3. Generates knockout rounds (Quarterfinal, Semifinal, Final)
- * 4. Ensures teams from same group don't play in quarters
+ * 3. Generates the knockout bracket for the qualifiers (TBD until the
+ *    group stage ends, see fillKnockoutFromGroups)
  */
 export const generateGroupTournament = async (req, res) => {
   try {
@@ -29,121 +97,106 @@ export const generateGroupTournament = async (req, res) => {
       numGroups,
       minPlayersPerGroup,
       maxPlayersPerGroup,
-      tournamentStructure, // 'quarterfinal', 'semifinal', 'directFinal'
+      tournamentStructure, // 'roundOf32', 'roundOf16', 'quarterfinal', 'semifinal', 'directFinal', 'bracket' (any size)
       topPlayersPerGroup,
+      wildcards = 0, // best of place topPlayersPerGroup + 1 across groups
       stage1Format // 'roundRobin', 'knockout'
     } = req.body;
 
-    // Validate tournament ID
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid tournament ID format'
-      });
-    }
-
-    // Find tournament and verify ownership
-    const tournament = await Tournament.findById(id);
-    if (!tournament) {
-      return res.status(404).json({
-        success: false,
-        message: 'Tournament not found'
-      });
-    }
-
-    const adminId = req.admin.id.toString();
-    const tournamentCreatorId = tournament.createdBy.toString();
-    if (tournamentCreatorId !== adminId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to generate fixtures for this tournament'
-      });
-    }
-
-    // Validation: Must be custom tournament
-    if (tournament.format !== 'custom') {
-      return res.status(400).json({
-        success: false,
-        message: 'This endpoint is only for custom tournaments'
-      });
-    }
-
-    // Get participants
-    const participants = await Participant.find({ tournamentId: id }).lean();
-    if (participants.length < numGroups) {
+    if (!KNOCKOUT_STRUCTURES.includes(tournamentStructure)) {
       return res.status(400).json({
         success: false,
-        message: `Need at least ${numGroups} participants for ${numGroups} groups`
+        message: `Tournament structure must be one of: ${KNOCKOUT_STRUCTURES.join(', ')}`
       });
     }
 
-    // Check for existing matches
-    const existingMatches = await Match.countDocuments({ tournamentId: id });
-    if (existingMatches > 0) {
-      return res.status(400).json({
+    const draw = await prepareGroupDraw(req);
+    if (draw.status) {
+      return res.status(draw.status).json({
         success: false,
-        message: 'Tournament already has matches. Delete existing matches first.'
+        message: draw.message
       });
     }
 
-    // Calculate group distribution
-    const groupDistribution = calculateGroupDistribution(participants.length, numGroups);
-    
-    // Validate distribution
-    const minSize = Math.min(...groupDistribution);
-    const maxSize = Math.max(...groupDistribution);
-    if (minSize < minPlayersPerGroup || maxSize > maxPlayersPerGroup) {
-      return res.status(400).json({
-        success: false,
-        message: `Group distribution (${groupDistribution.join(', ')}) doesn't meet min/max requirements`
-      });
-    }
+    const { tournament, participants, groupDistribution, drawMethod, drawSeed, ratings, clubs } = draw;
+    const random = createRandom(drawSeed);
 
-    // Validate tournament structure
-    const totalQualified = topPlayersPerGroup * numGroups;
-    if (tournamentStructure === 'semifinal' && totalQualified !== 4) {
-      return res.status(400).json({
-        success: false,
-        message: 'For semifinal, total qualified players must be exactly 4'
+    // Distribute participants into groups
+    let groups;
+    if (req.body.groups !== undefined) {
+      const chosen = resolveChosenGroups(req.body.groups, participants, {
+        numGroups,
+        minPlayersPerGroup,
+        maxPlayersPerGroup
       });
+      if (chosen.error) {
+        return res.status(400).json({
+          success: false,
+          message: chosen.error
+        });
+      }
+      groups = chosen.groups;
+    } else {
+      groups = drawGroups(participants, {
+        method: drawMethod,
+        distribution: groupDistribution,
+        ratings,
+        clubs,
+        random
+      }).groups;
     }
-    if (tournamentStructure === 'directFinal' && totalQualified !== 2) {
+    const manualGroups = req.body.groups !== undefined;
+
+    // Validate the qualification rule against the knockout size
+    const qualification = { perGroup: Number(topPlayersPerGroup), wildcards: Number(wildcards) };
+    const qualificationError = validateQualification({
+      ...qualification,
+      groupSizes: groups.map(g => g.length),
+      knockoutSize: getKnockoutSize(tournamentStructure)
+    });
+    if (qualificationError) {
       return res.status(400).json({
         success: false,
-        message: 'For direct final, total qualified players must be exactly 2'
+        message: qualificationError
       });
     }
-
-    // Shuffle participants randomly
-    const shuffledParticipants = [...participants].sort(() => Math.random() - 0.5);
-
-    // Distribute participants into groups
-    const groups = distributeParticipants(shuffledParticipants, groupDistribution);
+    const totalQualified = qualification.perGroup * groups.length + qualification.wildcards;
 
     // Generate group stage matches
     const groupStageMatches = await generateGroupStageMatches(
       id,
       groups,
       stage1Format,
-      tournament
+      tournament,
+      random
     );
 
     // Generate knockout rounds upfront with TBD participants
     // They will be auto-filled when group stage completes
-    const knockoutMatches = await generateKnockoutRoundsUpfront(
-      id,
-      tournamentStructure,
-      topPlayersPerGroup,
-      numGroups
-    );
+    await generateKnockoutRoundsUpfront(id, totalQualified, tournament.rules?.placement);
 
     // Update tournament currentRound
     tournament.currentRound = 'Group Stage';
     
     // Store tournament metadata for later use (MongoDB allows custom fields)
-    tournament.topPlayersPerGroup = topPlayersPerGroup;
+    tournament.qualification = qualification;
     tournament.tournamentStructure = tournamentStructure;
     tournament.numGroups = numGroups;
+
+    recordDraw(tournament, {
+      kind: 'groupTournament',
+      method: manualGroups ? 'manual' : drawMethod,
+      seed: drawSeed,
+      participants,
+      ratings,
+      clubs,
+      options: {
+        distribution: groupDistribution,
+        separateClubs: Boolean(clubs),
+        stage1Format,
+        ...(manualGroups && { groups: groups.map(g => g.map(p => p._id)) })
+      }
+    });
     
     await tournament.save();
 
@@ -156,15 +209,14 @@ export const generateGroupTournament = async (req, res) => {
           name: tournament.name,
           format: tournament.format
         },
-        groups: groups.map((g, idx) => ({
-          groupName: String.fromCharCode(65 + idx), // A, B, C, D...
-          participants: g.map(p => ({ id: p._id, name: p.name, players: p.players })),
-          count: g.length
-        })),
-        groupDistribution,
+        groups: formatGroups(groups, ratings),
+        groupDistribution: groups.map(g => g.length),
+        drawMethod: manualGroups ? 'manual' : drawMethod,
+        drawSeed,
         groupStageMatches: groupStageMatches.length,
         tournamentStructure,
         topPlayersPerGroup,
+        wildcards: qualification.wildcards,
         totalQualified
       }
     });
@@ -179,36 +231,161 @@ export const generateGroupTournament = async (req, res) => {
 };
 
 /**
- * Calculate Group Distribution
+ * Prepare Group Draw (Helper)
+ * 
+ * Loads the tournament and participants and validates the group settings
+ * shared by the draw preview and fixture generation.
  * 
- * Distributes players as evenly as possible across groups
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { tournament, participants, groupDistribution, drawMethod, drawSeed, ratings, clubs }
+ *   or { status, message } on failure
  */
-function calculateGroupDistribution(totalPlayers, numGroups) {
-  const baseSize = Math.floor(totalPlayers / numGroups);
-  const remainder = totalPlayers % numGroups;
-  
-  const distribution = [];
-  for (let i = 0; i < numGroups; i++) {
-    distribution.push(baseSize + (i < remainder ? 1 : 0));
+async function prepareGroupDraw(req) {
+  const { id } = req.params;
+  const {
+    numGroups,
+    minPlayersPerGroup,
+    maxPlayersPerGroup,
+    drawMethod = 'snakeRating',
+    separateClubs = false
+  } = req.body;
+
+  const { seed: drawSeed, error: seedError } = resolveDrawSeed(req.body.drawSeed);
+  if (seedError) {
+    return { status: 400, message: seedError };
+  }
+
+  // Validate tournament ID
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: 'Invalid tournament ID format' };
+  }
+
+  if (!GROUP_DRAW_METHODS.includes(drawMethod)) {
+    return { status: 400, message: `Draw method must be one of: ${GROUP_DRAW_METHODS.join(', ')}` };
+  }
+
+  // Find tournament and verify ownership
+  const tournament = await Tournament.findById(id);
+  if (!tournament) {
+    return { status: 404, message: 'Tournament not found' };
+  }
+
+  const adminId = req.admin.id.toString();
+  const tournamentCreatorId = tournament.createdBy.toString();
+  if (tournamentCreatorId !== adminId) {
+    return { status: 403, message: 'You do not have permission to generate fixtures for this tournament' };
+  }
+
+  // Validation: Must be custom tournament
+  if (tournament.format !== 'custom') {
+    return { status: 400, message: 'This endpoint is only for custom tournaments' };
+  }
+
+  // Get participants (sorted by ID so the draw can be replayed)
+  const participants = sortForDraw(await Participant.find({ tournamentId: id }).lean());
+  if (participants.length < numGroups) {
+    return { status: 400, message: `Need at least ${numGroups} participants for ${numGroups} groups` };
+  }
+
+  // Check for existing matches
+  const existingMatches = await Match.countDocuments({ tournamentId: id });
+  if (existingMatches > 0) {
+    return { status: 400, message: 'Tournament already has matches. Delete existing matches first.' };
   }
-  
-  return distribution;
+
+  // Calculate group distribution
+  const groupDistribution = calculateGroupDistribution(participants.length, numGroups);
+
+  // Validate distribution
+  const minSize = Math.min(...groupDistribution);
+  const maxSize = Math.max(...groupDistribution);
+  if (minSize < minPlayersPerGroup || maxSize > maxPlayersPerGroup) {
+    return {
+      status: 400,
+      message: `Group distribution (${groupDistribution.join(', ')}) doesn't meet min/max requirements`
+    };
+  }
+
+  return {
+    tournament,
+    participants,
+    groupDistribution,
+    drawMethod,
+    drawSeed,
+    // Ratings are also shown in the preview, so load them for every method
+    ratings: await getParticipantRatings(participants),
+    clubs: separateClubs ? await getParticipantClubs(participants) : null
+  };
 }
 
 /**
- * Distribute Participants into Groups
+ * Resolve Chosen Groups (Helper)
+ * 
+ * Turns groups of participant IDs (e.g. from a draw preview) into groups of
+ * participants. Every participant must be in exactly one group.
+ * 
+ * @param {Array<Array<string>>} groupIds - Participant IDs per group
+ * @param {Array} participants - All participants of the tournament
+ * @param {Object} limits - { numGroups, minPlayersPerGroup, maxPlayersPerGroup }
+ * @returns {Object} { groups } or { error }
  */
-function distributeParticipants(participants, distribution) {
+function resolveChosenGroups(groupIds, participants, { numGroups, minPlayersPerGroup, maxPlayersPerGroup }) {
+  if (!Array.isArray(groupIds) || groupIds.length !== numGroups || !groupIds.every(Array.isArray)) {
+    return { error: `Groups must be a list of ${numGroups} lists of participant IDs` };
+  }
+
+  const participantsById = new Map(participants.map(p => [p._id.toString(), p]));
+  const used = new Set();
   const groups = [];
-  let index = 0;
-  
-  for (let i = 0; i < distribution.length; i++) {
-    const groupSize = distribution[i];
-    groups.push(participants.slice(index, index + groupSize));
-    index += groupSize;
+
+  for (const ids of groupIds) {
+    if (ids.length < minPlayersPerGroup || ids.length > maxPlayersPerGroup) {
+      return { error: `Every group needs between ${minPlayersPerGroup} and ${maxPlayersPerGroup} participants` };
+    }
+
+    const group = [];
+    for (const participantId of ids) {
+      const key = String(participantId);
+      if (!participantsById.has(key)) {
+        return { error: `Participant ${key} is not in this tournament` };
+      }
+      if (used.has(key)) {
+        return { error: `Participant ${key} is in more than one group` };
+      }
+      used.add(key);
+      group.push(participantsById.get(key));
+    }
+    groups.push(group);
+  }
+
+  if (used.size !== participants.length) {
+    return { error: 'Every participant must be placed in a group' };
   }
-  
-  return groups;
+
+  return { groups };
+}
+
+/**
+ * Format Groups (Helper)
+ * 
+ * @param {Array<Array>} groups - Groups of participants
+ * @param {Map} ratings - participantId -> rating
+ * @param {Map} clubs - participantId -> clubs (optional)
+ * @returns {Array} [{ groupName, participants, count }] for responses
+ */
+function formatGroups(groups, ratings, clubs = null) {
+  return groups.map((g, idx) => ({
+    groupName: String.fromCharCode(65 + idx), // A, B, C, D...
+    participants: g.map(p => ({
+      id: p._id,
+      name: p.name,
+      players: p.players,
+      seed: p.seed ?? null,
+      rating: ratings.get(p._id.toString()) ?? null,
+      ...(clubs && { clubs: clubs.get(p._id.toString()) || [] })
+    })),
+    count: g.length
+  }));
 }
 
 /**
@@ -216,7 +393,7 @@ function distributeParticipants(participants, distribution) {
  * 
  * Creates matches for each group based on format (Round Robin or Knockout)
  */
-async function generateGroupStageMatches(tournamentId, groups, format, tournament) {
+async function generateGroupStageMatches(tournamentId, groups, format, tournament, random) {
   const allMatches = [];
   let matchOrder = 0;
 
@@ -247,7 +424,7 @@ async function generateGroupStageMatches(tournamentId, groups, format, tournamen
       }
     } else if (format === 'knockout') {
       // Knockout: Create bracket within group
-      const matches = createKnockoutBracket(group);
+      const matches = pairGroupKnockout(group, random);
       matches.forEach(match => {
         allMatches.push({
           tournamentId,
@@ -272,110 +449,33 @@ async function generateGroupStageMatches(tournamentId, groups, format, tournamen
   return allMatches;
 }
 
-/**
- * Create Knockout Bracket for a Group
- * 
- * Creates matches for knockout format within a group
- * Ensures no same team plays against itself
- */
-function createKnockoutBracket(participants) {
-  const matches = [];
-  const hasOddNumber = participants.length % 2 !== 0;
-
-  // Shuffle to avoid predictable pairings
-  const shuffled = [...participants].sort(() => Math.random() - 0.5);
-
-  // Only create first round matches with actual participants
-  // Don't create subsequent rounds (they'll be created after matches complete)
-  for (let i = 0; i < shuffled.length - 1; i += 2) {
-    const pA = shuffled[i]._id;
-    const pB = shuffled[i + 1]._id;
-    
-    // Ensure participants are different (should always be, but double-check)
-    if (pA.toString() !== pB.toString()) {
-      matches.push({
-        participantA: pA,
-        participantB: pB,
-        roundNumber: 1
-      });
-    }
-  }
-
-  // If odd number, last participant gets bye (no match needed, they advance automatically)
-  // But we need to create a match with TBD for the last participant
-  if (hasOddNumber) {
-    matches.push({
-      participantA: shuffled[shuffled.length - 1]._id,
-      participantB: null, // TBD - will be filled if needed
-      roundNumber: 1
-    });
-  }
-
-  return matches;
-}
-
 /**
  * Generate Knockout Rounds Upfront
  * 
- * Creates all knockout rounds (Quarterfinal, Semifinal, Final) with TBD participants
- * They will be auto-filled when previous rounds complete
+ * Creates the whole knockout bracket for the qualifiers with TBD
+ * participants (see buildKnockoutBracket), plus any placement matches. The
+ * entry places are filled when the group stage completes, later rounds along
+ * each match's next-match (and loser-match) link.
+ * 
+ * @param {string} tournamentId - Tournament ID
+ * @param {number} totalQualified - Players qualifying for the knockout
+ * @param {string} placement - Matches for places (see addPlacementMatches; default 'none')
+ * @returns {Promise<Array>} Created knockout matches
  */
-async function generateKnockoutRoundsUpfront(tournamentId, tournamentStructure, topPlayersPerGroup, numGroups) {
-  const matches = [];
-  const totalQualified = topPlayersPerGroup * numGroups;
-  let matchOrder = 1000; // Start from high number to avoid conflicts with group matches
-
-  // Generate Quarterfinal matches (if tournament structure includes it)
-  if (tournamentStructure === 'quarterfinal') {
-    // Quarterfinal: 8 teams -> 4 matches
-    for (let i = 0; i < 4; i++) {
-      matches.push({
-        tournamentId,
-        round: 'Quarterfinal',
-        participantA: null, // TBD - will be filled from group standings
-        participantB: null, // TBD - will be filled from group standings
-        score: { a: 0, b: 0 },
-        status: 'upcoming',
-        order: matchOrder++,
-        courtNumber: null
-      });
-    }
-  }
+async function generateKnockoutRoundsUpfront(tournamentId, totalQualified, placement = 'none') {
+  const matchOrder = 1000; // Start from high number to avoid conflicts with group matches
 
-  // Generate Semifinal matches (always if quarterfinal or direct semifinal)
-  if (tournamentStructure === 'quarterfinal' || tournamentStructure === 'semifinal') {
-    // Semifinal: 4 teams -> 2 matches
-    for (let i = 0; i < 2; i++) {
-      matches.push({
-        tournamentId,
-        round: 'Semifinal',
-        participantA: null, // TBD - will be filled from quarterfinal winners or group standings
-        participantB: null, // TBD - will be filled from quarterfinal winners or group standings
-        score: { a: 0, b: 0 },
-        status: 'upcoming',
-        order: matchOrder++,
-        courtNumber: null
-      });
-    }
-  }
-
-  // Generate Final match (always)
-  matches.push({
+  const bracket = buildKnockoutBracket(totalQualified);
+  const matches = [...bracket, ...addPlacementMatches(bracket, placement)].map(match => ({
+    ...match,
     tournamentId,
-    round: 'Final',
-    participantA: null, // TBD - will be filled from semifinal winners or group standings
-    participantB: null, // TBD - will be filled from semifinal winners or group standings
     score: { a: 0, b: 0 },
     status: 'upcoming',
-    order: matchOrder++,
+    order: matchOrder + match.order,
     courtNumber: null
-  });
+  }));
 
-  // Insert all knockout matches
-  if (matches.length > 0) {
-    await Match.insertMany(matches);
-  }
+  await Match.insertMany(matches);
 
   return matches;
 }
-
@@ -2,7 +2,8 @@
  * Match Controller
  * 
  * This file contains controller functions for match management.
- * Handles match score updates, completion, and tournament progression.
+ * Handles match score updates, completion, forfeits (walkover, retirement,
+ * disqualification, double forfeit), and tournament progression.
  */
 
 import mongoose from 'mongoose';
@@ -10,6 +11,182 @@ import Match from '../models/match.model.js';
 import Tournament from '../models/tournament.model.js';
 import Participant from '../models/participant.model.js';
 import { processMatchCompletion, isRoundLocked, getMatchWinner } from '../services/progression.service.js';
+import { rateMatch, revertMatchRatings } from '../services/rating.service.js';
+import {
+  BEST_OF_OPTIONS,
+  FORFEIT_OUTCOMES,
+  resolveBestOf,
+  getMatchGames,
+  normalizeGames,
+  applyGamesToMatch,
+  applyOutcomeToMatch,
+  clearMatchOutcome
+} from '../services/scoring.service.js';
+import {
+  getGameRules,
+  validateMatchScore,
+  resolveServeUpdate,
+  getScoreCall
+} from '../services/rules.service.js';
+import { getPointLogConflict } from '../services/pointLog.service.js';
+import { applyResultAmendment, getMatchAmendments as findMatchAmendments } from '../services/amendment.service.js';
+import {
+  emitMatchStarted,
+  emitScoreUpdated,
+  emitMatchCompleted,
+  emitMatchUpdated,
+  emitMatchDeleted,
+  emitStandingsUpdated
+} from '../services/socket.service.js';
+
+/**
+ * Resolve Score Input (Helper)
+ *
+ * Builds the list of game scores for a match from the request body.
+ * Accepts either:
+ * - games: [{ a, b }, ...] (any best-of)
+ * - scoreA / scoreB (best of 1 only, kept for backward compatibility)
+ *
+ * @param {Object} body - Request body
+ * @param {Object} match - Match document (used for partial scoreA/scoreB updates)
+ * @param {number} bestOf - Number of games in the match
+ * @returns {Object} { games, error } - games is null when no score was submitted
+ */
+const resolveScoreInput = (body, match, bestOf) => {
+  const { games, scoreA, scoreB } = body;
+
+  if (games !== undefined) {
+    const normalizedGames = normalizeGames(games);
+    if (!normalizedGames) {
+      return { games: null, error: 'Games must be an array of game scores' };
+    }
+    return { games: normalizedGames, error: null };
+  }
+
+  if (scoreA === undefined && scoreB === undefined) {
+    return { games: null, error: null };
+  }
+
+  if (bestOf !== 1) {
+    return {
+      games: null,
+      error: `This match is best of ${bestOf}. Submit per-game scores using "games".`
+    };
+  }
+
+  return {
+    games: [{
+      a: scoreA !== undefined ? Number(scoreA) : match.score.a,
+      b: scoreB !== undefined ? Number(scoreB) : match.score.b
+    }],
+    error: null
+  };
+};
+
+/**
+ * Resolve Bracket Links (Helper)
+ *
+ * Reads next-match links from the request body:
+ * - nextMatchId / nextMatchSlot: where the winner goes
+ * - loserMatchId / loserMatchSlot: where the loser goes
+ * A link is set by sending the match ID with a slot ('A' or 'B'), and
+ * removed by sending null. Linked matches must be in the same tournament.
+ *
+ * @param {Object} body - Request body
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} matchId - ID of the match being updated (null when creating)
+ * @returns {Promise<Object>} { links, error } - links only has the fields that were sent
+ */
+const resolveBracketLinks = async (body, tournamentId, matchId = null) => {
+  const links = {};
+  const linkFields = [['nextMatchId', 'nextMatchSlot'], ['loserMatchId', 'loserMatchSlot']];
+
+  for (const [idField, slotField] of linkFields) {
+    const target = body[idField];
+    if (target === undefined) continue;
+
+    if (target === null || target === '') {
+      links[idField] = null;
+      links[slotField] = null;
+      continue;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(target)) {
+      return { links, error: `Invalid ${idField} format` };
+    }
+
+    if (matchId && target.toString() === matchId.toString()) {
+      return { links, error: 'A match cannot link to itself' };
+    }
+
+    if (!['A', 'B'].includes(body[slotField])) {
+      return { links, error: `${slotField} must be "A" or "B"` };
+    }
+
+    const targetExists = await Match.exists({ _id: target, tournamentId });
+    if (!targetExists) {
+      return { links, error: `${idField} must be a match in this tournament` };
+    }
+
+    links[idField] = target;
+    links[slotField] = body[slotField];
+  }
+
+  return { links, error: null };
+};
+
+/**
+ * Broadcast Match Change (Helper)
+ *
+ * Notifies viewers of the tournament about a score or status change:
+ * - match_completed (plus new standings) when the match was completed
+ * - match_started when the match went live
+ * - score_updated for score changes in a live match
+ * - match_updated for anything else
+ * Standings are also re-sent when an already completed match changed.
+ * Matches that progression filled (progression.updatedMatches) get a
+ * match_updated each.
+ *
+ * @param {Object} populatedMatch - Match after save (participants and tournament populated)
+ * @param {string} previousStatus - Match status before the change
+ * @param {Object} progression - Progression result from processMatchCompletion (optional)
+ * @param {Object} winner - Winner participant data (optional)
+ */
+const broadcastMatchChange = (populatedMatch, previousStatus, progression = null, winner = null) => {
+  const tournamentId = populatedMatch.tournamentId._id.toString();
+
+  if (populatedMatch.status === 'completed' && previousStatus !== 'completed') {
+    emitMatchCompleted(populatedMatch._id, populatedMatch, winner, progression);
+  } else if (populatedMatch.status === 'live' && previousStatus !== 'live') {
+    emitMatchStarted(populatedMatch._id, populatedMatch);
+  } else if (populatedMatch.status === 'live') {
+    emitScoreUpdated(populatedMatch._id, populatedMatch);
+  } else {
+    emitMatchUpdated(populatedMatch._id, populatedMatch);
+  }
+
+  if (populatedMatch.status === 'completed' || previousStatus === 'completed') {
+    emitStandingsUpdated(tournamentId);
+  }
+
+  progression?.updatedMatches?.forEach(matchId => emitMatchUpdated(matchId));
+};
+
+/**
+ * Update Player Ratings (Helper)
+ *
+ * Rates a match again after its result changed (see rating.service.js).
+ * Rating errors are logged and never fail the request.
+ *
+ * @param {string} matchId - Match ID
+ */
+const updatePlayerRatings = async (matchId) => {
+  try {
+    await rateMatch(matchId);
+  } catch (error) {
+    console.error('Error updating player ratings:', error);
+  }
+};
 
 /**
  * Update Match Score
@@ -21,6 +198,16 @@ import { processMatchCompletion, isRoundLocked, getMatchWinner } from '../servic
  * - Round must not be locked (for knockout tournaments)
  * - Admin must own the tournament
  * - Scores must be non-negative
+ * - Game scores must be valid for the match's best-of setting
+ * - Game scores must be possible under the tournament rules
+ *   (points, win by 2, cap - see rules.service.js)
+ * - Side-out scoring: only the serving team can gain points unless the
+ *   serving team changes in the same update
+ * - Matches with a point log only accept their log-derived score
+ * 
+ * Scores can be sent as `games` ([{ a, b }, ...]) or, for best of 1
+ * matches, as `scoreA`/`scoreB`. Side-out scoring can also send
+ * `serve` ({ team: 'A'|'B', serverNumber: 1|2 }).
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -105,10 +292,62 @@ export const updateMatchScore = async (req, res) => {
       });
     }
 
+    // Resolve game scores for this match's best-of setting
+    const bestOf = resolveBestOf(match, tournament);
+    const { games, error: scoreError } = resolveScoreInput(req.body, match, bestOf);
+
+    if (scoreError) {
+      return res.status(400).json({
+        success: false,
+        message: scoreError
+      });
+    }
+
+    // Matches scored point by point take their score from the point log
+    const logConflict = await getPointLogConflict(match, games);
+    if (logConflict) {
+      return res.status(400).json({
+        success: false,
+        message: logConflict
+      });
+    }
+
+    const gameRules = getGameRules(tournament);
+    const previousGames = getMatchGames(match);
+    const gamesToValidate = games || previousGames;
+    const gamesError = validateMatchScore(gamesToValidate, bestOf, gameRules, { complete: status === 'completed' });
+    if (gamesError) {
+      return res.status(400).json({
+        success: false,
+        message: gamesError
+      });
+    }
+
+    // Side-out scoring: track serving team and server number
+    if (gameRules.scoringSystem === 'pickleball' && gamesToValidate.length > 0) {
+      const { serve, error: serveError } = resolveServeUpdate({
+        previousGames,
+        previousServe: match.serve,
+        games: gamesToValidate,
+        serve: req.body.serve,
+        rules: gameRules
+      });
+
+      if (serveError) {
+        return res.status(400).json({
+          success: false,
+          message: serveError
+        });
+      }
+      match.serve = serve;
+    }
+
     // Update match
-    if (scoreA !== undefined) match.score.a = scoreA;
-    if (scoreB !== undefined) match.score.b = scoreB;
+    const previousStatus = match.status;
+    if (games) applyGamesToMatch(match, games, bestOf);
     if (status !== undefined) match.status = status;
+    // A new score or status replaces any forfeit (e.g. a reopened walkover)
+    if (games || match.status !== previousStatus) clearMatchOutcome(match);
     if (courtNumber !== undefined) match.courtNumber = courtNumber;
 
     await match.save();
@@ -124,11 +363,30 @@ export const updateMatchScore = async (req, res) => {
       }
     }
 
+    // Ratings follow the result of completed matches (reverted when reopened)
+    if (match.status === 'completed' || previousStatus === 'completed') {
+      await updatePlayerRatings(match._id);
+    }
+
+    // Populate match data for response
+    const populatedMatch = await Match.findById(match._id)
+      .populate('participantA', 'name players')
+      .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
+      .populate('tournamentId', 'name format type status currentRound')
+      .lean();
+
+    const currentGame = gamesToValidate[gamesToValidate.length - 1];
+
+    broadcastMatchChange(populatedMatch, previousStatus, progression);
+
     res.status(200).json({
       success: true,
       message: 'Match updated successfully',
       data: {
         match: populatedMatch,
+        scoreCall: getScoreCall(currentGame, match.serve, gameRules),
         progression: progression
       }
     });
@@ -147,13 +405,18 @@ export const updateMatchScore = async (req, res) => {
  * 
  * Marks a match as completed and processes tournament progression.
  * 
+ * Scores can be sent as `games` ([{ a, b }, ...]) or, for best of 1
+ * matches, as `scoreA`/`scoreB`. One side must have won the majority
+ * of games, and every game must be a valid final score under the
+ * tournament rules (e.g. 11-10 is rejected because games are won by 2).
+ * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const completeMatch = async (req, res) => {
   try {
     const { id } = req.params;
-    const { scoreA, scoreB } = req.body;
+    const { scoreA, scoreB, games } = req.body;
 
     // Validate MongoDB ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -164,7 +427,7 @@ export const completeMatch = async (req, res) => {
     }
 
     // Validation: Scores are required for completion
-    if (scoreA === undefined || scoreB === undefined) {
+    if (games === undefined && (scoreA === undefined || scoreB === undefined)) {
       return res.status(400).json({
         success: false,
         message: 'Both scores are required to complete a match'
@@ -172,7 +435,7 @@ export const completeMatch = async (req, res) => {
     }
 
     // Validation: Scores must be non-negative
-    if (scoreA < 0 || scoreB < 0) {
+    if (games === undefined && (scoreA < 0 || scoreB < 0)) {
       return res.status(400).json({
         success: false,
         message: 'Scores cannot be negative'
@@ -180,7 +443,7 @@ export const completeMatch = async (req, res) => {
     }
 
     // Validation: Match cannot be a draw (scores must be different)
-    if (scoreA === scoreB) {
+    if (games === undefined && scoreA === scoreB) {
       return res.status(400).json({
         success: false,
         message: 'Match cannot end in a draw. Scores must be different.'
@@ -220,19 +483,50 @@ export const completeMatch = async (req, res) => {
       });
     }
 
-    // Update match scores and status
-    match.score.a = scoreA;
-    match.score.b = scoreB;
+    // Resolve and validate game scores for this match's best-of setting
+    const bestOf = resolveBestOf(match, tournament);
+    const { games: resolvedGames, error: scoreError } = resolveScoreInput(req.body, match, bestOf);
+
+    if (scoreError) {
+      return res.status(400).json({
+        success: false,
+        message: scoreError
+      });
+    }
+
+    const logConflict = await getPointLogConflict(match, resolvedGames);
+    if (logConflict) {
+      return res.status(400).json({
+        success: false,
+        message: logConflict
+      });
+    }
+
+    const gamesError = validateMatchScore(resolvedGames, bestOf, getGameRules(tournament), { complete: true });
+    if (gamesError) {
+      return res.status(400).json({
+        success: false,
+        message: gamesError
+      });
+    }
+
+    // Update match scores and status (a result on the scores replaces any forfeit)
+    const previousStatus = match.status;
+    applyGamesToMatch(match, resolvedGames, bestOf);
     match.status = 'completed';
+    clearMatchOutcome(match);
     await match.save();
 
     // Process tournament progression
     const progression = await processMatchCompletion(match._id);
+    await updatePlayerRatings(match._id);
 
     // Populate match data for response
     const populatedMatch = await Match.findById(match._id)
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .populate('tournamentId', 'name format type status currentRound')
       .lean();
 
@@ -242,6 +536,8 @@ export const completeMatch = async (req, res) => {
       ? populatedMatch.participantA 
       : populatedMatch.participantB) : null;
 
+    broadcastMatchChange(populatedMatch, previousStatus, progression, winnerData);
+
     res.status(200).json({
       success: true,
       message: 'Match completed successfully',
@@ -261,6 +557,183 @@ export const completeMatch = async (req, res) => {
   }
 };
 
+// How each forfeit outcome is described in messages
+const OUTCOME_LABELS = {
+  walkover: 'a walkover',
+  retired: 'a retirement',
+  disqualified: 'a disqualification',
+  doubleForfeit: 'a double forfeit'
+};
+
+/**
+ * Set Match Outcome
+ * 
+ * Decides an upcoming or live match that was not played out
+ * (see scoring.service.js):
+ * - walkover: the side in forfeitedBy did not play; the opponent is given
+ *   the forfeit games (rules.forfeitPoints)
+ * - retired: the side in forfeitedBy stopped during the match; the score at
+ *   retirement is kept (`games`, or the current score when not sent)
+ * - disqualified: the side in forfeitedBy was disqualified; the opponent is
+ *   given the forfeit games
+ * - doubleForfeit: neither side played and both lose
+ * 
+ * The winner moves on as from any completed match. Nobody advances from a
+ * double forfeit, so the matches it feeds are decided by forfeit too (see
+ * resolveForfeits). Forfeited matches are not rated.
+ * 
+ * Body: { outcome, forfeitedBy: 'A' | 'B' (not for doubleForfeit), games, reason }
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const setMatchOutcome = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outcome, forfeitedBy, reason } = req.body;
+
+    // Validate MongoDB ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match ID format'
+      });
+    }
+
+    if (!FORFEIT_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcome must be one of: ${FORFEIT_OUTCOMES.join(', ')}`
+      });
+    }
+
+    if (outcome !== 'doubleForfeit' && !['A', 'B'].includes(forfeitedBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'forfeitedBy must be "A" or "B"'
+      });
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text of at most 500 characters'
+      });
+    }
+
+    // Find match
+    const match = await Match.findById(id).populate('tournamentId');
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    const tournament = match.tournamentId;
+
+    // Verify admin owns this tournament
+    const adminId = req.admin.id.toString();
+    const tournamentCreatorId = tournament.createdBy.toString();
+
+    if (tournamentCreatorId !== adminId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this match'
+      });
+    }
+
+    if (!['upcoming', 'live'].includes(match.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record ${OUTCOME_LABELS[outcome]} for a ${match.status} match. Amend the result of a completed match instead.`
+      });
+    }
+
+    if (match.bye || !match.participantA || !match.participantB) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both sides of the match must be known to record a forfeit'
+      });
+    }
+
+    // Check if round is locked
+    const roundLocked = await isRoundLocked(tournament._id, match.round);
+    if (roundLocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot complete matches in a locked round. This round is complete and next round has started.'
+      });
+    }
+
+    // Retirement: the score at retirement (the last game may be unfinished)
+    let retiredGames = null;
+    if (outcome === 'retired') {
+      const bestOf = resolveBestOf(match, tournament);
+      const { games: resolvedGames, error: scoreError } = resolveScoreInput(req.body, match, bestOf);
+      if (scoreError) {
+        return res.status(400).json({
+          success: false,
+          message: scoreError
+        });
+      }
+
+      retiredGames = resolvedGames || getMatchGames(match);
+
+      const logConflict = resolvedGames ? await getPointLogConflict(match, retiredGames) : null;
+      const gamesError = logConflict || validateMatchScore(retiredGames, bestOf, getGameRules(tournament));
+      if (gamesError) {
+        return res.status(400).json({
+          success: false,
+          message: gamesError
+        });
+      }
+    }
+
+    const previousStatus = match.status;
+    applyOutcomeToMatch(match, { outcome, forfeitedBy, games: retiredGames, reason }, tournament);
+    await match.save();
+
+    // Process tournament progression (ratings of an earlier result are reverted)
+    const progression = await processMatchCompletion(match._id);
+    await updatePlayerRatings(match._id);
+
+    // Populate match data for response
+    const populatedMatch = await Match.findById(match._id)
+      .populate('participantA', 'name players')
+      .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
+      .populate('tournamentId', 'name format type status currentRound')
+      .lean();
+
+    const winner = getMatchWinner(match);
+    const winnerData = winner ? (winner.toString() === match.participantA.toString()
+      ? populatedMatch.participantA
+      : populatedMatch.participantB) : null;
+
+    broadcastMatchChange(populatedMatch, previousStatus, progression, winnerData);
+
+    res.status(200).json({
+      success: true,
+      message: `Match recorded as ${OUTCOME_LABELS[outcome]}`,
+      data: {
+        match: populatedMatch,
+        winner: winnerData,
+        progression: progression
+      }
+    });
+  } catch (error) {
+    console.error('Error setting match outcome:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting match outcome',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get Tournament Matches (Admin)
  * 
@@ -307,6 +780,8 @@ export const getTournamentMatchesAdmin = async (req, res) => {
     const matches = await Match.find({ tournamentId: id })
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .sort({ status: 1, order: 1, createdAt: 1 })
       .lean();
 
@@ -381,6 +856,8 @@ export const getMatchById = async (req, res) => {
     const match = await Match.findById(id)
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .populate('tournamentId', 'name format type status')
       .lean();
 
@@ -419,13 +896,15 @@ export const getMatchById = async (req, res) => {
  * Create Match
  * 
  * Creates a new match manually. Admin can create matches for their tournaments.
+ * Optional nextMatchId/nextMatchSlot and loserMatchId/loserMatchSlot link
+ * the match into a bracket (see resolveBracketLinks).
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const createMatch = async (req, res) => {
   try {
-    const { tournamentId, round, participantA, participantB, status, courtNumber, order } = req.body;
+    const { tournamentId, round, participantA, participantB, status, courtNumber, order, bestOf } = req.body;
 
     // Validate MongoDB ObjectId format
     if (!mongoose.Types.ObjectId.isValid(tournamentId)) {
@@ -475,6 +954,14 @@ export const createMatch = async (req, res) => {
       });
     }
 
+    // Validation: Best of override (null = use round/tournament setting)
+    if (bestOf !== undefined && bestOf !== null && !BEST_OF_OPTIONS.includes(Number(bestOf))) {
+      return res.status(400).json({
+        success: false,
+        message: `Best of must be one of: ${BEST_OF_OPTIONS.join(', ')}`
+      });
+    }
+
     // Find tournament and verify ownership
     const tournament = await Tournament.findById(tournamentId);
 
@@ -545,6 +1032,15 @@ export const createMatch = async (req, res) => {
       }
     }
 
+    // Validate bracket links (optional)
+    const { links, error: linkError } = await resolveBracketLinks(req.body, tournamentId);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError
+      });
+    }
+
     // Create match
     const match = new Match({
       tournamentId,
@@ -554,10 +1050,12 @@ export const createMatch = async (req, res) => {
       status: status || 'upcoming',
       courtNumber: courtNumber || null,
       order: order || 0,
+      bestOf: bestOf ? Number(bestOf) : null,
       score: {
         a: 0,
         b: 0
-      }
+      },
+      ...links
     });
 
     await match.save();
@@ -566,9 +1064,13 @@ export const createMatch = async (req, res) => {
     const populatedMatch = await Match.findById(match._id)
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .populate('tournamentId', 'name format type')
       .lean();
 
+    emitMatchUpdated(populatedMatch._id, populatedMatch);
+
     res.status(201).json({
       success: true,
       message: 'Match created successfully',
@@ -587,8 +1089,11 @@ export const createMatch = async (req, res) => {
 /**
  * Update Match Details
  * 
- * Updates match details (round, participants, court, order, status).
- * More comprehensive than updateMatchScore - allows changing all match properties.
+ * Updates match details (round, participants, court, start time, order, status,
+ * best of, scores, bracket links). More comprehensive than updateMatchScore - allows changing all match properties.
+ * 
+ * When a completed match's result or links change, progression runs again so
+ * the new winner replaces the old one in the linked next match.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -596,7 +1101,7 @@ export const createMatch = async (req, res) => {
 export const updateMatch = async (req, res) => {
   try {
     const { id } = req.params;
-    const { round, participantA, participantB, status, courtNumber, order, scoreA, scoreB } = req.body;
+    const { round, participantA, participantB, status, courtNumber, scheduledTime, order, bestOf } = req.body;
 
     // Validate MongoDB ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -617,6 +1122,7 @@ export const updateMatch = async (req, res) => {
     }
 
     const tournament = match.tournamentId;
+    const previousStatus = match.status;
 
     // Verify admin owns this tournament
     const adminId = req.admin.id.toString();
@@ -666,6 +1172,15 @@ export const updateMatch = async (req, res) => {
       match.status = status;
     }
     if (courtNumber !== undefined) match.courtNumber = courtNumber || null;
+    if (scheduledTime !== undefined) {
+      if (scheduledTime && isNaN(new Date(scheduledTime))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scheduled time must be a valid date'
+        });
+      }
+      match.scheduledTime = scheduledTime || null;
+    }
     if (order !== undefined) match.order = order;
 
     // Update participants if provided
@@ -725,39 +1240,118 @@ export const updateMatch = async (req, res) => {
       }
     }
 
-    // Update scores if provided
-    if (scoreA !== undefined) {
-      if (scoreA < 0) {
+    // Update bracket links if provided
+    const { links, error: linkError } = await resolveBracketLinks(req.body, tournament._id, match._id);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError
+      });
+    }
+    Object.assign(match, links);
+
+    // Update best of override if provided (null = use round/tournament setting)
+    if (bestOf !== undefined) {
+      if (bestOf !== null && bestOf !== '' && !BEST_OF_OPTIONS.includes(Number(bestOf))) {
         return res.status(400).json({
           success: false,
-          message: 'Score A cannot be negative'
+          message: `Best of must be one of: ${BEST_OF_OPTIONS.join(', ')}`
         });
       }
-      match.score.a = scoreA;
+      match.bestOf = bestOf ? Number(bestOf) : null;
+    }
+
+    // Update scores if provided
+    const { scoreA, scoreB } = req.body;
+    if (scoreA !== undefined && scoreA < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Score A cannot be negative'
+      });
+    }
+    if (scoreB !== undefined && scoreB < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Score B cannot be negative'
+      });
+    }
+
+    const matchBestOf = resolveBestOf(match, tournament);
+    const { games, error: scoreError } = resolveScoreInput(req.body, match, matchBestOf);
+
+    if (scoreError) {
+      return res.status(400).json({
+        success: false,
+        message: scoreError
+      });
     }
-    if (scoreB !== undefined) {
-      if (scoreB < 0) {
+
+    const logConflict = await getPointLogConflict(match, games);
+    if (logConflict) {
+      return res.status(400).json({
+        success: false,
+        message: logConflict
+      });
+    }
+
+    // Re-validate existing games too, in case best of or status was changed
+    if (games || bestOf !== undefined || status === 'completed') {
+      const gamesError = validateMatchScore(games || getMatchGames(match), matchBestOf, getGameRules(tournament), {
+        complete: match.status === 'completed'
+      });
+      if (gamesError) {
         return res.status(400).json({
           success: false,
-          message: 'Score B cannot be negative'
+          message: gamesError
         });
       }
-      match.score.b = scoreB;
     }
 
+    if (games) {
+      applyGamesToMatch(match, games, matchBestOf);
+    } else if (bestOf !== undefined && match.games.length > 0) {
+      // Headline score format depends on best of, so rebuild it
+      applyGamesToMatch(match, match.games, matchBestOf);
+    }
+
+    // A new score or status replaces any forfeit (e.g. a reopened walkover)
+    if (games || match.status !== previousStatus) clearMatchOutcome(match);
+
     await match.save();
 
+    // Completed (or corrected) result: move the winner along the bracket links
+    let progression = null;
+    const resultChanged = previousStatus !== 'completed' || games || Object.keys(links).length > 0;
+    if (match.status === 'completed' && resultChanged) {
+      try {
+        progression = await processMatchCompletion(match._id);
+      } catch (error) {
+        console.error('Error processing match completion:', error);
+        // Don't fail the request, just log the error
+      }
+    }
+
+    // Ratings follow the result: rated again when it changed, reverted when reopened
+    if (resultChanged || (previousStatus === 'completed' && match.status !== 'completed')) {
+      await updatePlayerRatings(match._id);
+    }
+
     // Populate match data for response
     const populatedMatch = await Match.findById(match._id)
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .populate('tournamentId', 'name format type')
       .lean();
 
+    broadcastMatchChange(populatedMatch, previousStatus, progression);
+
     res.status(200).json({
       success: true,
       message: 'Match updated successfully',
-      data: populatedMatch
+      data: populatedMatch,
+      progression: progression
     });
   } catch (error) {
     console.error('Error updating match:', error);
@@ -831,8 +1425,16 @@ export const deleteMatch = async (req, res) => {
       }
     }
 
-    // Delete match
+    // Delete match (a completed match no longer counts for player ratings)
     await Match.findByIdAndDelete(id);
+    if (match.status === 'completed') {
+      await revertMatchRatings(id);
+    }
+
+    emitMatchDeleted(tournament._id, id);
+    if (match.status === 'completed') {
+      emitStandingsUpdated(tournament._id.toString());
+    }
 
     res.status(200).json({
       success: true,
@@ -904,15 +1506,21 @@ export const cancelMatch = async (req, res) => {
     match.status = 'cancelled';
     match.score.a = 0;
     match.score.b = 0;
+    match.games = [];
+    match.serve = null;
     await match.save();
 
     // Populate match data for response
     const populatedMatch = await Match.findById(match._id)
       .populate('participantA', 'name players')
       .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
       .populate('tournamentId', 'name format type')
       .lean();
 
+    emitMatchUpdated(populatedMatch._id, populatedMatch);
+
     res.status(200).json({
       success: true,
       message: 'Match cancelled successfully',
@@ -928,3 +1536,213 @@ export const cancelMatch = async (req, res) => {
   }
 };
 
+
+/**
+ * Amend Match Result
+ *
+ * Corrects the score of a completed match, even in a locked round or a
+ * completed tournament. If the winner changes, the advanced participant
+ * is replaced in later matches (see amendment.service.js).
+ *
+ * Validations:
+ * - Match must be completed
+ * - Reason is required (stored with the amendment)
+ * - Corrected score must be a valid, finished result and differ from the
+ *   current one
+ * - Later matches that are live or completed block the amendment (409)
+ *   unless `force` is true
+ *
+ * The point log of the match is not changed.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const amendMatchResult = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { force = false } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    // Validate MongoDB ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match ID format'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to amend a result'
+      });
+    }
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason cannot exceed 500 characters'
+      });
+    }
+
+    const match = await Match.findById(id).populate('tournamentId');
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    const tournament = match.tournamentId;
+
+    if (tournament.createdBy.toString() !== req.admin.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to amend this match'
+      });
+    }
+
+    if (match.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed matches can be amended. Edit the score instead.'
+      });
+    }
+
+    const bestOf = resolveBestOf(match, tournament);
+    const { games, error: scoreError } = resolveScoreInput(req.body, match, bestOf);
+
+    if (scoreError || !games) {
+      return res.status(400).json({
+        success: false,
+        message: scoreError || 'The corrected score is required'
+      });
+    }
+
+    const gamesError = validateMatchScore(games, bestOf, getGameRules(tournament), { complete: true });
+    if (gamesError) {
+      return res.status(400).json({
+        success: false,
+        message: gamesError
+      });
+    }
+
+    const currentGames = getMatchGames(match);
+    const unchanged = currentGames.length === games.length &&
+      currentGames.every((game, index) => game.a === games[index].a && game.b === games[index].b);
+    if (unchanged) {
+      return res.status(400).json({
+        success: false,
+        message: 'The corrected score is the same as the current result'
+      });
+    }
+
+    const result = await applyResultAmendment({
+      match,
+      games,
+      bestOf,
+      reason,
+      force: force === true,
+      adminId: req.admin.id
+    });
+
+    if (!result.applied) {
+      return res.status(409).json({
+        success: false,
+        message: 'Later matches have already started. Amend with force to change them anyway.',
+        data: {
+          blockedMatches: result.plan.blockedMatches
+        }
+      });
+    }
+
+    const populatedMatch = await Match.findById(match._id)
+      .populate('participantA', 'name players')
+      .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
+      .populate('tournamentId', 'name format type status currentRound')
+      .lean();
+
+    emitMatchUpdated(populatedMatch._id, populatedMatch);
+    const affectedIds = new Set([
+      ...result.plan.replacements.map(r => r.matchId.toString()),
+      ...(result.plan.resetMatch ? [result.plan.resetMatch._id.toString()] : []),
+      ...(result.progression?.updatedMatches || []).map(matchId => matchId.toString())
+    ]);
+    affectedIds.forEach(matchId => emitMatchUpdated(matchId));
+    emitStandingsUpdated(tournament._id.toString());
+
+    res.status(200).json({
+      success: true,
+      message: 'Match result amended successfully',
+      data: {
+        match: populatedMatch,
+        amendment: result.amendment,
+        winnerChanged: result.plan.winnerChanged,
+        affectedMatches: result.plan.replacements,
+        progression: result.progression
+      }
+    });
+  } catch (error) {
+    console.error('Error amending match result:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error amending match result',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Match Amendments
+ *
+ * Returns the amendment history of a match, newest first.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMatchAmendments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match ID format'
+      });
+    }
+
+    const match = await Match.findById(id).populate('tournamentId', 'createdBy').lean();
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (match.tournamentId.createdBy.toString() !== req.admin.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this match'
+      });
+    }
+
+    const amendments = await findMatchAmendments(match._id);
+
+    res.status(200).json({
+      success: true,
+      count: amendments.length,
+      data: amendments
+    });
+  } catch (error) {
+    console.error('Error fetching match amendments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching match amendments',
+      error: error.message
+    });
+  }
+};
@@ -2,7 +2,9 @@
  * Participant Controller
  * 
  * This file contains controller functions for participant management,
- * including bulk upload functionality for CSV and Excel files.
+ * including bulk upload functionality for CSV and Excel files, editing
+ * participants and substituting players, and withdrawing or disqualifying
+ * participants mid-tournament.
  */
 
 import mongoose from 'mongoose';
@@ -14,6 +16,13 @@ import Tournament from '../models/tournament.model.js';
 import Participant from '../models/participant.model.js';
 import Match from '../models/match.model.js';
 import { deleteUploadedFile } from '../middlewares/upload.middleware.js';
+import Player from '../models/player.model.js';
+import { parsePlayerDetails, linkParticipantPlayers, getEntryType } from '../services/player.service.js';
+import { releaseParticipantEntry } from '../services/registration.service.js';
+import { checkEntryEligibility } from '../services/eligibility.service.js';
+import { withdrawParticipant as withdrawFromTournament } from '../services/withdrawal.service.js';
+import { recordSubstitution } from '../services/substitution.service.js';
+import { emitMatchUpdated, emitStandingsUpdated } from '../services/socket.service.js';
 
 /**
  * Parse CSV File
@@ -22,6 +31,7 @@ import { deleteUploadedFile } from '../middlewares/upload.middleware.js';
  * Expected CSV format:
  * - For singles: name,player1
  * - For doubles: name,player1,player2
+ * - Optional seed column (1 = top seed)
  * 
  * @param {string} filePath - Path to the CSV file
  * @returns {Promise<Array>} Array of participant objects
@@ -60,6 +70,7 @@ const parseCSV = (filePath) => {
  * Expected Excel format (first row should be headers):
  * - For singles: name, player1
  * - For doubles: name, player1, player2
+ * - Optional seed column (1 = top seed)
  * 
  * @param {string} filePath - Path to the Excel file
  * @returns {Promise<Array>} Array of participant objects
@@ -110,22 +121,104 @@ const parseFile = async (filePath) => {
   }
 };
 
+/**
+ * Validate Picked Player IDs (Helper)
+ * 
+ * Player registry IDs picked for the players of an entry (same order as
+ * the players, null = match or create by name).
+ * 
+ * @param {*} playerIds - playerIds from request body
+ * @param {Array} players - Player names
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+const validatePickedPlayerIds = async (playerIds, players) => {
+  if (!Array.isArray(playerIds) || playerIds.length > players.length) {
+    return 'playerIds must be an array with at most one ID per player';
+  }
+
+  const pickedIds = playerIds.filter(playerId => playerId);
+  if (pickedIds.some(playerId => !mongoose.Types.ObjectId.isValid(playerId))) {
+    return 'Invalid player ID format';
+  }
+
+  if (pickedIds.length > 0) {
+    const foundCount = await Player.countDocuments({ _id: { $in: pickedIds } });
+    if (foundCount !== new Set(pickedIds.map(String)).size) {
+      return 'One or more players were not found in the player registry';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse Seed (Helper)
+ * 
+ * Parses a seed from a form field or upload column.
+ * Empty values mean the participant is unseeded.
+ * 
+ * @param {*} value - Raw seed value
+ * @returns {Object} { seed, error } - seed is null when unseeded
+ */
+const parseSeed = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { seed: null, error: null };
+  }
+
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 1) {
+    return { seed: null, error: 'Seed must be a whole number of 1 or higher' };
+  }
+
+  return { seed, error: null };
+};
+
+/**
+ * Read Player Details (Helper)
+ * 
+ * Reads the optional player registry columns for player 1 or 2, e.g.
+ * player1Email, "Player 1 Rating", player2_club, player2Gender, player1DOB.
+ * Column names are matched ignoring case, spaces and underscores.
+ * 
+ * @param {Object} row - Parsed file row
+ * @param {number} playerNumber - 1 or 2
+ * @returns {Object} Raw details for parsePlayerDetails
+ */
+const readPlayerDetails = (row, playerNumber) => {
+  const columns = {};
+  Object.keys(row).forEach(key => {
+    columns[key.toLowerCase().replace(/[\s_]/g, '')] = row[key];
+  });
+
+  const prefix = `player${playerNumber}`;
+  return {
+    email: columns[`${prefix}email`],
+    rating: columns[`${prefix}rating`] ?? columns[`${prefix}dupr`],
+    club: columns[`${prefix}club`],
+    gender: columns[`${prefix}gender`],
+    dateOfBirth: columns[`${prefix}dob`] ?? columns[`${prefix}dateofbirth`]
+  };
+};
+
 /**
  * Validate and Transform Participant Data
  * 
  * Validates participant data based on tournament type and transforms
- * it into the format expected by the Participant model.
+ * it into the format expected by the Participant model. Rows whose players
+ * do not meet the tournament's eligibility rules are reported as errors.
  * 
  * @param {Array} rawData - Raw data from file
- * @param {string} tournamentType - 'singles' or 'doubles'
- * @returns {Object} Object with valid participants and errors
+ * @param {Object} tournament - Tournament uploaded to (entry type and eligibility rules)
+ * @returns {Promise<Object>} Object with valid participants and errors
  */
-const validateAndTransformParticipants = (rawData, tournamentType) => {
+const validateAndTransformParticipants = async (rawData, tournament) => {
+  const tournamentType = getEntryType(tournament);
   const validParticipants = [];
   const errors = [];
   const seenNames = new Set();
+  const seenSeeds = new Set();
 
-  rawData.forEach((row, index) => {
+  for (const [index, row] of rawData.entries()) {
     const lineNumber = index + 2; // +2 because line 1 is header, and arrays are 0-indexed
     
     try {
@@ -133,11 +226,12 @@ const validateAndTransformParticipants = (rawData, tournamentType) => {
       const name = row.name || row.Name || row.NAME || row['Participant Name'] || row['Team Name'];
       const player1 = row.player1 || row.Player1 || row.PLAYER1 || row['Player 1'] || row['Player1'];
       const player2 = row.player2 || row.Player2 || row.PLAYER2 || row['Player 2'] || row['Player2'];
+      const rawSeed = row.seed || row.Seed || row.SEED;
 
       // Validation: Player 1 is required
       if (!player1 || !player1.trim()) {
         errors.push(`Line ${lineNumber}: Player 1 is required`);
-        return;
+        continue;
       }
 
       const players = [player1.trim()];
@@ -146,7 +240,7 @@ const validateAndTransformParticipants = (rawData, tournamentType) => {
       if (tournamentType === 'doubles') {
         if (!player2 || !player2.trim()) {
           errors.push(`Line ${lineNumber}: Player 2 is required for doubles tournament`);
-          return;
+          continue;
         }
         players.push(player2.trim());
       } else if (tournamentType === 'singles' && player2) {
@@ -154,25 +248,61 @@ const validateAndTransformParticipants = (rawData, tournamentType) => {
         // We'll just ignore player2 for singles
       }
 
+      // Optional player registry details (email, rating, club, gender, date of birth)
+      const parsedDetails = players.map((_, i) => parsePlayerDetails(readPlayerDetails(row, i + 1)));
+      const detailsErrorIndex = parsedDetails.findIndex(parsed => parsed.error);
+      if (detailsErrorIndex !== -1) {
+        errors.push(`Line ${lineNumber}: Player ${detailsErrorIndex + 1}: ${parsedDetails[detailsErrorIndex].error}`);
+        continue;
+      }
+      const playerDetails = parsedDetails.map(parsed => parsed.details);
+
+      // Validation: Eligibility rules of the tournament (rating, age, gender)
+      const violations = await checkEntryEligibility(
+        tournament,
+        players.map((name, i) => ({ name, details: playerDetails[i] }))
+      );
+      if (violations.length > 0) {
+        violations.forEach(violation => errors.push(`Line ${lineNumber}: ${violation}`));
+        continue;
+      }
+
       // Auto-generate name from players (name field is optional now)
       let trimmedName = name && name.trim() ? name.trim() : players.join(' & ');
 
       // Validation: Check for duplicate names (after generating name)
       if (seenNames.has(trimmedName.toLowerCase())) {
         errors.push(`Line ${lineNumber}: Duplicate participant name "${trimmedName}"`);
-        return;
+        continue;
       }
       seenNames.add(trimmedName.toLowerCase());
 
+      // Validation: Seed is optional, but must be valid and unique
+      const { seed, error: seedError } = parseSeed(rawSeed);
+      if (seedError) {
+        errors.push(`Line ${lineNumber}: ${seedError}`);
+        continue;
+      }
+      if (seed !== null) {
+        if (seenSeeds.has(seed)) {
+          errors.push(`Line ${lineNumber}: Duplicate seed ${seed}`);
+          continue;
+        }
+        seenSeeds.add(seed);
+      }
+
       // Create participant object
       validParticipants.push({
         name: trimmedName,
-        players: players
+        players: players,
+        playerDetails: playerDetails,
+        seed: seed,
+        line: lineNumber
       });
     } catch (error) {
       errors.push(`Line ${lineNumber}: Error processing row - ${error.message}`);
     }
-  });
+  }
 
   return { validParticipants, errors };
 };
@@ -254,7 +384,12 @@ export const getTournamentParticipants = async (req, res) => {
  * Features:
  * - Supports CSV and Excel formats
  * - Validates participant data based on tournament type
+ * - Checks every row against the eligibility rules (rating, age, gender)
  * - Checks for duplicate names
+ * - Imports optional seeds (seed column) and checks they are unique
+ * - Links players to the player registry: existing players are matched by
+ *   email, then name; new ones are created (optional columns per player:
+ *   player1Email, player1Rating, player1Club, player1Gender, player1DOB)
  * - Enforces minimum participant count
  * - Auto-creates participants in database
  * 
@@ -331,10 +466,7 @@ export const uploadParticipants = async (req, res) => {
     }
 
     // Validate and transform participant data
-    const { validParticipants, errors } = validateAndTransformParticipants(
-      rawData,
-      tournament.type
-    );
+    const { validParticipants, errors } = await validateAndTransformParticipants(rawData, tournament);
 
     // Validation: Check for parsing errors
     if (errors.length > 0) {
@@ -377,10 +509,33 @@ export const uploadParticipants = async (req, res) => {
       });
     }
 
+    // Check for seeds already taken by existing participants
+    const existingSeeds = new Set(
+      existingParticipants.filter(p => p.seed !== null).map(p => p.seed)
+    );
+
+    const duplicateSeeds = validParticipants.filter(p =>
+      p.seed !== null && existingSeeds.has(p.seed)
+    );
+
+    if (duplicateSeeds.length > 0) {
+      deleteUploadedFile(filePath);
+      return res.status(400).json({
+        success: false,
+        message: 'Seeds already used by participants in this tournament',
+        duplicateSeeds: duplicateSeeds.map(p => p.seed)
+      });
+    }
+
+    // Link every player to the player registry (matching existing players)
+    const { playerIds, report: playerMatches } = await linkParticipantPlayers(validParticipants, req.admin.id);
+
     // Create participants in database
-    const participantsToCreate = validParticipants.map(participant => ({
+    const participantsToCreate = validParticipants.map((participant, index) => ({
       name: participant.name,
       players: participant.players,
+      playerIds: playerIds[index],
+      seed: participant.seed,
       tournamentId: id
     }));
 
@@ -395,6 +550,11 @@ export const uploadParticipants = async (req, res) => {
       data: {
         count: createdParticipants.length,
         participants: createdParticipants,
+        playerMatches: {
+          matched: playerMatches.matched,
+          created: playerMatches.created.length,
+          ambiguous: playerMatches.ambiguous
+        },
         tournament: {
           id: tournament._id,
           name: tournament.name,
@@ -422,6 +582,12 @@ export const uploadParticipants = async (req, res) => {
  * 
  * Creates a single participant manually (via form).
  * Useful for adding participants one at a time.
+ * An optional seed (1 = top seed) can be given.
+ * Players can be picked from the player registry with playerIds (same order
+ * as players, null for "match or create by name"); otherwise each player is
+ * matched or created like in uploads.
+ * The players must meet the tournament's eligibility rules, checked with
+ * their player registry details.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -447,6 +613,25 @@ export const createParticipant = async (req, res) => {
       });
     }
 
+    // Validation: Seed is optional (1 = top seed)
+    const { seed, error: seedError } = parseSeed(req.body.seed);
+    if (seedError) {
+      return res.status(400).json({
+        success: false,
+        message: seedError
+      });
+    }
+
+    // Validation: Player registry IDs are optional (null = match by name)
+    const { playerIds = [] } = req.body;
+    const playerIdsError = await validatePickedPlayerIds(playerIds, players);
+    if (playerIdsError) {
+      return res.status(400).json({
+        success: false,
+        message: playerIdsError
+      });
+    }
+
     // Auto-generate name from players if not provided
     const generatedName = name && name.trim() 
       ? name.trim() 
@@ -474,17 +659,35 @@ export const createParticipant = async (req, res) => {
     }
 
     // Validation: Tournament type vs players
-    if (tournament.type === 'doubles' && players.length < 2) {
+    if (getEntryType(tournament) === 'doubles' && players.length < 2) {
       return res.status(400).json({
         success: false,
         message: 'Doubles tournaments require exactly 2 players'
       });
     }
 
-    if (tournament.type === 'singles' && players.length > 1) {
+    if (getEntryType(tournament) === 'singles' && players.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: tournament.format === 'rotatingPartners'
+          ? 'Rotating partner tournaments register 1 player per participant'
+          : 'Singles tournaments can only have 1 player per participant'
+      });
+    }
+
+    // Validation: Eligibility rules of the tournament (rating, age, gender)
+    const violations = await checkEntryEligibility(
+      tournament,
+      players.map(p => p.trim()).filter(p => p).map((playerName, index) => ({
+        name: playerName,
+        playerId: playerIds[index] || null
+      }))
+    );
+    if (violations.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Singles tournaments can only have 1 player per participant'
+        message: `Not eligible for this tournament: ${violations.join('; ')}`,
+        errors: violations
       });
     }
 
@@ -500,11 +703,35 @@ export const createParticipant = async (req, res) => {
         message: `Participant with name "${generatedName}" already exists in this tournament`
       });
     }
+
+    // Check seed is not already taken
+    if (seed !== null) {
+      const seedTaken = await Participant.exists({ tournamentId: id, seed });
+      if (seedTaken) {
+        return res.status(400).json({
+          success: false,
+          message: `Seed ${seed} is already used by another participant in this tournament`
+        });
+      }
+    }
     
+    // Link players to the player registry (picked IDs are kept as given)
+    const playerNames = players.map(p => p.trim()).filter(p => p);
+    const { playerIds: linkedIds } = await linkParticipantPlayers(
+      [{ players: playerNames.filter((_, index) => !playerIds[index]) }],
+      req.admin.id
+    );
+    const resolvedIds = linkedIds[0];
+    const participantPlayerIds = playerNames.map((_, index) =>
+      playerIds[index] || resolvedIds.shift() || null
+    );
+
     // Create participant
     const participant = new Participant({
       name: generatedName,
-      players: players.map(p => p.trim()).filter(p => p),
+      players: playerNames,
+      playerIds: participantPlayerIds,
+      seed: seed,
       tournamentId: id
     });
 
@@ -541,6 +768,280 @@ export const createParticipant = async (req, res) => {
   }
 };
 
+/**
+ * Update Participant
+ * 
+ * Renames a participant or changes its players. The participant keeps its
+ * matches, standings and bracket place.
+ * 
+ * Changing players:
+ * - Before the participant has completed a match: a plain correction
+ * - After: must be recorded as a substitution (substitute: true). The
+ *   substitution is stored on the participant with the matches played so
+ *   far, which stay with the players who played them (player profiles and
+ *   ratings, see substitution.service.js)
+ * - Not during a live match of the participant
+ * - The new players must meet the tournament's eligibility rules. Players
+ *   who stay keep their registry record; new ones are picked (playerIds)
+ *   or matched or created by name.
+ * 
+ * A name generated from the players ("Alice & Bob") follows the new
+ * players unless a name is given.
+ * 
+ * Body: { name, players, playerIds, substitute, reason }
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateParticipant = async (req, res) => {
+  try {
+    const { id, participantId } = req.params;
+    const { name, players, playerIds = [], substitute = false, reason } = req.body;
+
+    // Validate MongoDB ObjectId formats
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID format'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(participantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid participant ID format'
+      });
+    }
+
+    if (name === undefined && players === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Send a name or players.'
+      });
+    }
+
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Name must be text'
+      });
+    }
+
+    if (players !== undefined && (!Array.isArray(players) || players.some(p => typeof p !== 'string') || !players.some(p => p.trim()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one player is required'
+      });
+    }
+
+    if (players !== undefined) {
+      const playerIdsError = await validatePickedPlayerIds(playerIds, players);
+      if (playerIdsError) {
+        return res.status(400).json({
+          success: false,
+          message: playerIdsError
+        });
+      }
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text of at most 500 characters'
+      });
+    }
+
+    // Find tournament and verify ownership
+    const tournament = await Tournament.findById(id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    // Verify admin owns this tournament
+    const adminId = req.admin.id.toString();
+    const tournamentCreatorId = tournament.createdBy.toString();
+    
+    if (tournamentCreatorId !== adminId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit participants in this tournament'
+      });
+    }
+
+    // Find participant
+    const participant = await Participant.findOne({
+      _id: participantId,
+      tournamentId: id
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found in this tournament'
+      });
+    }
+
+    const playerNames = players !== undefined
+      ? players.map(p => p.trim()).filter(p => p)
+      : participant.players;
+
+    // Players who stay keep their registry record (or the one picked for them)
+    const keptIds = playerNames.map((playerName, index) => {
+      if (playerIds[index]) return playerIds[index];
+      const previousIndex = participant.players.indexOf(playerName);
+      return previousIndex >= 0 ? participant.playerIds[previousIndex] || null : null;
+    });
+
+    const playersChanged = players !== undefined && (
+      playerNames.length !== participant.players.length ||
+      playerNames.some((playerName, index) => playerName !== participant.players[index]) ||
+      keptIds.some((playerId, index) => (playerId?.toString() || null) !== (participant.playerIds[index]?.toString() || null))
+    );
+
+    if (substitute && !playersChanged) {
+      return res.status(400).json({
+        success: false,
+        message: 'A substitution needs a change of players'
+      });
+    }
+
+    if (playersChanged) {
+      // Validation: Tournament type vs players
+      if (getEntryType(tournament) === 'doubles' && playerNames.length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Doubles tournaments require exactly 2 players'
+        });
+      }
+
+      if (getEntryType(tournament) === 'singles' && playerNames.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: tournament.format === 'rotatingPartners'
+            ? 'Rotating partner tournaments register 1 player per participant'
+            : 'Singles tournaments can only have 1 player per participant'
+        });
+      }
+
+      const participantMatches = {
+        tournamentId: id,
+        $or: [
+          { participantA: participantId },
+          { participantB: participantId },
+          { partnerA: participantId },
+          { partnerB: participantId }
+        ]
+      };
+
+      if (await Match.exists({ ...participantMatches, status: 'live' })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Players cannot be changed during a live match. Finish the match first.'
+        });
+      }
+
+      const playedCount = await Match.countDocuments({ ...participantMatches, status: 'completed' });
+      if (playedCount > 0 && !substitute) {
+        return res.status(400).json({
+          success: false,
+          message: `${participant.name} has played ${playedCount} match(es). Record the change as a substitution to keep those matches with the players who played them.`,
+          matchesCount: playedCount
+        });
+      }
+
+      // Validation: Eligibility rules of the tournament (rating, age, gender)
+      const violations = await checkEntryEligibility(
+        tournament,
+        playerNames.map((playerName, index) => ({ name: playerName, playerId: keptIds[index] }))
+      );
+      if (violations.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Not eligible for this tournament: ${violations.join('; ')}`,
+          errors: violations
+        });
+      }
+    }
+
+    // A name generated from the players follows the new players
+    const wasGeneratedName = participant.name === participant.players.join(' & ');
+    const newName = name?.trim()
+      || (playersChanged && wasGeneratedName ? playerNames.join(' & ') : participant.name);
+
+    // Check for duplicate name
+    if (newName.toLowerCase() !== participant.name.toLowerCase()) {
+      const escapedName = newName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const existingParticipant = await Participant.findOne({
+        tournamentId: id,
+        _id: { $ne: participantId },
+        name: { $regex: new RegExp(`^${escapedName}$`, 'i') }
+      });
+
+      if (existingParticipant) {
+        return res.status(400).json({
+          success: false,
+          message: `Participant with name "${newName}" already exists in this tournament`
+        });
+      }
+    }
+
+    let substitution = null;
+    if (playersChanged) {
+      // Link new players to the player registry
+      const { playerIds: linkedIds } = await linkParticipantPlayers(
+        [{ players: playerNames.filter((_, index) => !keptIds[index]) }],
+        req.admin.id
+      );
+      const resolvedIds = linkedIds[0];
+      const lineup = {
+        players: playerNames,
+        playerIds: playerNames.map((_, index) => keptIds[index] || resolvedIds.shift() || null)
+      };
+
+      if (substitute) {
+        substitution = await recordSubstitution(participant, lineup, { reason, adminId: req.admin.id });
+      } else {
+        participant.players = lineup.players;
+        participant.playerIds = lineup.playerIds;
+      }
+    }
+
+    participant.name = newName;
+    await participant.save();
+
+    emitStandingsUpdated(id);
+
+    res.status(200).json({
+      success: true,
+      message: substitution ? 'Substitution recorded successfully' : 'Participant updated successfully',
+      data: {
+        participant,
+        substitution
+      }
+    });
+  } catch (error) {
+    console.error('Error updating participant:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating participant',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Delete Participant
  * 
@@ -549,6 +1050,8 @@ export const createParticipant = async (req, res) => {
  * Business Rules:
  * - Cannot delete participant if they are in any matches (completed, live, or upcoming)
  * - Prevents breaking tournament integrity
+ * - A self-registered participant's entry is marked withdrawn and the
+ *   waitlist is promoted into the place (see registration.service.js)
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -611,7 +1114,9 @@ export const deleteParticipant = async (req, res) => {
       tournamentId: id,
       $or: [
         { participantA: participantId },
-        { participantB: participantId }
+        { participantB: participantId },
+        { partnerA: participantId },
+        { partnerB: participantId }
       ]
     });
 
@@ -626,9 +1131,15 @@ export const deleteParticipant = async (req, res) => {
     // Delete participant
     await Participant.findByIdAndDelete(participantId);
 
+    // A self-registered entry is withdrawn and its place goes to the waitlist
+    const promoted = await releaseParticipantEntry(tournament, participantId);
+
     res.status(200).json({
       success: true,
-      message: 'Participant deleted successfully'
+      message: 'Participant deleted successfully',
+      data: {
+        promotedFromWaitlist: promoted.length
+      }
     });
   } catch (error) {
     console.error('Error deleting participant:', error);
@@ -640,3 +1151,255 @@ export const deleteParticipant = async (req, res) => {
   }
 };
 
+/**
+ * Withdraw Participant
+ * 
+ * Takes a participant out of a tournament that has started. Their results
+ * so far stand; every match they still have to play is forfeited and
+ * progressed (see withdrawal.service.js):
+ * - Withdrawn (default): walkovers for their opponents, or a retirement
+ *   at the current score for a match being played
+ * - Disqualified (disqualify: true): disqualifications
+ * 
+ * Body: { disqualify: boolean, reason: string }
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const withdrawParticipant = async (req, res) => {
+  try {
+    const { id, participantId } = req.params;
+    const { disqualify = false, reason } = req.body;
+
+    // Validate MongoDB ObjectId formats
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID format'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(participantId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid participant ID format'
+      });
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be text of at most 500 characters'
+      });
+    }
+
+    // Find tournament and verify ownership
+    const tournament = await Tournament.findById(id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    // Verify admin owns this tournament
+    const adminId = req.admin.id.toString();
+    const tournamentCreatorId = tournament.createdBy.toString();
+    
+    if (tournamentCreatorId !== adminId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to withdraw participants from this tournament'
+      });
+    }
+
+    if (tournament.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot withdraw participants from a completed tournament'
+      });
+    }
+
+    // Find participant
+    const participant = await Participant.findOne({
+      _id: participantId,
+      tournamentId: id
+    });
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found in this tournament'
+      });
+    }
+
+    if (participant.status && participant.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `${participant.name} has already been ${participant.status}`
+      });
+    }
+
+    const { progression, waitingMatches } = await withdrawFromTournament(participant, tournament, {
+      disqualify: Boolean(disqualify),
+      reason
+    });
+
+    progression.updatedMatches.forEach(matchId => emitMatchUpdated(matchId));
+    emitStandingsUpdated(id);
+
+    res.status(200).json({
+      success: true,
+      message: `${participant.name} ${disqualify ? 'disqualified' : 'withdrawn'}. ${progression.forfeitedMatches.length} match(es) decided by forfeit.`,
+      data: {
+        participant,
+        forfeitedMatches: progression.forfeitedMatches.length,
+        waitingMatches,
+        progression
+      }
+    });
+  } catch (error) {
+    console.error('Error withdrawing participant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing participant',
+      error: error.message
+    });
+  }
+};
+
+
+/**
+ * Update Participant Seeds
+ * 
+ * Sets or clears the seeds of several participants at once, so seeds can
+ * be swapped or reordered in one request. Seeds are used when knockout
+ * fixtures are generated (see fixture.service.js).
+ * 
+ * Body: { seeds: [{ participantId, seed }] } - seed null clears it
+ * 
+ * Validations:
+ * - Every participant must belong to the tournament
+ * - Seeds must be whole numbers of 1 or higher
+ * - Seeds must be unique in the tournament after the update
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateParticipantSeeds = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { seeds } = req.body;
+
+    // Validate MongoDB ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID format'
+      });
+    }
+
+    if (!Array.isArray(seeds) || seeds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Seeds must be a non-empty array of { participantId, seed }'
+      });
+    }
+
+    // Find tournament and verify ownership
+    const tournament = await Tournament.findById(id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    // Verify admin owns this tournament
+    const adminId = req.admin.id.toString();
+    const tournamentCreatorId = tournament.createdBy.toString();
+    
+    if (tournamentCreatorId !== adminId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to seed participants in this tournament'
+      });
+    }
+
+    const participants = await Participant.find({ tournamentId: id });
+    const participantMap = new Map(participants.map(p => [p._id.toString(), p]));
+
+    // Validate each entry and build the new seed for each participant
+    const newSeeds = new Map(participants.map(p => [p._id.toString(), p.seed]));
+
+    for (const entry of seeds) {
+      const participantId = entry?.participantId?.toString();
+
+      if (!participantId || !participantMap.has(participantId)) {
+        return res.status(400).json({
+          success: false,
+          message: `Participant ${participantId || '(missing)'} not found in this tournament`
+        });
+      }
+
+      const { seed, error: seedError } = parseSeed(entry.seed);
+      if (seedError) {
+        return res.status(400).json({
+          success: false,
+          message: `${participantMap.get(participantId).name}: ${seedError}`
+        });
+      }
+
+      newSeeds.set(participantId, seed);
+    }
+
+    // Validation: Seeds must be unique after the update
+    const usedSeeds = new Set();
+    for (const seed of newSeeds.values()) {
+      if (seed === null) continue;
+      if (usedSeeds.has(seed)) {
+        return res.status(400).json({
+          success: false,
+          message: `Seed ${seed} is assigned to more than one participant`
+        });
+      }
+      usedSeeds.add(seed);
+    }
+
+    // Save changed seeds
+    const updates = participants
+      .filter(p => newSeeds.get(p._id.toString()) !== p.seed)
+      .map(p => ({
+        updateOne: {
+          filter: { _id: p._id },
+          update: { $set: { seed: newSeeds.get(p._id.toString()) } }
+        }
+      }));
+
+    if (updates.length > 0) {
+      await Participant.bulkWrite(updates);
+    }
+
+    const updatedParticipants = await Participant.find({ tournamentId: id })
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      message: `Updated ${updates.length} seed(s)`,
+      data: {
+        participants: updatedParticipants,
+        count: updatedParticipants.length
+      }
+    });
+  } catch (error) {
+    console.error('Error updating participant seeds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating participant seeds',
+      error: error.message
+    });
+  }
+};
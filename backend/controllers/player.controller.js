@@ -0,0 +1,310 @@
+/**
+ * Player Controller
+ *
+ * This file contains controller functions for the player registry:
+ * - Admin: search, create and update players (the registry is shared by
+ *   all tournaments, so any admin can manage it)
+ * - Public: search players and view a player profile with every match and
+ *   result across public tournaments
+ *
+ * Email and date of birth are only returned to admins.
+ */
+
+import mongoose from 'mongoose';
+import Player from '../models/player.model.js';
+import { PLAYER_DETAIL_FIELDS, parsePlayerDetails, getPlayerProfile } from '../services/player.service.js';
+
+// Fields shown on public pages
+const PUBLIC_PLAYER_FIELDS = 'name rating eloRating ratedMatches club gender';
+
+/**
+ * Escape Regex (Helper)
+ *
+ * @param {string} value - Search text
+ * @returns {string} Text safe to use in a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build Player Search (Helper)
+ *
+ * @param {Object} query - Request query ({ search, limit })
+ * @param {Object} options - { includeEmail: also search by email }
+ * @returns {Object} Mongoose filter and limit
+ */
+const buildPlayerSearch = ({ search = '', limit }, { includeEmail = false } = {}) => {
+  const filter = {};
+  const text = String(search).trim();
+
+  if (text) {
+    const pattern = new RegExp(escapeRegex(text), 'i');
+    filter.$or = includeEmail ? [{ name: pattern }, { email: pattern }] : [{ name: pattern }];
+  }
+
+  const parsedLimit = parseInt(limit, 10);
+  return {
+    filter,
+    limit: Number.isInteger(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, 100) : 20
+  };
+};
+
+/**
+ * Get Players (Admin)
+ *
+ * Searches the player registry by name or email.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPlayers = async (req, res) => {
+  try {
+    const { filter, limit } = buildPlayerSearch(req.query, { includeEmail: true });
+
+    const players = await Player.find(filter)
+      .sort({ name: 1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: players.length,
+      data: players
+    });
+  } catch (error) {
+    console.error('Error fetching players:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching players',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create Player
+ *
+ * Adds a player to the registry. A player with the same email cannot be
+ * added twice.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createPlayer = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Player name is required'
+      });
+    }
+
+    const { details, error: detailsError } = parsePlayerDetails(req.body);
+    if (detailsError) {
+      return res.status(400).json({
+        success: false,
+        message: detailsError
+      });
+    }
+
+    if (details.email && await Player.exists({ email: details.email })) {
+      return res.status(400).json({
+        success: false,
+        message: `A player with email "${details.email}" already exists`
+      });
+    }
+
+    const player = await Player.create({
+      name: name.trim(),
+      ...details,
+      createdBy: req.admin.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Player created successfully',
+      data: player
+    });
+  } catch (error) {
+    console.error('Error creating player:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating player',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update Player
+ *
+ * Updates a player's name or details. Empty values clear a detail.
+ * Participant names in existing tournaments are not changed.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updatePlayer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid player ID format'
+      });
+    }
+
+    const { details, error: detailsError } = parsePlayerDetails(req.body);
+    if (detailsError) {
+      return res.status(400).json({
+        success: false,
+        message: detailsError
+      });
+    }
+
+    const player = await Player.findById(id);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    if (req.body.name !== undefined) {
+      if (!req.body.name || !req.body.name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Player name is required'
+        });
+      }
+      player.name = req.body.name.trim();
+    }
+
+    if (details.email && details.email !== player.email &&
+        await Player.exists({ email: details.email, _id: { $ne: player._id } })) {
+      return res.status(400).json({
+        success: false,
+        message: `A player with email "${details.email}" already exists`
+      });
+    }
+
+    // Fields sent in the body are set; fields sent empty are cleared
+    PLAYER_DETAIL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        player[field] = details[field] ?? null;
+      }
+    });
+
+    await player.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Player updated successfully',
+      data: player
+    });
+  } catch (error) {
+    console.error('Error updating player:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating player',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Search Public Players
+ *
+ * Searches players by name. Only public fields are returned.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const searchPublicPlayers = async (req, res) => {
+  try {
+    const { filter, limit } = buildPlayerSearch(req.query);
+
+    const players = await Player.find(filter)
+      .select(PUBLIC_PLAYER_FIELDS)
+      .sort({ name: 1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: players.length,
+      data: players
+    });
+  } catch (error) {
+    console.error('Error searching players:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching players',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Public Player Profile
+ *
+ * Returns a player with their stats and every match and result in public
+ * tournaments (see getPlayerProfile).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPublicPlayerProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid player ID format'
+      });
+    }
+
+    const profile = await getPlayerProfile(id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error fetching player profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching player profile',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,391 @@
+/**
+ * Point Event Controller
+ *
+ * This file contains controller functions for the rally-by-rally point log.
+ * Admins record points, faults, side-outs and timeouts for live matches and
+ * can undo the last one. Viewers can read the log as a match timeline.
+ */
+
+import mongoose from 'mongoose';
+import Match from '../models/match.model.js';
+import Tournament from '../models/tournament.model.js';
+import { isRoundLocked } from '../services/progression.service.js';
+import {
+  RECORDABLE_EVENT_TYPES,
+  appendPointEvent,
+  undoLastEvent,
+  getMatchTimeline,
+  getMatchStateFromLog
+} from '../services/pointLog.service.js';
+import { getScoreCall } from '../services/rules.service.js';
+import { emitPointEvent, emitScoreUpdated } from '../services/socket.service.js';
+
+/**
+ * Load Match for Scoring (Helper)
+ *
+ * Finds a match, verifies the admin owns its tournament and that the
+ * match can still be scored.
+ *
+ * @param {string} id - Match ID
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @returns {Promise<Object>} { match, tournament } or { status, message } on failure
+ */
+const loadMatchForScoring = async (id, admin) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: 'Invalid match ID format' };
+  }
+
+  const match = await Match.findById(id).populate('tournamentId');
+
+  if (!match) {
+    return { status: 404, message: 'Match not found' };
+  }
+
+  const tournament = match.tournamentId;
+
+  if (tournament.createdBy.toString() !== admin.id.toString()) {
+    return { status: 403, message: 'You do not have permission to score this match' };
+  }
+
+  if (!['upcoming', 'live'].includes(match.status)) {
+    return { status: 400, message: `Cannot record points for a ${match.status} match` };
+  }
+
+  if (!match.participantA || !match.participantB) {
+    return { status: 400, message: 'Both participants must be assigned before scoring' };
+  }
+
+  const roundLocked = await isRoundLocked(tournament._id, match.round);
+  if (roundLocked) {
+    return { status: 400, message: 'Cannot score matches in a locked round' };
+  }
+
+  return { match, tournament };
+};
+
+/**
+ * Broadcast Point Event (Helper)
+ *
+ * Sends the event and the updated match to viewers of the tournament.
+ *
+ * @param {Object} match - Match document (after save)
+ * @param {Object} event - Point event that was appended
+ * @param {string|null} scoreCall - Score call after the event
+ */
+const broadcastPointEvent = async (match, event, scoreCall) => {
+  const populatedMatch = await Match.findById(match._id)
+    .populate('participantA', 'name players')
+    .populate('participantB', 'name players')
+    .populate('partnerA', 'name players')
+    .populate('partnerB', 'name players')
+    .lean();
+
+  emitPointEvent(match.tournamentId._id.toString(), match._id.toString(), {
+    event,
+    match: populatedMatch,
+    scoreCall
+  });
+  emitScoreUpdated(match._id, populatedMatch);
+
+  return populatedMatch;
+};
+
+/**
+ * Record Point Event
+ *
+ * Appends a point, fault, side-out or timeout to the match log.
+ * The match score is derived from the log.
+ *
+ * Validations:
+ * - Match must be upcoming or live with both participants assigned
+ * - Type must be point, fault, sideOut or timeout
+ * - Team ('A' or 'B') is required for point, fault and timeout
+ * - Match must not already be decided
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const recordPointEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, team } = req.body;
+
+    if (!RECORDABLE_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Event type must be one of: ${RECORDABLE_EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (type !== 'sideOut' && !['A', 'B'].includes(team)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team must be "A" or "B"'
+      });
+    }
+
+    const loaded = await loadMatchForScoring(id, req.admin);
+    if (loaded.status) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message
+      });
+    }
+
+    const { match, tournament } = loaded;
+
+    let result;
+    try {
+      result = await appendPointEvent({
+        match,
+        tournament,
+        type,
+        team,
+        adminId: req.admin.id
+      });
+    } catch (error) {
+      // Duplicate sequence: another event was recorded at the same time
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another point was recorded at the same time. Refresh and try again.'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const populatedMatch = await broadcastPointEvent(match, result.event, result.scoreCall);
+
+    res.status(201).json({
+      success: true,
+      message: 'Point recorded successfully',
+      data: {
+        event: result.event,
+        match: populatedMatch,
+        scoreCall: result.scoreCall,
+        matchDecided: result.state.matchDecided
+      }
+    });
+  } catch (error) {
+    console.error('Error recording point event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording point event',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Undo Last Point Event
+ *
+ * Appends an 'undo' event that cancels the most recent active event.
+ * Nothing is deleted from the log.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const undoLastPointEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const loaded = await loadMatchForScoring(id, req.admin);
+    if (loaded.status) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message
+      });
+    }
+
+    const { match, tournament } = loaded;
+
+    let result;
+    try {
+      result = await undoLastEvent({
+        match,
+        tournament,
+        adminId: req.admin.id
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another point was recorded at the same time. Refresh and try again.'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const populatedMatch = await broadcastPointEvent(match, result.event, result.scoreCall);
+
+    res.status(200).json({
+      success: true,
+      message: 'Last point undone',
+      data: {
+        event: result.event,
+        undoneEvent: result.undoneEvent,
+        match: populatedMatch,
+        scoreCall: result.scoreCall
+      }
+    });
+  } catch (error) {
+    console.error('Error undoing point event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error undoing point event',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Build Timeline Response (Helper)
+ *
+ * @param {Object} match - Lean match with tournament populated
+ * @returns {Promise<Object>} Timeline response data
+ */
+const buildTimelineResponse = async (match) => {
+  const tournament = match.tournamentId;
+  const events = await getMatchTimeline(match._id);
+  const { state, rules } = await getMatchStateFromLog(match, tournament);
+  const currentGame = state.games[state.games.length - 1] || { a: 0, b: 0 };
+
+  return {
+    match: {
+      id: match._id,
+      round: match.round,
+      status: match.status,
+      participantA: match.participantA,
+      participantB: match.participantB,
+      score: match.score,
+      games: match.games,
+      serve: match.serve
+    },
+    scoreCall: match.status === 'live' && !state.matchDecided
+      ? getScoreCall(currentGame, state.serve, rules)
+      : null,
+    events
+  };
+};
+
+/**
+ * Get Match Events (Admin)
+ *
+ * Returns the full point log for a match owned by the admin.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMatchEventsAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match ID format'
+      });
+    }
+
+    const match = await Match.findById(id)
+      .populate('participantA', 'name players')
+      .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
+      .populate('tournamentId')
+      .lean();
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (match.tournamentId.createdBy.toString() !== req.admin.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this match'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildTimelineResponse(match)
+    });
+  } catch (error) {
+    console.error('Error fetching match events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching match events',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Match Timeline (Public)
+ *
+ * Returns the point-by-point timeline of a match in a public tournament.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPublicMatchTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match ID format'
+      });
+    }
+
+    const match = await Match.findById(id)
+      .populate('participantA', 'name players')
+      .populate('participantB', 'name players')
+      .populate('partnerA', 'name players')
+      .populate('partnerB', 'name players')
+      .lean();
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    const tournament = await Tournament.findOne({
+      _id: match.tournamentId,
+      isPublic: true
+    }).lean();
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    match.tournamentId = tournament;
+
+    res.status(200).json({
+      success: true,
+      data: await buildTimelineResponse(match)
+    });
+  } catch (error) {
+    console.error('Error fetching match timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching match timeline',
+      error: error.message
+    });
+  }
+};
@@ -12,12 +12,16 @@ import mongoose from 'mongoose';
 import Tournament from '../models/tournament.model.js';
 import Match from '../models/match.model.js';
 import Participant from '../models/participant.model.js';
-import { calculateStandings, sortStandings, calculateGroupStandings as calcGroupStandings } from '../services/standings.service.js';
+import { loadStandings, loadGroupStandings, getStandingsRules } from '../services/standings.service.js';
+import { DRAW_ALGORITHM_VERSION } from '../services/random.service.js';
+import { replayDraw, compareWithMatches } from '../services/draw.service.js';
+import { getDivisionSummary } from '../services/division.service.js';
 
 /**
  * Get All Public Tournaments
  * 
  * Returns a list of all public tournaments, sorted by status and creation date.
+ * Divisions are listed on their main tournament (see getTournamentById).
  * Optimized query using indexes for fast retrieval.
  * 
  * @param {Object} req - Express request object
@@ -27,8 +31,8 @@ export const getAllTournaments = async (req, res) => {
   try {
     // Query only public tournaments, sorted by status (live first) and creation date
     // Uses compound index (isPublic: 1, status: 1) for optimal performance
-    const tournaments = await Tournament.find({ isPublic: true })
-      .select('-createdBy') // Exclude admin info from public response
+    const tournaments = await Tournament.find({ isPublic: true, parentTournament: null })
+      .select('-createdBy -draws') // Exclude admin info (and draw records, see getDrawAudit) from public response
       .sort({ status: 1, createdAt: -1 }) // Live tournaments first, then by newest
       .lean(); // Use lean() for better performance (returns plain JS objects)
 
@@ -51,7 +55,9 @@ export const getAllTournaments = async (req, res) => {
  * Get Single Public Tournament by ID
  * 
  * Returns detailed information about a specific tournament.
- * Only returns tournament if it's public.
+ * Only returns tournament if it's public. Includes the public divisions of
+ * the tournament weekend: its main tournament (parent, for a division) and
+ * the divisions of the main tournament.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -72,7 +78,7 @@ export const getTournamentById = async (req, res) => {
     const tournament = await Tournament.findOne({
       _id: id,
       isPublic: true
-    }).select('-createdBy').lean();
+    }).select('-createdBy -draws').lean();
 
     if (!tournament) {
       return res.status(404).json({
@@ -81,9 +87,15 @@ export const getTournamentById = async (req, res) => {
       });
     }
 
+    const { parent, divisions } = await getDivisionSummary(tournament, { publicOnly: true });
+
     res.status(200).json({
       success: true,
-      data: tournament
+      data: {
+        ...tournament,
+        parent,
+        divisions
+      }
     });
   } catch (error) {
     console.error('Error fetching tournament:', error);
@@ -136,8 +148,10 @@ export const getTournamentMatches = async (req, res) => {
     // Fetch all matches for this tournament with populated participant data
     // Uses index (tournamentId: 1, status: 1) for optimal performance
     const matches = await Match.find({ tournamentId: id })
-      .populate('participantA', 'name players')
-      .populate('participantB', 'name players')
+      .populate('participantA', 'name players playerIds')
+      .populate('participantB', 'name players playerIds')
+      .populate('partnerA', 'name players playerIds')
+      .populate('partnerB', 'name players playerIds')
       .sort({ status: 1, order: 1, createdAt: 1 }) // Live first, then by order
       .lean();
 
@@ -196,7 +210,7 @@ export const getTournamentMatches = async (req, res) => {
  * - Wins, Losses, Points, Win Rate
  * 
  * For group/roundRobin formats, calculates standings.
- * For knockout format, shows bracket progression.
+ * For knockout formats, also returns the final placings decided so far.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -226,25 +240,8 @@ export const getTournamentStandings = async (req, res) => {
       });
     }
 
-    // Get all participants for this tournament
-    const participants = await Participant.find({ tournamentId: id })
-      .sort({ name: 1 })
-      .lean();
-
-    // Get all completed matches for this tournament
-    const completedMatches = await Match.find({
-      tournamentId: id,
-      status: 'completed'
-    })
-      .populate('participantA', 'name players')
-      .populate('participantB', 'name players')
-      .lean();
-
-    // Calculate standings for each participant
-    let standings = calculateStandings(participants, completedMatches);
-
-    // Sort standings with tie-breaking rules (includes head-to-head)
-    standings = sortStandings(standings, completedMatches);
+    // Standings with the tournament's tiebreakers (participants with their players' team rating)
+    const { standings, placings, participants, completedMatches } = await loadStandings(tournament);
 
     res.status(200).json({
       success: true,
@@ -253,9 +250,12 @@ export const getTournamentStandings = async (req, res) => {
         name: tournament.name,
         format: tournament.format,
         status: tournament.status,
-        currentRound: tournament.currentRound
+        currentRound: tournament.currentRound,
+        tiebreakers: getStandingsRules(tournament).tiebreakers
       },
       standings: standings,
+      // Knockouts: final places decided so far (1st, 2nd, 3rd, ...)
+      placings,
       summary: {
         totalParticipants: participants.length,
         totalMatches: completedMatches.length,
@@ -305,57 +305,8 @@ export const getTournamentGroupStandings = async (req, res) => {
       });
     }
 
-    // Get all participants for this tournament
-    const participants = await Participant.find({ tournamentId: id })
-      .sort({ name: 1 })
-      .lean();
-
-    // Get all group stage matches
-    const groupMatches = await Match.find({
-      tournamentId: id,
-      round: { $regex: /^Group / },
-      status: 'completed'
-    })
-      .populate('participantA', 'name players')
-      .populate('participantB', 'name players')
-      .lean();
-
-    // Group matches by group name
-    const matchesByGroup = {};
-    groupMatches.forEach(match => {
-      const groupName = match.round; // e.g., "Group A"
-      if (!matchesByGroup[groupName]) {
-        matchesByGroup[groupName] = [];
-      }
-      matchesByGroup[groupName].push(match);
-    });
-
-    // Calculate standings for each group
-    const groupStandings = [];
-    Object.keys(matchesByGroup).sort().forEach(groupName => {
-      const groupMatchesList = matchesByGroup[groupName];
-      
-      // Get participants in this group
-      const groupParticipantIds = new Set();
-      groupMatchesList.forEach(match => {
-        if (match.participantA) groupParticipantIds.add(match.participantA._id.toString());
-        if (match.participantB) groupParticipantIds.add(match.participantB._id.toString());
-      });
-
-      const groupParticipants = participants.filter(p => 
-        groupParticipantIds.has(p._id.toString())
-      );
-
-      // Calculate standings for this group
-      let standings = calculateStandings(groupParticipants, groupMatchesList);
-      standings = sortStandings(standings, groupMatchesList);
-
-      groupStandings.push({
-        groupName: groupName.replace('Group ', ''),
-        fullGroupName: groupName,
-        standings: standings
-      });
-    });
+    // Standings of every group with the tournament's tiebreakers
+    const { groupStandings, participants } = await loadGroupStandings(tournament);
 
     res.status(200).json({
       success: true,
@@ -364,7 +315,8 @@ export const getTournamentGroupStandings = async (req, res) => {
         name: tournament.name,
         format: tournament.format,
         status: tournament.status,
-        currentRound: tournament.currentRound
+        currentRound: tournament.currentRound,
+        tiebreakers: getStandingsRules(tournament).tiebreakers
       },
       groupStandings: groupStandings,
       summary: {
@@ -381,3 +333,102 @@ export const getTournamentGroupStandings = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get Draw Audit
+ * 
+ * Returns every random draw of a public tournament with its seed, algorithm
+ * version and participant list, and the groups and pairings obtained by
+ * replaying it. The latest draw of each kind (and custom round) is checked
+ * against the stored matches; earlier draws were replaced by a redraw.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDrawAudit = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID format'
+      });
+    }
+
+    // Verify tournament exists and is public
+    const tournament = await Tournament.findOne({
+      _id: id,
+      isPublic: true
+    }).select('name format draws').lean();
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found or not publicly available'
+      });
+    }
+
+    const [participants, matches] = await Promise.all([
+      Participant.find({ tournamentId: id }).select('name').lean(),
+      Match.find({ tournamentId: id }).select('round participantA participantB').lean()
+    ]);
+    const names = new Map(participants.map(p => [p._id.toString(), p.name]));
+
+    const draws = tournament.draws || [];
+    const audit = draws.map((draw, index) => {
+      const superseded = draws
+        .slice(index + 1)
+        .some(later => later.kind === draw.kind && later.round === draw.round);
+
+      let replay = null;
+      let replayError = null;
+      try {
+        replay = replayDraw(draw);
+      } catch (error) {
+        replayError = error.message;
+      }
+
+      const notFound = replay && !superseded ? compareWithMatches(replay.matches, matches) : [];
+
+      return {
+        kind: draw.kind,
+        round: draw.round,
+        method: draw.method,
+        seed: draw.seed,
+        algorithmVersion: draw.algorithmVersion,
+        drawnAt: draw.drawnAt,
+        options: draw.options,
+        participants: draw.participants.map(p => ({
+          ...p,
+          name: names.get(p.participantId.toString()) ?? null // null = participant since removed
+        })),
+        replay,
+        replayError,
+        superseded,
+        // null when the draw cannot be checked (replaced by a later draw, or not replayable)
+        matchesStored: replay && !superseded ? notFound.length === 0 : null,
+        notFound
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      tournament: {
+        id: tournament._id,
+        name: tournament.name,
+        format: tournament.format
+      },
+      algorithmVersion: DRAW_ALGORITHM_VERSION,
+      draws: audit
+    });
+  } catch (error) {
+    console.error('Error fetching draw audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching draw audit',
+      error: error.message
+    });
+  }
+};
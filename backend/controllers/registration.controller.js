@@ -0,0 +1,554 @@
+/**
+ * Registration Controller
+ *
+ * Handles player self-registration (see registration.service.js):
+ * - Public: the entry form of a tournament weekend (main tournament and its
+ *   divisions), sending an entry, and withdrawing it with the token given
+ *   when it was sent
+ * - Admin: registration settings, the list of entries, and approving or
+ *   rejecting them
+ */
+
+import mongoose from 'mongoose';
+import Tournament from '../models/tournament.model.js';
+import Registration from '../models/registration.model.js';
+import {
+  validateRegistrationSettings,
+  getRegistrationState,
+  validateEntry,
+  createEntry,
+  approveEntry,
+  withdrawEntry,
+  fillFromWaitlist,
+  isWithdrawTokenValid,
+  RegistrationError
+} from '../services/registration.service.js';
+import { describeEligibility, checkEntryEligibility } from '../services/eligibility.service.js';
+
+/**
+ * Find Own Tournament (Helper)
+ *
+ * @param {Object} req - Express request object
+ * @param {string} action - What the admin is doing, for the permission message
+ * @returns {Promise<Object>} { tournament } or { status, message } on failure
+ */
+async function findOwnTournament(req, action) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: 'Invalid tournament ID format' };
+  }
+
+  const tournament = await Tournament.findById(id);
+  if (!tournament) {
+    return { status: 404, message: 'Tournament not found' };
+  }
+
+  if (tournament.createdBy.toString() !== req.admin.id.toString()) {
+    return { status: 403, message: `You do not have permission to ${action} for this tournament` };
+  }
+
+  return { tournament };
+}
+
+/**
+ * Find Own Registration (Helper)
+ *
+ * @param {Object} req - Express request object (params id and registrationId)
+ * @param {string} action - What the admin is doing, for the permission message
+ * @returns {Promise<Object>} { tournament, registration } or { status, message } on failure
+ */
+async function findOwnRegistration(req, action) {
+  const found = await findOwnTournament(req, action);
+  if (found.status) return found;
+
+  const { registrationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(registrationId)) {
+    return { status: 400, message: 'Invalid registration ID format' };
+  }
+
+  const registration = await Registration.findOne({ _id: registrationId, tournamentId: found.tournament._id });
+  if (!registration) {
+    return { status: 404, message: 'Registration not found in this tournament' };
+  }
+
+  return { tournament: found.tournament, registration };
+}
+
+/**
+ * Get Registration Form
+ *
+ * Returns the public events of a tournament weekend (the main tournament
+ * and its divisions) with their registration state and eligibility rules,
+ * for players to pick the event they enter.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getRegistrationForm = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID format'
+      });
+    }
+
+    const tournament = await Tournament.findOne({ _id: id, isPublic: true }).lean();
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found or not publicly available'
+      });
+    }
+
+    const mainId = tournament.parentTournament || tournament._id;
+    const events = await Tournament.find({
+      isPublic: true,
+      $or: [{ _id: mainId }, { parentTournament: mainId }]
+    })
+      .select('name type format status location date registration eligibility parentTournament')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const eventStates = await Promise.all(events.map(async event => ({
+      id: event._id,
+      name: event.name,
+      type: event.type,
+      format: event.format,
+      location: event.location,
+      date: event.date,
+      registration: await getRegistrationState(event),
+      eligibility: {
+        rules: event.eligibility || null,
+        description: describeEligibility(event)
+      }
+    })));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tournament: {
+          id: tournament._id,
+          name: tournament.name
+        },
+        events: eventStates
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching registration form:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching registration form',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Register Entry
+ *
+ * Enters a player (and partner for doubles) in a public tournament or
+ * division, if they meet its eligibility rules. The entry is pending, approved straight away (no approval
+ * required) or waitlisted when the event is full. The response holds the
+ * token the player needs to withdraw the entry; it is not shown again.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const registerEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID format'
+      });
+    }
+
+    const tournament = await Tournament.findOne({ _id: id, isPublic: true });
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found or not publicly available'
+      });
+    }
+
+    const state = await getRegistrationState(tournament);
+    if (!state.open) {
+      return res.status(400).json({
+        success: false,
+        message: state.reason
+      });
+    }
+
+    const { players, contactEmail, error: entryError } = validateEntry(tournament, req.body);
+    if (entryError) {
+      return res.status(400).json({
+        success: false,
+        message: entryError
+      });
+    }
+
+    const violations = await checkEntryEligibility(
+      tournament,
+      players.map(player => ({ name: player.name, details: player }))
+    );
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Not eligible for this event: ${violations.join('; ')}`,
+        errors: violations
+      });
+    }
+
+    let entry;
+    try {
+      entry = await createEntry(tournament, { players, contactEmail });
+    } catch (error) {
+      if (!(error instanceof RegistrationError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { registration, withdrawToken, waitlistPosition } = entry;
+    const messages = {
+      approved: 'You are entered',
+      pending: 'Your entry has been received and is waiting for approval',
+      waitlisted: `The event is full. You are number ${waitlistPosition} on the waitlist`
+    };
+
+    res.status(201).json({
+      success: true,
+      message: messages[registration.status],
+      data: {
+        registration: {
+          id: registration._id,
+          tournamentId: registration.tournamentId,
+          players: registration.players.map(player => player.name),
+          status: registration.status,
+          waitlistPosition
+        },
+        withdrawToken
+      }
+    });
+  } catch (error) {
+    console.error('Error registering entry:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error registering entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Withdraw Registration
+ *
+ * Withdraws an entry with the token given when it was sent. The first
+ * entry on the waitlist is promoted into the place.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const withdrawRegistration = async (req, res) => {
+  try {
+    const { registrationId } = req.params;
+    const { token } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(registrationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration ID format'
+      });
+    }
+
+    const registration = await Registration.findById(registrationId).select('+withdrawToken');
+    if (!registration || !isWithdrawTokenValid(registration, token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found, or the withdrawal link is not valid'
+      });
+    }
+
+    const tournament = await Tournament.findById(registration.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    try {
+      await withdrawEntry(registration, tournament);
+    } catch (error) {
+      if (!(error instanceof RegistrationError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your entry has been withdrawn',
+      data: {
+        registration: {
+          id: registration._id,
+          tournament: { id: tournament._id, name: tournament.name },
+          players: registration.players.map(player => player.name),
+          status: registration.status
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error withdrawing registration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing registration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Registrations
+ *
+ * Returns the registration settings and state of a tournament and all its
+ * entries, grouped by status (waitlist in order).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getRegistrations = async (req, res) => {
+  try {
+    const { tournament, status, message } = await findOwnTournament(req, 'view registrations');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const [state, registrations] = await Promise.all([
+      getRegistrationState(tournament),
+      Registration.find({ tournamentId: tournament._id }).sort({ createdAt: 1 }).lean()
+    ]);
+
+    const byStatus = { pending: [], waitlisted: [], approved: [], rejected: [], withdrawn: [] };
+    registrations.forEach(registration => byStatus[registration.status].push(registration));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: tournament.registration,
+        state,
+        registrations: byStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching registrations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching registrations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update Registration Settings
+ *
+ * Opens or closes registration and sets the dates, capacity, approval and
+ * waiver. Raising the capacity promotes entries from the waitlist.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateRegistrationSettings = async (req, res) => {
+  try {
+    const settingsError = validateRegistrationSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const { tournament, status, message } = await findOwnTournament(req, 'change registration');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { enabled, opensAt, closesAt, capacity, requireApproval, waiver } = req.body;
+    if (enabled !== undefined) tournament.registration.enabled = Boolean(enabled);
+    if (opensAt !== undefined) tournament.registration.opensAt = opensAt || null;
+    if (closesAt !== undefined) tournament.registration.closesAt = closesAt || null;
+    if (capacity !== undefined) tournament.registration.capacity = capacity ? Number(capacity) : null;
+    if (requireApproval !== undefined) tournament.registration.requireApproval = Boolean(requireApproval);
+    if (waiver !== undefined) tournament.registration.waiver = waiver?.trim() || null;
+
+    await tournament.save();
+    const promoted = await fillFromWaitlist(tournament);
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration settings updated successfully',
+      data: {
+        settings: tournament.registration,
+        state: await getRegistrationState(tournament),
+        promoted: promoted.length
+      }
+    });
+  } catch (error) {
+    console.error('Error updating registration settings:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating registration settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve Registration
+ *
+ * Approves a pending or waitlisted entry: the participant is created with
+ * its players linked to the player registry. Approving a waitlisted entry
+ * lets it in over the capacity.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const approveRegistration = async (req, res) => {
+  try {
+    const { tournament, registration, status, message } = await findOwnRegistration(req, 'approve registrations');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!['pending', 'waitlisted'].includes(registration.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending or waitlisted entries can be approved (this one is ${registration.status})`
+      });
+    }
+
+    let participant;
+    try {
+      participant = await approveEntry(registration, tournament, req.admin.id);
+    } catch (error) {
+      if (!(error instanceof RegistrationError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration approved',
+      data: {
+        registration,
+        participant
+      }
+    });
+  } catch (error) {
+    console.error('Error approving registration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving registration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reject Registration
+ *
+ * Rejects a pending or waitlisted entry, with an optional reason. The
+ * place it held goes to the waitlist.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const rejectRegistration = async (req, res) => {
+  try {
+    const { tournament, registration, status, message } = await findOwnRegistration(req, 'reject registrations');
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!['pending', 'waitlisted'].includes(registration.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending or waitlisted entries can be rejected (this one is ${registration.status})`
+      });
+    }
+
+    registration.status = 'rejected';
+    registration.reason = req.body.reason ? String(req.body.reason).trim() : null;
+    registration.reviewedBy = req.admin.id;
+    registration.reviewedAt = new Date();
+    await registration.save();
+
+    const promoted = await fillFromWaitlist(tournament);
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration rejected',
+      data: {
+        registration,
+        promoted: promoted.length
+      }
+    });
+  } catch (error) {
+    console.error('Error rejecting registration:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting registration',
+      error: error.message
+    });
+  }
+};
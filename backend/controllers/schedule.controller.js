@@ -0,0 +1,291 @@
+/**
+ * Schedule Controller
+ *
+ * This file contains controller functions for the court schedule:
+ * schedule settings (courts, start time, slot length, rest time),
+ * automatic court and time assignment for upcoming matches, and the
+ * per-court "next up" queue.
+ *
+ * Divisions share the schedule of their main tournament: these endpoints
+ * work on the main tournament's settings and on the matches of the main
+ * tournament and all its divisions, whichever of them is asked for.
+ */
+
+import mongoose from 'mongoose';
+import Tournament from '../models/tournament.model.js';
+import Match from '../models/match.model.js';
+import {
+  getScheduleSettings,
+  validateScheduleSettings,
+  buildSchedule,
+  getCourtQueues
+} from '../services/schedule.service.js';
+import { emitScheduleUpdated } from '../services/socket.service.js';
+import { getScheduleOwner, getEventIds, getPlayersOfParticipants, DIVISION_FIELDS } from '../services/division.service.js';
+
+/**
+ * Load Own Tournament (Helper)
+ *
+ * Finds a tournament and verifies the admin owns it. For a division, the
+ * main tournament is returned, as its schedule is shared.
+ *
+ * @param {string} id - Tournament ID
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @returns {Promise<Object>} { tournament, eventIds } or { status, message } on failure
+ */
+const loadOwnTournament = async (id, admin) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: 'Invalid tournament ID format' };
+  }
+
+  const tournament = await Tournament.findById(id);
+
+  if (!tournament) {
+    return { status: 404, message: 'Tournament not found' };
+  }
+
+  if (tournament.createdBy.toString() !== admin.id.toString()) {
+    return { status: 403, message: 'You do not have permission to manage this tournament' };
+  }
+
+  const owner = await getScheduleOwner(tournament);
+  return { tournament: owner, eventIds: await getEventIds(owner) };
+};
+
+/**
+ * Emit Schedule Updated (Helper)
+ *
+ * @param {Array} eventIds - Main tournament and divisions sharing the schedule
+ */
+const emitEventsScheduleUpdated = (eventIds) => {
+  eventIds.forEach(eventId => emitScheduleUpdated(eventId.toString()));
+};
+
+/**
+ * Get Schedule
+ *
+ * Returns the schedule settings and the court queues of a tournament.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSchedule = async (req, res) => {
+  try {
+    const loaded = await loadOwnTournament(req.params.id, req.admin);
+    if (loaded.status) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message
+      });
+    }
+
+    const { tournament, eventIds } = loaded;
+    const [matches, divisions] = await Promise.all([
+      Match.find({
+        tournamentId: { $in: eventIds },
+        status: { $in: ['upcoming', 'live'] }
+      })
+        .populate('participantA', 'name players')
+        .populate('participantB', 'name players')
+        .populate('partnerA', 'name players')
+        .populate('partnerB', 'name players')
+        .lean(),
+      Tournament.find({ parentTournament: tournament._id }).select(DIVISION_FIELDS).lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        // Main tournament whose settings apply, and the divisions sharing them
+        tournament: { id: tournament._id, name: tournament.name },
+        divisions,
+        settings: getScheduleSettings(tournament),
+        courts: getCourtQueues(tournament, matches),
+        unassigned: matches.filter(match => match.status === 'upcoming' && !match.courtNumber)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update Schedule Settings
+ *
+ * Sets the courts, start time, slot length and rest time. Can be changed
+ * at any time; run the scheduler again to apply them to upcoming matches.
+ * For a division, the shared settings of the main tournament are changed.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateScheduleSettings = async (req, res) => {
+  try {
+    const { courts, startTime, slotMinutes, restMinutes } = req.body;
+
+    const settingsError = validateScheduleSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const loaded = await loadOwnTournament(req.params.id, req.admin);
+    if (loaded.status) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message
+      });
+    }
+
+    const { tournament } = loaded;
+
+    if (courts !== undefined) {
+      tournament.schedule.courts = courts.map(court => ({
+        number: Number(court.number),
+        name: court.name?.trim() || null,
+        availableFrom: court.availableFrom || null,
+        availableUntil: court.availableUntil || null
+      }));
+    }
+    if (startTime !== undefined) tournament.schedule.startTime = startTime || null;
+    if (slotMinutes !== undefined) tournament.schedule.slotMinutes = Number(slotMinutes);
+    if (restMinutes !== undefined) tournament.schedule.restMinutes = Number(restMinutes);
+
+    await tournament.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule settings updated successfully',
+      data: getScheduleSettings(tournament)
+    });
+  } catch (error) {
+    console.error('Error updating schedule settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating schedule settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Generate Schedule
+ *
+ * Assigns a court and start time to every upcoming match (see
+ * schedule.service.js). Previous assignments of upcoming matches are
+ * replaced; live and completed matches are not moved.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const generateSchedule = async (req, res) => {
+  try {
+    const loaded = await loadOwnTournament(req.params.id, req.admin);
+    if (loaded.status) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message
+      });
+    }
+
+    const { tournament, eventIds } = loaded;
+    const matches = await Match.find({ tournamentId: { $in: eventIds } }).lean();
+
+    if (!matches.some(match => match.status === 'upcoming')) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no upcoming matches to schedule'
+      });
+    }
+
+    let schedule;
+    try {
+      schedule = buildSchedule(tournament, matches, {
+        playersOf: await getPlayersOfParticipants(eventIds)
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await Match.bulkWrite(schedule.assignments.map(assignment => ({
+      updateOne: {
+        filter: { _id: assignment.matchId, status: 'upcoming' },
+        update: { $set: { courtNumber: assignment.courtNumber, scheduledTime: assignment.scheduledTime } }
+      }
+    })));
+
+    // Matches that could not be placed lose any old slot
+    if (schedule.unscheduled.length > 0) {
+      await Match.updateMany(
+        { _id: { $in: schedule.unscheduled.map(entry => entry.matchId) }, status: 'upcoming' },
+        { $set: { scheduledTime: null } }
+      );
+    }
+
+    emitEventsScheduleUpdated(eventIds);
+
+    res.status(200).json({
+      success: true,
+      message: `Scheduled ${schedule.assignments.length} matches`,
+      data: schedule
+    });
+  } catch (error) {
+    console.error('Error generating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Clear Schedule
+ *
+ * Removes court and time assignments from every upcoming match.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const clearSchedule = async (req, res) => {
+  try {
+    const loaded = await loadOwnTournament(req.params.id, req.admin);
+    if (loaded.status) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message
+      });
+    }
+
+    const { eventIds } = loaded;
+    const result = await Match.updateMany(
+      { tournamentId: { $in: eventIds }, status: 'upcoming' },
+      { $set: { courtNumber: null, scheduledTime: null } }
+    );
+
+    emitEventsScheduleUpdated(eventIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule cleared successfully',
+      data: { cleared: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error clearing schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing schedule',
+      error: error.message
+    });
+  }
+};
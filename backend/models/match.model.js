@@ -10,6 +10,41 @@
  */
 
 import mongoose from 'mongoose';
+import { BEST_OF_OPTIONS, summarizeMatch } from '../services/scoring.service.js';
+
+// Score of a single game within a match
+const gameSchema = new mongoose.Schema(
+  {
+    a: {
+      type: Number,
+      required: true,
+      min: [0, 'Game score cannot be negative']
+    },
+    b: {
+      type: Number,
+      required: true,
+      min: [0, 'Game score cannot be negative']
+    }
+  },
+  { _id: false }
+);
+
+// Who is serving in side-out scoring (see rules.service.js)
+const serveSchema = new mongoose.Schema(
+  {
+    team: {
+      type: String,
+      enum: ['A', 'B'],
+      required: true
+    },
+    serverNumber: {
+      type: Number,
+      enum: [1, 2],
+      required: true
+    }
+  },
+  { _id: false }
+);
 
 const matchSchema = new mongoose.Schema(
   {
@@ -39,6 +74,19 @@ const matchSchema = new mongoose.Schema(
       required: false, // Can be null for TBD (To Be Declared) in knockout brackets
       default: null
     },
+    // Rotating partners: the individuals playing alongside participantA / participantB
+    // this match (null in every other format, where a participant is a whole team)
+    partnerA: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      default: null
+    },
+    partnerB: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      default: null
+    },
+    // Headline score: points for best of 1, games won for best of 3/5
     score: {
       a: {
         type: Number,
@@ -51,6 +99,25 @@ const matchSchema = new mongoose.Schema(
         min: [0, 'Score cannot be negative']
       }
     },
+    games: {
+      type: [gameSchema],
+      default: []
+      // Ordered game-by-game scores. Empty for matches recorded before game scoring.
+    },
+    bestOf: {
+      type: Number,
+      default: null,
+      // Per-match override. null = use round/tournament setting (see scoring.service.js)
+      validate: {
+        validator: (value) => value === null || BEST_OF_OPTIONS.includes(value),
+        message: `Best of must be one of: ${BEST_OF_OPTIONS.join(', ')}`
+      }
+    },
+    serve: {
+      type: serveSchema,
+      default: null
+      // Current serving team/server for side-out scoring. null when not tracked.
+    },
     status: {
       type: String,
       enum: ['upcoming', 'live', 'completed', 'cancelled'],
@@ -59,6 +126,26 @@ const matchSchema = new mongoose.Schema(
       // Index for filtering by status (very common public query)
       index: true
     },
+    // How a completed match was decided (see scoring.service.js):
+    // 'played' = on the scores; otherwise the side in forfeitedBy loses
+    // whatever the score ('doubleForfeit': both sides lose)
+    outcome: {
+      type: String,
+      enum: ['played', 'walkover', 'retired', 'disqualified', 'doubleForfeit'],
+      default: 'played'
+    },
+    forfeitedBy: {
+      type: String,
+      enum: ['A', 'B', 'both', null],
+      default: null
+    },
+    outcomeReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+      // e.g. "Injury", "No show"
+    },
     courtNumber: {
       type: Number,
       min: [1, 'Court number must be at least 1'],
@@ -66,6 +153,11 @@ const matchSchema = new mongoose.Schema(
       // Index for filtering matches by court (useful for live viewing)
       sparse: true // Sparse index: only indexes documents with courtNumber
     },
+    scheduledTime: {
+      type: Date,
+      default: null
+      // Start of the time slot the match is scheduled in (see schedule.service.js)
+    },
     order: {
       type: Number,
       min: [0, 'Order cannot be negative'],
@@ -73,6 +165,51 @@ const matchSchema = new mongoose.Schema(
       // Used for ordering matches within a round
       // Index for sorting matches in correct order
       index: true
+    },
+    // Double elimination: which bracket the match belongs to; 'placement' for
+    // matches for places in a knockout (null for other matches)
+    bracket: {
+      type: String,
+      enum: ['winners', 'losers', 'grandFinal', 'grandFinalReset', 'placement', null],
+      default: null
+    },
+    // Bracket links: where the winner and loser of this match go next.
+    // Set when fixtures are generated. null = no next match.
+    nextMatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      default: null
+    },
+    nextMatchSlot: {
+      type: String,
+      enum: ['A', 'B', null],
+      default: null
+    },
+    loserMatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      default: null
+    },
+    loserMatchSlot: {
+      type: String,
+      enum: ['A', 'B', null],
+      default: null
+    },
+    // Final places: where the winner / loser finishes when they play no more
+    // matches (see addPlacementMatches). null = plays on (or no placings).
+    winnerPlace: {
+      type: Number,
+      default: null
+    },
+    loserPlace: {
+      type: Number,
+      default: null
+      // Shared by the losers of a round without placement matches (e.g. 5 = joint 5th)
+    },
+    bye: {
+      type: Boolean,
+      default: false
+      // Swiss: participantA sits the round out and is given the win (no participantB)
     }
   },
   {
@@ -95,6 +232,9 @@ matchSchema.index({ tournamentId: 1, status: 1, createdAt: -1 });
 // Index for court-based queries (useful for live court viewing)
 matchSchema.index({ courtNumber: 1, status: 1 });
 
+// Index for a tournament's court queues and timetable
+matchSchema.index({ tournamentId: 1, courtNumber: 1, scheduledTime: 1 });
+
 // Index for round-based queries (fetching all matches in a round)
 matchSchema.index({ tournamentId: 1, round: 1, order: 1 });
 
@@ -106,12 +246,13 @@ matchSchema.virtual('winner').get(function () {
   if (this.status !== 'completed') {
     return null;
   }
-  if (this.score.a > this.score.b) {
-    return 'A';
-  } else if (this.score.b > this.score.a) {
-    return 'B';
+  // Winner is decided by games won (single game for legacy matches),
+  // or by the outcome when a side forfeited
+  const { winner } = summarizeMatch(this);
+  if (!winner && this.outcome === 'doubleForfeit') {
+    return null;
   }
-  return 'draw'; // Handle tie scenarios if applicable
+  return winner || 'draw'; // Handle tie scenarios if applicable
 });
 
 // Virtual to check if match is in progress
@@ -4,12 +4,71 @@
  * This model defines the schema for tournament participants (players/teams).
  * For singles tournaments, participants have one player.
  * For doubles tournaments, participants have two players.
+ * Participants can have a seed (1 = top seed) used for knockout bracket placement.
+ * A participant who withdraws or is disqualified mid-tournament keeps their
+ * record; their remaining matches are forfeited (see withdrawal.service.js).
+ * Players can be substituted mid-event: the change is recorded with the
+ * matches the previous players played (see substitution.service.js).
+ * Each player name is linked to a Player registry record through playerIds,
+ * so the same person can be followed across tournaments.
  * 
  * Optimized for public viewing with indexes on tournamentId for fast lookups.
  */
 
 import mongoose from 'mongoose';
 
+// A change of players after matches were played (see substitution.service.js)
+const substitutionSchema = new mongoose.Schema(
+  {
+    previousPlayers: {
+      type: [String],
+      default: []
+    },
+    previousPlayerIds: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+      }],
+      default: []
+    },
+    players: {
+      type: [String],
+      default: []
+    },
+    playerIds: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+      }],
+      default: []
+    },
+    matchIds: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Match'
+      }],
+      default: []
+      // Completed matches at the time, played by the previous players
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+    },
+    substitutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
 const participantSchema = new mongoose.Schema(
   {
     name: {
@@ -31,6 +90,50 @@ const participantSchema = new mongoose.Schema(
       }
       // Note: Individual player names should be trimmed at application level
     },
+    playerIds: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+      }],
+      default: []
+      // Player registry records, in the same order as `players`.
+      // An entry is null when the player could not be matched (see player.service.js)
+    },
+    seed: {
+      type: Number,
+      default: null,
+      min: [1, 'Seed must be 1 or higher'],
+      validate: {
+        validator: function (seed) {
+          return seed === null || Number.isInteger(seed);
+        },
+        message: 'Seed must be a whole number'
+      }
+      // Bracket seed (1 = top seed). Null = unseeded.
+      // Unique per tournament - enforced at application level
+    },
+    status: {
+      type: String,
+      enum: ['active', 'withdrawn', 'disqualified'],
+      default: 'active'
+    },
+    substitutions: {
+      type: [substitutionSchema],
+      default: []
+      // Oldest first
+    },
+    withdrawal: {
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+        default: null
+      },
+      at: {
+        type: Date,
+        default: null
+      }
+    },
     tournamentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Tournament',
@@ -49,6 +152,9 @@ const participantSchema = new mongoose.Schema(
 // Essential for fetching all participants of a specific tournament
 participantSchema.index({ tournamentId: 1, createdAt: 1 });
 
+// Index for finding a player's participations (player profile)
+participantSchema.index({ playerIds: 1 });
+
 // Index for searching participants by name (useful for public search)
 participantSchema.index({ name: 'text' });
 
@@ -0,0 +1,116 @@
+/**
+ * Player Model
+ *
+ * This model defines the player registry: one record per person, shared by
+ * every tournament. Participants link to their players through
+ * participant.playerIds, so a player's matches and results can be followed
+ * across tournaments.
+ *
+ * Players are matched by email first, then by name (see player.service.js),
+ * so uploading the same person to a second tournament links to the same record.
+ */
+
+import mongoose from 'mongoose';
+
+const playerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Player name is required'],
+      trim: true,
+      maxlength: [100, 'Player name cannot exceed 100 characters']
+    },
+    normalizedName: {
+      type: String,
+      // Lowercase name with single spaces, used for duplicate matching (set on save)
+      index: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+      match: [
+        /^\S+@\S+\.\S+$/,
+        'Please provide a valid email address'
+      ]
+    },
+    rating: {
+      type: Number,
+      min: [1, 'Rating must be between 1 and 8'],
+      max: [8, 'Rating must be between 1 and 8'],
+      default: null
+      // DUPR-style skill rating (e.g. 3.5)
+    },
+    club: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Club name cannot exceed 100 characters'],
+      default: null
+    },
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other', null],
+      default: null
+    },
+    dateOfBirth: {
+      type: Date,
+      default: null
+    },
+    eloRating: {
+      type: Number,
+      default: null
+      // Elo rating from completed matches (see rating.service.js), null until the first rated match
+    },
+    ratedMatches: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    versionKey: false
+  }
+);
+
+/**
+ * Normalize Player Name
+ *
+ * @param {string} name - Player name
+ * @returns {string} Lowercase name with surrounding and repeated spaces removed
+ */
+export const normalizePlayerName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Keep the normalized name in sync for duplicate matching
+playerSchema.pre('validate', function (next) {
+  this.normalizedName = normalizePlayerName(this.name);
+  next();
+});
+
+// Index for matching players by email (duplicate detection)
+playerSchema.index({ email: 1 });
+
+// Index for listing players by Elo rating
+playerSchema.index({ eloRating: -1 });
+
+// Index for searching players by name
+playerSchema.index({ name: 'text' });
+
+// Ensure virtuals are included in JSON output
+playerSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Player = mongoose.model('Player', playerSchema);
+
+export default Player;
@@ -0,0 +1,100 @@
+/**
+ * Point Event Model
+ *
+ * This model defines the append-only rally-by-rally log for a match.
+ * Events are never edited or deleted. Undoing a point appends an 'undo'
+ * event that cancels the most recent active event.
+ *
+ * The match score (games, headline score, serve) is derived by replaying
+ * the log - see pointLog.service.js.
+ *
+ * Event types:
+ * - point: Rally won by `team`
+ * - fault: Fault committed by `team` (rally won by the other team)
+ * - sideOut: Serving team lost the rally (serve passes on)
+ * - timeout: Timeout called by `team` (no score change)
+ * - undo: Cancels the event referenced by `undoes`
+ */
+
+import mongoose from 'mongoose';
+
+const pointEventSchema = new mongoose.Schema(
+  {
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      required: [true, 'Match ID is required']
+    },
+    tournamentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: [true, 'Tournament ID is required']
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: [1, 'Sequence must start at 1']
+      // Position in the match log (1, 2, 3, ...)
+    },
+    type: {
+      type: String,
+      enum: ['point', 'fault', 'sideOut', 'timeout', 'undo'],
+      required: [true, 'Event type is required']
+    },
+    team: {
+      type: String,
+      enum: ['A', 'B', null],
+      default: null
+      // Team that won the point / committed the fault / called the timeout
+    },
+    undoes: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PointEvent',
+      default: null
+      // Event cancelled by an 'undo' event
+    },
+    gameNumber: {
+      type: Number,
+      min: 1,
+      required: true
+      // Game the event was recorded in (1-based)
+    },
+    // Score and serve after this event was applied (snapshot for the timeline)
+    scoreAfter: {
+      a: { type: Number, default: 0 },
+      b: { type: Number, default: 0 }
+    },
+    serveAfter: {
+      team: { type: String, enum: ['A', 'B', null], default: null },
+      serverNumber: { type: Number, default: null }
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Events are never updated
+    versionKey: false
+  }
+);
+
+// Unique sequence per match (prevents two admins appending the same position)
+pointEventSchema.index({ matchId: 1, sequence: 1 }, { unique: true });
+
+// Index for fetching a tournament's recent events
+pointEventSchema.index({ tournamentId: 1, createdAt: -1 });
+
+// Ensure virtuals are included in JSON output
+pointEventSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const PointEvent = mongoose.model('PointEvent', pointEventSchema);
+
+export default PointEvent;
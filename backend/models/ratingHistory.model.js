@@ -0,0 +1,92 @@
+/**
+ * Rating History Model
+ *
+ * This model records every Elo rating change of a player: one entry per
+ * player per rated match, with the rating before and after, the team and
+ * opponent ratings used and the result.
+ *
+ * When a rated match is rated again (e.g. after its result is amended),
+ * its entries are reverted and replaced. See rating.service.js.
+ */
+
+import mongoose from 'mongoose';
+
+const ratingHistorySchema = new mongoose.Schema(
+  {
+    playerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      required: [true, 'Player ID is required']
+    },
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      required: [true, 'Match ID is required']
+    },
+    tournamentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: [true, 'Tournament ID is required']
+    },
+    before: {
+      type: Number,
+      required: true
+    },
+    after: {
+      type: Number,
+      required: true
+    },
+    change: {
+      type: Number,
+      required: true
+    },
+    teamRating: {
+      type: Number,
+      required: true
+      // Average rating of the player's side (equal to before in singles)
+    },
+    opponentRating: {
+      type: Number,
+      required: true
+      // Average rating of the other side
+    },
+    expected: {
+      type: Number,
+      required: true
+      // Expected score (0-1) of the player's side before the match
+    },
+    result: {
+      type: String,
+      enum: ['won', 'lost'],
+      required: true
+    },
+    margin: {
+      type: Number,
+      default: 0
+      // Point difference of the match from the player's side
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Entries are never updated
+    versionKey: false
+  }
+);
+
+// Index for a player's rating history
+ratingHistorySchema.index({ playerId: 1, createdAt: -1 });
+
+// Index for reverting the entries of a match
+ratingHistorySchema.index({ matchId: 1 });
+
+// Ensure virtuals are included in JSON output
+ratingHistorySchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const RatingHistory = mongoose.model('RatingHistory', ratingHistorySchema);
+
+export default RatingHistory;
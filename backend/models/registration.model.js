@@ -0,0 +1,134 @@
+/**
+ * Registration Model
+ *
+ * This model stores the entries players send through the public
+ * registration form. An entry is for one tournament or division and holds
+ * the player (and partner) details, the waiver text that was accepted and
+ * where the entry stands:
+ * - pending: holds a place, waiting for an admin to approve it
+ * - approved: a participant was created for it (participantId)
+ * - waitlisted: the tournament was full; promoted in order when a place frees up
+ * - rejected: turned down by an admin
+ * - withdrawn: withdrawn by the player, or the participant was removed
+ *
+ * See registration.service.js for capacity and the waitlist.
+ */
+
+import mongoose from 'mongoose';
+
+// One player of an entry, with the details used for the player registry
+const entryPlayerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Player name is required'],
+      trim: true,
+      maxlength: [100, 'Player name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null
+    },
+    rating: {
+      type: Number,
+      default: null
+    },
+    club: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other', null],
+      default: null
+    },
+    dateOfBirth: {
+      type: Date,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const registrationSchema = new mongoose.Schema(
+  {
+    tournamentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: [true, 'Tournament ID is required'],
+      index: true
+    },
+    players: {
+      type: [entryPlayerSchema],
+      validate: {
+        validator: (players) => players.length > 0 && players.length <= 2,
+        message: 'An entry must have 1-2 players'
+      }
+      // Partner second for doubles
+    },
+    contactEmail: {
+      type: String,
+      required: [true, 'Contact email is required'],
+      trim: true,
+      lowercase: true
+    },
+    waiver: {
+      type: String,
+      default: null
+      // Waiver text accepted with the entry (null = the tournament had none)
+    },
+    waiverAcceptedAt: {
+      type: Date,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'waitlisted', 'rejected', 'withdrawn'],
+      default: 'pending',
+      required: true
+    },
+    participantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      default: null
+      // Set when the entry is approved
+    },
+    withdrawToken: {
+      type: String,
+      required: true,
+      select: false
+      // sha256 hash of the token given to the player once, so they can
+      // withdraw without an account
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+      // Why an entry was rejected
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields (waitlist order is createdAt)
+    versionKey: false
+  }
+);
+
+// Entries of a tournament by status, oldest first (waitlist promotion)
+registrationSchema.index({ tournamentId: 1, status: 1, createdAt: 1 });
+
+const Registration = mongoose.model('Registration', registrationSchema);
+
+export default Registration;
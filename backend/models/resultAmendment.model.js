@@ -0,0 +1,133 @@
+/**
+ * Result Amendment Model
+ *
+ * This model records every admin correction of a completed match result.
+ * Amendments are never edited or deleted: each one stores the score and
+ * winner before and after, the reason given, and which later bracket
+ * matches had a participant replaced because of it.
+ *
+ * See amendment.service.js for how amendments are applied.
+ */
+
+import mongoose from 'mongoose';
+
+const gameScoreSchema = new mongoose.Schema(
+  {
+    a: { type: Number, default: 0 },
+    b: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
+
+const affectedMatchSchema = new mongoose.Schema(
+  {
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true
+    },
+    round: {
+      type: String,
+      default: null
+    },
+    slot: {
+      type: String,
+      enum: ['A', 'B'],
+      required: true
+    },
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      default: null
+      // Participant removed from the slot
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      default: null
+      // Participant placed in the slot
+    },
+    status: {
+      type: String,
+      default: null
+      // Status of the match when it was changed
+    }
+  },
+  { _id: false }
+);
+
+const resultAmendmentSchema = new mongoose.Schema(
+  {
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      required: [true, 'Match ID is required']
+    },
+    tournamentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: [true, 'Tournament ID is required']
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    previousGames: {
+      type: [gameScoreSchema],
+      default: []
+    },
+    games: {
+      type: [gameScoreSchema],
+      default: []
+    },
+    previousWinner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      default: null
+    },
+    newWinner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      default: null
+    },
+    forced: {
+      type: Boolean,
+      default: false
+      // True when later matches that had already started were changed
+    },
+    affectedMatches: {
+      type: [affectedMatchSchema],
+      default: []
+    },
+    amendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Amendments are never updated
+    versionKey: false
+  }
+);
+
+// Index for a match's amendment history
+resultAmendmentSchema.index({ matchId: 1, createdAt: -1 });
+
+// Index for a tournament's amendment history
+resultAmendmentSchema.index({ tournamentId: 1, createdAt: -1 });
+
+// Ensure virtuals are included in JSON output
+resultAmendmentSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const ResultAmendment = mongoose.model('ResultAmendment', resultAmendmentSchema);
+
+export default ResultAmendment;
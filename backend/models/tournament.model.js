@@ -8,6 +8,200 @@
 
 import mongoose from 'mongoose';
 
+const courtSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: [true, 'Court number is required'],
+      min: [1, 'Court number must be at least 1']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Court name cannot exceed 50 characters'],
+      default: null
+    },
+    // Optional window in which the court can be used (null = open)
+    availableFrom: {
+      type: Date,
+      default: null
+    },
+    availableUntil: {
+      type: Date,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+// Participant as it went into a draw, so the draw can be replayed later
+const drawParticipantSchema = new mongoose.Schema(
+  {
+    participantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Participant',
+      required: true
+    },
+    seed: {
+      type: Number,
+      default: null
+    },
+    rating: {
+      type: Number,
+      default: null
+      // Team rating used by the draw (null = unrated or ratings not used)
+    },
+    clubs: {
+      type: [String],
+      default: undefined
+      // Only stored when clubs were kept apart
+    }
+  },
+  { _id: false }
+);
+
+// How a tie in the standings was decided (see standings.service.js)
+const tiebreakDecisionSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: true
+      // 'overall', the group round (e.g. "Group A") or 'wildcards'
+    },
+    key: {
+      type: String,
+      required: true
+      // Sorted IDs of the tied participants
+    },
+    participantIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Participant',
+      default: []
+    },
+    order: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Participant',
+      default: []
+      // Decided order, first = highest
+    },
+    method: {
+      type: String,
+      enum: ['coinFlip', 'admin'],
+      required: true
+    },
+    seed: {
+      type: String,
+      default: null
+      // Coin flips: seed of the flip (see random.service.js)
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// Final group positions locked by an admin (see standings.service.js)
+const groupLockSchema = new mongoose.Schema(
+  {
+    group: {
+      type: String,
+      required: true
+      // Group round, e.g. "Group A"
+    },
+    order: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Participant',
+      default: []
+      // Final positions, first = 1st
+    },
+    qualifiers: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Participant',
+      default: []
+      // Advance to the knockout (empty = the top places, as usual)
+    },
+    reserves: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Participant',
+      default: []
+      // Next in line when a knockout place is left open
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: [true, 'A reason is required to lock group positions'],
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// A random draw (see random.service.js and draw.service.js)
+const drawSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['fixtures', 'groupTournament', 'customRound'],
+      required: true
+    },
+    round: {
+      type: String,
+      default: null
+      // Custom rounds: name of the round drawn
+    },
+    method: {
+      type: String,
+      default: null
+      // Group tournaments: group draw method, or 'manual' for groups given by the admin
+    },
+    seed: {
+      type: String,
+      required: true
+    },
+    algorithmVersion: {
+      type: Number,
+      required: true
+    },
+    participants: {
+      type: [drawParticipantSchema],
+      default: []
+      // In the order the draw used them
+    },
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+      // Settings the draw depends on, e.g. { format, groupSize } or { distribution, stage1Format }
+    },
+    drawnAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
 const tournamentSchema = new mongoose.Schema(
   {
     name: {
@@ -34,8 +228,10 @@ const tournamentSchema = new mongoose.Schema(
     },
     format: {
       type: String,
-      enum: ['group', 'roundRobin', 'knockout', 'custom'],
+      enum: ['group', 'roundRobin', 'knockout', 'doubleElimination', 'custom', 'swiss', 'rotatingPartners'],
       required: [true, 'Tournament format is required']
+      // swiss: rounds are paired from the standings one at a time (see swiss.service.js)
+      // rotatingPartners: individuals play doubles with a new partner each round (see fixture.service.js)
     },
     rules: {
       points: {
@@ -49,6 +245,153 @@ const tournamentSchema = new mongoose.Schema(
         enum: ['rally', 'pickleball'],
         default: 'rally',
         required: true
+      },
+      cap: {
+        type: Number,
+        default: null,
+        min: [1, 'Score cap must be positive']
+        // Optional score at which a game ends without a 2-point lead (e.g. 15)
+      },
+      bestOf: {
+        type: Number,
+        enum: [1, 3, 5],
+        default: 1
+        // Default number of games per match
+      },
+      roundBestOf: {
+        type: Map,
+        of: Number,
+        default: {}
+        // Per-round overrides, e.g. { "Semi Finals": 3, "Final": 5 }
+      },
+      bracketReset: {
+        type: Boolean,
+        default: true
+        // Double elimination: play a second grand final if the losers bracket champion wins the first
+      },
+      placement: {
+        type: String,
+        enum: ['none', 'thirdPlace', 'full'],
+        default: 'none'
+        // Knockouts: matches for 3rd place ('thirdPlace') or for every place ('full': 5th-8th, ...)
+      },
+      forfeitPoints: {
+        type: Number,
+        min: [0, 'Forfeit points cannot be negative'],
+        default: null
+        // Walkovers and disqualifications: points the winner is given per game
+        // needed to win, to 0 (null = the points of a game, e.g. 11-0)
+      },
+      tiebreakers: {
+        type: [{
+          type: String,
+          enum: ['headToHead', 'buchholz', 'sonnebornBerger', 'pointDifference', 'pointsFor', 'gameRatio', 'pointRatio', 'fewestPointsAgainst', 'coinFlip', 'adminDecision']
+        }],
+        default: undefined
+        // Standings tiebreakers after wins, in order (see standings.service.js; unset = default chain for the format)
+      }
+    },
+    // Group stage qualification for the knockout (see qualification.service.js)
+    qualification: {
+      perGroup: {
+        type: Number,
+        min: [1, 'At least 1 player per group must qualify'],
+        default: null
+        // Top places of every group that qualify (null = worked out from the knockout size)
+      },
+      wildcards: {
+        type: Number,
+        min: [0, 'Wildcards cannot be negative'],
+        default: 0
+        // Best players of place perGroup + 1 across groups that also qualify
+      }
+    },
+    // Who may enter, e.g. a skill or age band (see eligibility.service.js)
+    eligibility: {
+      minRating: {
+        type: Number,
+        min: [1, 'Minimum rating must be between 1 and 8'],
+        max: [8, 'Minimum rating must be between 1 and 8'],
+        default: null
+      },
+      maxRating: {
+        type: Number,
+        min: [1, 'Maximum rating must be between 1 and 8'],
+        max: [8, 'Maximum rating must be between 1 and 8'],
+        default: null
+      },
+      minAge: {
+        type: Number,
+        min: [0, 'Minimum age cannot be negative'],
+        default: null
+        // Age on the tournament date
+      },
+      gender: {
+        type: String,
+        enum: ['open', 'male', 'female', 'mixed'],
+        default: 'open'
+        // mixed: doubles teams of one man and one woman
+      }
+    },
+    // Public self-registration (see registration.service.js)
+    registration: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      opensAt: {
+        type: Date,
+        default: null
+        // null = open as soon as registration is enabled
+      },
+      closesAt: {
+        type: Date,
+        default: null
+        // null = open until registration is disabled
+      },
+      capacity: {
+        type: Number,
+        min: [2, 'Capacity must be at least 2'],
+        default: null
+        // Entries accepted before new ones go on the waitlist (null = no limit)
+      },
+      requireApproval: {
+        type: Boolean,
+        default: true
+        // false = entries within capacity become participants straight away
+      },
+      waiver: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Waiver cannot exceed 5000 characters'],
+        default: null
+        // Text players must accept to enter (null = no waiver)
+      }
+    },
+    // Court schedule: courts to play on and the time grid matches are placed in
+    // (see schedule.service.js)
+    schedule: {
+      courts: {
+        type: [courtSchema],
+        default: []
+      },
+      startTime: {
+        type: Date,
+        default: null
+        // Start of the first time slot
+      },
+      slotMinutes: {
+        type: Number,
+        min: [5, 'Slot length must be at least 5 minutes'],
+        max: [240, 'Slot length cannot exceed 240 minutes'],
+        default: 20
+        // Time reserved for one match on a court
+      },
+      restMinutes: {
+        type: Number,
+        min: [0, 'Rest time cannot be negative'],
+        default: 0
+        // Minimum time between the end of a participant's match and the start of their next one
       }
     },
     status: {
@@ -75,6 +418,29 @@ const tournamentSchema = new mongoose.Schema(
       default: true,
       // Index for filtering public tournaments (essential for public viewing)
       index: true
+    },
+    // Main tournament of a division (null = a main tournament). Divisions share
+    // the courts and schedule of their main tournament (see division.service.js)
+    parentTournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      default: null,
+      index: true
+    },
+    // Every random draw made for the tournament, oldest first (see the draw audit)
+    draws: {
+      type: [drawSchema],
+      default: []
+    },
+    // Recorded coin flips and admin decisions for ties in the standings
+    tiebreakDecisions: {
+      type: [tiebreakDecisionSchema],
+      default: []
+    },
+    // Group positions, qualifiers and reserves locked by an admin
+    groupLocks: {
+      type: [groupLockSchema],
+      default: []
     }
   },
   {
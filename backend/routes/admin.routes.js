@@ -27,24 +27,54 @@ import {
   uploadParticipants as uploadParticipantsController,
   getTournamentParticipants,
   createParticipant,
-  deleteParticipant
+  updateParticipant,
+  deleteParticipant,
+  updateParticipantSeeds,
+  withdrawParticipant
 } from '../controllers/participant.controller.js';
 import { uploadParticipants as uploadMiddleware } from '../middlewares/upload.middleware.js';
 import { generateTournamentFixtures } from '../controllers/fixture.controller.js';
 import { createCustomRound, getCustomRounds } from '../controllers/customFixture.controller.js';
-import { generateGroupTournament } from '../controllers/groupTournament.controller.js';
+import { generateGroupTournament, previewGroupDraw } from '../controllers/groupTournament.controller.js';
 import { generateKnockoutRounds } from '../controllers/groupKnockout.controller.js';
-import { getGroupStandings } from '../controllers/groupStandings.controller.js';
+import {
+  getGroupStandings,
+  getStandings,
+  decideTiebreak,
+  lockGroupStandings,
+  unlockGroupStandings
+} from '../controllers/groupStandings.controller.js';
 import {
   createMatch,
   updateMatch,
   updateMatchScore,
   completeMatch,
+  setMatchOutcome,
   deleteMatch,
   cancelMatch,
   getMatchById,
-  getTournamentMatchesAdmin
+  getTournamentMatchesAdmin,
+  amendMatchResult,
+  getMatchAmendments
 } from '../controllers/match.controller.js';
+import {
+  recordPointEvent,
+  undoLastPointEvent,
+  getMatchEventsAdmin
+} from '../controllers/pointEvent.controller.js';
+import {
+  getSchedule,
+  updateScheduleSettings,
+  generateSchedule,
+  clearSchedule
+} from '../controllers/schedule.controller.js';
+import { getPlayers, createPlayer, updatePlayer } from '../controllers/player.controller.js';
+import {
+  getRegistrations,
+  updateRegistrationSettings,
+  approveRegistration,
+  rejectRegistration
+} from '../controllers/registration.controller.js';
 
 // Create router instance
 const router = express.Router();
@@ -62,13 +92,28 @@ router.use(authenticateAdmin);
  * {
  *   "name": "Summer Tournament 2024",
  *   "type": "doubles",
- *   "format": "roundRobin",
+ *   "format": "roundRobin",  // 'group', 'roundRobin', 'knockout', 'doubleElimination', 'custom', 'swiss' or 'rotatingPartners' (doubles only)
  *   "rules": {
  *     "points": 11,
- *     "scoringSystem": "rally"
+ *     "scoringSystem": "rally",
+ *     "cap": 15,  // optional: game ends at this score even without a 2-point lead
+ *     "bestOf": 3,  // optional: 1, 3 or 5 games per match (default 1)
+ *     "roundBestOf": { "Final": 5 },  // optional: per-round overrides
+ *     "placement": "thirdPlace",  // optional: knockouts - 'none' (default), 'thirdPlace' or 'full' (every place)
+ *     "forfeitPoints": 11,  // optional: walkovers and disqualifications - points per game given to the winner
+ *       // (default: the points of a game; 0 = the win only)
+ *     "tiebreakers": ["buchholz", "sonnebornBerger"]  // optional: standings tiebreakers after wins
+ *       // (default: pointDifference, pointsFor, headToHead; Swiss: buchholz, sonnebornBerger, headToHead, pointDifference)
+ *   },
+ *   "eligibility": {  // optional: who may enter (see eligibility.service.js)
+ *     "minRating": 3.0, "maxRating": 3.5,  // optional rating band
+ *     "minAge": 50,  // optional: age on the tournament date
+ *     "gender": "mixed"  // 'open' (default), 'male', 'female' or 'mixed' (doubles: one man and one woman)
  *   },
  *   "currentRound": "Group Stage",
- *   "isPublic": true
+ *   "isPublic": true,
+ *   "parentTournament": "..."  // optional: create a division (event) of this main tournament;
+ *     // location, date and isPublic default to the main tournament's
  * }
  * 
  * Response:
@@ -98,7 +143,7 @@ router.get('/tournaments', getAllTournaments);
 /**
  * GET /api/admin/tournaments/custom
  * 
- * Get all custom tournaments (format = 'custom') created by the authenticated admin.
+ * Get all custom, Swiss and rotating-partner tournaments (format = 'custom', 'swiss' or 'rotatingPartners') created by the authenticated admin.
  * Sorted by creation date (newest first).
  * 
  * Response:
@@ -118,7 +163,11 @@ router.get('/tournaments/custom', getCustomTournaments);
  * Response:
  * {
  *   "success": true,
- *   "data": {...}
+ *   "data": {
+ *     ...,
+ *     "parent": { "_id": "...", "name": "Spring Open", ... },  // main tournament of a division, else null
+ *     "divisions": [{ "_id": "...", "name": "Men's Doubles 3.5", "type": "doubles", "format": "group", "status": "draft", "isPublic": true }]
+ *   }
  * }
  */
 router.get('/tournaments/:id', getTournament);
@@ -135,6 +184,7 @@ router.get('/tournaments/:id', getTournament);
  *   "type": "singles",
  *   "format": "knockout",
  *   "rules": { ... },  // Only editable in draft
+ *   "eligibility": { ... },  // Applies to participants added after the change
  *   "currentRound": "Quarter Finals",
  *   "isPublic": false
  * }
@@ -152,7 +202,7 @@ router.put('/tournaments/:id', updateTournament);
  * DELETE /api/admin/tournaments/:id
  * 
  * Delete a tournament. Only the creator can delete.
- * Live tournaments cannot be deleted.
+ * Live tournaments cannot be deleted, nor main tournaments with divisions.
  * 
  * Response:
  * {
@@ -225,11 +275,17 @@ router.get('/tournaments/:id/participants', getTournamentParticipants);
  * Request body:
  * {
  *   "name": "Team A",
- *   "players": ["John Doe", "Jane Doe"]  // For doubles
+ *   "players": ["John Doe", "Jane Doe"],  // For doubles
  *   // OR
- *   "players": ["John Doe"]  // For singles
+ *   "players": ["John Doe"],  // For singles
+ *   "playerIds": ["...", null],  // Optional, player registry IDs in the same order as players
+ *                                // (null or missing = match by name or create)
+ *   "seed": 1  // Optional, 1 = top seed (must be unique in the tournament)
  * }
  * 
+ * The players must meet the tournament's eligibility rules, checked with
+ * their player registry details (400 with the violations in errors).
+ * 
  * Response:
  * {
  *   "success": true,
@@ -242,20 +298,200 @@ router.get('/tournaments/:id/participants', getTournamentParticipants);
  */
 router.post('/tournaments/:id/participants', createParticipant);
 
+/**
+ * PUT /api/admin/tournaments/:id/participants/seeds
+ * 
+ * Set or clear seeds for several participants at once.
+ * Seeds decide bracket placement when knockout fixtures are generated:
+ * standard seeding (1 v 16, 8 v 9, ...) with byes for the top seeds.
+ * Unseeded participants are drawn randomly into the remaining seed slots.
+ * 
+ * Request body:
+ * {
+ *   "seeds": [
+ *     { "participantId": "...", "seed": 1 },
+ *     { "participantId": "...", "seed": null }  // Clears the seed
+ *   ]
+ * }
+ * 
+ * Validations:
+ * - Participants must belong to the tournament
+ * - Seeds must be whole numbers of 1 or higher, unique in the tournament
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Updated 2 seed(s)",
+ *   "data": {
+ *     "participants": [...],
+ *     "count": 10
+ *   }
+ * }
+ */
+router.put('/tournaments/:id/participants/seeds', updateParticipantSeeds);
+
+/**
+ * PUT /api/admin/tournaments/:id/participants/:participantId
+ * 
+ * Rename a participant or change its players. Matches, standings and
+ * bracket place are kept.
+ * Once the participant has completed a match, a change of players must be
+ * a substitution: it is recorded on the participant, and the matches
+ * played so far stay with the previous players (player profiles, ratings).
+ * 
+ * Request body (all optional, at least a name or players):
+ * {
+ *   "name": "Team Smash",           // A name generated from the players follows new players
+ *   "players": ["Alice", "Carol"],
+ *   "playerIds": [null, "..."],     // Player registry IDs (same order as players)
+ *   "substitute": true,             // Record the change as a substitution
+ *   "reason": "Bob injured"
+ * }
+ * 
+ * Validations:
+ * - Number of players must fit the tournament type
+ * - New players must meet the eligibility rules
+ * - Players cannot change during a live match of the participant
+ * - Name must be unique in the tournament
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Substitution recorded successfully",
+ *   "data": {
+ *     "participant": { ..., "substitutions": [...] },
+ *     "substitution": { "previousPlayers": ["Alice", "Bob"], "players": ["Alice", "Carol"], "matchIds": [...], ... }
+ *   }
+ * }
+ */
+router.put('/tournaments/:id/participants/:participantId', updateParticipant);
+
 /**
  * DELETE /api/admin/tournaments/:id/participants/:participantId
  * 
  * Delete a participant from a tournament.
  * Cannot delete if participant is involved in any matches.
+ * A self-registered participant's entry is withdrawn and the waitlist
+ * promoted into the place.
  * 
  * Response:
  * {
  *   "success": true,
- *   "message": "Participant deleted successfully"
+ *   "message": "Participant deleted successfully",
+ *   "data": { "promotedFromWaitlist": 1 }
  * }
  */
 router.delete('/tournaments/:id/participants/:participantId', deleteParticipant);
 
+/**
+ * POST /api/admin/tournaments/:id/participants/:participantId/withdraw
+ * 
+ * Withdraw or disqualify a participant mid-tournament. Results so far
+ * stand; every match they still have to play is forfeited and progressed:
+ * walkovers for their opponents (a match being played is a retirement at
+ * the current score), or disqualifications. Matches waiting for an
+ * opponent are forfeited once the opponent is known. They are left out of
+ * new Swiss rounds.
+ * 
+ * Request body:
+ * {
+ *   "disqualify": false, // Optional: true = disqualified instead of withdrawn
+ *   "reason": "Injury"   // Optional
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Alice withdrawn. 2 match(es) decided by forfeit.",
+ *   "data": {
+ *     "participant": { "status": "withdrawn", "withdrawal": { "reason": "Injury", "at": "..." }, ... },
+ *     "forfeitedMatches": 2,
+ *     "waitingMatches": 0,
+ *     "progression": { "updatedRounds": [...], "updatedMatches": [...], "forfeitedMatches": [...], ... }
+ *   }
+ * }
+ */
+router.post('/tournaments/:id/participants/:participantId/withdraw', withdrawParticipant);
+
+/**
+ * GET /api/admin/tournaments/:id/registrations
+ * 
+ * Get the registration settings, the registration state (places taken and
+ * left, waitlist length) and every self-registered entry by status.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "settings": { "enabled": true, "opensAt": null, "closesAt": "...", "capacity": 16, "requireApproval": true, "waiver": "..." },
+ *     "state": { "open": true, "reason": null, "entryType": "doubles", "taken": 12, "spotsLeft": 4, "waitlisted": 0, ... },
+ *     "registrations": { "pending": [...], "waitlisted": [...], "approved": [...], "rejected": [...], "withdrawn": [...] }
+ *   }
+ * }
+ */
+router.get('/tournaments/:id/registrations', getRegistrations);
+
+/**
+ * PUT /api/admin/tournaments/:id/registration
+ * 
+ * Update the self-registration settings. Places are taken by participants
+ * and pending entries; entries beyond the capacity are waitlisted and
+ * promoted in order when a place frees up (raising the capacity promotes
+ * them straight away).
+ * 
+ * Request body (all optional):
+ * {
+ *   "enabled": true,
+ *   "opensAt": "2024-03-01T09:00:00.000Z",  // null = open once enabled
+ *   "closesAt": "2024-03-10T18:00:00.000Z",  // null = open until disabled
+ *   "capacity": 16,  // at least 2, null = no limit
+ *   "requireApproval": true,  // false = entries with a place become participants straight away
+ *   "waiver": "I take part at my own risk..."  // null = no waiver
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Registration settings updated successfully",
+ *   "data": { "settings": {...}, "state": {...}, "promoted": 0 }
+ * }
+ */
+router.put('/tournaments/:id/registration', updateRegistrationSettings);
+
+/**
+ * POST /api/admin/tournaments/:id/registrations/:registrationId/approve
+ * 
+ * Approve a pending or waitlisted entry. A participant is created for it,
+ * with its players linked to the player registry.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Registration approved",
+ *   "data": { "registration": {...}, "participant": {...} }
+ * }
+ */
+router.post('/tournaments/:id/registrations/:registrationId/approve', approveRegistration);
+
+/**
+ * POST /api/admin/tournaments/:id/registrations/:registrationId/reject
+ * 
+ * Reject a pending or waitlisted entry. Its place goes to the waitlist.
+ * 
+ * Request body:
+ * {
+ *   "reason": "Rating too high for this division"  // optional
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Registration rejected",
+ *   "data": { "registration": {...}, "promoted": 1 }
+ * }
+ */
+router.post('/tournaments/:id/registrations/:registrationId/reject', rejectRegistration);
+
 /**
  * POST /api/admin/tournaments/:id/upload-participants
  * 
@@ -275,12 +511,27 @@ router.delete('/tournaments/:id/participants/:participantId', deleteParticipant)
  *   Team A,John Doe,Jane Doe
  *   Team B,Bob Smith,Alice Smith
  * 
+ * Optional seed column (1 = top seed, leave empty for unseeded):
+ *   name,player1,seed
+ *   Team A,John Doe,1
+ * 
+ * Optional player registry columns per player (player1..., player2...):
+ *   name,player1,player1Email,player1Rating,player1Club,player1Gender,player1DOB
+ *   Team A,John Doe,john@example.com,3.5,City Club,male,1990-04-12
+ * 
+ * Every player is linked to the player registry: matched by email, then by
+ * name, or created. Names shared by several registry players without an
+ * email to tell them apart are left unlinked and reported as ambiguous.
+ * 
  * Validations:
  * - No duplicate names in file
  * - No duplicate names in existing tournament participants
+ * - Seeds must be whole numbers, unique in the file and the tournament
  * - Minimum 2 participants required
  * - Player 1 required for all
  * - Player 2 required for doubles tournaments
+ * - Players must meet the eligibility rules (reported per line, using the
+ *   rating, gender and DOB columns when the registry has no value)
  * 
  * Response:
  * {
@@ -289,6 +540,11 @@ router.delete('/tournaments/:id/participants/:participantId', deleteParticipant)
  *   "data": {
  *     "count": 10,
  *     "participants": [...],
+ *     "playerMatches": {
+ *       "matched": [{ "line": 2, "name": "John Doe", "playerId": "...", "matchedBy": "email" }],
+ *       "created": 8,
+ *       "ambiguous": [{ "line": 5, "name": "Sam Lee", "playerId": null, "candidates": [...] }]
+ *     },
  *     "tournament": {...}
  *   }
  * }
@@ -299,6 +555,62 @@ router.post(
   uploadParticipantsController
 );
 
+/**
+ * GET /api/admin/players
+ * 
+ * Search the player registry (shared by all tournaments) by name or email.
+ * 
+ * Query:
+ * - search: Text to look for (optional)
+ * - limit: Maximum results, up to 100 (default 20)
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 2,
+ *   "data": [{ "_id": "...", "name": "John Doe", "email": "john@example.com", "rating": 3.5, ... }]
+ * }
+ */
+router.get('/players', getPlayers);
+
+/**
+ * POST /api/admin/players
+ * 
+ * Add a player to the registry.
+ * 
+ * Request body:
+ * {
+ *   "name": "John Doe",
+ *   "email": "john@example.com",  // Optional, unique
+ *   "rating": 3.5,  // Optional, DUPR-style rating between 1 and 8
+ *   "club": "City Club",  // Optional
+ *   "gender": "male",  // Optional: male, female or other
+ *   "dateOfBirth": "1990-04-12"  // Optional
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Player created successfully",
+ *   "data": {...}
+ * }
+ */
+router.post('/players', createPlayer);
+
+/**
+ * PUT /api/admin/players/:id
+ * 
+ * Update a player. Same fields as POST /players; empty values clear a detail.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Player updated successfully",
+ *   "data": {...}
+ * }
+ */
+router.put('/players/:id', updatePlayer);
+
 /**
  * POST /api/admin/tournaments/:id/generate-fixtures
  * 
@@ -306,13 +618,35 @@ router.post(
  * 
  * Request body (optional):
  * {
- *   "groupSize": 4  // For group format only, default: 4
+ *   "groupSize": 4,  // For group format only, default: 4
+ *   "seedByRating": true,  // Knockout formats: place unseeded participants by player rating (default true)
+ *   "rounds": 6,  // rotatingPartners only: rounds to play (1-50, required)
+ *   "courts": 3,  // rotatingPartners only: courts in use (default: the scheduled courts)
+ *   "drawSeed": "9f2c41d07ab3e865"  // Optional: seed for the random draw (default: a new random seed)
  * }
  * 
  * Algorithm Selection:
  * - roundRobin: Each participant plays every other participant once
  * - group: Participants divided into groups, round robin within each group
- * - knockout: Single elimination bracket with byes for odd counts
+ * - knockout: Single elimination bracket with byes for odd counts.
+ *   Seeded participants are placed in standard bracket slots
+ *   (1 v 16, 8 v 9, ...) and top seeds get the byes. Unseeded participants
+ *   follow in order of their players' Elo rating; unrated ones are drawn randomly.
+ * - doubleElimination: Winners bracket seeded like knockout, losers bracket
+ *   for first-time losers, Grand Final, and a Grand Final Reset when
+ *   rules.bracketReset is on (default). Each match stores where its winner
+ *   and loser go (nextMatchId/nextMatchSlot, loserMatchId/loserMatchSlot).
+ * - Knockouts (also after a group stage) add matches for places when
+ *   rules.placement is set: 'thirdPlace' (3rd place match) or 'full'
+ *   (3rd, 5th, 7th place matches, ...). Losers are sent there along their
+ *   loser links, and each match records the place its winner/loser finishes in.
+ * - rotatingPartners: Individual players are split into doubles teams each
+ *   round (participantA/partnerA v participantB/partnerB), with partners
+ *   repeated as little as possible and sit-outs shared out evenly. Matches are
+ *   put on courts 1..courts (or the scheduled courts).
+ * 
+ * Random choices use the draw seed; the draw is recorded on the tournament
+ * and can be replayed in the public draw audit (summary.drawSeed).
  * 
  * Validations:
  * - Tournament must be in draft status
@@ -341,12 +675,20 @@ router.post('/tournaments/:id/generate-fixtures', generateTournamentFixtures);
  * 
  * Create a custom round with matches for custom tournaments.
  * Randomly pairs participants, handles odd numbers with TBD.
+ * The pairing is a seeded draw recorded for the public draw audit.
+ * 
+ * Swiss tournaments: every participant plays, once the previous round is
+ * finished. The first round is the random draw; later rounds are paired
+ * from the standings (equal wins, no rematches while avoidable). With an
+ * odd number, the lowest-placed participant without a bye gets one: a
+ * completed match with "bye": true that counts as a win.
  * 
  * Request body:
  * {
- *   "roundName": "Round 1",
+ *   "roundName": "Round 1",  // Optional for Swiss (default: "Round N")
  *   "participantIds": ["...", "..."],  // Optional: for subsequent rounds
- *   "topPlayers": 4  // Optional: number of top players to advance
+ *   "topPlayers": 4,  // Optional: number of top players to advance
+ *   "drawSeed": "..."  // Optional: seed for the random pairing (default: a new random seed)
  * }
  * 
  * Response:
@@ -357,7 +699,10 @@ router.post('/tournaments/:id/generate-fixtures', generateTournamentFixtures);
  *     "round": "Round 1",
  *     "matches": [...],
  *     "count": 5,
- *     "hasTBD": false
+ *     "hasTBD": false,
+ *     "bye": null,  // Swiss: participant ID given the bye
+ *     "rematches": 0,  // Swiss: pairings of players who met before (only when unavoidable)
+ *     "drawSeed": "9f2c41d07ab3e865"  // null for Swiss rounds paired from the standings
  *   }
  * }
  */
@@ -396,9 +741,15 @@ router.get('/tournaments/:id/custom-rounds', getCustomRounds);
  *   "numGroups": 4,
  *   "minPlayersPerGroup": 3,
  *   "maxPlayersPerGroup": 5,
- *   "tournamentStructure": "quarterfinal", // 'quarterfinal', 'semifinal', 'directFinal'
+ *   "tournamentStructure": "quarterfinal", // 'roundOf32', 'roundOf16', 'quarterfinal', 'semifinal', 'directFinal',
+ *                                          // or 'bracket' for any number of qualifiers (byes for the top seeds)
  *   "topPlayersPerGroup": 2,
- *   "stage1Format": "roundRobin" // 'roundRobin', 'knockout'
+ *   "wildcards": 0, // Optional: also qualify the best N from place topPlayersPerGroup + 1 across groups
+ *   "stage1Format": "roundRobin", // 'roundRobin', 'knockout'
+ *   "drawMethod": "snakeRating", // Optional: 'random', 'snakeSeed', 'snakeRating' (default), 'pots'
+ *   "separateClubs": false, // Optional: keep players from the same club in different groups
+ *   "drawSeed": "9f2c41d07ab3e865", // Optional: seed for the draw; the seed from the draw preview repeats the previewed draw
+ *   "groups": [["participantId", ...], ...] // Optional: use these groups instead of a draw
  * }
  * 
  * Response:
@@ -409,25 +760,58 @@ router.get('/tournaments/:id/custom-rounds', getCustomRounds);
  *     "tournament": {...},
  *     "groups": [...],
  *     "groupDistribution": [4, 4, 4, 5],
+ *     "drawMethod": "snakeRating", // 'manual' when groups were sent
+ *     "drawSeed": "9f2c41d07ab3e865",
  *     "groupStageMatches": 30,
  *     "tournamentStructure": "quarterfinal",
  *     "topPlayersPerGroup": 2,
- *     "totalQualified": 8
+ *     "wildcards": 0,
+ *     "totalQualified": 8 // topPlayersPerGroup x groups + wildcards
  *   }
  * }
  */
 router.post('/tournaments/:id/generate-group-tournament', generateGroupTournament);
 
+/**
+ * POST /api/admin/tournaments/:id/group-draw/preview
+ * 
+ * Draw the groups without creating any matches. Takes the same body as
+ * generate-group-tournament; send the returned drawSeed back with the same
+ * settings to generate fixtures with exactly this draw.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "drawMethod": "snakeRating",
+ *     "drawSeed": "9f2c41d07ab3e865",
+ *     "groupDistribution": [4, 4, 4, 5],
+ *     "groups": [
+ *       {
+ *         "groupName": "A",
+ *         "participants": [{ "id": "...", "name": "...", "players": [...], "seed": 1, "rating": 1620, "clubs": ["riverside"] }],
+ *         "count": 4
+ *       }
+ *     ],
+ *     "clubConflicts": [{ "groupName": "B", "club": "riverside", "participantIds": ["...", "..."] }]
+ *   }
+ * }
+ */
+router.post('/tournaments/:id/group-draw/preview', previewGroupDraw);
+
 /**
  * POST /api/admin/tournaments/:id/generate-knockout-rounds
  * 
- * Generate knockout rounds (Quarterfinal, Semifinal, Final) after group stage completion.
- * Ensures teams from same group don't play in quarterfinals.
+ * Generate the knockout bracket (Round of 32/16, Quarterfinal, Semifinal, Final)
+ * after group stage completion. Qualifier counts that are not a power of 2 get
+ * byes for the top seeds. Group winners meet runners-up, and players from the
+ * same group are kept apart for as long as possible.
  * 
  * Request body:
  * {
- *   "tournamentStructure": "quarterfinal", // 'quarterfinal', 'semifinal', 'directFinal'
- *   "topPlayersPerGroup": 2
+ *   "tournamentStructure": "quarterfinal", // 'roundOf32', 'roundOf16', 'quarterfinal', 'semifinal', 'directFinal', 'bracket' (any size)
+ *   "topPlayersPerGroup": 2,
+ *   "wildcards": 0 // Optional: also qualify the best N from place topPlayersPerGroup + 1 across groups
  * }
  * 
  * Response:
@@ -437,6 +821,7 @@ router.post('/tournaments/:id/generate-group-tournament', generateGroupTournamen
  *   "data": {
  *     "qualifiedPlayers": [...],
  *     "knockoutMatches": 7,
+ *     "byes": 0, // Top seeds starting in the second round
  *     "tournamentStructure": "quarterfinal"
  *   }
  * }
@@ -452,19 +837,122 @@ router.post('/tournaments/:id/generate-knockout-rounds', generateKnockoutRounds)
  * {
  *   "success": true,
  *   "data": {
- *     "tournament": {...},
+ *     "tournament": { "id": "...", "name": "...", "tiebreakers": ["pointDifference", "pointsFor", "headToHead"] },
  *     "groupStandings": [
  *       {
  *         "groupName": "A",
- *         "standings": [...]
+ *         "fullGroupName": "Group A",
+ *         "complete": false,
+ *         "lock": null,                    // { "reason", "decidedAt" } when locked
+ *         "standings": [
+ *           { "participant": {...}, "stats": {...}, "position": 1, "tiebreaker": "pointDifference", "tied": false,
+ *             "locked": false, "qualification": null, "group": "A" } // qualification: 'qualified' | 'reserve' | null
+ *         ]
  *       }
  *     ],
+ *     "wildcards": {                      // null without wildcards (see qualification.service.js)
+ *       "count": 2,
+ *       "ranking": [{ "participant": {...}, "group": "A", "position": 3, "wildcardRank": 1, "tied": false, "qualifies": true }],
+ *       "undecided": false
+ *     },
  *     "summary": {...}
  *   }
  * }
  */
 router.get('/tournaments/:id/group-standings', getGroupStandings);
 
+/**
+ * PUT /api/admin/tournaments/:id/group-standings/:group/lock
+ * 
+ * Lock the final positions of a finished group (e.g. :group = "A") and mark
+ * its qualifiers and reserves. Without qualifiers the top places qualify as
+ * usual; reserves fill places left open. Locking again replaces the lock.
+ * When the whole group stage is finished, open places in the first knockout
+ * round are filled right away.
+ * 
+ * Request body:
+ * {
+ *   "order": ["participantId1", "participantId2", "participantId3", "participantId4"], // every member, 1st first
+ *   "qualifiers": ["participantId1", "participantId2"], // optional
+ *   "reserves": ["participantId3"],                      // optional
+ *   "reason": "Three-way tie, decided by the referee"    // required
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Group A positions locked",
+ *   "data": {
+ *     "groupLocks": [...],
+ *     "knockoutRoundsFilled": true,
+ *     "undecidedGroups": []
+ *   }
+ * }
+ */
+router.put('/tournaments/:id/group-standings/:group/lock', lockGroupStandings);
+
+/**
+ * DELETE /api/admin/tournaments/:id/group-standings/:group/lock
+ * 
+ * Remove the lock of a group; its standings follow the tiebreakers again.
+ * Knockout places already filled are not changed.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Group A positions unlocked",
+ *   "data": { "groupLocks": [...] }
+ * }
+ */
+router.delete('/tournaments/:id/group-standings/:group/lock', unlockGroupStandings);
+
+/**
+ * GET /api/admin/tournaments/:id/standings
+ * 
+ * Get the overall standings of a tournament, ranked with its tiebreakers
+ * (works for private tournaments too).
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "tournament": { "id": "...", "name": "...", "tiebreakers": [...] },
+ *     "standings": [
+ *       { "participant": {...}, "stats": {...}, "position": 1, "tiebreaker": null, "tied": false }
+ *     ],
+ *     "placings": [{ "place": 1, "participant": {...}, "shared": false }], // Knockouts
+ *     "summary": { "totalParticipants": 8, "completedMatches": 12 }
+ *   }
+ * }
+ */
+router.get('/tournaments/:id/standings', getStandings);
+
+/**
+ * PUT /api/admin/tournaments/:id/standings/tiebreak
+ * 
+ * Record the order of tied participants. Used by the "adminDecision"
+ * tiebreaker, and between level wildcards (scope "wildcards"); deciding the
+ * same participants again replaces the decision.
+ * 
+ * Request body:
+ * {
+ *   "scope": "overall",               // or a group round, e.g. "Group A", or "wildcards"
+ *   "order": ["participantId1", "participantId2"], // first = highest
+ *   "reason": "Decided by the referee" // optional
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Tiebreak decision recorded",
+ *   "data": {
+ *     "tiebreakers": [...],
+ *     "tiebreakDecisions": [...]
+ *   }
+ * }
+ */
+router.put('/tournaments/:id/standings/tiebreak', decideTiebreak);
+
 /**
  * GET /api/admin/tournaments/:id/matches
  * 
@@ -485,6 +973,103 @@ router.get('/tournaments/:id/group-standings', getGroupStandings);
  */
 router.get('/tournaments/:id/matches', getTournamentMatchesAdmin);
 
+/**
+ * GET /api/admin/tournaments/:id/schedule
+ * 
+ * Get the schedule settings and, for every court, the match being played
+ * now and the queue of upcoming matches ("next up on court N").
+ * 
+ * Divisions share the schedule of their main tournament: for a main
+ * tournament or any of its divisions, the settings are the main
+ * tournament's and the courts hold the matches of all divisions. The same
+ * applies to the schedule endpoints below.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "tournament": { "id": "...", "name": "Spring Open" },  // main tournament
+ *     "divisions": [...],
+ *     "settings": {
+ *       "courts": [{ "number": 1, "name": "Center Court", "availableFrom": null, "availableUntil": null }],
+ *       "startTime": "2024-03-15T09:00:00.000Z",
+ *       "slotMinutes": 20,
+ *       "restMinutes": 20
+ *     },
+ *     "courts": [
+ *       { "number": 1, "name": "Center Court", "current": {...}, "nextUp": {...}, "queue": [...] }
+ *     ],
+ *     "unassigned": [...]  // upcoming matches without a court
+ *   }
+ * }
+ */
+router.get('/tournaments/:id/schedule', getSchedule);
+
+/**
+ * PUT /api/admin/tournaments/:id/schedule
+ * 
+ * Update the schedule settings. Allowed in any tournament status; run
+ * POST /schedule/generate to apply them to upcoming matches.
+ * 
+ * Request body (all optional):
+ * {
+ *   "courts": [
+ *     { "number": 1, "name": "Center Court" },
+ *     { "number": 2, "availableFrom": "2024-03-15T12:00:00.000Z", "availableUntil": "2024-03-15T18:00:00.000Z" }
+ *   ],
+ *   "startTime": "2024-03-15T09:00:00.000Z",
+ *   "slotMinutes": 20,  // 5-240, time reserved for one match
+ *   "restMinutes": 20  // minimum break between a participant's matches
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Schedule settings updated successfully",
+ *   "data": {...}  // settings
+ * }
+ */
+router.put('/tournaments/:id/schedule', updateScheduleSettings);
+
+/**
+ * POST /api/admin/tournaments/:id/schedule/generate
+ * 
+ * Assign a court and start time to every upcoming match, earliest slot
+ * first, respecting:
+ * - court availability (one match per court per slot, court windows)
+ * - rest time between a participant's matches (a player entered in two
+ *   divisions is not given two matches at once)
+ * - round dependencies (a match starts after the matches feeding it)
+ * 
+ * Live and completed matches are not moved. Slots in the past are not used.
+ * Sends a schedule_updated socket event.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Scheduled 12 matches",
+ *   "data": {
+ *     "assignments": [{ "matchId": "...", "courtNumber": 1, "scheduledTime": "2024-03-15T09:00:00.000Z" }],
+ *     "unscheduled": [{ "matchId": "...", "round": "Final", "reason": "No court is open in time for this match" }]
+ *   }
+ * }
+ */
+router.post('/tournaments/:id/schedule/generate', generateSchedule);
+
+/**
+ * DELETE /api/admin/tournaments/:id/schedule
+ * 
+ * Remove the court and start time from every upcoming match.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Schedule cleared successfully",
+ *   "data": { "cleared": 12 }
+ * }
+ */
+router.delete('/tournaments/:id/schedule', clearSchedule);
+
 /**
  * GET /api/admin/matches/:id
  * 
@@ -514,7 +1099,12 @@ router.get('/matches/:id', getMatchById);
  *   "participantB": "...",
  *   "status": "upcoming",  // optional, default: "upcoming"
  *   "courtNumber": 1,  // optional
- *   "order": 0  // optional, default: 0
+ *   "order": 0,  // optional, default: 0
+ *   "bestOf": 3,  // optional: overrides round/tournament best of
+ *   "nextMatchId": "...",  // optional: match the winner advances to
+ *   "nextMatchSlot": "A",  // required with nextMatchId: "A" or "B"
+ *   "loserMatchId": "...",  // optional: match the loser drops to
+ *   "loserMatchSlot": "B"  // required with loserMatchId
  * }
  * 
  * Response:
@@ -529,8 +1119,8 @@ router.post('/matches', createMatch);
 /**
  * PUT /api/admin/matches/:id
  * 
- * Update match details (round, participants, court, order, status, scores).
- * More comprehensive than updateMatchScore.
+ * Update match details (round, participants, court, start time, order,
+ * status, best of, scores). More comprehensive than updateMatchScore.
  * 
  * Request body (all fields optional):
  * {
@@ -539,16 +1129,23 @@ router.post('/matches', createMatch);
  *   "participantB": "...",
  *   "status": "live",
  *   "courtNumber": 2,
+ *   "scheduledTime": "2024-03-15T10:20:00.000Z",  // null clears it
  *   "order": 1,
- *   "scoreA": 5,
- *   "scoreB": 3
+ *   "bestOf": 3,  // null = use round/tournament setting
+ *   "games": [{ "a": 11, "b": 7 }, { "a": 5, "b": 3 }],  // or scoreA/scoreB for best of 1
+ *   "nextMatchId": "...",  // null removes the link
+ *   "nextMatchSlot": "B"
  * }
  * 
+ * Correcting a completed match moves the new winner into its linked next
+ * match, unless that match has already started (see progression.blockedMatches).
+ * 
  * Response:
  * {
  *   "success": true,
  *   "message": "Match updated successfully",
- *   "data": {...}
+ *   "data": {...},
+ *   "progression": {...}  // when a completed result changed
  * }
  */
 router.put('/matches/:id', updateMatch);
@@ -560,15 +1157,20 @@ router.put('/matches/:id', updateMatch);
  * 
  * Request body:
  * {
- *   "scoreA": 11,
- *   "scoreB": 9,
- *   "status": "completed",  // optional: "upcoming", "live", "completed"
- *   "courtNumber": 1  // optional
+ *   "games": [{ "a": 11, "b": 9 }, { "a": 4, "b": 6 }],  // game-by-game scores
+ *   "status": "live",  // optional: "upcoming", "live", "completed"
+ *   "courtNumber": 1,  // optional
+ *   "serve": { "team": "A", "serverNumber": 2 }  // optional, side-out scoring only
  * }
  * 
+ * Best of 1 matches may send "scoreA"/"scoreB" instead of "games".
+ * 
  * Validations:
  * - Round must not be locked (for knockout tournaments)
  * - Scores must be non-negative
+ * - No more games than the match's best of, no games after the match is decided
+ * - Scores must be possible under the tournament rules (points, win by 2, cap)
+ * - Side-out scoring: the receiving team cannot gain points without a side-out
  * - Admin must own the tournament
  * 
  * Response:
@@ -577,12 +1179,91 @@ router.put('/matches/:id', updateMatch);
  *   "message": "Match updated successfully",
  *   "data": {
  *     "match": {...},
+ *     "scoreCall": "4-2-1",  // serving score first; server number for side-out doubles
  *     "progression": {...}  // Tournament progression info if match completed
  *   }
  * }
  */
 router.put('/matches/:id/score', updateMatchScore);
 
+/**
+ * GET /api/admin/matches/:id/events
+ * 
+ * Get the rally-by-rally point log for a match.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "match": {...},
+ *     "scoreCall": "4-2-1",
+ *     "events": [
+ *       {
+ *         "id": "...",
+ *         "sequence": 1,
+ *         "type": "point",
+ *         "team": "A",
+ *         "undone": false,
+ *         "gameNumber": 1,
+ *         "scoreAfter": { "a": 1, "b": 0 },
+ *         "serveAfter": { "team": "A", "serverNumber": 2 }
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/matches/:id/events', getMatchEventsAdmin);
+
+/**
+ * POST /api/admin/matches/:id/events
+ * 
+ * Append an event to the match's point log. The match score is derived
+ * from the log and broadcast to viewers (point_event socket event).
+ * 
+ * Request body:
+ * {
+ *   "type": "point",  // "point", "fault", "sideOut" or "timeout"
+ *   "team": "A"  // rally winner / team at fault / team calling timeout (not needed for sideOut)
+ * }
+ * 
+ * Validations:
+ * - Match must be upcoming or live with both participants assigned
+ * - Match must not already be decided
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Point recorded successfully",
+ *   "data": {
+ *     "event": {...},
+ *     "match": {...},
+ *     "scoreCall": "5-2-1",
+ *     "matchDecided": false
+ *   }
+ * }
+ */
+router.post('/matches/:id/events', recordPointEvent);
+
+/**
+ * POST /api/admin/matches/:id/events/undo
+ * 
+ * Undo the last point. Appends an "undo" event to the log (nothing is
+ * deleted) and re-derives the match score.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Last point undone",
+ *   "data": {
+ *     "event": {...},
+ *     "undoneEvent": {...},
+ *     "match": {...},
+ *     "scoreCall": "4-2-1"
+ *   }
+ * }
+ */
+router.post('/matches/:id/events/undo', undoLastPointEvent);
+
 /**
  * POST /api/admin/matches/:id/complete
  * 
@@ -590,21 +1271,27 @@ router.put('/matches/:id/score', updateMatchScore);
  * 
  * Request body:
  * {
- *   "scoreA": 11,
- *   "scoreB": 9
+ *   "games": [{ "a": 11, "b": 9 }, { "a": 8, "b": 11 }, { "a": 11, "b": 6 }]
  * }
  * 
+ * Best of 1 matches may send "scoreA"/"scoreB" instead of "games".
+ * 
  * Features:
  * - Marks match as completed
  * - Determines winner
  * - Checks if round is complete
  * - Generates next round (for knockout tournaments)
+ * - Double elimination: moves the winner and loser into their next matches;
+ *   the Grand Final Reset is played only if the losers bracket champion wins
  * - Updates tournament currentRound
  * - Locks previous rounds
  * 
  * Validations:
  * - Both scores required
  * - Scores must be different (no draws)
+ * - One side must have won the majority of games (e.g. 2 of 3)
+ * - Every game must be a valid final score: reach rules.points, win by 2,
+ *   or reach rules.cap if set (e.g. 11-10 is rejected)
  * - Round must not be locked
  * 
  * Response:
@@ -626,6 +1313,114 @@ router.put('/matches/:id/score', updateMatchScore);
  */
 router.post('/matches/:id/complete', completeMatch);
 
+/**
+ * POST /api/admin/matches/:id/outcome
+ * 
+ * Decide an upcoming or live match that was not played out.
+ * 
+ * Request body:
+ * {
+ *   "outcome": "retired",  // 'walkover', 'retired', 'disqualified' or 'doubleForfeit'
+ *   "forfeitedBy": "B",    // Side that forfeits: 'A' or 'B' (not for doubleForfeit)
+ *   "games": [{ "a": 11, "b": 7 }, { "a": 4, "b": 6 }], // Optional, retired only
+ *   "reason": "Injury"     // Optional
+ * }
+ * 
+ * Outcomes:
+ * - walkover / disqualified: the opponent wins and is given forfeit games
+ *   (rules.forfeitPoints per game needed, default the points of a game, to 0)
+ * - retired: the opponent wins; the score at retirement is kept ("games",
+ *   or the current score; the last game may be unfinished)
+ * - doubleForfeit: both sides lose with no points; nobody advances, so the
+ *   bracket match it feeds is a walkover (or a double forfeit if both its
+ *   feeders were)
+ * 
+ * Progression is the same as for a completed match. A disqualified loser
+ * does not drop to the losers bracket. Forfeited matches are not rated.
+ * 
+ * Response: same as POST /api/admin/matches/:id/complete
+ */
+router.post('/matches/:id/outcome', setMatchOutcome);
+
+/**
+ * POST /api/admin/matches/:id/amend
+ * 
+ * Correct the result of a completed match, including matches in locked
+ * rounds and completed tournaments. Every amendment is recorded with its
+ * reason.
+ * 
+ * Request body:
+ * {
+ *   "games": [{ "a": 9, "b": 11 }, { "a": 11, "b": 8 }, { "a": 7, "b": 11 }],
+ *   "reason": "Scores for games 1 and 3 were entered the wrong way round",
+ *   "force": false  // optional: also change later matches that have started
+ * }
+ * 
+ * Best of 1 matches may send "scoreA"/"scoreB" instead of "games".
+ * 
+ * Features:
+ * - Recomputes the winner from the corrected score
+ * - If the winner changed, replaces the advanced participant in later
+ *   matches (and the loser in the losers bracket), following them through
+ *   matches they already played
+ * - Later matches that are live or completed block the amendment unless
+ *   "force" is true; forced changes keep those matches' scores
+ * - Amended Grand Final: fills or cancels the Grand Final Reset
+ * - The match's point log is not changed
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Match result amended successfully",
+ *   "data": {
+ *     "match": {...},
+ *     "amendment": {...},
+ *     "winnerChanged": true,
+ *     "affectedMatches": [
+ *       { "matchId": "...", "round": "Semi Finals", "slot": "A", "from": "...", "to": "...", "status": "upcoming" }
+ *     ],
+ *     "progression": null
+ *   }
+ * }
+ * 
+ * Blocked (409):
+ * {
+ *   "success": false,
+ *   "message": "Later matches have already started. Amend with force to change them anyway.",
+ *   "data": {
+ *     "blockedMatches": [
+ *       { "matchId": "...", "round": "Final", "slot": "B", "from": "...", "to": "...", "status": "live" }
+ *     ]
+ *   }
+ * }
+ */
+router.post('/matches/:id/amend', amendMatchResult);
+
+/**
+ * GET /api/admin/matches/:id/amendments
+ * 
+ * Get the amendment history of a match, newest first.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 1,
+ *   "data": [
+ *     {
+ *       "reason": "Scores for games 1 and 3 were entered the wrong way round",
+ *       "previousGames": [...],
+ *       "games": [...],
+ *       "previousWinner": {...},
+ *       "newWinner": {...},
+ *       "forced": false,
+ *       "affectedMatches": [...],
+ *       "createdAt": "2024-03-15T10:00:00.000Z"
+ *     }
+ *   ]
+ * }
+ */
+router.get('/matches/:id/amendments', getMatchAmendments);
+
 /**
  * DELETE /api/admin/matches/:id
  * 
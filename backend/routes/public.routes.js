@@ -3,7 +3,8 @@
  * 
  * This file defines public read-only routes for tournament viewing.
  * All routes are accessible without authentication and only return
- * tournaments where isPublic = true.
+ * tournaments where isPublic = true. The registration routes are the only
+ * ones that write: players send and withdraw their own entries.
  * 
  * These routes are optimized for public display and use efficient
  * database queries with proper indexing.
@@ -15,8 +16,12 @@ import {
   getTournamentById,
   getTournamentMatches,
   getTournamentStandings,
-  getTournamentGroupStandings
+  getTournamentGroupStandings,
+  getDrawAudit
 } from '../controllers/public.controller.js';
+import { getPublicMatchTimeline } from '../controllers/pointEvent.controller.js';
+import { searchPublicPlayers, getPublicPlayerProfile } from '../controllers/player.controller.js';
+import { getRegistrationForm, registerEntry, withdrawRegistration } from '../controllers/registration.controller.js';
 
 // Create router instance
 const router = express.Router();
@@ -26,6 +31,7 @@ const router = express.Router();
  * 
  * Get all public tournaments.
  * Returns list of tournaments sorted by status (live first) and creation date.
+ * Divisions are not listed here; see GET /tournaments/:id of their main tournament.
  * 
  * Response:
  * {
@@ -45,7 +51,12 @@ router.get('/tournaments', getAllTournaments);
  * Response:
  * {
  *   "success": true,
- *   "data": {...}
+ *   "data": {
+ *     ...,
+ *     "parent": {...},  // public main tournament of a division, else null
+ *     "divisions": [{ "_id": "...", "name": "Women's Doubles 4.0", "type": "doubles", "format": "knockout", "status": "live" }]
+ *       // public divisions of the main tournament
+ *   }
  * }
  */
 router.get('/tournaments/:id', getTournamentById);
@@ -77,12 +88,19 @@ router.get('/tournaments/:id/matches', getTournamentMatches);
  * 
  * Get tournament standings/point table.
  * Calculates wins, losses, points, and rankings based on completed matches.
+ * Knockouts also return the final places decided so far; losers of a round
+ * without placement matches share its place (shared: true, e.g. joint 5th).
  * 
  * Response:
  * {
  *   "success": true,
  *   "tournament": {...},
  *   "standings": [...],
+ *   "placings": [
+ *     { "place": 1, "participant": {...}, "shared": false },
+ *     { "place": 2, "participant": {...}, "shared": false },
+ *     { "place": 3, "participant": {...}, "shared": false }
+ *   ],
  *   "summary": {...}
  * }
  */
@@ -109,6 +127,194 @@ router.get('/tournaments/:id/standings', getTournamentStandings);
  */
 router.get('/tournaments/:id/group-standings', getTournamentGroupStandings);
 
+/**
+ * GET /api/public/tournaments/:id/draw-audit
+ * 
+ * Get every random draw of a tournament (groups, brackets, custom round
+ * pairings) with its seed, algorithm version and participant list, and the
+ * result of replaying it. Anyone can repeat a draw with the same seed and
+ * participants (see services/random.service.js and services/draw.service.js).
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "tournament": {...},
+ *   "algorithmVersion": 1,
+ *   "draws": [
+ *     {
+ *       "kind": "groupTournament", // 'fixtures', 'groupTournament', 'customRound'
+ *       "round": null, // custom round name
+ *       "method": "snakeRating",
+ *       "seed": "9f2c41d07ab3e865",
+ *       "algorithmVersion": 1,
+ *       "drawnAt": "2024-01-15T10:00:00.000Z",
+ *       "options": { "distribution": [4, 4], "separateClubs": false, "stage1Format": "roundRobin" },
+ *       "participants": [{ "participantId": "...", "name": "...", "seed": 1, "rating": 1620 }],
+ *       "replay": {
+ *         "groups": [{ "groupName": "A", "participantIds": [...] }],
+ *         "matches": [{ "round": "Group A", "participantA": "...", "participantB": "..." }]
+ *       },
+ *       "replayError": null,
+ *       "superseded": false, // true when the draw was replaced by a redraw
+ *       "matchesStored": true, // every replayed pairing is among the tournament's matches
+ *       "notFound": []
+ *     }
+ *   ]
+ * }
+ */
+router.get('/tournaments/:id/draw-audit', getDrawAudit);
+
+/**
+ * GET /api/public/tournaments/:id/registration
+ * 
+ * Get the entry form of a tournament weekend: the public main tournament
+ * and divisions, each with its registration state and eligibility rules.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "tournament": { "id": "...", "name": "Spring Open" },
+ *     "events": [
+ *       {
+ *         "id": "...", "name": "Mixed Doubles 3.5", "type": "doubles", "format": "group",
+ *         "registration": {
+ *           "open": true, "reason": null,  // reason why entries are not taken, when closed
+ *           "entryType": "doubles",  // players per entry: 'singles' (1) or 'doubles' (2)
+ *           "opensAt": null, "closesAt": "...", "capacity": 16, "requireApproval": true,
+ *           "waiver": "...", "taken": 12, "spotsLeft": 4, "waitlisted": 0
+ *         },
+ *         "eligibility": {
+ *           "rules": { "minRating": 3, "maxRating": 3.5, "minAge": null, "gender": "mixed" },
+ *           "description": ["Rating 3-3.5", "Mixed teams (one man and one woman)"]
+ *         }
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/tournaments/:id/registration', getRegistrationForm);
+
+/**
+ * POST /api/public/tournaments/:id/registrations
+ * 
+ * Enter a public tournament or division (:id is the event entered).
+ * When the event is full the entry goes on the waitlist. Players must meet
+ * the event's eligibility rules (400 with the violations in errors).
+ * 
+ * Request body:
+ * {
+ *   "players": [
+ *     { "name": "Jane Doe", "email": "jane@example.com", "rating": 3.5, "club": "City Club" },
+ *     { "name": "Ann Lee" }  // partner, doubles only
+ *   ],
+ *   "contactEmail": "jane@example.com",
+ *   "acceptWaiver": true  // required when the event has a waiver
+ * }
+ * 
+ * Response (201):
+ * {
+ *   "success": true,
+ *   "message": "Your entry has been received and is waiting for approval",
+ *   "data": {
+ *     "registration": { "id": "...", "status": "pending", "waitlistPosition": null, ... },
+ *       // status: 'pending', 'approved' (no approval needed) or 'waitlisted'
+ *     "withdrawToken": "..."  // needed to withdraw; only given here
+ *   }
+ * }
+ */
+router.post('/tournaments/:id/registrations', registerEntry);
+
+/**
+ * POST /api/public/registrations/:registrationId/withdraw
+ * 
+ * Withdraw an entry. Entries already in the fixtures must be withdrawn by
+ * the organiser. The first waitlisted entry is promoted into the place.
+ * 
+ * Request body:
+ * {
+ *   "token": "..."  // withdrawToken from the registration response
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Your entry has been withdrawn",
+ *   "data": { "registration": { "id": "...", "status": "withdrawn", ... } }
+ * }
+ */
+router.post('/registrations/:registrationId/withdraw', withdrawRegistration);
+
+/**
+ * GET /api/public/matches/:id/timeline
+ * 
+ * Get the point-by-point timeline of a match in a public tournament.
+ * Undone points are included with "undone": true.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "match": {...},
+ *     "scoreCall": "4-2-1",  // null unless the match is live
+ *     "events": [...]
+ *   }
+ * }
+ */
+router.get('/matches/:id/timeline', getPublicMatchTimeline);
+
+/**
+ * GET /api/public/players
+ * 
+ * Search players by name. Email and date of birth are not included.
+ * 
+ * Query:
+ * - search: Text to look for (optional)
+ * - limit: Maximum results, up to 100 (default 20)
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 2,
+ *   "data": [{ "_id": "...", "name": "John Doe", "rating": 3.5, "club": "City Club", "gender": "male" }]
+ * }
+ */
+router.get('/players', searchPublicPlayers);
+
+/**
+ * GET /api/public/players/:id
+ * 
+ * Get a player profile: every match and result across public tournaments,
+ * newest first, and the Elo rating changes from those matches.
+ * eloRating is null until the player's first rated match.
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "player": { "name": "John Doe", "rating": 3.5, "eloRating": 1528.1, "ratedMatches": 12, ... },
+ *     "stats": { "matchesPlayed": 12, "wins": 8, "losses": 4, "winRate": 66.7 },
+ *     "tournaments": [...],
+ *     "matches": [
+ *       {
+ *         "id": "...",
+ *         "tournament": { "name": "Summer Open", ... },
+ *         "round": "Final",
+ *         "status": "completed",
+ *         "team": {...},
+ *         "opponent": {...},
+ *         "games": [...],
+ *         "result": "won"  // "won", "lost" or null if not finished
+ *       }
+ *     ],
+ *     "ratingHistory": [
+ *       { "round": "Final", "tournament": {...}, "before": 1512.4, "after": 1528.1, "change": 15.7, "result": "won" }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/players/:id', getPublicPlayerProfile);
+
 // Export router to be used in server.js
 export default router;
 
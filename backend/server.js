@@ -14,6 +14,7 @@ import authRoutes from './routes/auth.routes.js';
 import publicRoutes from './routes/public.routes.js';
 import adminRoutes from './routes/admin.routes.js';
 import { connectDB } from './config/db.js';
+import { initializeSocketIO } from './sockets/socket.io.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -87,10 +88,13 @@ app.use('*', (req, res) => {
 // Vercel will handle the serverless function execution
 if (process.env.VERCEL !== '1') {
   // Start the server
-  app.listen(PORT, () => {
+  const httpServer = app.listen(PORT, () => {
     console.log(`🚀 Server is running on http://localhost:${PORT}`);
     console.log(`📡 Health check available at http://localhost:${PORT}/api/health`);
   });
+
+  // Socket.IO: live updates for public viewers (shares the HTTP server)
+  initializeSocketIO(httpServer);
 }
 
 // Export app for testing and Vercel serverless functions
@@ -0,0 +1,321 @@
+/**
+ * Result Amendment Service
+ *
+ * This service corrects the result of a completed match after its round
+ * has been locked, and carries the correction through the bracket:
+ * - The winner is recomputed from the corrected game scores
+ * - If the winner changed, the old winner is replaced by the new one in the
+ *   match it advanced to (nextMatchId) and the old loser by the new loser in
+ *   the match it dropped to (loserMatchId)
+ * - If a replaced participant already played (and won or lost) a later
+ *   match, the replacement follows their path further along the bracket
+ * - Later matches that are live or completed are reported as blocked. The
+ *   amendment is only applied through them when forced, and their scores
+ *   are kept as recorded.
+ *
+ * Every applied amendment is stored (resultAmendment.model.js) with the
+ * reason given. The point log of the match is left as it was recorded.
+ */
+
+import Match from '../models/match.model.js';
+import ResultAmendment from '../models/resultAmendment.model.js';
+import { getMatchWinner, getNextRoundName, processMatchCompletion } from './progression.service.js';
+import { rateMatch } from './rating.service.js';
+import { getMatchGames, applyGamesToMatch, clearMatchOutcome } from './scoring.service.js';
+
+/**
+ * Get Loser (Helper)
+ *
+ * @param {Object} match - Completed match
+ * @param {Object} winner - Winner participant ID
+ * @returns {Object|null} Loser participant ID
+ */
+const getLoser = (match, winner) => {
+  if (!winner) {
+    return null;
+  }
+  return winner.toString() === match.participantA?.toString()
+    ? match.participantB
+    : match.participantA;
+};
+
+/**
+ * Same Participant (Helper)
+ *
+ * @returns {boolean} True if both IDs refer to the same participant (or both are empty)
+ */
+const sameParticipant = (a, b) => (a?.toString() || null) === (b?.toString() || null);
+
+/**
+ * Find Legacy Next Match (Helper)
+ *
+ * Matches without bracket links advance by round name (see getNextRoundName).
+ * Finds the next-round match the participant was placed in.
+ *
+ * @param {Object} match - Match the participant won
+ * @param {Object} participantId - Participant ID
+ * @returns {Promise<Object|null>} { matchId, slot } or null
+ */
+const findLegacyNextMatch = async (match, participantId) => {
+  const nextRound = getNextRoundName(match.round);
+  if (!nextRound) {
+    return null;
+  }
+
+  const nextMatch = await Match.findOne({
+    tournamentId: match.tournamentId._id || match.tournamentId,
+    round: nextRound,
+    $or: [{ participantA: participantId }, { participantB: participantId }]
+  }).lean();
+  if (!nextMatch) {
+    return null;
+  }
+
+  return {
+    matchId: nextMatch._id,
+    slot: sameParticipant(nextMatch.participantA, participantId) ? 'A' : 'B'
+  };
+};
+
+/**
+ * Collect Replacements (Helper)
+ *
+ * Follows a participant's path from a bracket slot and records every slot
+ * where `from` has to be replaced by `to`. A slot that holds someone else
+ * (changed by hand since) ends the path.
+ *
+ * @param {Object} link - { matchId, slot } to start from
+ * @param {Object} from - Participant to remove
+ * @param {Object} to - Participant to put in their place
+ * @param {Array} replacements - List to add replacements to
+ * @param {Set} visited - Match IDs already followed
+ */
+const collectReplacements = async (link, from, to, replacements, visited) => {
+  if (!link?.matchId || visited.has(link.matchId.toString())) {
+    return;
+  }
+  visited.add(link.matchId.toString());
+
+  const target = await Match.findById(link.matchId).lean();
+  if (!target) {
+    return;
+  }
+
+  const field = link.slot === 'A' ? 'participantA' : 'participantB';
+  if (target[field] && !sameParticipant(target[field], from)) {
+    return;
+  }
+
+  replacements.push({
+    matchId: target._id,
+    round: target.round,
+    slot: link.slot,
+    from: target[field] || null,
+    to,
+    status: target.status
+  });
+
+  // The grand final reset is played by the same two participants
+  if (target.bracket === 'grandFinal') {
+    const resetMatch = await Match.findOne({
+      tournamentId: target.tournamentId,
+      bracket: 'grandFinalReset',
+      [field]: from
+    }).lean();
+    if (resetMatch) {
+      await collectReplacements({ matchId: resetMatch._id, slot: link.slot }, from, to, replacements, visited);
+    }
+  }
+
+  if (target.status !== 'completed' || !target[field]) {
+    return;
+  }
+
+  // The replaced participant already played here: follow where they went next
+  const targetWinner = getMatchWinner(target);
+  if (sameParticipant(targetWinner, from)) {
+    const next = target.nextMatchId
+      ? { matchId: target.nextMatchId, slot: target.nextMatchSlot }
+      : (target.loserMatchId ? null : await findLegacyNextMatch(target, from));
+    await collectReplacements(next, from, to, replacements, visited);
+  } else if (target.loserMatchId) {
+    await collectReplacements({ matchId: target.loserMatchId, slot: target.loserMatchSlot }, from, to, replacements, visited);
+  }
+};
+
+/**
+ * Plan Result Amendment
+ *
+ * Works out what amending a completed match to the given games would
+ * change, without saving anything.
+ *
+ * @param {Object} match - Completed match document
+ * @param {Array} games - Corrected, validated games
+ * @returns {Promise<Object>} Plan:
+ *   - previousWinner / newWinner: Participant IDs
+ *   - winnerChanged: boolean
+ *   - replacements: [{ matchId, round, slot, from, to, status }]
+ *   - blockedMatches: replacements in matches that are live or completed
+ *   - resetMatch: Grand Final Reset to cancel (amended Grand Final only)
+ */
+export const planResultAmendment = async (match, games) => {
+  const previousWinner = getMatchWinner(match);
+  const previousLoser = getLoser(match, previousWinner);
+
+  const amended = {
+    status: 'completed',
+    outcome: 'played',
+    games,
+    participantA: match.participantA,
+    participantB: match.participantB
+  };
+  const newWinner = getMatchWinner(amended);
+  const newLoser = getLoser(amended, newWinner);
+
+  const plan = {
+    previousWinner,
+    newWinner,
+    winnerChanged: !sameParticipant(previousWinner, newWinner),
+    replacements: [],
+    blockedMatches: [],
+    resetMatch: null
+  };
+
+  if (!plan.winnerChanged) {
+    return plan;
+  }
+
+  const visited = new Set([match._id.toString()]);
+
+  if (match.nextMatchId) {
+    await collectReplacements(
+      { matchId: match.nextMatchId, slot: match.nextMatchSlot },
+      previousWinner, newWinner, plan.replacements, visited
+    );
+  } else if (!match.loserMatchId && !match.bracket) {
+    const legacyNext = await findLegacyNextMatch(match, previousWinner);
+    await collectReplacements(legacyNext, previousWinner, newWinner, plan.replacements, visited);
+  }
+
+  if (match.loserMatchId) {
+    await collectReplacements(
+      { matchId: match.loserMatchId, slot: match.loserMatchSlot },
+      previousLoser, newLoser, plan.replacements, visited
+    );
+  }
+
+  // Grand Final: the winners bracket champion (A) now wins, so a reset that
+  // was already started should not have been played
+  if (match.bracket === 'grandFinal' && sameParticipant(newWinner, match.participantA)) {
+    const resetMatch = await Match.findOne({
+      tournamentId: match.tournamentId._id || match.tournamentId,
+      bracket: 'grandFinalReset',
+      status: { $in: ['live', 'completed'] }
+    }).lean();
+    if (resetMatch) {
+      plan.resetMatch = resetMatch;
+      plan.blockedMatches.push({
+        matchId: resetMatch._id,
+        round: resetMatch.round,
+        slot: null,
+        status: resetMatch.status
+      });
+    }
+  }
+
+  plan.blockedMatches.unshift(...plan.replacements.filter(r => r.status !== 'upcoming'));
+
+  return plan;
+};
+
+/**
+ * Apply Result Amendment
+ *
+ * Corrects the games of a completed match, replaces the advanced
+ * participants in later matches and records the amendment.
+ *
+ * If later matches that have already started would change, nothing is
+ * saved unless `force` is set. Forced amendments replace the participant
+ * in those matches but keep their scores. A Grand Final Reset that should
+ * no longer be played is cancelled. Player ratings of the changed matches
+ * are recalculated.
+ *
+ * @param {Object} params
+ * @param {Object} params.match - Completed match document (tournament populated)
+ * @param {Array} params.games - Corrected, validated games
+ * @param {number} params.bestOf - Number of games in the match
+ * @param {string} params.reason - Why the result was amended
+ * @param {boolean} params.force - Apply even if later matches have started
+ * @param {string} params.adminId - Admin making the amendment
+ * @returns {Promise<Object>} { applied, amendment, plan, progression }
+ */
+export const applyResultAmendment = async ({ match, games, bestOf, reason, force = false, adminId = null }) => {
+  const plan = await planResultAmendment(match, games);
+
+  if (plan.blockedMatches.length > 0 && !force) {
+    return { applied: false, amendment: null, plan, progression: null };
+  }
+
+  const previousGames = getMatchGames(match);
+  applyGamesToMatch(match, games, bestOf);
+  // A corrected score is a played result, even for a walkover or retirement
+  clearMatchOutcome(match);
+  await match.save();
+
+  for (const replacement of plan.replacements) {
+    const field = replacement.slot === 'A' ? 'participantA' : 'participantB';
+    await Match.updateOne({ _id: replacement.matchId }, { $set: { [field]: replacement.to } });
+  }
+
+  if (plan.resetMatch) {
+    await Match.updateOne({ _id: plan.resetMatch._id }, { $set: { status: 'cancelled' } });
+  }
+
+  // The Grand Final decides whether the reset is played and when the
+  // tournament ends, so let progression handle it
+  let progression = null;
+  if (match.bracket === 'grandFinal' && plan.winnerChanged) {
+    progression = await processMatchCompletion(match._id);
+  }
+
+  // Player ratings are recalculated for every match whose result or players changed
+  const ratedMatchIds = [match._id, ...plan.replacements.map(r => r.matchId)];
+  if (plan.resetMatch) ratedMatchIds.push(plan.resetMatch._id);
+  for (const ratedMatchId of ratedMatchIds) {
+    try {
+      await rateMatch(ratedMatchId);
+    } catch (error) {
+      console.error('Error updating player ratings:', error);
+    }
+  }
+
+  const amendment = await ResultAmendment.create({
+    matchId: match._id,
+    tournamentId: match.tournamentId._id || match.tournamentId,
+    reason,
+    previousGames,
+    games,
+    previousWinner: plan.previousWinner,
+    newWinner: plan.newWinner,
+    forced: plan.blockedMatches.length > 0,
+    affectedMatches: plan.replacements,
+    amendedBy: adminId
+  });
+
+  return { applied: true, amendment, plan, progression };
+};
+
+/**
+ * Get Match Amendments
+ *
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Array>} Amendments for the match, newest first
+ */
+export const getMatchAmendments = async (matchId) => {
+  return ResultAmendment.find({ matchId })
+    .sort({ createdAt: -1 })
+    .populate('previousWinner', 'name players')
+    .populate('newWinner', 'name players')
+    .populate('amendedBy', 'email')
+    .lean();
+};
@@ -0,0 +1,88 @@
+/**
+ * Division Service
+ *
+ * A tournament weekend can run several events at once (Men's Doubles 3.5,
+ * Women's Doubles 4.0, Mixed, Singles, ...). Each event is a division: a
+ * tournament of its own (type, format, rules, participants, fixtures)
+ * whose parentTournament is the main tournament. Divisions are one level
+ * deep; the main tournament is an event too.
+ *
+ * The main tournament and its divisions share one court schedule: the
+ * schedule settings of the main tournament are used for all of them, and
+ * matches of every division are placed on the courts together (see
+ * schedule.service.js).
+ */
+
+import Tournament from '../models/tournament.model.js';
+import Participant from '../models/participant.model.js';
+
+// Fields of a division shown in division lists (admin and public)
+export const DIVISION_FIELDS = '_id name type format status isPublic registration.enabled';
+
+/**
+ * Get Schedule Owner
+ *
+ * @param {Object} tournament - Tournament or division (document)
+ * @returns {Promise<Object>} The tournament whose schedule settings apply (the main tournament of a division)
+ */
+export const getScheduleOwner = async (tournament) => {
+  if (!tournament.parentTournament) return tournament;
+  return (await Tournament.findById(tournament.parentTournament)) || tournament;
+};
+
+/**
+ * Get Event IDs
+ *
+ * @param {Object} owner - Main tournament (see getScheduleOwner)
+ * @returns {Promise<Array>} IDs of the main tournament and its divisions
+ */
+export const getEventIds = async (owner) => {
+  const divisions = await Tournament.find({ parentTournament: owner._id }).select('_id').lean();
+  return [owner._id, ...divisions.map(division => division._id)];
+};
+
+/**
+ * Get Division Summary
+ *
+ * The main tournament and divisions of the weekend a tournament belongs to.
+ *
+ * @param {Object} tournament - Tournament or division
+ * @param {Object} options - { publicOnly: only list public divisions }
+ * @returns {Promise<Object>} { parent: main tournament or null, divisions: [division] }
+ */
+export const getDivisionSummary = async (tournament, { publicOnly = false } = {}) => {
+  const parentId = tournament.parentTournament?._id || tournament.parentTournament || tournament._id;
+  const filter = publicOnly ? { isPublic: true } : {};
+
+  const [parent, divisions] = await Promise.all([
+    tournament.parentTournament
+      ? Tournament.findOne({ _id: parentId, ...filter }).select(DIVISION_FIELDS).lean()
+      : null,
+    Tournament.find({ parentTournament: parentId, ...filter })
+      .select(DIVISION_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean()
+  ]);
+
+  return { parent, divisions };
+};
+
+/**
+ * Get Players Of Participants
+ *
+ * Player registry IDs of every participant of the events, so a player
+ * entered in two divisions is not given two matches at once.
+ *
+ * @param {Array} eventIds - From getEventIds
+ * @returns {Promise<Map>} participantId -> [playerId]
+ */
+export const getPlayersOfParticipants = async (eventIds) => {
+  const participants = await Participant.find({ tournamentId: { $in: eventIds } })
+    .select('_id playerIds')
+    .lean();
+
+  return new Map(participants.map(participant => [
+    participant._id.toString(),
+    (participant.playerIds || []).filter(Boolean).map(playerId => playerId.toString())
+  ]));
+};
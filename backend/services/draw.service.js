@@ -0,0 +1,273 @@
+/**
+ * Draw Service
+ *
+ * This service runs the random draws of a tournament with a seeded random
+ * number generator, records them on the tournament, and replays them for
+ * the public draw audit.
+ *
+ * A recorded draw holds everything the result depends on:
+ * - seed and algorithm version (see random.service.js)
+ * - the participants in the order the draw used them (sorted by ID), with
+ *   the seeds, ratings and clubs the draw saw at the time
+ * - the draw settings (format, group sizes, draw method, ...)
+ *
+ * Replaying a draw runs the same steps with the same random numbers, so it
+ * gives the same groups and pairings. Ratings change over time, which is
+ * why the ratings used are stored with the draw rather than read again.
+ *
+ * Draw kinds:
+ * - fixtures: generate-fixtures for group, knockout, double elimination and
+ *   rotating partner formats (group draw, the random order of unseeded and
+ *   unrated participants in the bracket, or the courts and partners of every round)
+ * - groupTournament: group draw of a custom group tournament, then the
+ *   first-round pairings of groups played as a knockout
+ * - customRound: random pairings of a custom round (and of the first Swiss round)
+ */
+
+import { DRAW_ALGORITHM_VERSION, createDrawSeed, createRandom, shuffle } from './random.service.js';
+import { generateFixtures, buildSeedOrder } from './fixture.service.js';
+import { drawGroups, pairGroupKnockout } from './groupDraw.service.js';
+
+/**
+ * Sort For Draw
+ *
+ * Database order is not guaranteed, so draws always start from the
+ * participants sorted by ID.
+ *
+ * @param {Array} participants - Participant objects with _id
+ * @returns {Array} Sorted copy
+ */
+export const sortForDraw = (participants) =>
+  [...participants].sort((a, b) => a._id.toString().localeCompare(b._id.toString()));
+
+/**
+ * Resolve Draw Seed
+ *
+ * @param {*} seed - Seed given by the admin (optional)
+ * @returns {Object} { seed } - the given seed, or a new one when none is given - or { error }
+ */
+export const resolveDrawSeed = (seed) => {
+  if (seed === undefined || seed === null || seed === '') {
+    return { seed: createDrawSeed() };
+  }
+
+  const text = String(seed).trim();
+  if (!text || text.length > 64) {
+    return { error: 'Draw seed must be between 1 and 64 characters' };
+  }
+
+  return { seed: text };
+};
+
+/**
+ * Draw Fixtures
+ *
+ * @param {Object} input - { format, participants (sorted, with _id and seed), ratings, groupSize, bracketReset,
+ *   rounds, courts (rotating partners) }
+ * @param {Function} random - Random number generator (see createRandom)
+ * @returns {Array} Generated matches (see generateFixtures)
+ */
+export const drawFixtures = ({ format, participants, ratings = null, groupSize = 4, bracketReset = true, rounds, courts }, random) => {
+  // Knockout: seeded participants get standard bracket slots, then rated participants
+  // by rating; the rest are drawn randomly
+  const seeding = buildSeedOrder(participants, ratings, random);
+
+  return generateFixtures(format, participants.map(p => p._id), {
+    groupSize,
+    seeding,
+    bracketReset,
+    rounds,
+    courts,
+    random
+  });
+};
+
+/**
+ * Draw Custom Round Pairs
+ *
+ * @param {Array} participants - Participants (sorted)
+ * @param {Function} random - Random number generator (see createRandom)
+ * @returns {Array} [{ participantA, participantB }] in match order; with an
+ *   odd number of participants the last one is paired with TBD (null)
+ */
+export const drawCustomRoundPairs = (participants, random) => {
+  const shuffled = shuffle(participants, random);
+  const pairs = [];
+
+  for (let i = 0; i < shuffled.length - 1; i += 2) {
+    pairs.push({ participantA: shuffled[i]._id, participantB: shuffled[i + 1]._id });
+  }
+
+  if (shuffled.length % 2 !== 0) {
+    pairs.push({ participantA: shuffled[shuffled.length - 1]._id, participantB: null });
+  }
+
+  return pairs;
+};
+
+/**
+ * Record Draw
+ *
+ * Adds a draw to tournament.draws. The caller saves the tournament.
+ *
+ * @param {Object} tournament - Tournament document
+ * @param {Object} draw - { kind, round, method, seed, participants (in draw order), ratings, clubs, options }
+ */
+export const recordDraw = (tournament, { kind, round = null, method = null, seed, participants, ratings = null, clubs = null, options = {} }) => {
+  tournament.draws.push({
+    kind,
+    round,
+    method,
+    seed,
+    algorithmVersion: DRAW_ALGORITHM_VERSION,
+    participants: participants.map(p => ({
+      participantId: p._id,
+      seed: p.seed ?? null,
+      rating: ratings?.get(p._id.toString()) ?? null,
+      ...(clubs && { clubs: clubs.get(p._id.toString()) || [] })
+    })),
+    options,
+    drawnAt: new Date()
+  });
+};
+
+/**
+ * Replay Draw
+ *
+ * Runs a recorded draw again from its participants and seed.
+ *
+ * @param {Object} draw - Recorded draw (see recordDraw)
+ * @returns {Object} { groups (group draws only), matches: [{ round, participantA, participantB }] }
+ *   with the participants placed by the draw (later rounds are left out until they are known)
+ * @throws {Error} If the draw was made with another algorithm version
+ */
+export const replayDraw = (draw) => {
+  if (draw.algorithmVersion !== DRAW_ALGORITHM_VERSION) {
+    throw new Error(`Draw was made with algorithm version ${draw.algorithmVersion} and cannot be replayed by version ${DRAW_ALGORITHM_VERSION}`);
+  }
+
+  const random = createRandom(draw.seed);
+  const participants = draw.participants.map(p => ({ _id: p.participantId.toString(), seed: p.seed }));
+  const ratings = new Map(
+    draw.participants
+      .filter(p => p.rating !== null && p.rating !== undefined)
+      .map(p => [p.participantId.toString(), p.rating])
+  );
+  const options = draw.options || {};
+  const placed = (match) => match.participantA || match.participantB;
+  const toResult = (match) => ({
+    round: match.round,
+    participantA: match.participantA ? match.participantA.toString() : null,
+    participantB: match.participantB ? match.participantB.toString() : null
+  });
+
+  switch (draw.kind) {
+    case 'fixtures': {
+      const matches = drawFixtures({
+        format: options.format,
+        participants,
+        ratings,
+        groupSize: options.groupSize,
+        bracketReset: options.bracketReset !== false,
+        rounds: options.rounds,
+        courts: options.courts
+      }, random);
+      return { matches: matches.filter(placed).map(toResult) };
+    }
+
+    case 'groupTournament': {
+      let groups;
+      if (draw.method === 'manual') {
+        const byId = new Map(participants.map(p => [p._id, p]));
+        groups = (options.groups || []).map(ids => ids.map(participantId => byId.get(participantId.toString())));
+      } else {
+        const clubs = options.separateClubs
+          ? new Map(draw.participants.map(p => [p.participantId.toString(), p.clubs || []]))
+          : null;
+        groups = drawGroups(participants, {
+          method: draw.method,
+          distribution: options.distribution,
+          ratings,
+          clubs,
+          random
+        }).groups;
+      }
+
+      const matches = [];
+      groups.forEach((group, groupIndex) => {
+        const round = `Group ${String.fromCharCode(65 + groupIndex)}`;
+        if (options.stage1Format === 'knockout') {
+          pairGroupKnockout(group, random).forEach(match => matches.push(toResult({ round, ...match })));
+        } else {
+          for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+              matches.push(toResult({ round, participantA: group[i]._id, participantB: group[j]._id }));
+            }
+          }
+        }
+      });
+
+      return {
+        groups: groups.map((group, groupIndex) => ({
+          groupName: String.fromCharCode(65 + groupIndex),
+          participantIds: group.map(p => p._id)
+        })),
+        matches
+      };
+    }
+
+    case 'customRound':
+      return {
+        matches: drawCustomRoundPairs(participants, random).map(pair => toResult({ round: draw.round, ...pair }))
+      };
+
+    default:
+      throw new Error(`Unknown draw kind "${draw.kind}"`);
+  }
+};
+
+/**
+ * Pair Key (Helper)
+ *
+ * @param {Object} match - { round, participantA, participantB }
+ * @returns {string} Key that is the same for A v B and B v A
+ */
+const pairKey = (match) => {
+  const ids = [match.participantA, match.participantB].map(p => (p ? p.toString() : 'TBD')).sort();
+  return `${match.round}|${ids.join('|')}`;
+};
+
+/**
+ * Compare With Matches
+ *
+ * Checks that every pairing of a replayed draw is among the stored matches.
+ * A match whose second slot was TBD in the draw also counts when it has
+ * been filled since.
+ *
+ * @param {Array} replayed - Matches from replayDraw
+ * @param {Array} storedMatches - Matches of the tournament with round, participantA and participantB
+ * @returns {Array} Replayed matches that are not found
+ */
+export const compareWithMatches = (replayed, storedMatches) => {
+  const available = new Map();
+  const take = (key) => {
+    const count = available.get(key) || 0;
+    if (count === 0) return false;
+    available.set(key, count - 1);
+    return true;
+  };
+
+  storedMatches.forEach(match => {
+    const keys = [pairKey(match)];
+    // Filled TBD slots: the match also stands for the pairing with TBD
+    if (match.participantA && match.participantB) {
+      keys.push(pairKey({ round: match.round, participantA: match.participantA, participantB: null }));
+      keys.push(pairKey({ round: match.round, participantA: null, participantB: match.participantB }));
+    }
+    keys.forEach(key => available.set(key, (available.get(key) || 0) + 1));
+  });
+
+  // Full pairings first so they are not used up by TBD pairings
+  const ordered = [...replayed].sort((a, b) => Number(!a.participantA || !a.participantB) - Number(!b.participantA || !b.participantB));
+  return ordered.filter(match => !take(pairKey(match)));
+};
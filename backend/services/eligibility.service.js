@@ -0,0 +1,224 @@
+/**
+ * Eligibility Service
+ *
+ * Entry rules of a tournament or division (tournament.eligibility), e.g. a
+ * 3.5 skill band, a 50+ age band or a mixed doubles event:
+ * - minRating / maxRating: every player's rating must be in the range
+ * - minAge: every player must be at least this old on the tournament date
+ * - gender: 'male' or 'female' (every player), 'mixed' (a doubles team of
+ *   one man and one woman) or 'open'
+ *
+ * Rules are checked when participants are added (form, upload) and when
+ * players register themselves. Player details come from the player
+ * registry first, then from the details given with the entry; a rule that
+ * cannot be checked because a detail is missing counts as a violation.
+ */
+
+import Player from '../models/player.model.js';
+import { findPlayerMatches, getEntryType } from './player.service.js';
+
+export const GENDER_RULES = ['open', 'male', 'female', 'mixed'];
+
+const GENDER_LABELS = {
+  male: 'Men only',
+  female: 'Women only',
+  mixed: 'Mixed teams (one man and one woman)'
+};
+
+/**
+ * Validate Eligibility Rules
+ *
+ * @param {Object} eligibility - Rules from the request body
+ * @param {Object} tournament - Tournament with the type and format being saved
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateEligibilityRules = (eligibility, tournament) => {
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  const { minRating, maxRating, minAge, gender } = eligibility;
+
+  for (const [label, value] of [['Minimum rating', minRating], ['Maximum rating', maxRating]]) {
+    if (isSet(value) && (isNaN(Number(value)) || Number(value) < 1 || Number(value) > 8)) {
+      return `${label} must be a number between 1 and 8`;
+    }
+  }
+  if (isSet(minRating) && isSet(maxRating) && Number(minRating) > Number(maxRating)) {
+    return 'Minimum rating cannot be above the maximum rating';
+  }
+
+  if (isSet(minAge) && (!Number.isInteger(Number(minAge)) || Number(minAge) < 0)) {
+    return 'Minimum age must be a whole number';
+  }
+
+  if (isSet(gender) && !GENDER_RULES.includes(gender)) {
+    return `Gender must be one of: ${GENDER_RULES.join(', ')}`;
+  }
+  if (gender === 'mixed' && getEntryType(tournament) !== 'doubles') {
+    return 'Only doubles teams can be mixed';
+  }
+
+  return null;
+};
+
+/**
+ * Has Eligibility Rules
+ *
+ * @param {Object} tournament - Tournament or division
+ * @returns {boolean} Whether any rule is set
+ */
+export const hasEligibilityRules = (tournament) => {
+  const rules = tournament.eligibility || {};
+  return rules.minRating != null || rules.maxRating != null || rules.minAge != null
+    || (rules.gender != null && rules.gender !== 'open');
+};
+
+/**
+ * Get Rating Label (Helper)
+ *
+ * @param {Object} rules - tournament.eligibility
+ * @returns {string} e.g. "rating 3.0-3.5", "rating 4 and above"
+ */
+const getRatingLabel = ({ minRating, maxRating }) => {
+  if (minRating != null && maxRating != null) return `rating ${minRating}-${maxRating}`;
+  if (minRating != null) return `rating ${minRating} and above`;
+  return `rating up to ${maxRating}`;
+};
+
+/**
+ * Describe Eligibility
+ *
+ * @param {Object} tournament - Tournament or division
+ * @returns {Array} Rules in words, e.g. ["Rating 3.0-3.5", "Age 50+ on the tournament date"]
+ */
+export const describeEligibility = (tournament) => {
+  const rules = tournament.eligibility || {};
+  const descriptions = [];
+
+  if (rules.minRating != null || rules.maxRating != null) {
+    const label = getRatingLabel(rules);
+    descriptions.push(label.charAt(0).toUpperCase() + label.slice(1));
+  }
+  if (rules.minAge != null) {
+    descriptions.push(`Age ${rules.minAge}+ on the tournament date`);
+  }
+  if (GENDER_LABELS[rules.gender]) {
+    descriptions.push(GENDER_LABELS[rules.gender]);
+  }
+
+  return descriptions;
+};
+
+/**
+ * Get Age On (Helper)
+ *
+ * @param {Date} dateOfBirth - Date of birth
+ * @param {Date} date - Day the age is taken on
+ * @returns {number} Age in whole years
+ */
+const getAgeOn = (dateOfBirth, date) => {
+  const birth = new Date(dateOfBirth);
+  let age = date.getFullYear() - birth.getFullYear();
+  const hadBirthday = date.getMonth() > birth.getMonth()
+    || (date.getMonth() === birth.getMonth() && date.getDate() >= birth.getDate());
+  if (!hadBirthday) age--;
+  return age;
+};
+
+/**
+ * Get Eligibility Details
+ *
+ * Rating, gender and date of birth of the players of an entry: from the
+ * player registry record (picked, or the only player matching the name or
+ * email), then from the details given with the entry.
+ *
+ * @param {Array} players - [{ name, details (from parsePlayerDetails), playerId (optional) }]
+ * @returns {Promise<Array>} [{ name, rating, gender, dateOfBirth }]
+ */
+export const getEligibilityDetails = async (players) => Promise.all(players.map(async ({ name, details = {}, playerId = null }) => {
+  let registered = null;
+  if (playerId) {
+    registered = await Player.findById(playerId).select('rating gender dateOfBirth').lean();
+  } else {
+    const { players: matches } = await findPlayerMatches(name, details.email || null);
+    if (matches.length === 1) registered = matches[0];
+  }
+
+  return {
+    name,
+    rating: registered?.rating ?? details.rating ?? null,
+    gender: registered?.gender ?? details.gender ?? null,
+    dateOfBirth: registered?.dateOfBirth ?? details.dateOfBirth ?? null
+  };
+}));
+
+/**
+ * Check Eligibility
+ *
+ * @param {Object} tournament - Tournament or division entered
+ * @param {Array} players - Players of one entry, from getEligibilityDetails
+ * @returns {Array} Violations (empty = eligible)
+ */
+export const checkEligibility = (tournament, players) => {
+  const rules = tournament.eligibility || {};
+  const violations = [];
+
+  if (rules.minRating != null || rules.maxRating != null) {
+    const label = getRatingLabel(rules);
+    players.forEach(player => {
+      if (player.rating === null || player.rating === undefined) {
+        violations.push(`${player.name}: a rating is needed for this event (${label})`);
+      } else if ((rules.minRating != null && player.rating < rules.minRating)
+        || (rules.maxRating != null && player.rating > rules.maxRating)) {
+        violations.push(`${player.name}: rating ${player.rating} is outside ${label}`);
+      }
+    });
+  }
+
+  if (rules.minAge != null) {
+    const day = tournament.date ? new Date(tournament.date) : new Date();
+    players.forEach(player => {
+      if (!player.dateOfBirth) {
+        violations.push(`${player.name}: a date of birth is needed for this event (age ${rules.minAge}+)`);
+      } else {
+        const age = getAgeOn(player.dateOfBirth, day);
+        if (age < rules.minAge) {
+          violations.push(`${player.name}: age ${age} on the tournament date (age ${rules.minAge}+)`);
+        }
+      }
+    });
+  }
+
+  if (GENDER_LABELS[rules.gender]) {
+    const missing = players.filter(player => !player.gender);
+    missing.forEach(player => violations.push(`${player.name}: a gender is needed for this event (${GENDER_LABELS[rules.gender].toLowerCase()})`));
+
+    if (missing.length === 0) {
+      if (rules.gender === 'mixed') {
+        const genders = players.map(player => player.gender).sort().join(',');
+        if (genders !== 'female,male') {
+          violations.push('A mixed team needs one man and one woman');
+        }
+      } else {
+        players
+          .filter(player => player.gender !== rules.gender)
+          .forEach(player => violations.push(`${player.name}: this event is ${GENDER_LABELS[rules.gender].toLowerCase()}`));
+      }
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Check Entry Eligibility
+ *
+ * getEligibilityDetails and checkEligibility for one entry; no registry
+ * lookups when the tournament has no rules.
+ *
+ * @param {Object} tournament - Tournament or division entered
+ * @param {Array} players - [{ name, details, playerId }]
+ * @returns {Promise<Array>} Violations (empty = eligible)
+ */
+export const checkEntryEligibility = async (tournament, players) => {
+  if (!hasEligibilityRules(tournament)) return [];
+  return checkEligibility(tournament, await getEligibilityDetails(players));
+};
@@ -8,6 +8,9 @@
  * - Round Robin: Every participant plays every other participant exactly once
  * - Group Stage: Participants divided into groups, round robin within each group
  * - Knockout: Single elimination bracket with power-of-2 requirement and byes
+ * - Double Elimination: Winners and losers brackets, grand final with optional reset
+ * - Rotating Partners: Individuals play doubles with a different partner
+ *   every round, on a fixed number of courts
  * 
  * Features:
  * - Prevents duplicate matches
@@ -15,8 +18,15 @@
  * - Even distribution for group stages
  * - Proper round naming and ordering
  * - Knockout: Creates ALL rounds upfront with TBD (null) participants for future rounds
+ * - Knockout formats: Each match is linked to the match its winner (and loser) plays next
+ * - Knockout: Optional matches for 3rd place or every place (see addPlacementMatches)
+ * - Random choices take a random number generator, so a draw made with a
+ *   seeded generator (see random.service.js) can be repeated exactly
  */
 
+import mongoose from 'mongoose';
+import { shuffle } from './random.service.js';
+
 /**
  * Generate Round Robin Fixtures
  * 
@@ -94,9 +104,10 @@ export const generateRoundRobinFixtures = (participants) => {
  * @param {Array} participants - Array of participant IDs
  * @param {number} numGroups - Number of groups (optional, will calculate if not provided)
  * @param {number} groupSize - Desired participants per group (optional, default: 4)
+ * @param {Function} random - Random number generator for the group draw (default Math.random)
  * @returns {Array} Array of match objects with round, participantA, participantB, order
  */
-export const generateGroupFixtures = (participants, numGroups = null, groupSize = 4) => {
+export const generateGroupFixtures = (participants, numGroups = null, groupSize = 4, random = Math.random) => {
   const matches = [];
   const n = participants.length;
 
@@ -126,8 +137,7 @@ export const generateGroupFixtures = (participants, numGroups = null, groupSize
   let participantIndex = 0;
 
   // Shuffle participants for random group assignment
-  // (In production, you might want to seed this for consistency or use seeding)
-  const shuffled = [...participants].sort(() => Math.random() - 0.5);
+  const shuffled = shuffle(participants, random);
 
   // Create groups with even distribution
   for (let i = 0; i < calculatedNumGroups; i++) {
@@ -185,6 +195,82 @@ const getNextPowerOf2 = (n) => {
   return Math.pow(2, Math.ceil(Math.log2(n)));
 };
 
+/**
+ * Get Standard Seed Positions
+ * 
+ * Returns seed numbers in bracket slot order for a bracket of the given size,
+ * so that first-round pairs are (1 v 16), (8 v 9), (4 v 13), ... and the
+ * top two seeds can only meet in the final.
+ * 
+ * Built by repeatedly replacing each seed s with (s, size + 1 - s):
+ * - 2: [1, 2]
+ * - 4: [1, 4, 2, 3]
+ * - 8: [1, 8, 4, 5, 2, 7, 3, 6]
+ * 
+ * @param {number} bracketSize - Bracket size (power of 2)
+ * @returns {Array<number>} Seed number for each slot
+ */
+export const getStandardSeedPositions = (bracketSize) => {
+  let positions = [1];
+
+  while (positions.length < bracketSize) {
+    const size = positions.length * 2;
+    positions = positions.flatMap(seed => [seed, size + 1 - seed]);
+  }
+
+  return positions;
+};
+
+/**
+ * Build Seed Order
+ * 
+ * Orders participants for bracket placement: seeded participants first
+ * (by seed, 1 = top), then unseeded participants in random order.
+ * With ratings, unseeded participants are ordered by rating (highest
+ * first) and only unrated participants are drawn randomly, last.
+ * 
+ * @param {Array} participants - Participant objects with _id and seed
+ * @param {Map} ratings - Optional participantId -> rating (see rating.service.js)
+ * @param {Function} random - Random number generator for the unrated draw (default Math.random)
+ * @returns {Array} Participant IDs in seed order (index 0 = top seed)
+ */
+export const buildSeedOrder = (participants, ratings = null, random = Math.random) => {
+  const seeded = participants
+    .filter(p => p.seed !== null && p.seed !== undefined)
+    .sort((a, b) => a.seed - b.seed);
+
+  const unseeded = participants.filter(p => p.seed === null || p.seed === undefined);
+  const ratingOf = (p) => ratings?.get(p._id.toString());
+
+  const rated = unseeded
+    .filter(p => ratingOf(p) !== undefined)
+    .sort((a, b) => ratingOf(b) - ratingOf(a));
+
+  const unrated = shuffle(unseeded.filter(p => ratingOf(p) === undefined), random);
+
+  return [...seeded, ...rated, ...unrated].map(p => p._id);
+};
+
+/**
+ * Resolve Seed Order (Helper)
+ * 
+ * @param {Array} participants - Array of participant IDs
+ * @param {Array} seeding - Optional participant IDs in seed order
+ * @param {Function} random - Random number generator (default Math.random)
+ * @returns {Array} Participant IDs in seed order (random when no seeding is given)
+ */
+const resolveSeedOrder = (participants, seeding, random = Math.random) => {
+  const seedOrder = seeding
+    ? seeding.filter(p => participants.some(orig => orig.toString() === p.toString()))
+    : shuffle(participants, random);
+
+  if (seedOrder.length !== participants.length) {
+    throw new Error('Seeding must list every participant exactly once');
+  }
+
+  return seedOrder;
+};
+
 /**
  * Generate Knockout Bracket Fixtures
  * 
@@ -196,13 +282,20 @@ const getNextPowerOf2 = (n) => {
  * NEW BEHAVIOR: Creates ALL rounds upfront
  * - First round: Matches between teams, odd teams get byes
  * - Subsequent rounds: Participants set as null (TBD - To Be Declared)
- * - TBD participants will be auto-filled when previous round completes
+ * - TBD participants will be auto-filled when the feeding match completes
  * - Admin can manually update TBD participants if needed
+ * - Every match carries a key, and the key and slot ('A'/'B') of the match
+ *   its winner goes to (nextMatchKey/nextMatchSlot). The caller maps keys to match IDs.
+ * 
+ * Seeding:
+ * - Participants are placed in standard bracket slots (see getStandardSeedPositions),
+ *   so seeds 1 and 2 can only meet in the final, seeds 1-4 in the semi finals, etc.
+ * - Without seeding, the seed order is random
  * 
  * Bye Handling (for non-power-of-2 participant counts):
  * - Find next power of 2 → P
  * - Number of byes = P - N (where N = number of participants)
- * - Byes are assigned based on seeding (if available) or randomly
+ * - Byes go to the top seeds (their first-round opponent would be seed > N)
  * - Bye = auto-win, no match played, participant advances automatically
  * 
  * Example with 6 participants:
@@ -218,10 +311,11 @@ const getNextPowerOf2 = (n) => {
  * - Or: Final
  * 
  * @param {Array} participants - Array of participant IDs
- * @param {Array} seeding - Optional seeding order (higher index = better seed, gets bye priority)
+ * @param {Array} seeding - Optional participant IDs in seed order (index 0 = top seed, see buildSeedOrder)
+ * @param {Object} options - { random: random number generator used without seeding (default Math.random) }
  * @returns {Object} Object with matches array and bracket structure
  */
-export const generateKnockoutFixtures = (participants, seeding = null) => {
+export const generateKnockoutFixtures = (participants, seeding = null, { random = Math.random } = {}) => {
   const matches = [];
   const n = participants.length;
 
@@ -232,7 +326,6 @@ export const generateKnockoutFixtures = (participants, seeding = null) => {
 
   // Calculate bracket size (must be power of 2)
   const bracketSize = getNextPowerOf2(n);
-  const byes = bracketSize - n;
 
   // Determine round names based on bracket size
   const getRoundName = (roundIndex, totalRounds) => {
@@ -247,152 +340,828 @@ export const generateKnockoutFixtures = (participants, seeding = null) => {
   };
 
   const totalRounds = Math.log2(bracketSize);
-  
-  // Prepare participants with seeding
-  let participantList = participants.map((p, index) => ({
-    id: p,
-    seed: seeding ? seeding.indexOf(p) : index,
-    hasBye: false
-  }));
-
-  // Sort by seed (higher seed = better, gets bye priority)
-  // If no seeding, randomize
-  if (!seeding) {
-    participantList = participantList.sort(() => Math.random() - 0.5);
-  } else {
-    participantList = participantList.sort((a, b) => b.seed - a.seed);
-  }
 
-  // Assign byes to top seeds (if any)
-  for (let i = 0; i < byes && i < participantList.length; i++) {
-    participantList[i].hasBye = true;
-  }
-
-  // Separate participants with byes and without byes
-  const byeParticipants = participantList
-    .filter(p => p.hasBye)
-    .map(p => p.id);
-  
-  const firstRoundParticipants = participantList
-    .filter(p => !p.hasBye)
-    .map(p => p.id);
-
-  // Calculate how many participants will advance from first round
-  // First round matches: firstRoundParticipants.length / 2 winners (if even)
-  // Plus: byeParticipants.length (auto-advance)
-  const firstRoundWinners = Math.floor(firstRoundParticipants.length / 2);
-  const totalAdvancing = firstRoundWinners + byeParticipants.length;
+  // Seed order (index 0 = top seed). Without seeding, the draw is random.
+  const seedOrder = resolveSeedOrder(participants, seeding, random);
 
   let matchOrder = 0;
 
+  // Link a match to the matches whose winners fill its slots (null = no feeder)
+  const linkFeeders = (match, feederA, feederB) => {
+    if (feederA) {
+      feederA.nextMatchKey = match.key;
+      feederA.nextMatchSlot = 'A';
+    }
+    if (feederB) {
+      feederB.nextMatchKey = match.key;
+      feederB.nextMatchSlot = 'B';
+    }
+  };
+
   // ============================================
-  // ROUND 1: Create matches for non-bye participants
+  // ROUND 1: Place seeds in standard bracket slots
   // ============================================
+  // Seeds above N are byes, so byes go to the top seeds
   const round1Name = getRoundName(totalRounds, totalRounds);
-  const round1Winners = []; // Track winners (will be TBD/null for now)
+  const round1Winners = []; // Slot winners in bracket order (null = TBD)
+  const round1Feeders = []; // Match whose winner fills each slot (null = bye)
+  const positions = getStandardSeedPositions(bracketSize);
 
-  // Create matches for participants without byes
-  for (let i = 0; i < firstRoundParticipants.length; i += 2) {
-    if (i + 1 < firstRoundParticipants.length) {
-      // Both participants available - create match
-      matches.push({
+  for (let i = 0; i < positions.length; i += 2) {
+    const participantA = seedOrder[positions[i] - 1] || null;
+    const participantB = seedOrder[positions[i + 1] - 1] || null;
+
+    if (participantA && participantB) {
+      const match = {
+        key: `M${matchOrder}`,
         round: round1Name,
-        participantA: firstRoundParticipants[i],
-        participantB: firstRoundParticipants[i + 1],
+        participantA: participantA,
+        participantB: participantB,
         order: matchOrder++
-      });
+      };
+      matches.push(match);
       // Winner will be determined when match completes (TBD for now)
-      round1Winners.push(null); // TBD - will be filled when match completes
+      round1Winners.push(null);
+      round1Feeders.push(match);
     } else {
-      // Odd number of non-bye participants - this one gets a bye to next round
-      round1Winners.push(firstRoundParticipants[i]);
+      // Bye - the seeded participant advances automatically
+      round1Winners.push(participantA || participantB);
+      round1Feeders.push(null);
     }
   }
 
-  // Add bye participants to winners list (they advance automatically)
-  byeParticipants.forEach(byeParticipant => {
-    round1Winners.push(byeParticipant);
-  });
-
   // ============================================
   // SUBSEQUENT ROUNDS: Create all rounds with TBD participants
   // ============================================
   let currentRoundParticipants = round1Winners; // Start with round 1 winners/byes
+  let currentRoundFeeders = round1Feeders; // Matches feeding each slot
   let currentRound = totalRounds - 1; // Start from second-to-last round
 
   while (currentRound > 0 && currentRoundParticipants.length > 1) {
     const roundName = getRoundName(currentRound, totalRounds);
     const nextRoundParticipants = [];
+    const nextRoundFeeders = [];
 
     // Pair participants for this round
     for (let i = 0; i < currentRoundParticipants.length; i += 2) {
       if (i + 1 < currentRoundParticipants.length) {
-        const participantA = currentRoundParticipants[i];
-        const participantB = currentRoundParticipants[i + 1];
-
-        // If both are real participants (not null), place them directly
-        // This happens when bye participants advance
-        if (participantA !== null && participantB !== null) {
-          // Both participants are known (byes), create match with actual participants
-          matches.push({
-            round: roundName,
-            participantA: participantA, // Real participant (bye)
-            participantB: participantB, // Real participant (bye)
-            order: matchOrder++
-          });
-          // Winner will be determined when match completes (TBD for now)
-          nextRoundParticipants.push(null); // TBD - will be filled when match completes
-        } else if (participantA !== null) {
-          // Only participantA is known (bye), participantB is TBD (match winner)
-          matches.push({
-            round: roundName,
-            participantA: participantA, // Real participant (bye)
-            participantB: null, // TBD - will be filled when previous match completes
-            order: matchOrder++
-          });
-          // Winner will be determined when match completes (TBD for now)
-          nextRoundParticipants.push(null); // TBD - will be filled when match completes
-        } else if (participantB !== null) {
-          // Only participantB is known (bye), participantA is TBD (match winner)
-          matches.push({
-            round: roundName,
-            participantA: null, // TBD - will be filled when previous match completes
-            participantB: participantB, // Real participant (bye)
-            order: matchOrder++
-          });
-          // Winner will be determined when match completes (TBD for now)
-          nextRoundParticipants.push(null); // TBD - will be filled when match completes
-        } else {
-          // Both are TBD (match winners), create match with TBD participants
-          matches.push({
-            round: roundName,
-            participantA: null, // TBD - will be filled when previous round completes
-            participantB: null, // TBD - will be filled when previous round completes
-            order: matchOrder++
-          });
-          // Winner will be determined when match completes (TBD for now)
-          nextRoundParticipants.push(null); // TBD - will be filled when match completes
-        }
+        // A known participant here advanced on a bye; null is TBD
+        // (filled through the link from the feeding match when it completes)
+        const match = {
+          key: `M${matchOrder}`,
+          round: roundName,
+          participantA: currentRoundParticipants[i],
+          participantB: currentRoundParticipants[i + 1],
+          order: matchOrder++
+        };
+        matches.push(match);
+        linkFeeders(match, currentRoundFeeders[i], currentRoundFeeders[i + 1]);
+
+        // Winner will be determined when match completes (TBD for now)
+        nextRoundParticipants.push(null);
+        nextRoundFeeders.push(match);
       } else {
-        // Odd number - this participant gets a bye
-        // If it's a real participant (not null), they advance directly to next round
-        if (currentRoundParticipants[i] !== null) {
-          // Real participant (bye) - they will be placed in next round match
-          nextRoundParticipants.push(currentRoundParticipants[i]);
-        } else {
-          // If it's null (TBD), still add null for next round
-          nextRoundParticipants.push(null);
-        }
+        // Odd number - this participant (or TBD winner) gets a bye to the next round
+        nextRoundParticipants.push(currentRoundParticipants[i]);
+        nextRoundFeeders.push(currentRoundFeeders[i]);
       }
     }
 
     currentRoundParticipants = nextRoundParticipants;
+    currentRoundFeeders = nextRoundFeeders;
     currentRound--;
   }
 
   return { matches, bracket: [] };
 };
 
+/**
+ * Generate Double Elimination Fixtures
+ * 
+ * Algorithm: Double Elimination Tournament
+ * - A participant is eliminated after losing two matches
+ * - Winners bracket: a normal knockout bracket (seeded like generateKnockoutFixtures)
+ * - Losers bracket: losers of the winners bracket drop in and play on
+ * - Grand Final: winners bracket champion vs losers bracket champion
+ * - Grand Final Reset (optional): played only if the losers bracket champion
+ *   wins the Grand Final, since the winners bracket champion has not lost yet
+ * 
+ * Losers bracket structure (bracket size P = 2^k, so k winners rounds):
+ * - 2(k - 1) rounds
+ * - Losers Round 1: losers of Winners Round 1 play each other in pairs
+ * - Even rounds (2j): survivors meet the losers of Winners Round j + 1.
+ *   Drop-ins are placed in alternating reversed / half-swapped order so that
+ *   players who met in the winners bracket don't meet again straight away
+ * - Odd rounds (2j + 1): survivors play each other in pairs
+ * 
+ * Byes:
+ * - Winners Round 1 byes work as in knockout (top seeds advance automatically)
+ * - A bye has no loser, so any losers bracket match left with one participant
+ *   is skipped and that participant moves on. Such matches are not created.
+ * 
+ * All matches are created upfront. Each match carries a key plus the key and
+ * slot ('A'/'B') of the match its winner and its loser go to, so progression
+ * can follow the bracket graph. The caller maps keys to match IDs.
+ * 
+ * Round Names:
+ * - Winners Round 1, Winners Round 2, ..., Winners Final
+ * - Losers Round 1, Losers Round 2, ..., Losers Final
+ * - Grand Final, Grand Final Reset
+ * 
+ * @param {Array} participants - Array of participant IDs
+ * @param {Array} seeding - Optional participant IDs in seed order (index 0 = top seed, see buildSeedOrder)
+ * @param {Object} options - { bracketReset: create the Grand Final Reset match (default true),
+ *   random: random number generator used without seeding (default Math.random) }
+ * @returns {Object} Object with matches array
+ */
+export const generateDoubleEliminationFixtures = (participants, seeding = null, { bracketReset = true, random = Math.random } = {}) => {
+  const n = participants.length;
+
+  // Validation: Minimum 2 participants for double elimination
+  if (n < 2) {
+    throw new Error('Double Elimination format requires at least 2 participants');
+  }
+
+  const bracketSize = getNextPowerOf2(n);
+  const totalRounds = Math.log2(bracketSize);
+  const totalLosersRounds = 2 * (totalRounds - 1);
+  const seedOrder = resolveSeedOrder(participants, seeding, random);
+
+  // Bracket nodes. A source is one of:
+  // { type: 'participant', id }, { type: 'winner', key }, { type: 'loser', key }, { type: 'empty' }
+  const nodes = new Map();
+  const EMPTY = { type: 'empty' };
+
+  const addNode = (key, bracket, round, roundIndex, index, sources) => {
+    nodes.set(key, { key, bracket, round, roundIndex, index, sources });
+    return key;
+  };
+
+  // ============================================
+  // WINNERS BRACKET
+  // ============================================
+  const positions = getStandardSeedPositions(bracketSize);
+  let previousKeys = [];
+
+  for (let r = 1; r <= totalRounds; r++) {
+    const roundName = r === totalRounds ? 'Winners Final' : `Winners Round ${r}`;
+    const keys = [];
+    const matchCount = bracketSize / Math.pow(2, r);
+
+    for (let i = 0; i < matchCount; i++) {
+      let sources;
+      if (r === 1) {
+        sources = [positions[2 * i], positions[2 * i + 1]].map(seed => (
+          seedOrder[seed - 1] ? { type: 'participant', id: seedOrder[seed - 1] } : EMPTY
+        ));
+      } else {
+        sources = [
+          { type: 'winner', key: previousKeys[2 * i] },
+          { type: 'winner', key: previousKeys[2 * i + 1] }
+        ];
+      }
+      keys.push(addNode(`W${r}-${i + 1}`, 'winners', roundName, r, i, sources));
+    }
+
+    previousKeys = keys;
+  }
+
+  const winnersKeysByRound = [];
+  for (let r = 1; r <= totalRounds; r++) {
+    winnersKeysByRound[r] = [...nodes.values()]
+      .filter(node => node.bracket === 'winners' && node.roundIndex === r)
+      .map(node => node.key);
+  }
+
+  // Order in which losers of a winners round drop into the losers bracket
+  const dropOrder = (keys, winnersRound) => {
+    if (keys.length < 2) return keys;
+    if (winnersRound % 2 === 0) return [...keys].reverse();
+    const half = keys.length / 2;
+    return [...keys.slice(half), ...keys.slice(0, half)];
+  };
+
+  // ============================================
+  // LOSERS BRACKET
+  // ============================================
+  let losersKeys = [];
+
+  for (let l = 1; l <= totalLosersRounds; l++) {
+    const roundName = l === totalLosersRounds ? 'Losers Final' : `Losers Round ${l}`;
+    const keys = [];
+    let pairs;
+
+    if (l === 1) {
+      const w1 = winnersKeysByRound[1];
+      pairs = [];
+      for (let i = 0; i < w1.length; i += 2) {
+        pairs.push([{ type: 'loser', key: w1[i] }, { type: 'loser', key: w1[i + 1] }]);
+      }
+    } else if (l % 2 === 0) {
+      const winnersRound = l / 2 + 1;
+      const dropIns = dropOrder(winnersKeysByRound[winnersRound], winnersRound);
+      pairs = losersKeys.map((key, i) => [
+        { type: 'winner', key },
+        { type: 'loser', key: dropIns[i] }
+      ]);
+    } else {
+      pairs = [];
+      for (let i = 0; i < losersKeys.length; i += 2) {
+        pairs.push([{ type: 'winner', key: losersKeys[i] }, { type: 'winner', key: losersKeys[i + 1] }]);
+      }
+    }
+
+    pairs.forEach((sources, i) => {
+      keys.push(addNode(`L${l}-${i + 1}`, 'losers', roundName, l, i, sources));
+    });
+
+    losersKeys = keys;
+  }
+
+  // ============================================
+  // GRAND FINAL
+  // ============================================
+  const winnersFinalKey = winnersKeysByRound[totalRounds][0];
+  addNode('GF', 'grandFinal', 'Grand Final', 1, 0, [
+    { type: 'winner', key: winnersFinalKey },
+    // With only two participants there is no losers bracket: the loser of the final gets a second chance
+    losersKeys.length > 0
+      ? { type: 'winner', key: losersKeys[0] }
+      : { type: 'loser', key: winnersFinalKey }
+  ]);
+
+  // ============================================
+  // RESOLVE BYES
+  // ============================================
+  // A node with an empty source is not played: its winner is the other source
+  // and it has no loser. Sources pointing at such nodes are replaced.
+  const resolved = new Map(); // key -> { played, sources, winner, loser }
+
+  const resolveSource = (source) => {
+    if (source.type !== 'winner' && source.type !== 'loser') return source;
+    const node = resolved.get(source.key);
+    if (node.played) return source;
+    return source.type === 'winner' ? node.winner : EMPTY;
+  };
+
+  // Nodes were added in dependency order, so feeders are always resolved first
+  nodes.forEach(node => {
+    const sources = node.sources.map(resolveSource);
+    const emptyCount = sources.filter(source => source.type === 'empty').length;
+
+    if (emptyCount === 0) {
+      resolved.set(node.key, { played: true, sources });
+    } else {
+      resolved.set(node.key, {
+        played: false,
+        winner: sources.find(source => source.type !== 'empty') || EMPTY
+      });
+    }
+  });
+
+  // ============================================
+  // BUILD MATCHES
+  // ============================================
+  const BRACKET_RANK = { winners: 0, losers: 1, grandFinal: 2 };
+  const depths = new Map();
+  const matches = [];
+
+  nodes.forEach(node => {
+    const { played, sources } = resolved.get(node.key);
+    if (!played) return;
+
+    // Depth = longest chain of feeder matches, so matches are ordered by when they can be played
+    const depth = 1 + Math.max(0, ...sources
+      .filter(source => source.type === 'winner' || source.type === 'loser')
+      .map(source => depths.get(source.key)));
+    depths.set(node.key, depth);
+
+    matches.push({
+      key: node.key,
+      round: node.round,
+      bracket: node.bracket,
+      participantA: sources[0].type === 'participant' ? sources[0].id : null,
+      participantB: sources[1].type === 'participant' ? sources[1].id : null,
+      nextMatchKey: null,
+      nextMatchSlot: null,
+      loserMatchKey: null,
+      loserMatchSlot: null,
+      depth,
+      rank: BRACKET_RANK[node.bracket],
+      roundIndex: node.roundIndex,
+      index: node.index
+    });
+  });
+
+  // Link each match to the matches its winner and loser go to
+  const matchesByKey = new Map(matches.map(match => [match.key, match]));
+  matches.forEach(match => {
+    resolved.get(match.key).sources.forEach((source, i) => {
+      const slot = i === 0 ? 'A' : 'B';
+      if (source.type === 'winner') {
+        matchesByKey.get(source.key).nextMatchKey = match.key;
+        matchesByKey.get(source.key).nextMatchSlot = slot;
+      } else if (source.type === 'loser') {
+        matchesByKey.get(source.key).loserMatchKey = match.key;
+        matchesByKey.get(source.key).loserMatchSlot = slot;
+      }
+    });
+  });
+
+  matches.sort((a, b) => (
+    a.depth - b.depth || a.rank - b.rank || a.roundIndex - b.roundIndex || a.index - b.index
+  ));
+
+  const result = matches.map(({ depth, rank, roundIndex, index, ...match }, order) => ({
+    ...match,
+    order
+  }));
+
+  // Grand Final Reset: participants are filled only if the losers bracket champion wins the Grand Final
+  if (bracketReset) {
+    result.push({
+      key: 'GF-RESET',
+      round: 'Grand Final Reset',
+      bracket: 'grandFinalReset',
+      participantA: null,
+      participantB: null,
+      nextMatchKey: null,
+      nextMatchSlot: null,
+      loserMatchKey: null,
+      loserMatchSlot: null,
+      order: result.length
+    });
+  }
+
+  return { matches: result };
+};
+
+/**
+ * Link Knockout Rounds
+ * 
+ * Links pre-built knockout match documents round by round: the winner of
+ * match i in a round goes to match floor(i / 2) of the next round, slot A
+ * for even i and slot B for odd i. Matches without an _id are given one so
+ * the links can be set before the documents are inserted.
+ * 
+ * Example: [[QF1, QF2, QF3, QF4], [SF1, SF2], [Final]]
+ * - QF1 -> SF1 (A), QF2 -> SF1 (B), QF3 -> SF2 (A), QF4 -> SF2 (B)
+ * - SF1 -> Final (A), SF2 -> Final (B)
+ * 
+ * @param {Array<Array<Object>>} rounds - Match documents per round, in bracket order, first round first
+ * @returns {Array<Object>} All matches, flattened
+ */
+export const linkKnockoutRounds = (rounds) => {
+  const nonEmptyRounds = rounds.filter(round => round.length > 0);
+
+  nonEmptyRounds.flat().forEach(match => {
+    if (!match._id) {
+      match._id = new mongoose.Types.ObjectId();
+    }
+  });
+
+  nonEmptyRounds.forEach((round, roundIndex) => {
+    const nextRound = nonEmptyRounds[roundIndex + 1];
+    if (!nextRound) return;
+
+    round.forEach((match, i) => {
+      const target = nextRound[Math.floor(i / 2)];
+      if (target) {
+        match.nextMatchId = target._id;
+        match.nextMatchSlot = i % 2 === 0 ? 'A' : 'B';
+      }
+    });
+  });
+
+  return nonEmptyRounds.flat();
+};
+
+/**
+ * Get Knockout Round Name
+ * 
+ * Names a round of a group stage knockout by the number of players in it:
+ * 2 = 'Final', 4 = 'Semifinal', 8 = 'Quarterfinal', otherwise 'Round of N'.
+ * 
+ * @param {number} players - Players in the round (power of 2)
+ * @returns {string} Round name
+ */
+export const getKnockoutRoundName = (players) =>
+  ({ 2: 'Final', 4: 'Semifinal', 8: 'Quarterfinal' })[players] || `Round of ${players}`;
+
+/**
+ * Build Knockout Bracket
+ * 
+ * Builds an empty (TBD) single elimination bracket for any number of
+ * entrants, linked like linkKnockoutRounds. The bracket size is the next
+ * power of 2 and byes go to the top seeds, as in generateKnockoutFixtures:
+ * a first-round pair whose lower seed is above the entrant count has no
+ * match, and its top seed starts in the second round.
+ * 
+ * Example with 6 entrants (bracket of 8, seeds 1 and 2 have byes):
+ * - Quarterfinal: 4 v 5, 3 v 6
+ * - Semifinal: 1 v (4/5), 2 v (3/6)
+ * - Final
+ * 
+ * @param {number} entrants - Number of players entering the bracket (at least 2)
+ * @returns {Array<Object>} Match stubs ({ _id, round, participantA, participantB, order,
+ *   nextMatchId, nextMatchSlot }), first round first. Entry slots come from getBracketEntrySlots.
+ */
+export const buildKnockoutBracket = (entrants) => {
+  if (entrants < 2) {
+    throw new Error('A knockout bracket needs at least 2 entrants');
+  }
+
+  const bracketSize = getNextPowerOf2(entrants);
+  const positions = getStandardSeedPositions(bracketSize);
+  const matches = [];
+  let matchOrder = 0;
+
+  const createMatch = (players) => {
+    const match = {
+      _id: new mongoose.Types.ObjectId(),
+      round: getKnockoutRoundName(players),
+      participantA: null, // TBD - filled from the qualifiers or the feeding match
+      participantB: null,
+      order: matchOrder++,
+      nextMatchId: null,
+      nextMatchSlot: null
+    };
+    matches.push(match);
+    return match;
+  };
+
+  // First round: null where the pair is a bye
+  let round = [];
+  for (let i = 0; i < positions.length; i += 2) {
+    round.push(positions[i + 1] <= entrants ? createMatch(bracketSize) : null);
+  }
+
+  // Later rounds: the winner of match i goes to match floor(i / 2), slot A for even i
+  for (let players = bracketSize / 2; players >= 2; players /= 2) {
+    const nextRound = [];
+    for (let i = 0; i < round.length; i += 2) {
+      const match = createMatch(players);
+      [round[i], round[i + 1]].forEach((feeder, offset) => {
+        if (feeder) {
+          feeder.nextMatchId = match._id;
+          feeder.nextMatchSlot = offset === 0 ? 'A' : 'B';
+        }
+      });
+      nextRound.push(match);
+    }
+    round = nextRound;
+  }
+
+  return matches;
+};
+
+// Extra matches for places in a knockout (tournament.rules.placement)
+export const PLACEMENT_OPTIONS = ['none', 'thirdPlace', 'full'];
+
+/**
+ * Get Ordinal (Helper)
+ * 
+ * @param {number} n - Place (1, 2, 3, ...)
+ * @returns {string} '1st', '2nd', '3rd', '4th', ..., '11th', '21st'
+ */
+const getOrdinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : suffixes[n % 10] || 'th'}`;
+};
+
+/**
+ * Add Placement Matches
+ * 
+ * Adds matches for places to a linked knockout bracket and records the
+ * final place of every winner and loser who stops playing (winnerPlace /
+ * loserPlace on the match).
+ * 
+ * The losers of a round with 2^d matches play for places 2^d + 1 to
+ * 2^(d + 1): the semi final losers for 3rd-4th, the quarter final losers
+ * for 5th-8th, and so on. Each placement bracket works like the main one:
+ * its winners play on for the best of its places and its losers for the rest.
+ * - 'none': no extra matches; losers of a round share its best place (3rd, 5th, ...)
+ * - 'thirdPlace': a match for 3rd place between the semi final losers
+ * - 'full': every place is played for (3rd, 5th and 7th place matches, ...)
+ * 
+ * Byes in the main bracket leave placement brackets short of players:
+ * a placement match with one player is not created and that player moves on.
+ * 
+ * Losers go to placement matches along loserMatchId / loserMatchSlot, so
+ * progression routes them like the winners. Placement matches get
+ * bracket 'placement' and round names like "Places 5-8" and "5th Place".
+ * Every match is renumbered so each is ordered after the matches it depends
+ * on, placement matches before the main bracket match of the same stage
+ * (the final is played last).
+ * 
+ * @param {Array<Object>} matches - Knockout match documents with _id, order and winner links
+ * @param {string} placement - One of PLACEMENT_OPTIONS
+ * @returns {Array<Object>} The placement matches created ({ _id, round, bracket,
+ *   participantA, participantB, order, links, places }), to insert with the bracket
+ */
+export const addPlacementMatches = (matches, placement = 'none') => {
+  const byId = new Map(matches.map(match => [match._id.toString(), match]));
+  const feeders = new Map(); // "matchId:slot" -> match whose winner goes there
+  matches.forEach(match => {
+    if (match.nextMatchId && byId.has(match.nextMatchId.toString())) {
+      feeders.set(`${match.nextMatchId}:${match.nextMatchSlot}`, match);
+    }
+  });
+
+  const final = matches.find(match => !match.nextMatchId);
+  if (!final) {
+    return [];
+  }
+
+  // Main bracket by depth from the final, in bracket order (null = no match)
+  const levels = [[final]];
+  while (levels[levels.length - 1].some(Boolean)) {
+    levels.push(levels[levels.length - 1].flatMap(match => ['A', 'B'].map(slot =>
+      (match && feeders.get(`${match._id}:${slot}`)) || null
+    )));
+  }
+  levels.pop();
+
+  // Stage = earliest point a match can be played (first main round = 0)
+  const stages = new Map();
+  levels.forEach((level, depth) => level.forEach(match => {
+    if (match) stages.set(match, levels.length - 1 - depth);
+  }));
+
+  const created = [];
+  const setPlace = (source, place) => {
+    if (!source) return;
+    source.match[source.kind === 'winner' ? 'winnerPlace' : 'loserPlace'] = place;
+  };
+  const linkTo = (source, match, slot) => {
+    if (source.kind === 'winner') {
+      source.match.nextMatchId = match._id;
+      source.match.nextMatchSlot = slot;
+    } else {
+      source.match.loserMatchId = match._id;
+      source.match.loserMatchSlot = slot;
+    }
+  };
+
+  // Players from sources (in bracket order) play for places bestPlace onwards
+  const playForPlaces = (sources, bestPlace, allPlaces) => {
+    if (sources.length === 1) {
+      setPlace(sources[0], bestPlace);
+      return;
+    }
+
+    const round = sources.length === 2
+      ? `${getOrdinal(bestPlace)} Place`
+      : `Places ${bestPlace}-${bestPlace + sources.length - 1}`;
+    const winners = [];
+    const losers = [];
+    for (let i = 0; i < sources.length; i += 2) {
+      const [sourceA, sourceB] = [sources[i], sources[i + 1]];
+      if (sourceA && sourceB) {
+        const match = {
+          _id: new mongoose.Types.ObjectId(),
+          round,
+          bracket: 'placement',
+          participantA: null, // TBD - filled along the links
+          participantB: null,
+          nextMatchId: null,
+          nextMatchSlot: null,
+          loserMatchId: null,
+          loserMatchSlot: null,
+          winnerPlace: null,
+          loserPlace: null
+        };
+        linkTo(sourceA, match, 'A');
+        linkTo(sourceB, match, 'B');
+        stages.set(match, Math.max(stages.get(sourceA.match), stages.get(sourceB.match)) + 1);
+        created.push(match);
+        winners.push({ match, kind: 'winner' });
+        losers.push({ match, kind: 'loser' });
+      } else {
+        // One player: moves on without a match
+        winners.push(sourceA || sourceB || null);
+        losers.push(null);
+      }
+    }
+
+    playForPlaces(winners, bestPlace, allPlaces);
+    if (allPlaces) {
+      playForPlaces(losers, bestPlace + sources.length / 2, allPlaces);
+    } else {
+      losers.forEach(source => setPlace(source, bestPlace + sources.length / 2));
+    }
+  };
+
+  final.winnerPlace = 1;
+  final.loserPlace = 2;
+  levels.slice(1).forEach((level, index) => {
+    const depth = index + 1;
+    const losers = level.map(match => (match ? { match, kind: 'loser' } : null));
+    const bestPlace = 2 ** depth + 1;
+    if (placement === 'full' || (placement === 'thirdPlace' && depth === 1)) {
+      playForPlaces(losers, bestPlace, placement === 'full');
+    } else {
+      losers.forEach(source => setPlace(source, bestPlace));
+    }
+  });
+
+  // Renumber: by stage, placement matches before the main bracket match
+  const firstOrder = Math.min(...matches.map(match => match.order));
+  const mainMatches = [...matches].sort((a, b) => a.order - b.order);
+  [...created, ...mainMatches]
+    .map((match, index) => ({ match, index, main: index >= created.length }))
+    .sort((a, b) =>
+      (stages.get(a.match) ?? 0) - (stages.get(b.match) ?? 0) ||
+      a.main - b.main ||
+      a.index - b.index
+    )
+    .forEach(({ match }, index) => {
+      match.order = firstOrder + index;
+    });
+
+  return created;
+};
+
+/**
+ * Get Bracket Entry Slots
+ * 
+ * Returns the slots of a linked bracket that no match feeds (by winner or
+ * loser link), in bracket order: from each last match (no next match, by
+ * order), slot A's side of the bracket before slot B's. These are the
+ * places qualifiers (or first-round players and byes) start in.
+ * 
+ * @param {Array<Object>} matches - Bracket matches with _id, order and links
+ * @returns {Array<Object>} [{ match, slot: 'A' | 'B' }]
+ */
+export const getBracketEntrySlots = (matches) => {
+  const feeders = new Map(); // "matchId:slot" -> match whose winner goes there
+  const fed = new Set(); // "matchId:slot" fed by a winner or loser link
+  matches.forEach(match => {
+    if (match.nextMatchId) {
+      feeders.set(`${match.nextMatchId}:${match.nextMatchSlot}`, match);
+      fed.add(`${match.nextMatchId}:${match.nextMatchSlot}`);
+    }
+    if (match.loserMatchId) {
+      fed.add(`${match.loserMatchId}:${match.loserMatchSlot}`);
+    }
+  });
+
+  const slots = [];
+  const visit = (match) => {
+    ['A', 'B'].forEach(slot => {
+      const key = `${match._id}:${slot}`;
+      if (feeders.has(key)) {
+        visit(feeders.get(key));
+      } else if (!fed.has(key)) {
+        slots.push({ match, slot });
+      }
+    });
+  };
+
+  matches
+    .filter(match => !match.nextMatchId)
+    .sort((a, b) => a.order - b.order)
+    .forEach(visit);
+
+  return slots;
+};
+
+/**
+ * Pair Key (Helper)
+ * 
+ * @param {string} a - Participant ID
+ * @param {string} b - Participant ID
+ * @returns {string} Key that is the same for a, b and b, a
+ */
+const rotationPairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Generate Rotating Partner Fixtures
+ * 
+ * Algorithm: social doubles with rotating partners
+ * - Every round fills up to `courts` courts with 4 players each; the rest
+ *   sit out. Sitting out rotates: fewest sit-outs first, and nobody sits out
+ *   twice in a row while someone else can
+ * - The players of a round are split into courts and teams to keep repeats
+ *   low. Playing with the same partner again costs far more than facing the
+ *   same opponent again, and every repeat costs more than the one before
+ * - The split is found by hill climbing (swapping players between courts)
+ *   from several random starts, keeping the cheapest
+ * 
+ * @param {Array} participants - Participant IDs (individual players)
+ * @param {Object} options - { rounds, courts, random }
+ * @returns {Array} Matches { round, participantA, partnerA, participantB, partnerB, court, order },
+ *   court = 1 for the first court of the round
+ */
+export const generateRotatingPartnerFixtures = (participants, { rounds, courts, random = Math.random } = {}) => {
+  if (participants.length < 4) {
+    throw new Error('Rotating partners requires at least 4 players');
+  }
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    throw new Error('Rotating partners requires the number of rounds');
+  }
+  if (!Number.isInteger(courts) || courts < 1) {
+    throw new Error('Rotating partners requires the number of courts');
+  }
+
+  const PARTNER_WEIGHT = 10;
+  const RANDOM_STARTS = 12;
+  const ids = participants.map(p => p.toString());
+  const byId = new Map(participants.map(p => [p.toString(), p]));
+  const partnered = new Map();
+  const opposed = new Map();
+  const sitOuts = new Map(ids.map(id => [id, 0]));
+  let satOutLast = new Set();
+
+  const count = (counts, a, b) => counts.get(rotationPairKey(a, b)) || 0;
+  const add = (counts, a, b) => counts.set(rotationPairKey(a, b), count(counts, a, b) + 1);
+
+  // Cheapest way to split 4 players into two teams: { cost, teams }
+  const splitCourt = ([p, q, r, t]) => [[[p, q], [r, t]], [[p, r], [q, t]], [[p, t], [q, r]]]
+    .map(([teamA, teamB]) => ({
+      teams: [teamA, teamB],
+      cost: PARTNER_WEIGHT * (count(partnered, ...teamA) + count(partnered, ...teamB)) +
+        teamA.reduce((sum, a) => sum + teamB.reduce((inner, b) => inner + count(opposed, a, b), 0), 0)
+    }))
+    .reduce((best, split) => (split.cost < best.cost ? split : best));
+
+  const arrangeCourts = (players) => {
+    let best = null;
+    for (let start = 0; start < RANDOM_STARTS; start++) {
+      const order = shuffle(players, random);
+      const groups = [];
+      for (let i = 0; i < order.length; i += 4) {
+        groups.push(order.slice(i, i + 4));
+      }
+      const costs = groups.map(group => splitCourt(group).cost);
+
+      // Swap players between courts while it lowers the total
+      let improved = true;
+      while (improved) {
+        improved = false;
+        for (let g = 0; g < groups.length; g++) {
+          for (let h = g + 1; h < groups.length; h++) {
+            for (let x = 0; x < 4; x++) {
+              for (let y = 0; y < 4; y++) {
+                const groupG = [...groups[g]];
+                const groupH = [...groups[h]];
+                [groupG[x], groupH[y]] = [groupH[y], groupG[x]];
+                const costG = splitCourt(groupG).cost;
+                const costH = splitCourt(groupH).cost;
+                if (costG + costH < costs[g] + costs[h]) {
+                  groups[g] = groupG;
+                  groups[h] = groupH;
+                  costs[g] = costG;
+                  costs[h] = costH;
+                  improved = true;
+                }
+              }
+            }
+          }
+        }
+      }
+
+      const total = costs.reduce((sum, cost) => sum + cost, 0);
+      if (!best || total < best.total) {
+        best = { total, groups };
+      }
+    }
+    return best.groups.map(splitCourt);
+  };
+
+  const courtsPerRound = Math.min(courts, Math.floor(ids.length / 4));
+  const matches = [];
+  let order = 0;
+
+  for (let round = 1; round <= rounds; round++) {
+    const sitting = shuffle(ids, random)
+      .sort((a, b) => sitOuts.get(a) - sitOuts.get(b) || satOutLast.has(a) - satOutLast.has(b))
+      .slice(0, ids.length - courtsPerRound * 4);
+    const sittingSet = new Set(sitting);
+    const playing = ids.filter(id => !sittingSet.has(id));
+
+    arrangeCourts(playing).forEach(({ teams: [teamA, teamB] }, courtIndex) => {
+      add(partnered, ...teamA);
+      add(partnered, ...teamB);
+      teamA.forEach(a => teamB.forEach(b => add(opposed, a, b)));
+      matches.push({
+        round: `Round ${round}`,
+        participantA: byId.get(teamA[0]),
+        partnerA: byId.get(teamA[1]),
+        participantB: byId.get(teamB[0]),
+        partnerB: byId.get(teamB[1]),
+        court: courtIndex + 1,
+        order: order++
+      });
+    });
+
+    sitting.forEach(id => sitOuts.set(id, sitOuts.get(id) + 1));
+    satOutLast = sittingSet;
+  }
+
+  return matches;
+};
+
 /**
  * Check for Duplicate Matches
  * 
@@ -436,12 +1205,15 @@ export const hasDuplicateMatches = (matches) => {
  * - Prevents duplicate matches
  * - Validates format requirements
  * 
- * @param {string} format - Tournament format: 'group', 'roundRobin', or 'knockout'
+ * @param {string} format - Tournament format: 'group', 'roundRobin', 'knockout', 'doubleElimination' or 'rotatingPartners'
  * @param {Array} participants - Array of participant IDs
  * @param {Object} options - Additional options:
  *   - groupSize: Desired participants per group (for group format)
  *   - numGroups: Number of groups (for group format)
- *   - seeding: Seeding order for knockout format
+ *   - seeding: Participant IDs in seed order for knockout formats (see buildSeedOrder)
+ *   - bracketReset: Create a Grand Final Reset match (for doubleElimination format)
+ *   - rounds, courts: Number of rounds and courts (for rotatingPartners format)
+ *   - random: Random number generator for random draws (see random.service.js; default Math.random)
  * @returns {Array} Array of match objects ready to be saved to database
  */
 export const generateFixtures = (format, participants, options = {}) => {
@@ -467,15 +1239,30 @@ export const generateFixtures = (format, participants, options = {}) => {
     case 'group':
       const groupSize = options.groupSize || 4;
       const numGroups = options.numGroups || null;
-      matches = generateGroupFixtures(uniqueParticipants, numGroups, groupSize);
+      matches = generateGroupFixtures(uniqueParticipants, numGroups, groupSize, options.random);
       break;
 
     case 'knockout':
       const seeding = options.seeding || null;
-      const knockoutResult = generateKnockoutFixtures(uniqueParticipants, seeding);
+      const knockoutResult = generateKnockoutFixtures(uniqueParticipants, seeding, { random: options.random });
       matches = knockoutResult.matches;
       break;
 
+    case 'doubleElimination':
+      matches = generateDoubleEliminationFixtures(uniqueParticipants, options.seeding || null, {
+        bracketReset: options.bracketReset !== false,
+        random: options.random
+      }).matches;
+      break;
+
+    case 'rotatingPartners':
+      matches = generateRotatingPartnerFixtures(uniqueParticipants, {
+        rounds: options.rounds,
+        courts: options.courts,
+        random: options.random
+      });
+      break;
+
     default:
       throw new Error(`Unsupported tournament format: ${format}`);
   }
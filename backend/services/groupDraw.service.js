@@ -0,0 +1,384 @@
+/**
+ * Group Draw Service
+ *
+ * This service divides participants into groups for group-based tournaments.
+ *
+ * Draw methods:
+ * - random: a fair shuffle (Fisher-Yates), then groups are filled in turn
+ * - snakeSeed: seeds in snake order (A, B, C, D, D, C, B, A, ...), so every
+ *   group gets a similar spread of seeds; unseeded participants follow in
+ *   random order
+ * - snakeRating: like snakeSeed, by team Elo rating (see rating.service.js);
+ *   unrated participants follow in random order
+ * - pots: participants are ranked (seed, then rating, then random) and cut
+ *   into pots of one participant per group; every group draws one
+ *   participant from each pot at random
+ *
+ * Constraint (optional): keep participants from the same club apart.
+ * Clubs come from the player registry (a doubles team can have two clubs).
+ * Clashes are removed by swapping participants between groups, within the
+ * same snake row or pot so the balance of the draw is kept. Clashes that
+ * cannot be removed are reported, not hidden.
+ *
+ * Every draw takes a random number generator, so a draw made with a seeded
+ * generator (see random.service.js) can be repeated exactly.
+ */
+
+import Player from '../models/player.model.js';
+import { shuffle } from './random.service.js';
+
+export const GROUP_DRAW_METHODS = ['random', 'snakeSeed', 'snakeRating', 'pots'];
+
+/**
+ * Calculate Group Distribution
+ *
+ * Distributes players as evenly as possible across groups (larger groups first).
+ *
+ * @param {number} totalPlayers - Number of participants
+ * @param {number} numGroups - Number of groups
+ * @returns {Array<number>} Size of every group
+ */
+export const calculateGroupDistribution = (totalPlayers, numGroups) => {
+  const baseSize = Math.floor(totalPlayers / numGroups);
+  const remainder = totalPlayers % numGroups;
+
+  const distribution = [];
+  for (let i = 0; i < numGroups; i++) {
+    distribution.push(baseSize + (i < remainder ? 1 : 0));
+  }
+
+  return distribution;
+};
+
+/**
+ * ID Of (Helper)
+ *
+ * @param {Object} participant - Participant object
+ * @returns {string} Participant ID
+ */
+const idOf = (participant) => participant._id.toString();
+
+/**
+ * Order By Seed (Helper)
+ *
+ * @param {Array} participants - Participant objects
+ * @param {Function} random - Random number generator
+ * @returns {Array} Seeded participants by seed, then the rest shuffled
+ */
+const orderBySeed = (participants, random) => {
+  const hasSeed = (p) => p.seed !== null && p.seed !== undefined;
+  const seeded = participants.filter(hasSeed).sort((a, b) => a.seed - b.seed);
+  return [...seeded, ...shuffle(participants.filter(p => !hasSeed(p)), random)];
+};
+
+/**
+ * Order By Rating (Helper)
+ *
+ * @param {Array} participants - Participant objects
+ * @param {Map} ratings - participantId -> rating
+ * @param {Function} random - Random number generator
+ * @returns {Array} Rated participants highest first, then the rest shuffled
+ */
+const orderByRating = (participants, ratings, random) => {
+  const rated = participants
+    .filter(p => ratings.has(idOf(p)))
+    .sort((a, b) => ratings.get(idOf(b)) - ratings.get(idOf(a)));
+  return [...rated, ...shuffle(participants.filter(p => !ratings.has(idOf(p))), random)];
+};
+
+/**
+ * Order For Pots (Helper)
+ *
+ * @param {Array} participants - Participant objects
+ * @param {Map} ratings - participantId -> rating
+ * @param {Function} random - Random number generator
+ * @returns {Array} Seeded by seed, then rated by rating, then the rest shuffled
+ */
+const orderForPots = (participants, ratings, random) => {
+  const hasSeed = (p) => p.seed !== null && p.seed !== undefined;
+  const seeded = participants.filter(hasSeed).sort((a, b) => a.seed - b.seed);
+  return [...seeded, ...orderByRating(participants.filter(p => !hasSeed(p)), ratings, random)];
+};
+
+/**
+ * Fill In Turn (Helper)
+ *
+ * @param {Array} ordered - Participants in draw order
+ * @param {Array<number>} distribution - Size of every group
+ * @returns {Array<Array>} Groups filled one after the other
+ */
+const fillInTurn = (ordered, distribution) => {
+  const groups = [];
+  let index = 0;
+  distribution.forEach(size => {
+    groups.push(ordered.slice(index, index + size));
+    index += size;
+  });
+  return groups;
+};
+
+/**
+ * Snake Distribute (Helper)
+ *
+ * @param {Array} ordered - Participants in draw order (strongest first)
+ * @param {Array<number>} distribution - Size of every group
+ * @returns {Array<Array>} Groups in snake order; full groups are skipped
+ */
+const snakeDistribute = (ordered, distribution) => {
+  const groups = distribution.map(() => []);
+  let groupIndex = 0;
+  let direction = 1;
+
+  const step = () => {
+    groupIndex += direction;
+    if (groupIndex < 0 || groupIndex >= groups.length) {
+      direction = -direction;
+      groupIndex += direction;
+    }
+  };
+
+  ordered.forEach(participant => {
+    while (groups[groupIndex].length >= distribution[groupIndex]) {
+      step();
+    }
+    groups[groupIndex].push(participant);
+    step();
+  });
+
+  return groups;
+};
+
+/**
+ * Pot Distribute (Helper)
+ *
+ * @param {Array} ordered - Participants in pot order (strongest first)
+ * @param {Array<number>} distribution - Size of every group
+ * @param {Function} random - Random number generator
+ * @returns {Array<Array>} Groups with one participant drawn from every pot
+ */
+const potDistribute = (ordered, distribution, random) => {
+  const groups = distribution.map(() => []);
+  const numGroups = distribution.length;
+
+  for (let start = 0; start < ordered.length; start += numGroups) {
+    const pot = shuffle(ordered.slice(start, start + numGroups), random);
+    const openGroups = groups
+      .map((group, index) => index)
+      .filter(index => groups[index].length < distribution[index]);
+
+    pot.forEach((participant, i) => {
+      groups[openGroups[i]].push(participant);
+    });
+  }
+
+  return groups;
+};
+
+/**
+ * Count Club Clashes (Helper)
+ *
+ * @param {Array} group - Participants in a group
+ * @param {Map} clubs - participantId -> Array of club names
+ * @returns {number} Number of participant pairs that share a club
+ */
+const countClubClashes = (group, clubs) => {
+  let clashes = 0;
+  for (let i = 0; i < group.length; i++) {
+    const clubsA = clubs.get(idOf(group[i])) || [];
+    for (let j = i + 1; j < group.length; j++) {
+      const clubsB = clubs.get(idOf(group[j])) || [];
+      if (clubsA.some(club => clubsB.includes(club))) {
+        clashes++;
+      }
+    }
+  }
+  return clashes;
+};
+
+/**
+ * Separate Clubs (Helper)
+ *
+ * Swaps participants between groups while that reduces the number of club
+ * clashes. Changes the groups in place.
+ *
+ * @param {Array<Array>} groups - Groups of participants
+ * @param {Map} clubs - participantId -> Array of club names
+ * @param {boolean} sameRowOnly - Only swap participants at the same position (snake row or pot)
+ */
+const separateClubs = (groups, clubs, sameRowOnly) => {
+  const MAX_PASSES = 5;
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let swapped = false;
+
+    groups.forEach((group, g) => {
+      group.forEach((_, position) => {
+        if (countClubClashes(group, clubs) === 0) return;
+
+        const others = group.filter((_, i) => i !== position);
+        const before = countClubClashes(others, clubs);
+        if (countClubClashes(group, clubs) === before) return; // This participant does not clash
+
+        for (let h = 0; h < groups.length; h++) {
+          if (h === g) continue;
+          const positions = sameRowOnly ? [position] : groups[h].map((_, i) => i);
+
+          for (const otherPosition of positions) {
+            if (otherPosition >= groups[h].length) continue;
+
+            const clashesBefore = countClubClashes(group, clubs) + countClubClashes(groups[h], clubs);
+            [group[position], groups[h][otherPosition]] = [groups[h][otherPosition], group[position]];
+            const clashesAfter = countClubClashes(group, clubs) + countClubClashes(groups[h], clubs);
+
+            if (clashesAfter < clashesBefore) {
+              swapped = true;
+              return;
+            }
+            [group[position], groups[h][otherPosition]] = [groups[h][otherPosition], group[position]];
+          }
+        }
+      });
+    });
+
+    if (!swapped) break;
+  }
+};
+
+/**
+ * Get Club Conflicts
+ *
+ * @param {Array<Array>} groups - Groups of participants
+ * @param {Map} clubs - participantId -> Array of club names
+ * @returns {Array} [{ groupIndex, club, participantIds }] for every club with
+ *   more than one participant in a group
+ */
+export const getClubConflicts = (groups, clubs) => {
+  const conflicts = [];
+
+  groups.forEach((group, groupIndex) => {
+    const byClub = new Map();
+    group.forEach(participant => {
+      (clubs.get(idOf(participant)) || []).forEach(club => {
+        if (!byClub.has(club)) byClub.set(club, []);
+        byClub.get(club).push(participant._id);
+      });
+    });
+
+    byClub.forEach((participantIds, club) => {
+      if (participantIds.length > 1) {
+        conflicts.push({ groupIndex, club, participantIds });
+      }
+    });
+  });
+
+  return conflicts;
+};
+
+/**
+ * Get Participant Clubs
+ *
+ * @param {Array} participants - Participant objects with _id and playerIds
+ * @returns {Promise<Map>} participantId -> Array of club names (lowercase) of its registry players
+ */
+export const getParticipantClubs = async (participants) => {
+  const playerIds = [...new Set(participants.flatMap(p =>
+    (p.playerIds || []).filter(playerId => playerId).map(playerId => playerId.toString())
+  ))];
+
+  const players = playerIds.length > 0
+    ? await Player.find({ _id: { $in: playerIds }, club: { $ne: null } }).select('club').lean()
+    : [];
+  const clubByPlayer = new Map(players.map(player => [player._id.toString(), player.club.trim().toLowerCase()]));
+
+  const clubs = new Map();
+  participants.forEach(participant => {
+    const participantClubs = [...new Set(
+      (participant.playerIds || [])
+        .map(playerId => playerId && clubByPlayer.get(playerId.toString()))
+        .filter(club => club)
+    )];
+    clubs.set(idOf(participant), participantClubs);
+  });
+
+  return clubs;
+};
+
+/**
+ * Draw Groups
+ *
+ * @param {Array} participants - Participant objects with _id and seed
+ * @param {Object} options
+ * @param {string} options.method - One of GROUP_DRAW_METHODS (default 'random')
+ * @param {Array<number>} options.distribution - Size of every group (see calculateGroupDistribution)
+ * @param {Map} options.ratings - participantId -> rating (for snakeRating and pots)
+ * @param {Map} options.clubs - participantId -> clubs; when given, clubs are kept apart
+ * @param {Function} options.random - Random number generator (see createRandom; default Math.random)
+ * @returns {Object} { groups: Array<Array<participant>>, conflicts }
+ * @throws {Error} If the draw method is unknown
+ */
+export const drawGroups = (participants, {
+  method = 'random',
+  distribution,
+  ratings = new Map(),
+  clubs = null,
+  random = Math.random
+}) => {
+  let groups;
+
+  switch (method) {
+    case 'random':
+      groups = fillInTurn(shuffle(participants, random), distribution);
+      break;
+    case 'snakeSeed':
+      groups = snakeDistribute(orderBySeed(participants, random), distribution);
+      break;
+    case 'snakeRating':
+      groups = snakeDistribute(orderByRating(participants, ratings, random), distribution);
+      break;
+    case 'pots':
+      groups = potDistribute(orderForPots(participants, ratings, random), distribution, random);
+      break;
+    default:
+      throw new Error(`Unknown draw method "${method}". Use one of: ${GROUP_DRAW_METHODS.join(', ')}`);
+  }
+
+  if (!clubs) {
+    return { groups, conflicts: [] };
+  }
+
+  separateClubs(groups, clubs, method !== 'random');
+  return { groups, conflicts: getClubConflicts(groups, clubs) };
+};
+
+/**
+ * Pair Group Knockout
+ *
+ * First-round pairings for a group played as a knockout. With an odd number
+ * of participants, the last one is paired with TBD (null).
+ *
+ * @param {Array} participants - Participants in the group
+ * @param {Function} random - Random number generator (default Math.random)
+ * @returns {Array} [{ participantA, participantB, roundNumber }]
+ */
+export const pairGroupKnockout = (participants, random = Math.random) => {
+  const matches = [];
+  const shuffled = shuffle(participants, random);
+
+  for (let i = 0; i < shuffled.length - 1; i += 2) {
+    matches.push({
+      participantA: shuffled[i]._id,
+      participantB: shuffled[i + 1]._id,
+      roundNumber: 1
+    });
+  }
+
+  if (shuffled.length % 2 !== 0) {
+    matches.push({
+      participantA: shuffled[shuffled.length - 1]._id,
+      participantB: null, // TBD
+      roundNumber: 1
+    });
+  }
+
+  return matches;
+};
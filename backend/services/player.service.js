@@ -0,0 +1,327 @@
+/**
+ * Player Registry Service
+ *
+ * This service links participant player names to Player registry records
+ * (player.model.js) and builds player profiles across tournaments.
+ *
+ * Duplicate matching, in order:
+ * 1. Email: a player with the same email is the same person
+ * 2. Name: exactly one player with the same name (ignoring case and spacing)
+ *    is the same person. Several players with that name and no email to
+ *    tell them apart is reported as ambiguous and left unlinked.
+ * 3. No match: a new player is created
+ */
+
+import Player, { normalizePlayerName } from '../models/player.model.js';
+import Participant from '../models/participant.model.js';
+import Match from '../models/match.model.js';
+import Tournament from '../models/tournament.model.js';
+import { summarizeMatch } from './scoring.service.js';
+import { getRatingHistory } from './rating.service.js';
+import { getMatchLineup } from './substitution.service.js';
+
+/**
+ * Player fields that can be set from uploads and forms
+ */
+export const PLAYER_DETAIL_FIELDS = ['email', 'rating', 'club', 'gender', 'dateOfBirth'];
+
+/**
+ * Get Entry Type
+ *
+ * Rotating partner tournaments play doubles but register individual players,
+ * who get a new partner every round.
+ *
+ * @param {Object} tournament - Tournament with type and format
+ * @returns {string} 'singles' (1 player per participant) or 'doubles' (2 players)
+ */
+export const getEntryType = (tournament) => (tournament.format === 'rotatingPartners' ? 'singles' : tournament.type);
+
+/**
+ * Parse Player Details
+ *
+ * Validates and converts optional player details (email, rating, club,
+ * gender, date of birth). Empty values are left out.
+ *
+ * @param {Object} raw - Raw details
+ * @returns {Object} { details, error }
+ */
+export const parsePlayerDetails = (raw = {}) => {
+  const details = {};
+  const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+  if (!isEmpty(raw.email)) {
+    const email = String(raw.email).trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return { details, error: `Invalid email "${raw.email}"` };
+    }
+    details.email = email;
+  }
+
+  if (!isEmpty(raw.rating)) {
+    const rating = Number(raw.rating);
+    if (isNaN(rating) || rating < 1 || rating > 8) {
+      return { details, error: 'Rating must be a number between 1 and 8' };
+    }
+    details.rating = rating;
+  }
+
+  if (!isEmpty(raw.club)) {
+    details.club = String(raw.club).trim();
+  }
+
+  if (!isEmpty(raw.gender)) {
+    const gender = String(raw.gender).trim().toLowerCase();
+    const genders = { m: 'male', male: 'male', f: 'female', female: 'female', other: 'other' };
+    if (!genders[gender]) {
+      return { details, error: 'Gender must be male, female or other' };
+    }
+    details.gender = genders[gender];
+  }
+
+  if (!isEmpty(raw.dateOfBirth)) {
+    const dateOfBirth = new Date(raw.dateOfBirth);
+    if (isNaN(dateOfBirth)) {
+      return { details, error: `Invalid date of birth "${raw.dateOfBirth}"` };
+    }
+    details.dateOfBirth = dateOfBirth;
+  }
+
+  return { details, error: null };
+};
+
+/**
+ * Find Player Matches
+ *
+ * @param {string} name - Player name
+ * @param {string} email - Player email (optional)
+ * @returns {Promise<Object>} { players, matchedBy } - matchedBy is 'email', 'name' or null
+ */
+export const findPlayerMatches = async (name, email = null) => {
+  if (email) {
+    const byEmail = await Player.find({ email: email.toLowerCase() }).lean();
+    if (byEmail.length > 0) {
+      return { players: byEmail, matchedBy: 'email' };
+    }
+  }
+
+  const byName = await Player.find({ normalizedName: normalizePlayerName(name) }).lean();
+
+  // A player with a different email is a different person with the same name
+  const candidates = email ? byName.filter(player => !player.email) : byName;
+  return { players: candidates, matchedBy: candidates.length > 0 ? 'name' : null };
+};
+
+/**
+ * Resolve Player
+ *
+ * Finds the registry record for a player name, or creates one.
+ * Details of a matched player are only filled in where they are missing.
+ *
+ * @param {Object} entry - { name, details } (details from parsePlayerDetails)
+ * @param {Object} options - { adminId, cache: Map shared by one upload }
+ * @returns {Promise<Object>} { playerId, status, matchedBy, candidates }
+ *   - status: 'matched', 'created' or 'ambiguous' (playerId is null)
+ */
+export const resolvePlayer = async ({ name, details = {} }, { adminId = null, cache = null } = {}) => {
+  // The same person twice in one upload resolves to the same record
+  const cacheKey = details.email || normalizePlayerName(name);
+  if (cache?.has(cacheKey)) {
+    return { ...cache.get(cacheKey), status: 'matched', matchedBy: 'upload' };
+  }
+
+  const { players, matchedBy } = await findPlayerMatches(name, details.email);
+  let result;
+
+  if (players.length === 1) {
+    const player = players[0];
+    const missing = {};
+    PLAYER_DETAIL_FIELDS.forEach(field => {
+      if (details[field] !== undefined && (player[field] === null || player[field] === undefined)) {
+        missing[field] = details[field];
+      }
+    });
+    if (Object.keys(missing).length > 0) {
+      await Player.updateOne({ _id: player._id }, { $set: missing });
+    }
+    result = { playerId: player._id, status: 'matched', matchedBy, candidates: [] };
+  } else if (players.length > 1) {
+    result = {
+      playerId: null,
+      status: 'ambiguous',
+      matchedBy,
+      candidates: players.map(player => ({
+        id: player._id,
+        name: player.name,
+        club: player.club,
+        rating: player.rating
+      }))
+    };
+  } else {
+    const player = await Player.create({ name: name.trim(), ...details, createdBy: adminId });
+    result = { playerId: player._id, status: 'created', matchedBy: null, candidates: [] };
+  }
+
+  if (cache && result.playerId) {
+    cache.set(cacheKey, { playerId: result.playerId, candidates: [] });
+  }
+  return result;
+};
+
+/**
+ * Link Participant Players
+ *
+ * Resolves every player of a list of participants (e.g. one upload).
+ *
+ * @param {Array} participants - [{ players: [name], playerDetails: [details], line }]
+ * @param {string} adminId - Admin doing the upload
+ * @returns {Promise<Object>} { playerIds: [[id|null]], report }
+ *   - report: { matched, created, ambiguous } lists of { line, name, playerId, matchedBy, candidates }
+ */
+export const linkParticipantPlayers = async (participants, adminId = null) => {
+  const cache = new Map();
+  const report = { matched: [], created: [], ambiguous: [] };
+  const playerIds = [];
+
+  for (const participant of participants) {
+    const ids = [];
+    for (let i = 0; i < participant.players.length; i++) {
+      const name = participant.players[i];
+      const result = await resolvePlayer(
+        { name, details: participant.playerDetails?.[i] || {} },
+        { adminId, cache }
+      );
+      ids.push(result.playerId);
+      report[result.status].push({
+        line: participant.line || null,
+        name,
+        playerId: result.playerId,
+        matchedBy: result.matchedBy,
+        candidates: result.candidates
+      });
+    }
+    playerIds.push(ids);
+  }
+
+  return { playerIds, report };
+};
+
+/**
+ * Get Player Profile
+ *
+ * Lists every match of a player in public tournaments, newest first,
+ * with the result from the player's side, and the player's Elo rating
+ * changes from those matches. After a substitution, the matches played
+ * before it are listed for the players substituted out, not the ones who
+ * came in (see substitution.service.js).
+ *
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object|null>} { player, stats, tournaments, matches, ratingHistory } or null if not found
+ */
+export const getPlayerProfile = async (playerId) => {
+  const player = await Player.findById(playerId)
+    .select('name rating eloRating ratedMatches club gender createdAt')
+    .lean();
+
+  if (!player) {
+    return null;
+  }
+
+  const participants = await Participant.find({
+    $or: [{ playerIds: player._id }, { 'substitutions.previousPlayerIds': player._id }]
+  }).lean();
+  const publicTournaments = await Tournament.find({
+    _id: { $in: participants.map(p => p.tournamentId) },
+    isPublic: true
+  })
+    .select('name date type format status')
+    .lean();
+
+  const tournamentsById = new Map(publicTournaments.map(t => [t._id.toString(), t]));
+  const publicParticipants = participants.filter(p => tournamentsById.has(p.tournamentId.toString()));
+  const participantIds = publicParticipants.map(p => p._id);
+  const ownIds = new Set(participantIds.map(id => id.toString()));
+  const participantsById = new Map(publicParticipants.map(p => [p._id.toString(), p]));
+
+  const matches = await Match.find({
+    $or: [
+      { participantA: { $in: participantIds } },
+      { participantB: { $in: participantIds } },
+      { partnerA: { $in: participantIds } },
+      { partnerB: { $in: participantIds } }
+    ],
+    status: { $in: ['upcoming', 'live', 'completed'] }
+  })
+    .populate('participantA', 'name players playerIds')
+    .populate('participantB', 'name players playerIds')
+    .populate('partnerA', 'name players playerIds')
+    .populate('partnerB', 'name players playerIds')
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  const stats = { matchesPlayed: 0, wins: 0, losses: 0 };
+  const history = matches.flatMap(match => {
+    const isOwn = (participant) => ownIds.has(participant?._id?.toString());
+    const side = isOwn(match.participantA) || isOwn(match.partnerA) ? 'A' : 'B';
+    // Rotating partners: team is the player's own entry, partner the one they played with
+    const [first, second] = side === 'A' ? [match.participantA, match.partnerA] : [match.participantB, match.partnerB];
+    const [team, partner] = isOwn(second) ? [second, first] : [first, second];
+
+    // Only the matches the player played (or will play) for the entry
+    const lineup = getMatchLineup(participantsById.get(team._id.toString()), match._id);
+    if (!lineup.playerIds.some(playerId => playerId?.toString() === player._id.toString())) {
+      return [];
+    }
+    let result = null;
+
+    if (match.status === 'completed') {
+      const { winner } = summarizeMatch(match);
+      if (winner) {
+        result = winner === side ? 'won' : 'lost';
+        stats.matchesPlayed++;
+        stats[result === 'won' ? 'wins' : 'losses']++;
+      }
+    }
+
+    return [{
+      id: match._id,
+      tournament: tournamentsById.get(match.tournamentId.toString()),
+      round: match.round,
+      status: match.status,
+      side,
+      team: { ...team, players: lineup.players, playerIds: lineup.playerIds },
+      partner: partner || null,
+      opponent: side === 'A' ? match.participantB : match.participantA,
+      opponentPartner: (side === 'A' ? match.partnerB : match.partnerA) || null,
+      score: match.score,
+      games: match.games,
+      result,
+      scheduledTime: match.scheduledTime || null,
+      updatedAt: match.updatedAt
+    }];
+  });
+
+  stats.winRate = stats.matchesPlayed > 0
+    ? parseFloat((stats.wins / stats.matchesPlayed * 100).toFixed(1))
+    : 0;
+
+  const ratingHistory = (await getRatingHistory(player._id))
+    .filter(entry => entry.tournamentId?.isPublic)
+    .map(entry => ({
+      matchId: entry.matchId?._id || null,
+      round: entry.matchId?.round || null,
+      tournament: { _id: entry.tournamentId._id, name: entry.tournamentId.name },
+      before: entry.before,
+      after: entry.after,
+      change: entry.change,
+      result: entry.result,
+      createdAt: entry.createdAt
+    }));
+
+  return {
+    player,
+    stats,
+    tournaments: publicTournaments.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0)),
+    matches: history,
+    ratingHistory
+  };
+};
@@ -0,0 +1,351 @@
+/**
+ * Point Log Service
+ *
+ * This service manages the append-only rally-by-rally log of a match
+ * (see pointEvent.model.js) and derives the match score from it.
+ *
+ * How the score is derived:
+ * - Events are replayed in sequence order, skipping undone events
+ * - Each rally is applied with the tournament rules (rules.service.js),
+ *   so side-out scoring only awards points to the serving team
+ * - When a game is over the next game starts at 0-0. Team A serves first
+ *   in odd games and team B in even games.
+ * - No events are accepted once a side has won the match
+ */
+
+import PointEvent from '../models/pointEvent.model.js';
+import { getGamesToWin, resolveBestOf, applyGamesToMatch, getMatchGames } from './scoring.service.js';
+import { getGameRules, applyRally, isGameOver, getInitialServeState, getScoreCall } from './rules.service.js';
+
+/**
+ * Event types that change the score or serve
+ */
+export const RALLY_EVENT_TYPES = ['point', 'fault', 'sideOut'];
+
+/**
+ * Event types an admin can record (undo is appended by undoLastEvent)
+ */
+export const RECORDABLE_EVENT_TYPES = ['point', 'fault', 'sideOut', 'timeout'];
+
+/**
+ * Get Undone Event IDs
+ *
+ * @param {Array} events - Events sorted by sequence
+ * @returns {Set} IDs (strings) of events cancelled by an 'undo' event
+ */
+export const getUndoneEventIds = (events) => {
+  const undone = new Set();
+  events.forEach(event => {
+    if (event.type === 'undo' && event.undoes) {
+      undone.add(event.undoes.toString());
+    }
+  });
+  return undone;
+};
+
+/**
+ * Get Active Events
+ *
+ * @param {Array} events - Events sorted by sequence
+ * @returns {Array} Events that are not undo events and have not been undone
+ */
+export const getActiveEvents = (events) => {
+  const undone = getUndoneEventIds(events);
+  return events.filter(event => event.type !== 'undo' && !undone.has(event._id.toString()));
+};
+
+/**
+ * Get Opponent (Helper)
+ *
+ * @param {string} team - 'A' or 'B'
+ * @returns {string} The other team
+ */
+const getOpponent = (team) => (team === 'A' ? 'B' : 'A');
+
+/**
+ * Replay Events
+ *
+ * Replays active events from the start of the match.
+ *
+ * @param {Array} events - Active events sorted by sequence
+ * @param {Object} rules - Game rules from getGameRules
+ * @param {number} bestOf - Number of games in the match
+ * @returns {Object} Match state:
+ *   - games: Array of { a, b } (finished games plus the game in progress)
+ *   - serve: { team, serverNumber } for the next rally
+ *   - gameNumber: Game the next rally belongs to
+ *   - matchDecided: True once a side has won enough games
+ *   - snapshots: Map of eventId -> { gameNumber, scoreAfter, serveAfter }
+ */
+export const replayEvents = (events, rules, bestOf) => {
+  const gamesToWin = getGamesToWin(bestOf);
+  const finishedGames = [];
+  const gamesWon = { A: 0, B: 0 };
+  const snapshots = new Map();
+
+  let state = {
+    score: { a: 0, b: 0 },
+    serve: getInitialServeState(rules.type, 'A')
+  };
+  let matchDecided = false;
+
+  events.forEach(event => {
+    const gameNumber = finishedGames.length + 1;
+
+    if (RALLY_EVENT_TYPES.includes(event.type) && !matchDecided) {
+      let rallyWinner = event.team;
+      if (event.type === 'fault') {
+        rallyWinner = getOpponent(event.team);
+      } else if (event.type === 'sideOut') {
+        rallyWinner = getOpponent(state.serve.team);
+      }
+
+      const result = applyRally(state, rallyWinner, rules);
+      state = { score: result.score, serve: result.serve };
+    }
+
+    snapshots.set(event._id.toString(), {
+      gameNumber,
+      scoreAfter: { ...state.score },
+      serveAfter: { ...state.serve }
+    });
+
+    // Game over: record it and start the next game
+    if (!matchDecided && isGameOver(state.score, rules)) {
+      finishedGames.push({ ...state.score });
+      gamesWon[state.score.a > state.score.b ? 'A' : 'B']++;
+
+      if (gamesWon.A >= gamesToWin || gamesWon.B >= gamesToWin) {
+        matchDecided = true;
+      } else {
+        const nextGameNumber = finishedGames.length + 1;
+        state = {
+          score: { a: 0, b: 0 },
+          serve: getInitialServeState(rules.type, nextGameNumber % 2 === 0 ? 'B' : 'A')
+        };
+      }
+    }
+  });
+
+  // Include the game in progress once a rally has been scored in it
+  const games = [...finishedGames];
+  if (!matchDecided && (state.score.a > 0 || state.score.b > 0)) {
+    games.push({ ...state.score });
+  }
+
+  return {
+    games,
+    serve: state.serve,
+    gameNumber: finishedGames.length + (matchDecided ? 0 : 1),
+    matchDecided,
+    snapshots
+  };
+};
+
+/**
+ * Get Match Log (Helper)
+ *
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Array>} All events for the match sorted by sequence
+ */
+const getMatchLog = async (matchId) => {
+  return PointEvent.find({ matchId }).sort({ sequence: 1 }).lean();
+};
+
+/**
+ * Get Match State From Log
+ *
+ * @param {Object} match - Match document or lean object
+ * @param {Object} tournament - Tournament with rules and type
+ * @param {Array} events - All events for the match (optional, fetched if omitted)
+ * @returns {Promise<Object>} { events, activeEvents, state, rules, bestOf }
+ */
+export const getMatchStateFromLog = async (match, tournament, events = null) => {
+  const log = events || await getMatchLog(match._id);
+  const activeEvents = getActiveEvents(log);
+  const rules = getGameRules(tournament);
+  const bestOf = resolveBestOf(match, tournament);
+  const state = replayEvents(activeEvents, rules, bestOf);
+
+  return { events: log, activeEvents, state, rules, bestOf };
+};
+
+/**
+ * Apply Log State to Match (Helper)
+ *
+ * Stores the derived games, headline score and serve on the match.
+ * A match that gets its first point moves from upcoming to live.
+ *
+ * @param {Object} match - Match document
+ * @param {Object} state - State from replayEvents
+ * @param {number} bestOf - Number of games in the match
+ */
+const applyLogStateToMatch = (match, state, bestOf) => {
+  applyGamesToMatch(match, state.games, bestOf);
+  match.serve = state.matchDecided ? null : state.serve;
+
+  if (match.status === 'upcoming' && state.games.length > 0) {
+    match.status = 'live';
+  }
+};
+
+/**
+ * Append Point Event
+ *
+ * Appends an event to the match log and updates the match score.
+ * Caller must validate the event type, team and match status.
+ *
+ * @param {Object} params
+ * @param {Object} params.match - Match document
+ * @param {Object} params.tournament - Tournament with rules and type
+ * @param {string} params.type - Event type (see RECORDABLE_EVENT_TYPES)
+ * @param {string|null} params.team - 'A' or 'B' (not needed for sideOut)
+ * @param {string} params.adminId - Admin recording the event
+ * @returns {Promise<Object>} { event, state, scoreCall }
+ * @throws {Error} If the match is already decided
+ */
+export const appendPointEvent = async ({ match, tournament, type, team, adminId }) => {
+  const { events, activeEvents, state: currentState, rules, bestOf } = await getMatchStateFromLog(match, tournament);
+
+  if (currentState.matchDecided && RALLY_EVENT_TYPES.includes(type)) {
+    throw new Error('Match is already decided. Complete the match or undo the last point.');
+  }
+
+  const lastEvent = events[events.length - 1];
+  const event = new PointEvent({
+    matchId: match._id,
+    tournamentId: tournament._id,
+    sequence: lastEvent ? lastEvent.sequence + 1 : 1,
+    type,
+    team: type === 'sideOut' ? null : team,
+    gameNumber: currentState.gameNumber || 1,
+    recordedBy: adminId
+  });
+
+  const state = replayEvents([...activeEvents, event], rules, bestOf);
+  const snapshot = state.snapshots.get(event._id.toString());
+  event.scoreAfter = snapshot.scoreAfter;
+  event.serveAfter = snapshot.serveAfter;
+
+  await event.save();
+
+  applyLogStateToMatch(match, state, bestOf);
+  await match.save();
+
+  return {
+    event,
+    state,
+    scoreCall: state.matchDecided ? null : getScoreCall(snapshot.scoreAfter, state.serve, rules)
+  };
+};
+
+/**
+ * Undo Last Event
+ *
+ * Appends an 'undo' event that cancels the most recent active event
+ * and re-derives the match score.
+ *
+ * @param {Object} params
+ * @param {Object} params.match - Match document
+ * @param {Object} params.tournament - Tournament with rules and type
+ * @param {string} params.adminId - Admin recording the undo
+ * @returns {Promise<Object>} { event, undoneEvent, state, scoreCall }
+ * @throws {Error} If there is nothing to undo
+ */
+export const undoLastEvent = async ({ match, tournament, adminId }) => {
+  const { events, activeEvents, rules, bestOf } = await getMatchStateFromLog(match, tournament);
+
+  const undoneEvent = activeEvents[activeEvents.length - 1];
+  if (!undoneEvent) {
+    throw new Error('There are no points to undo');
+  }
+
+  const remainingEvents = activeEvents.slice(0, -1);
+  const state = replayEvents(remainingEvents, rules, bestOf);
+  const lastEvent = events[events.length - 1];
+
+  const currentGame = state.games.length > 0 && !state.matchDecided
+    ? state.games[state.games.length - 1]
+    : { a: 0, b: 0 };
+
+  const event = new PointEvent({
+    matchId: match._id,
+    tournamentId: tournament._id,
+    sequence: lastEvent.sequence + 1,
+    type: 'undo',
+    undoes: undoneEvent._id,
+    gameNumber: state.gameNumber || 1,
+    scoreAfter: currentGame,
+    serveAfter: state.serve,
+    recordedBy: adminId
+  });
+
+  await event.save();
+
+  applyLogStateToMatch(match, state, bestOf);
+  await match.save();
+
+  return {
+    event,
+    undoneEvent,
+    state,
+    scoreCall: state.matchDecided ? null : getScoreCall(currentGame, state.serve, rules)
+  };
+};
+
+/**
+ * Get Match Timeline
+ *
+ * Returns every event in the match log for display, marking undone events.
+ *
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Array>} Events sorted by sequence with an `undone` flag
+ */
+export const getMatchTimeline = async (matchId) => {
+  const events = await getMatchLog(matchId);
+  const undone = getUndoneEventIds(events);
+
+  return events.map(event => ({
+    id: event._id,
+    sequence: event.sequence,
+    type: event.type,
+    team: event.team,
+    undoes: event.undoes,
+    undone: undone.has(event._id.toString()),
+    gameNumber: event.gameNumber,
+    scoreAfter: event.scoreAfter,
+    serveAfter: event.serveAfter,
+    createdAt: event.createdAt
+  }));
+};
+
+/**
+ * Get Point Log Conflict
+ *
+ * Matches scored point-by-point get their score from the log. A manual
+ * score update is only accepted if it matches the derived score.
+ *
+ * @param {Object} match - Match document
+ * @param {Array|null} games - Games submitted with the update (null = none)
+ * @returns {Promise<string|null>} Error message or null if the update is allowed
+ */
+export const getPointLogConflict = async (match, games) => {
+  if (!games) {
+    return null;
+  }
+
+  const hasLog = await PointEvent.exists({ matchId: match._id });
+  if (!hasLog) {
+    return null;
+  }
+
+  const currentGames = getMatchGames(match);
+  const sameScore = currentGames.length === games.length &&
+    currentGames.every((game, index) => game.a === games[index].a && game.b === games[index].b);
+
+  if (sameScore) {
+    return null;
+  }
+
+  return 'This match is scored point by point. Record points or undo the last point instead of editing totals.';
+};
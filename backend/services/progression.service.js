@@ -5,18 +5,27 @@
  * - Determining match winners
  * - Checking if rounds are complete
  * - Generating next round matches (for knockout tournaments)
- * - Advancing winners to next rounds
+ * - Advancing winners (and losers) along bracket links (nextMatchId / loserMatchId)
+ * - Double elimination: dropping losers into the losers bracket, grand final reset
+ * - Filling the knockout from the group qualifiers (respecting admin group locks)
+ * - Forfeits: a match a side cannot play (withdrawn or disqualified
+ *   participant, or nobody coming from a double forfeit) is decided without it
  * - Locking completed rounds
  */
 
 import Match from '../models/match.model.js';
-import Tournament from '../models/tournament.model.js';
 import Participant from '../models/participant.model.js';
+import Tournament from '../models/tournament.model.js';
+import { summarizeMatch, applyOutcomeToMatch } from './scoring.service.js';
+import { loadGroupStandings } from './standings.service.js';
+import { getQualifiers, seedQualifiers, placeQualifiers } from './qualification.service.js';
+import { getBracketEntrySlots } from './fixture.service.js';
 
 /**
  * Get Match Winner
  * 
- * Determines the winner of a completed match based on scores.
+ * Determines the winner of a completed match based on games won
+ * (see scoring.service.js for how game scores are summarized).
  * 
  * @param {Object} match - Match object with score and status
  * @returns {Object|null} Winner participant ID or null if draw/not completed
@@ -26,9 +35,10 @@ export const getMatchWinner = (match) => {
     return null;
   }
 
-  if (match.score.a > match.score.b) {
+  const { winner } = summarizeMatch(match);
+  if (winner === 'A') {
     return match.participantA;
-  } else if (match.score.b > match.score.a) {
+  } else if (winner === 'B') {
     return match.participantB;
   }
 
@@ -63,18 +73,19 @@ export const isRoundComplete = async (tournamentId, round) => {
 /**
  * Get Round Winners
  * 
- * Gets all winners from a completed round.
+ * Gets all winners from a completed round, in bracket (match order) order.
  * 
  * @param {string} tournamentId - Tournament ID
  * @param {string} round - Round name
  * @returns {Promise<Array>} Array of winner participant IDs
  */
 export const getRoundWinners = async (tournamentId, round) => {
+  // Sorted by order so winners line up with the bracket slots of the next round
   const matches = await Match.find({
     tournamentId: tournamentId,
     round: round,
     status: 'completed'
-  });
+  }).sort({ order: 1 });
 
   const winners = [];
   matches.forEach(match => {
@@ -91,7 +102,9 @@ export const getRoundWinners = async (tournamentId, round) => {
  * Get Next Round Name
  * 
  * Determines the next round name based on current round.
- * Used for knockout tournament progression.
+ * Only used for matches without bracket links (created before links
+ * existed, or custom rounds added one at a time). Linked matches advance
+ * through nextMatchId / loserMatchId instead.
  * 
  * Round progression:
  * - Round of 16 -> Quarter Finals
@@ -203,7 +216,7 @@ export const generateNextRoundMatches = async (tournamentId, completedRound, nex
  * 
  * Logic:
  * - If a round is complete, move to next round
- * - For knockout: automatically progress to next round
+ * - For knockout formats: round of the first match still to play
  * - For group/roundRobin: update based on active matches
  * 
  * @param {string} tournamentId - Tournament ID
@@ -225,26 +238,17 @@ export const updateTournamentCurrentRound = async (tournamentId) => {
     return null;
   }
 
-  // For knockout tournaments, find the earliest incomplete round
-  if (tournament.format === 'knockout') {
-    const rounds = ['Round of 32', 'Round of 16', 'Quarter Finals', 'Semi Finals', 'Final'];
-    
-    for (const round of rounds) {
-      const roundMatches = allMatches.filter(m => m.round === round);
-      if (roundMatches.length > 0) {
-        const isComplete = roundMatches.every(m => m.status === 'completed');
-        if (!isComplete) {
-          tournament.currentRound = round;
-          await tournament.save();
-          return round;
-        }
-      }
-    }
+  // For knockout formats, the current round is the round of the next match to play
+  // (matches are ordered by when they can be played)
+  if (tournament.format === 'knockout' || tournament.format === 'doubleElimination') {
+    const nextMatch = allMatches.find(m => m.status === 'upcoming' || m.status === 'live');
+    const round = nextMatch ? nextMatch.round : 'Completed';
 
-    // All rounds complete
-    tournament.currentRound = 'Completed';
-    await tournament.save();
-    return 'Completed';
+    if (round !== tournament.currentRound) {
+      tournament.currentRound = round;
+      await tournament.save();
+    }
+    return round;
   }
 
   // For group and roundRobin, find the round with most upcoming/live matches
@@ -283,8 +287,12 @@ export const updateTournamentCurrentRound = async (tournamentId) => {
 /**
  * Check if Round is Locked
  * 
- * A round is locked if it's completed and we're in a knockout tournament.
- * Locked rounds cannot have their matches edited.
+ * A round is locked if it's completed and we're in a knockout tournament
+ * (knockout or doubleElimination) and a match its winners (or losers) were
+ * sent to has started. Locked rounds cannot have their matches edited.
+ * 
+ * Matches generated before bracket links existed fall back to the round
+ * name: locked once the next round (see getNextRoundName) has matches.
  * 
  * @param {string} tournamentId - Tournament ID
  * @param {string} round - Round name
@@ -298,30 +306,438 @@ export const isRoundLocked = async (tournamentId, round) => {
   }
 
   // Only knockout tournaments have locked rounds
-  if (tournament.format !== 'knockout') {
+  if (!['knockout', 'doubleElimination'].includes(tournament.format)) {
     return false;
   }
 
   // Check if round is complete
-  const isComplete = await isRoundComplete(tournamentId, round);
+  const roundMatches = await Match.find({ tournamentId: tournamentId, round: round }).lean();
+  if (roundMatches.length === 0 || !roundMatches.every(m => m.status === 'completed')) {
+    return false;
+  }
 
-  // If round is complete and there are matches in later rounds, it's locked
-  if (isComplete) {
-    const nextRound = getNextRoundName(round);
-    if (nextRound) {
-      const nextRoundMatches = await Match.countDocuments({
-        tournamentId: tournamentId,
-        round: nextRound
-      });
-      if (nextRoundMatches > 0) {
-        return true; // Round is complete and next round exists - locked
-      }
+  // Locked once a match fed by this round has started
+  const fedMatchIds = roundMatches
+    .flatMap(m => [m.nextMatchId, m.loserMatchId])
+    .filter(Boolean);
+  if (fedMatchIds.length > 0) {
+    const startedFedMatches = await Match.countDocuments({
+      _id: { $in: fedMatchIds },
+      status: { $in: ['live', 'completed'] }
+    });
+    return startedFedMatches > 0;
+  }
+
+  // Legacy brackets without links: locked once the next round exists
+  const nextRound = getNextRoundName(round);
+  if (nextRound) {
+    const nextRoundMatches = await Match.countDocuments({
+      tournamentId: tournamentId,
+      round: nextRound
+    });
+    if (nextRoundMatches > 0) {
+      return true; // Round is complete and next round exists - locked
     }
   }
 
   return false;
 };
 
+/**
+ * Place Participant in Slot (Helper)
+ * 
+ * Puts a participant in slot A or B of a linked match. Whoever held the slot
+ * before is replaced, so re-processing a corrected result moves the right
+ * participant forward. Matches that have already started are left alone.
+ * 
+ * @param {string} matchId - Match to place the participant in
+ * @param {string} slot - 'A' or 'B'
+ * @param {string} participantId - Participant ID
+ * @param {Object} progression - Progression object to update
+ */
+const placeInSlot = async (matchId, slot, participantId, progression) => {
+  const target = await Match.findById(matchId);
+  if (!target) {
+    return;
+  }
+
+  const field = slot === 'A' ? 'participantA' : 'participantB';
+  if (target[field]?.toString() === participantId?.toString()) {
+    return; // Already there
+  }
+
+  if (target.status !== 'upcoming') {
+    // Started or finished with someone else in the slot: needs an admin to resolve
+    progression.blockedMatches = progression.blockedMatches || [];
+    progression.blockedMatches.push({ matchId: target._id, round: target.round, slot, status: target.status });
+    return;
+  }
+
+  target[field] = participantId;
+  await target.save();
+  progression.nextRoundFilled = true;
+  progression.updatedRounds.push(target.round);
+  progression.updatedMatches = progression.updatedMatches || [];
+  progression.updatedMatches.push(target._id);
+};
+
+/**
+ * Get Side Forfeit (Helper)
+ * 
+ * A side of a match is forfeited when one of its players has withdrawn or
+ * been disqualified, or when it is empty and the match feeding it finished
+ * with nobody to send (a double forfeit, or the loser of a disqualification).
+ * 
+ * @param {Object} match - Match document
+ * @param {string} slot - 'A' or 'B'
+ * @returns {Promise<Object|null>} { outcome: 'walkover' or 'disqualified', reason } or null
+ */
+const getSideForfeit = async (match, slot) => {
+  const participantId = match[`participant${slot}`];
+
+  if (participantId) {
+    const ids = [participantId, match[`partner${slot}`]].filter(Boolean);
+    const player = await Participant.findOne({ _id: { $in: ids }, status: { $in: ['withdrawn', 'disqualified'] } })
+      .select('name status withdrawal')
+      .lean();
+    if (!player) {
+      return null;
+    }
+    return player.status === 'disqualified'
+      ? { outcome: 'disqualified', reason: player.withdrawal?.reason || `${player.name} was disqualified` }
+      : { outcome: 'walkover', reason: player.withdrawal?.reason || `${player.name} withdrew` };
+  }
+
+  const feeder = await Match.findOne({
+    status: 'completed',
+    $or: [
+      { nextMatchId: match._id, nextMatchSlot: slot },
+      { loserMatchId: match._id, loserMatchSlot: slot }
+    ]
+  }).lean();
+  if (!feeder) {
+    return null;
+  }
+
+  if (feeder.outcome === 'doubleForfeit') {
+    return { outcome: 'walkover', reason: `No opponent: ${feeder.round} was a double forfeit` };
+  }
+  const isLoserLink = feeder.loserMatchId?.toString() === match._id.toString() && feeder.loserMatchSlot === slot;
+  if (feeder.outcome === 'disqualified' && isLoserLink) {
+    return { outcome: 'walkover', reason: `No opponent: the loser of ${feeder.round} was disqualified` };
+  }
+
+  return null;
+};
+
+/**
+ * Merge Progression (Helper)
+ * 
+ * Adds what a follow-on match completion changed to the progression of the
+ * match that caused it.
+ * 
+ * @param {Object} progression - Progression object to update
+ * @param {Object} next - Progression of the follow-on match
+ */
+const mergeProgression = (progression, next) => {
+  progression.updatedRounds.push(...next.updatedRounds);
+  progression.updatedMatches = [...(progression.updatedMatches || []), ...(next.updatedMatches || [])];
+  progression.forfeitedMatches = [...(progression.forfeitedMatches || []), ...(next.forfeitedMatches || [])];
+  if (next.blockedMatches?.length) {
+    progression.blockedMatches = [...(progression.blockedMatches || []), ...next.blockedMatches];
+  }
+  if (next.nextRoundFilled) progression.nextRoundFilled = true;
+  if (next.tournamentComplete) progression.tournamentComplete = true;
+};
+
+/**
+ * Resolve Forfeits
+ * 
+ * Decides an upcoming or live match that a side cannot play (see
+ * getSideForfeit), then progresses it like any completed match:
+ * - One side forfeited, the other present: walkover (disqualification if
+ *   that player was disqualified). A player who withdraws during a live
+ *   match retires at the current score.
+ * - Both sides forfeited: double forfeit
+ * - One side forfeited, the other still to be decided: left as it is
+ * 
+ * Byes and matches that are already decided are left alone.
+ * 
+ * @param {string} matchId - Match ID
+ * @param {Object} tournament - Tournament document (rules for forfeit scores)
+ * @param {Object} progression - Progression object to update
+ * @returns {Promise<boolean>} True if the match was decided
+ */
+export const resolveForfeits = async (matchId, tournament, progression) => {
+  const match = await Match.findById(matchId);
+  if (!match || !['upcoming', 'live'].includes(match.status) || match.bye) {
+    return false;
+  }
+
+  const forfeitA = await getSideForfeit(match, 'A');
+  const forfeitB = await getSideForfeit(match, 'B');
+
+  let outcome = null;
+  if (forfeitA && forfeitB) {
+    outcome = { outcome: 'doubleForfeit', forfeitedBy: 'both', reason: `${forfeitA.reason}; ${forfeitB.reason}` };
+  } else if ((forfeitA && match.participantB) || (forfeitB && match.participantA)) {
+    const forfeit = forfeitA || forfeitB;
+    outcome = {
+      outcome: match.status === 'live' && forfeit.outcome === 'walkover' ? 'retired' : forfeit.outcome,
+      forfeitedBy: forfeitA ? 'A' : 'B',
+      reason: forfeit.reason
+    };
+  }
+  if (!outcome) {
+    return false;
+  }
+
+  applyOutcomeToMatch(match, outcome, tournament);
+  await match.save();
+
+  progression.updatedRounds.push(match.round);
+  progression.updatedMatches = [...(progression.updatedMatches || []), match._id];
+  progression.forfeitedMatches = [...(progression.forfeitedMatches || []), match._id];
+
+  mergeProgression(progression, await processMatchCompletion(match._id));
+  return true;
+};
+
+/**
+ * Advance Along Links (Helper)
+ * 
+ * Sends the winner of a completed match to its next match (nextMatchId /
+ * nextMatchSlot) and the loser to its loser match (loserMatchId /
+ * loserMatchSlot), if the match has them. Nobody advances from a double
+ * forfeit, and a disqualified loser does not drop to the loser match; the
+ * linked matches are then decided by forfeit (see resolveForfeits).
+ * 
+ * @param {Object} match - Completed match document (tournament populated)
+ * @param {Object} progression - Progression object to update
+ */
+const advanceAlongLinks = async (match, progression) => {
+  const winner = getMatchWinner(match);
+  const loser = winner && (winner.toString() === match.participantA?.toString()
+    ? match.participantB
+    : match.participantA);
+
+  if (match.nextMatchId) {
+    if (winner) {
+      await placeInSlot(match.nextMatchId, match.nextMatchSlot, winner, progression);
+    }
+    await resolveForfeits(match.nextMatchId, match.tournamentId, progression);
+  }
+
+  if (match.loserMatchId) {
+    if (loser && match.outcome !== 'disqualified') {
+      await placeInSlot(match.loserMatchId, match.loserMatchSlot, loser, progression);
+    }
+    await resolveForfeits(match.loserMatchId, match.tournamentId, progression);
+  }
+};
+
+/**
+ * Is Bracket Match (Helper)
+ * 
+ * A match is part of a linked bracket if it links to another match or
+ * another match links to it.
+ * 
+ * @param {Object} match - Match document
+ * @returns {Promise<boolean>} True if the match is part of a linked bracket
+ */
+const isBracketMatch = async (match) => {
+  if (match.nextMatchId || match.loserMatchId) {
+    return true;
+  }
+
+  const feeder = await Match.exists({
+    $or: [{ nextMatchId: match._id }, { loserMatchId: match._id }]
+  });
+  return Boolean(feeder);
+};
+
+/**
+ * Mark Tournament Complete (Helper)
+ * 
+ * @param {Object} tournament - Tournament document
+ * @param {Object} progression - Progression object to update
+ */
+const markTournamentComplete = async (tournament, progression) => {
+  progression.tournamentComplete = true;
+  tournament.status = 'completed';
+  tournament.currentRound = 'Completed';
+  await tournament.save();
+};
+
+/**
+ * Advance Double Elimination (Helper)
+ * 
+ * Sends the winner and loser of a completed double elimination match to the
+ * matches and slots they are linked to. Grand Final:
+ * - Winners bracket champion (A) wins: tournament complete, reset not needed
+ * - Losers bracket champion (B) wins: both play the Grand Final Reset
+ *   (if the tournament has one), otherwise the tournament is complete.
+ *   A completed tournament is reopened (amended Grand Final result).
+ * 
+ * @param {Object} match - Completed match document
+ * @param {Object} tournament - Tournament document
+ * @param {Object} progression - Progression object to update
+ */
+const advanceDoubleElimination = async (match, tournament, progression) => {
+  const winner = getMatchWinner(match);
+  if (!winner) {
+    // Double forfeit: the linked matches are decided by forfeit, and a
+    // Grand Final nobody plays ends the tournament without a champion
+    if (['grandFinal', 'grandFinalReset'].includes(match.bracket)) {
+      await Match.updateOne(
+        { tournamentId: tournament._id, bracket: 'grandFinalReset', status: 'upcoming' },
+        { $set: { status: 'cancelled' } }
+      );
+      await markTournamentComplete(tournament, progression);
+    } else {
+      await advanceAlongLinks(match, progression);
+    }
+    return;
+  }
+
+  if (match.bracket === 'grandFinal') {
+    const resetMatch = await Match.findOne({
+      tournamentId: tournament._id,
+      bracket: 'grandFinalReset'
+    });
+    const winnersChampionWon = winner.toString() === match.participantA.toString();
+
+    if (resetMatch && ['live', 'completed'].includes(resetMatch.status)) {
+      // Corrected Grand Final after the reset was played: needs an admin to resolve
+      progression.blockedMatches = progression.blockedMatches || [];
+      progression.blockedMatches.push({ matchId: resetMatch._id, round: resetMatch.round, status: resetMatch.status });
+      return;
+    }
+
+    if (resetMatch && !winnersChampionWon) {
+      resetMatch.participantA = match.participantA;
+      resetMatch.participantB = match.participantB;
+      resetMatch.status = 'upcoming';
+      await resetMatch.save();
+      if (tournament.status === 'completed') {
+        // Amended Grand Final: the tournament is not over after all
+        tournament.status = 'live';
+        await tournament.save();
+      }
+      progression.nextRoundFilled = true;
+      progression.updatedRounds.push(resetMatch.round);
+      progression.updatedMatches = [resetMatch._id];
+      return;
+    }
+
+    if (resetMatch && resetMatch.status === 'upcoming') {
+      resetMatch.status = 'cancelled';
+      await resetMatch.save();
+      progression.updatedRounds.push(resetMatch.round);
+      progression.updatedMatches = [resetMatch._id];
+    }
+    await markTournamentComplete(tournament, progression);
+    return;
+  }
+
+  if (match.bracket === 'grandFinalReset') {
+    await markTournamentComplete(tournament, progression);
+    return;
+  }
+
+  await advanceAlongLinks(match, progression);
+};
+
+/**
+ * Fill Knockout From Groups
+ * 
+ * Once every group stage match is complete, fills the open places of the
+ * first knockout round with the group qualifiers (see getGroupQualifiers).
+ * Nothing is filled while a group has a tie across its last qualifying
+ * place (the admin decides it by locking the group's positions), or while
+ * wildcards are level across the last wildcard place (decided with an
+ * admin tiebreak decision, see qualification.service.js).
+ * 
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Object>} { groupStageComplete, filled, qualifiedPlayers, undecidedGroups,
+ *   wildcardsUndecided, updatedRounds, updatedMatches }
+ */
+export const fillKnockoutFromGroups = async (tournament) => {
+  const result = {
+    groupStageComplete: false,
+    filled: false,
+    qualifiedPlayers: [],
+    undecidedGroups: [],
+    wildcardsUndecided: false,
+    updatedRounds: [],
+    updatedMatches: []
+  };
+
+  const allGroupMatches = await Match.find({
+    tournamentId: tournament._id,
+    round: { $regex: /^Group / }
+  }).lean();
+
+  if (allGroupMatches.length === 0 || !allGroupMatches.every(m => m.status === 'completed')) {
+    return result;
+  }
+  result.groupStageComplete = true;
+
+  // Knockout matches are every non-group match; qualified players go into
+  // the slots no other match feeds (first round, and second round after a bye)
+  const knockoutMatches = await Match.find({
+    tournamentId: tournament._id,
+    round: { $not: /^Group / }
+  }).sort({ order: 1 });
+
+  if (knockoutMatches.length === 0) {
+    return result;
+  }
+
+  const entrySlots = getEntrySlots(knockoutMatches);
+
+  // Nothing to fill once every entry place is taken
+  if (!entrySlots.some(({ match, slot }) => !match[`participant${slot}`])) {
+    return result;
+  }
+
+  // Calculate standings per group (ranked with the tournament's tiebreakers and group locks)
+  const { groupStandings } = await loadGroupStandings(tournament, { withRatings: false });
+
+  // Get the qualification rule stored during fixture generation
+  let topPlayersPerGroup = tournament.qualification?.perGroup;
+  const wildcards = tournament.qualification?.wildcards || 0;
+
+  // If not stored, calculate from the entry places of the knockout
+  if (!topPlayersPerGroup || topPlayersPerGroup < 1) {
+    const numGroups = groupStandings.length;
+    const totalQualifiedNeeded = entrySlots.length;
+
+    // Minimum 1 player per group
+    topPlayersPerGroup = numGroups > 0 ? Math.max(1, Math.floor(totalQualifiedNeeded / numGroups)) : 2;
+  }
+
+  const { qualifiedPlayers, undecidedGroups, wildcardsUndecided } = getQualifiers(groupStandings, {
+    perGroup: topPlayersPerGroup,
+    wildcards,
+    decisions: tournament.tiebreakDecisions || []
+  });
+  if (undecidedGroups.length > 0 || wildcardsUndecided) {
+    result.undecidedGroups = undecidedGroups;
+    result.wildcardsUndecided = wildcardsUndecided;
+    return result;
+  }
+
+  // Fill the knockout entry places with qualified players
+  const updatedMatches = await fillKnockoutRoundsWithQualifiedPlayers(entrySlots, qualifiedPlayers);
+
+  result.filled = true;
+  result.qualifiedPlayers = qualifiedPlayers;
+  result.updatedRounds = [...new Set(updatedMatches.map(m => m.round))];
+  result.updatedMatches = updatedMatches.map(m => m._id);
+  return result;
+};
+
 /**
  * Process Match Completion
  * 
@@ -330,10 +746,15 @@ export const isRoundLocked = async (tournamentId, round) => {
  * Steps:
  * 1. Verify match is completed
  * 2. Check if round is complete
- * 3. If knockout and round complete, generate next round
+ * 3. Bracket matches: move the winner (and loser) into their linked slots.
+ *    Matches without links: if knockout and round complete, fill or generate next round
  * 4. Update tournament currentRound
  * 5. Check if tournament is complete
  * 
+ * Safe to call again after a result is corrected: linked slots are
+ * overwritten with the new winner/loser unless the next match has started
+ * (reported in progression.blockedMatches).
+ * 
  * @param {string} matchId - Match ID that was just completed
  * @returns {Promise<Object>} Object with progression information
  */
@@ -361,111 +782,63 @@ export const processMatchCompletion = async (matchId) => {
   const roundComplete = await isRoundComplete(tournament._id, match.round);
   progression.roundComplete = roundComplete;
 
-  // Handle group stage completion - check if ALL group stage matches are complete
+  // Double elimination: every match sends its winner and loser on immediately
+  if (tournament.format === 'doubleElimination') {
+    await advanceDoubleElimination(match, tournament, progression);
+
+    const updatedRound = await updateTournamentCurrentRound(tournament._id);
+    if (updatedRound) {
+      progression.updatedRounds.push(updatedRound);
+    }
+    return progression;
+  }
+
+  // Handle group stage completion - fill the knockout once ALL group stage matches are complete
   if (roundComplete && match.round.startsWith('Group ')) {
-      // Check if ALL group stage matches are complete
-      const allGroupMatches = await Match.find({
-        tournamentId: tournament._id,
-        round: { $regex: /^Group / }
-      })
-      .populate('participantA', '_id name')
-      .populate('participantB', '_id name')
-      .lean();
-    
-    const allGroupMatchesComplete = allGroupMatches.every(m => m.status === 'completed');
-    
-    if (allGroupMatchesComplete) {
-      // All group stage matches are complete - now fill knockout rounds
-      // Get tournament metadata to determine topPlayersPerGroup and tournamentStructure
-      // We'll need to get this from tournament metadata or calculate from existing knockout matches
-      
-      // Check if knockout rounds exist with TBD participants
-      const knockoutRounds = ['Quarterfinal', 'Semifinal', 'Final'];
-      const knockoutMatches = await Match.find({
+    const fill = await fillKnockoutFromGroups(tournament);
+
+    if (fill.groupStageComplete) {
+      progression.groupStageComplete = true;
+    }
+    if (fill.filled) {
+      progression.knockoutRoundsFilled = true;
+      progression.qualifiedPlayers = fill.qualifiedPlayers.length;
+      progression.updatedRounds.push(...fill.updatedRounds);
+      progression.updatedMatches = fill.updatedMatches;
+
+      // Qualifiers who have since withdrawn give their opponents a walkover
+      for (const filledMatchId of fill.updatedMatches) {
+        await resolveForfeits(filledMatchId, tournament, progression);
+      }
+    }
+    if (fill.undecidedGroups.length > 0) {
+      progression.undecidedGroups = fill.undecidedGroups;
+    }
+  }
+
+  // Bracket matches send their winner (and loser) along their links right away
+  if (!match.round.startsWith('Group ') && await isBracketMatch(match)) {
+    await advanceAlongLinks(match, progression);
+
+    // Last match of a knockout bracket: complete once nothing is left to play
+    if (!match.nextMatchId && (tournament.format === 'knockout' || tournament.format === 'custom')) {
+      const remainingMatches = await Match.countDocuments({
         tournamentId: tournament._id,
-        round: { $in: knockoutRounds }
-      }).sort({ round: 1, order: 1 });
-      
-      if (knockoutMatches.length > 0) {
-        // Check if any knockout matches have TBD participants
-        const hasTBDMatches = knockoutMatches.some(m => !m.participantA || !m.participantB);
-        
-        if (hasTBDMatches) {
-          // Calculate group standings and get qualified players
-          const participants = await Participant.find({ tournamentId: tournament._id }).lean();
-          const completedGroupMatches = allGroupMatches.filter(m => 
-            m.status === 'completed' && m.participantA && m.participantB
-          );
-          
-          // Calculate standings per group
-          const groupStandings = await calculateGroupStandingsForProgression(participants, completedGroupMatches);
-          
-          // Get topPlayersPerGroup from tournament metadata (stored during fixture generation)
-          let topPlayersPerGroup = tournament.topPlayersPerGroup;
-          
-          // If not stored, calculate from knockout match structure
-          if (!topPlayersPerGroup || topPlayersPerGroup < 1) {
-            const quarterfinalMatches = knockoutMatches.filter(m => m.round === 'Quarterfinal');
-            const semifinalMatches = knockoutMatches.filter(m => m.round === 'Semifinal');
-            const finalMatches = knockoutMatches.filter(m => m.round === 'Final');
-            
-            // Get unique groups from group matches
-            const uniqueGroups = new Set(allGroupMatches.map(m => m.round.replace('Group ', '')));
-            const numGroups = uniqueGroups.size;
-            
-            // Calculate total qualified players needed based on knockout structure
-            let totalQualifiedNeeded = 0;
-            if (quarterfinalMatches.length > 0) {
-              // Quarterfinal exists - need 8 players (4 matches * 2 players each)
-              totalQualifiedNeeded = quarterfinalMatches.length * 2;
-            } else if (semifinalMatches.length > 0) {
-              // Only semifinal - need 4 players (2 matches * 2 players each)
-              totalQualifiedNeeded = semifinalMatches.length * 2;
-            } else if (finalMatches.length > 0) {
-              // Only final - need 2 players (1 match * 2 players)
-              totalQualifiedNeeded = finalMatches.length * 2;
-            }
-            
-            // Calculate topPlayersPerGroup: total qualified / number of groups
-            topPlayersPerGroup = numGroups > 0 ? Math.floor(totalQualifiedNeeded / numGroups) : 2;
-            
-            // Validate: topPlayersPerGroup should be at least 1 and reasonable
-            if (topPlayersPerGroup < 1) {
-              topPlayersPerGroup = 1; // Minimum 1 player per group
-            }
-            if (topPlayersPerGroup > 10) {
-              // If calculation seems wrong, try to infer from TBD slots
-              const totalTBDNeeded = knockoutMatches.filter(m => 
-                !m.participantA || !m.participantB
-              ).reduce((sum, m) => {
-                return sum + (m.participantA === null ? 1 : 0) + (m.participantB === null ? 1 : 0);
-              }, 0);
-              
-              if (totalTBDNeeded > 0 && numGroups > 0) {
-                topPlayersPerGroup = Math.floor(totalTBDNeeded / numGroups);
-              } else {
-                topPlayersPerGroup = 2; // Default fallback
-              }
-            }
-          }
-          
-          // Get top players from each group
-          const qualifiedPlayers = getTopPlayersFromGroupsForProgression(groupStandings, topPlayersPerGroup);
-          
-          // Fill knockout matches with qualified players
-          await fillKnockoutRoundsWithQualifiedPlayers(knockoutMatches, qualifiedPlayers, tournament._id);
-          
-          progression.groupStageComplete = true;
-          progression.knockoutRoundsFilled = true;
-          progression.qualifiedPlayers = qualifiedPlayers.length;
-          progression.updatedRounds.push(...knockoutRounds.filter(r => 
-            knockoutMatches.some(m => m.round === r)
-          ));
-        }
+        status: { $in: ['upcoming', 'live'] }
+      });
+      if (remainingMatches === 0) {
+        await markTournamentComplete(tournament, progression);
       }
     }
+
+    const updatedRound = await updateTournamentCurrentRound(tournament._id);
+    if (updatedRound) {
+      progression.updatedRounds.push(updatedRound);
+    }
+    return progression;
   }
 
+  // Legacy: matches created without bracket links advance by round name.
   // If round is complete and it's a knockout tournament, auto-fill TBD participants in next round
   // Skip group rounds as they're handled above
   if (roundComplete && (tournament.format === 'knockout' || tournament.format === 'custom') && !match.round.startsWith('Group ')) {
@@ -547,292 +920,70 @@ export const processMatchCompletion = async (matchId) => {
 };
 
 /**
- * Calculate Group Standings for Progression
+ * Get Entry Slots (Helper)
  * 
- * Helper function to calculate standings per group
- */
-async function calculateGroupStandingsForProgression(participants, completedMatches) {
-  const groupStandingsMap = new Map();
-
-  // Initialize standings for each group
-  completedMatches.forEach(match => {
-    const groupName = match.round.replace('Group ', '');
-    if (!groupStandingsMap.has(groupName)) {
-      groupStandingsMap.set(groupName, {
-        groupName,
-        participants: new Map()
-      });
-    }
-  });
-
-  // Process matches for each group
-  completedMatches.forEach(match => {
-    const groupName = match.round.replace('Group ', '');
-    const groupData = groupStandingsMap.get(groupName);
-    
-    if (!match.participantA || !match.participantB) return;
-
-    // Handle both ObjectId and populated participant objects
-    const pAId = match.participantA?._id 
-      ? match.participantA._id.toString() 
-      : (match.participantA?.toString ? match.participantA.toString() : null);
-    const pBId = match.participantB?._id 
-      ? match.participantB._id.toString() 
-      : (match.participantB?.toString ? match.participantB.toString() : null);
-    
-    if (!pAId || !pBId) return;
-
-    // Initialize participants if not exists
-    if (!groupData.participants.has(pAId)) {
-      const participant = participants.find(p => p._id.toString() === pAId);
-      if (participant) {
-        groupData.participants.set(pAId, {
-          participant: {
-            id: participant._id,
-            name: participant.name,
-            players: participant.players
-          },
-          stats: {
-            matchesPlayed: 0,
-            wins: 0,
-            losses: 0,
-            pointsFor: 0,
-            pointsAgainst: 0,
-            pointDifference: 0
-          }
-        });
-      }
-    }
-    if (!groupData.participants.has(pBId)) {
-      const participant = participants.find(p => p._id.toString() === pBId);
-      if (participant) {
-        groupData.participants.set(pBId, {
-          participant: {
-            id: participant._id,
-            name: participant.name,
-            players: participant.players
-          },
-          stats: {
-            matchesPlayed: 0,
-            wins: 0,
-            losses: 0,
-            pointsFor: 0,
-            pointsAgainst: 0,
-            pointDifference: 0
-          }
-        });
-      }
-    }
-
-    const standingA = groupData.participants.get(pAId);
-    const standingB = groupData.participants.get(pBId);
-
-    if (!standingA || !standingB) return;
-
-    standingA.stats.matchesPlayed++;
-    standingB.stats.matchesPlayed++;
-
-    standingA.stats.pointsFor += match.score.a || 0;
-    standingA.stats.pointsAgainst += match.score.b || 0;
-    standingB.stats.pointsFor += match.score.b || 0;
-    standingB.stats.pointsAgainst += match.score.a || 0;
-
-    if (match.score.a > match.score.b) {
-      standingA.stats.wins++;
-      standingB.stats.losses++;
-    } else if (match.score.b > match.score.a) {
-      standingB.stats.wins++;
-      standingA.stats.losses++;
-    }
-
-    standingA.stats.pointDifference = standingA.stats.pointsFor - standingA.stats.pointsAgainst;
-    standingB.stats.pointDifference = standingB.stats.pointsFor - standingB.stats.pointsAgainst;
-  });
-
-  // Convert to array and sort each group
-  const groupStandings = [];
-  groupStandingsMap.forEach((groupData, groupName) => {
-    const standings = Array.from(groupData.participants.values());
-    // Sort by wins (desc), then point difference (desc)
-    standings.sort((a, b) => {
-      if (b.stats.wins !== a.stats.wins) {
-        return b.stats.wins - a.stats.wins;
-      }
-      return b.stats.pointDifference - a.stats.pointDifference;
-    });
-    
-    standings.forEach((standing, index) => {
-      standing.position = index + 1;
-      standing.group = groupName;
-    });
-    
-    groupStandings.push({
-      groupName,
-      standings
-    });
-  });
-
-  return groupStandings;
-}
-
-/**
- * Get Top Players from Groups for Progression
+ * Returns the places of a knockout bracket qualifiers start in, in bracket
+ * order (see getBracketEntrySlots). Brackets created before links existed
+ * use both slots of the earliest of Quarterfinal, Semifinal and Final.
  * 
- * Returns top N players from each group
+ * @param {Array} knockoutMatches - Knockout match documents, sorted by order
+ * @returns {Array} [{ match, slot: 'A' | 'B' }]
  */
-function getTopPlayersFromGroupsForProgression(groupStandings, topPlayersPerGroup) {
-  const qualified = [];
-
-  groupStandings.forEach(group => {
-    const topN = group.standings.slice(0, topPlayersPerGroup);
-    topN.forEach(standing => {
-      qualified.push({
-        participantId: standing.participant.id,
-        group: group.groupName,
-        position: standing.position
-      });
-    });
-  });
+function getEntrySlots(knockoutMatches) {
+  if (knockoutMatches.some(m => m.nextMatchId || m.loserMatchId)) {
+    return getBracketEntrySlots(knockoutMatches);
+  }
 
-  return qualified;
+  const firstRound = ['Quarterfinal', 'Semifinal', 'Final'].find(round =>
+    knockoutMatches.some(m => m.round === round)
+  ) || knockoutMatches[0]?.round;
+  return knockoutMatches
+    .filter(m => m.round === firstRound)
+    .flatMap(match => [{ match, slot: 'A' }, { match, slot: 'B' }]);
 }
 
 /**
  * Fill Knockout Rounds with Qualified Players
  * 
- * Fills existing knockout matches (Quarterfinal, Semifinal, Final) with qualified players
+ * Fills the entry places of the knockout with qualified players. Later
+ * rounds are filled along the bracket links as matches complete.
+ * 
+ * When every entry place is open and there is one per qualifier, the
+ * qualifiers are seeded and placed (see placeQualifiers): winners meet
+ * runners-up, byes go to the top seeds and players from the same group
+ * meet as late as possible. Otherwise qualifiers not in the bracket yet
+ * fill the open places in order.
+ * 
+ * @param {Array} entrySlots - Entry places ({ match, slot }) in bracket order (see getEntrySlots)
+ * @param {Array} qualifiedPlayers - Qualified players ({ participantId, group, position, wildcard })
+ * @returns {Promise<Array>} Match documents that were changed
  */
-async function fillKnockoutRoundsWithQualifiedPlayers(knockoutMatches, qualifiedPlayers, tournamentId) {
-  // Group matches by round
-  const matchesByRound = {
-    Quarterfinal: knockoutMatches.filter(m => m.round === 'Quarterfinal'),
-    Semifinal: knockoutMatches.filter(m => m.round === 'Semifinal'),
-    Final: knockoutMatches.filter(m => m.round === 'Final')
-  };
-
-  // Fill Quarterfinal matches first (if exists)
-  if (matchesByRound.Quarterfinal.length > 0) {
-    // Use same-group avoidance logic for quarterfinals
-    const quarterfinalParticipants = qualifiedPlayers.map(qp => qp.participantId);
-    
-    // Group by group name
-    const playersByGroup = new Map();
-    qualifiedPlayers.forEach(qp => {
-      if (!playersByGroup.has(qp.group)) {
-        playersByGroup.set(qp.group, []);
-      }
-      playersByGroup.get(qp.group).push(qp);
+async function fillKnockoutRoundsWithQualifiedPlayers(entrySlots, qualifiedPlayers) {
+  const field = (slot) => `participant${slot}`;
+  const updated = new Set();
+
+  if (qualifiedPlayers.length === entrySlots.length &&
+      entrySlots.every(({ match, slot }) => !match[field(slot)])) {
+    const entrants = placeQualifiers(seedQualifiers(qualifiedPlayers)).filter(Boolean);
+    entrySlots.forEach(({ match, slot }, index) => {
+      match[field(slot)] = entrants[index].participantId;
+      updated.add(match);
     });
-
-    const groups = Array.from(playersByGroup.keys()).sort();
-    
-    // For 4 groups with 2 players each: A1 vs D2, A2 vs D1, B1 vs C2, B2 vs C1
-    if (groups.length === 4 && qualifiedPlayers.length === 8) {
-      const [groupA, groupB, groupC, groupD] = groups;
-      const playersA = playersByGroup.get(groupA);
-      const playersB = playersByGroup.get(groupB);
-      const playersC = playersByGroup.get(groupC);
-      const playersD = playersByGroup.get(groupD);
-
-      // Fill quarterfinal matches with cross-group pairing
-      if (matchesByRound.Quarterfinal.length >= 4) {
-        // Ensure no same team matches
-        if (playersA[0] && playersD[1] && playersA[0].participantId.toString() !== playersD[1].participantId.toString()) {
-          matchesByRound.Quarterfinal[0].participantA = playersA[0].participantId;
-          matchesByRound.Quarterfinal[0].participantB = playersD[1].participantId;
-          await matchesByRound.Quarterfinal[0].save();
-        }
-
-        if (playersA[1] && playersD[0] && playersA[1].participantId.toString() !== playersD[0].participantId.toString()) {
-          matchesByRound.Quarterfinal[1].participantA = playersA[1].participantId;
-          matchesByRound.Quarterfinal[1].participantB = playersD[0].participantId;
-          await matchesByRound.Quarterfinal[1].save();
-        }
-
-        if (playersB[0] && playersC[1] && playersB[0].participantId.toString() !== playersC[1].participantId.toString()) {
-          matchesByRound.Quarterfinal[2].participantA = playersB[0].participantId;
-          matchesByRound.Quarterfinal[2].participantB = playersC[1].participantId;
-          await matchesByRound.Quarterfinal[2].save();
-        }
-
-        if (playersB[1] && playersC[0] && playersB[1].participantId.toString() !== playersC[0].participantId.toString()) {
-          matchesByRound.Quarterfinal[3].participantA = playersB[1].participantId;
-          matchesByRound.Quarterfinal[3].participantB = playersC[0].participantId;
-          await matchesByRound.Quarterfinal[3].save();
-        }
-      }
-    } else {
-      // Generic pairing for other configurations - ensure no same team matches
-      let playerIndex = 0;
-      for (const match of matchesByRound.Quarterfinal) {
-        if (!match.participantA && playerIndex < quarterfinalParticipants.length) {
-          const pA = quarterfinalParticipants[playerIndex++];
-          match.participantA = pA;
-          await match.save();
-        }
-        if (!match.participantB && playerIndex < quarterfinalParticipants.length) {
-          const pB = quarterfinalParticipants[playerIndex++];
-          // Ensure participantB is different from participantA
-          if (match.participantA && match.participantA.toString() !== pB.toString()) {
-            match.participantB = pB;
-            await match.save();
-          } else if (playerIndex < quarterfinalParticipants.length) {
-            // Skip this one and try next
-            const nextP = quarterfinalParticipants[playerIndex++];
-            if (match.participantA && match.participantA.toString() !== nextP.toString()) {
-              match.participantB = nextP;
-              await match.save();
-            }
-          }
-        }
-      }
-    }
-  } else if (matchesByRound.Semifinal.length > 0 && matchesByRound.Quarterfinal.length === 0) {
-    // Direct semifinal (no quarterfinal) - fill semifinal matches
-    const semifinalParticipants = qualifiedPlayers.map(qp => qp.participantId);
-    let playerIndex = 0;
-    for (const match of matchesByRound.Semifinal) {
-      if (!match.participantA && playerIndex < semifinalParticipants.length) {
-        const pA = semifinalParticipants[playerIndex++];
-        match.participantA = pA;
-        await match.save();
+  } else {
+    const placed = new Set(
+      entrySlots.map(({ match, slot }) => match[field(slot)]?.toString()).filter(Boolean)
+    );
+    const waiting = qualifiedPlayers.filter(qp => !placed.has(qp.participantId.toString()));
+    entrySlots.forEach(({ match, slot }) => {
+      if (!match[field(slot)] && waiting.length > 0) {
+        match[field(slot)] = waiting.shift().participantId;
+        updated.add(match);
       }
-      if (!match.participantB && playerIndex < semifinalParticipants.length) {
-        const pB = semifinalParticipants[playerIndex++];
-        // Ensure participantB is different from participantA
-        if (match.participantA && match.participantA.toString() !== pB.toString()) {
-          match.participantB = pB;
-          await match.save();
-        } else if (playerIndex < semifinalParticipants.length) {
-          const nextP = semifinalParticipants[playerIndex++];
-          if (match.participantA && match.participantA.toString() !== nextP.toString()) {
-            match.participantB = nextP;
-            await match.save();
-          }
-        }
-      }
-    }
-  } else if (matchesByRound.Final.length > 0 && matchesByRound.Semifinal.length === 0 && matchesByRound.Quarterfinal.length === 0) {
-    // Direct final - fill final match
-    const finalParticipants = qualifiedPlayers.map(qp => qp.participantId);
-    if (matchesByRound.Final.length > 0) {
-      const finalMatch = matchesByRound.Final[0];
-      if (!finalMatch.participantA && finalParticipants.length > 0) {
-        finalMatch.participantA = finalParticipants[0];
-        await finalMatch.save();
-      }
-      if (!finalMatch.participantB && finalParticipants.length > 1) {
-        const pB = finalParticipants[1];
-        // Ensure participantB is different from participantA
-        if (finalMatch.participantA && finalMatch.participantA.toString() !== pB.toString()) {
-          finalMatch.participantB = pB;
-          await finalMatch.save();
-        }
-      }
-    }
+    });
   }
 
-  // Semifinal and Final will be filled automatically when previous rounds complete
-  // via the existing progression logic
+  for (const match of updated) {
+    await match.save();
+  }
+  return [...updated];
 }
-
@@ -0,0 +1,287 @@
+/**
+ * Qualification Service
+ *
+ * This service decides who advances from a group stage to the knockout and
+ * where they start in the bracket.
+ *
+ * Qualification rule (tournament.qualification):
+ * - perGroup (K): the top K of every group qualify (or the qualifiers an
+ *   admin locked, see getGroupQualifiers in standings.service.js)
+ * - wildcards (M): the best M of the participants in place K+1 across
+ *   groups also qualify, e.g. 3 groups, top 2 + the best 2 thirds = 8
+ *
+ * Groups can have different sizes, so wildcards are compared on per-match
+ * figures rather than totals:
+ * 1. Win rate (wins / matches played)
+ * 2. Point difference per match
+ * 3. Points scored per match
+ * Wildcards still level are ordered by an admin decision recorded with
+ * scope "wildcards" (see decideTiebreak). Without one, a tie across the
+ * last wildcard place leaves the qualification undecided.
+ *
+ * Bracket placement: qualifiers are seeded by group place (winners, then
+ * runners-up, ..., then wildcards), and within a place by the same
+ * per-match figures. Seeds go into standard bracket slots, so winners meet
+ * runners-up and byes (qualifier counts that are not a power of 2) go to
+ * the top seeds. Players of the same place then swap slots so that players
+ * from the same group meet as late as possible.
+ */
+
+import { getGroupQualifiers } from './standings.service.js';
+import { getStandardSeedPositions } from './fixture.service.js';
+
+// Scope of admin decisions between wildcards (see tournament.tiebreakDecisions)
+export const WILDCARD_SCOPE = 'wildcards';
+
+// Knockouts of a fixed size, by the players in their first round
+const KNOCKOUT_SIZES = { roundOf32: 32, roundOf16: 16, quarterfinal: 8, semifinal: 4, directFinal: 2 };
+
+// 'bracket' fits the knockout to the qualifiers, with byes when needed
+export const KNOCKOUT_STRUCTURES = [...Object.keys(KNOCKOUT_SIZES), 'bracket'];
+
+/**
+ * Get Knockout Size
+ *
+ * @param {string} tournamentStructure - One of KNOCKOUT_STRUCTURES
+ * @returns {number|null} Players the knockout needs (null = any number)
+ */
+export const getKnockoutSize = (tournamentStructure) => KNOCKOUT_SIZES[tournamentStructure] ?? null;
+
+/**
+ * Validate Qualification
+ *
+ * @param {Object} rule - { perGroup, wildcards, groupSizes, knockoutSize }
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateQualification = ({ perGroup, wildcards = 0, groupSizes, knockoutSize }) => {
+  if (!Number.isInteger(perGroup) || perGroup < 1) {
+    return 'Top players per group must be at least 1';
+  }
+  if (!Number.isInteger(wildcards) || wildcards < 0) {
+    return 'Wildcards must be 0 or more';
+  }
+  if (groupSizes.some(size => size < perGroup)) {
+    return `Every group needs at least ${perGroup} players for the top ${perGroup} to qualify`;
+  }
+
+  const candidates = groupSizes.filter(size => size > perGroup).length;
+  if (wildcards > candidates) {
+    return `Only ${candidates} group(s) have a place ${perGroup + 1}, so at most ${candidates} wildcard(s) are possible`;
+  }
+
+  const totalQualified = perGroup * groupSizes.length + wildcards;
+  if (totalQualified < 2) {
+    return 'At least 2 players must qualify for a knockout';
+  }
+  if (knockoutSize && totalQualified !== knockoutSize) {
+    return `${perGroup} per group x ${groupSizes.length} groups + ${wildcards} wildcard(s) = ${totalQualified} qualified players; this knockout needs exactly ${knockoutSize}`;
+  }
+
+  return null;
+};
+
+/**
+ * Normalized Record
+ *
+ * @param {Object} standing - Standing with stats (see calculateStandings)
+ * @returns {Array<number>} [win rate, point difference per match, points scored per match]
+ */
+export const normalizedRecord = (standing) => {
+  const { matchesPlayed, wins, pointDifference, pointsFor } = standing.stats;
+  if (!matchesPlayed) return [0, 0, 0];
+  return [wins / matchesPlayed, pointDifference / matchesPlayed, pointsFor / matchesPlayed];
+};
+
+/**
+ * Compare Normalized (Helper)
+ *
+ * @returns {number} Negative when a ranks above b, 0 when level
+ */
+const compareNormalized = (a, b) => {
+  const recordA = normalizedRecord(a);
+  const recordB = normalizedRecord(b);
+  for (let i = 0; i < recordA.length; i++) {
+    if (recordA[i] !== recordB[i]) return recordB[i] - recordA[i];
+  }
+  return 0;
+};
+
+/**
+ * Rank Wildcards
+ *
+ * @param {Array} candidates - Standings in place K+1 (with group)
+ * @param {Array} decisions - tournament.tiebreakDecisions
+ * @returns {Array} Candidates best first, each with wildcardRank and tied
+ *   (level with a neighbour after the admin decision)
+ */
+export const rankWildcards = (candidates, decisions = []) => {
+  const decision = decisions
+    .filter(d => d.method === 'admin' && d.scope === WILDCARD_SCOPE)
+    .pop();
+  const decided = new Map((decision?.order || []).map((id, index) => [id.toString(), index]));
+  const decidedRank = (standing) => decided.get(standing.participant.id.toString());
+
+  const compare = (a, b) => {
+    const byRecord = compareNormalized(a, b);
+    if (byRecord !== 0) return byRecord;
+    const rankA = decidedRank(a);
+    const rankB = decidedRank(b);
+    return rankA !== undefined && rankB !== undefined ? rankA - rankB : 0;
+  };
+
+  const ranked = [...candidates].sort(compare);
+  ranked.forEach((standing, index) => {
+    standing.wildcardRank = index + 1;
+    standing.tied = (index > 0 && compare(ranked[index - 1], standing) === 0) ||
+      (index < ranked.length - 1 && compare(standing, ranked[index + 1]) === 0);
+  });
+
+  return ranked;
+};
+
+/**
+ * Qualifier (Helper)
+ *
+ * @param {Object} standing - Group standing
+ * @param {string} group - Group name ('A')
+ * @param {boolean} wildcard - Qualified as a wildcard
+ * @returns {Object} Qualified player
+ */
+const toQualifier = (standing, group, wildcard) => ({
+  participant: standing.participant,
+  participantId: standing.participant.id,
+  group,
+  position: standing.position,
+  stats: standing.stats,
+  wildcard
+});
+
+/**
+ * Get Qualifiers
+ *
+ * @param {Array} groupStandings - Groups from calculateGroupStandings
+ * @param {Object} rule - { perGroup, wildcards, decisions (tournament.tiebreakDecisions) }
+ * @returns {Object} {
+ *   qualifiedPlayers: [{ participant, participantId, group, position, stats, wildcard }],
+ *   undecidedGroups: groups with an unbroken tie at a qualifying place,
+ *   wildcardRanking: place K+1 standings, best first,
+ *   wildcardsUndecided: an unbroken tie crosses the last wildcard place
+ * }
+ */
+export const getQualifiers = (groupStandings, { perGroup, wildcards = 0, decisions = [] }) => {
+  const qualifiedPlayers = [];
+  const undecidedGroups = [];
+  const candidates = [];
+
+  groupStandings.forEach(group => {
+    const { qualified, undecided } = getGroupQualifiers(group, perGroup);
+    qualified.forEach(standing => qualifiedPlayers.push(toQualifier(standing, group.groupName, false)));
+
+    // The wildcard candidate is the best participant who did not qualify
+    let candidateUndecided = false;
+    if (wildcards > 0) {
+      const qualifiedIds = new Set(qualified.map(standing => standing.participant.id.toString()));
+      const candidate = group.standings.find(standing => !qualifiedIds.has(standing.participant.id.toString()));
+      if (candidate) {
+        candidates.push({ ...candidate, group: group.groupName });
+      }
+      candidateUndecided = getGroupQualifiers(group, perGroup + 1).undecided;
+    }
+
+    if (undecided || candidateUndecided) {
+      undecidedGroups.push(group.groupName);
+    }
+  });
+
+  const wildcardRanking = rankWildcards(candidates, decisions);
+  const last = wildcardRanking[wildcards - 1];
+  const next = wildcardRanking[wildcards];
+  const wildcardsUndecided = Boolean(wildcards > 0 && last?.tied && next?.tied &&
+    compareNormalized(last, next) === 0);
+
+  wildcardRanking.slice(0, wildcards).forEach(standing => {
+    qualifiedPlayers.push(toQualifier(standing, standing.group, true));
+  });
+
+  return { qualifiedPlayers, undecidedGroups, wildcardRanking, wildcardsUndecided };
+};
+
+/**
+ * Seed Qualifiers
+ *
+ * @param {Array} qualifiedPlayers - From getQualifiers
+ * @returns {Array} Qualified players in seed order (index 0 = top seed)
+ */
+export const seedQualifiers = (qualifiedPlayers) => {
+  const place = (qualifier) => (qualifier.wildcard ? Infinity : qualifier.position);
+  return [...qualifiedPlayers].sort((a, b) =>
+    place(a) - place(b) ||
+    compareNormalized(a, b) ||
+    a.group.localeCompare(b.group)
+  );
+};
+
+/**
+ * Place Qualifiers
+ *
+ * Places seeded qualifiers in standard bracket slots (1 v 8, 4 v 5, ...),
+ * with byes for the top seeds when the count is not a power of 2. Then two
+ * players of the same place (both with or both without a bye) swap slots
+ * while that makes players from the same group meet later: fewer such
+ * meetings in the first round, then in the second, and so on.
+ *
+ * @param {Array} seeded - Qualified players in seed order (see seedQualifiers)
+ * @returns {Array} Player per bracket slot (null = bye), in bracket order
+ */
+export const placeQualifiers = (seeded) => {
+  let bracketSize = 1;
+  while (bracketSize < seeded.length) bracketSize *= 2;
+
+  const slots = getStandardSeedPositions(bracketSize).map(seed => seeded[seed - 1] || null);
+  const rounds = Math.log2(bracketSize);
+  const place = (qualifier) => (qualifier.wildcard ? 'wildcard' : qualifier.position);
+  const hasBye = (index) => !slots[index ^ 1];
+
+  // Same-group pairs by the round they would meet in (slots i and j meet in
+  // round r when the highest differing bit of i and j is r - 1)
+  const sameGroupMeetings = () => {
+    const meetings = new Array(rounds).fill(0);
+    for (let i = 0; i < slots.length; i++) {
+      for (let j = i + 1; j < slots.length; j++) {
+        if (slots[i] && slots[j] && slots[i].group === slots[j].group) {
+          meetings[Math.floor(Math.log2(i ^ j))]++;
+        }
+      }
+    }
+    return meetings;
+  };
+  const isEarlier = (a, b) => {
+    const round = a.findIndex((count, index) => count !== b[index]);
+    return round !== -1 && a[round] < b[round];
+  };
+
+  let meetings = sameGroupMeetings();
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < slots.length; i++) {
+      for (let j = i + 1; j < slots.length; j++) {
+        if (!slots[i] || !slots[j] || slots[i].group === slots[j].group ||
+            place(slots[i]) !== place(slots[j]) || hasBye(i) !== hasBye(j)) {
+          continue;
+        }
+
+        [slots[i], slots[j]] = [slots[j], slots[i]];
+        const next = sameGroupMeetings();
+        if (isEarlier(next, meetings)) {
+          meetings = next;
+          improved = true;
+        } else {
+          [slots[i], slots[j]] = [slots[j], slots[i]];
+        }
+      }
+    }
+  }
+
+  return slots;
+};
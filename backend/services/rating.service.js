@@ -0,0 +1,306 @@
+/**
+ * Rating Service
+ *
+ * This service keeps an Elo rating for every player in the player registry,
+ * updated from completed matches.
+ *
+ * Rating math:
+ * - Singles: the player's rating against the opponent's rating
+ * - Doubles: each side is rated as the average of its players; every
+ *   player of a side gains or loses the same amount (scaled by their own K).
+ *   Rotating partners: a side is the participant and their partner
+ * - Expected score: 1 / (1 + 10^((opponent - team) / 400))
+ * - Change: K × margin multiplier × (result - expected)
+ * - K: 40 for a player's first 10 rated matches (provisional), 20 after
+ * - Margin multiplier: ln(point difference + 1) × 2.2 / (0.001 × winner
+ *   rating lead + 2.2), from the match points (score.a / score.b, or the
+ *   game scores of best-of matches). Big wins count for more, but less so
+ *   when the favourite wins.
+ *
+ * Players start at 1500, or from their DUPR-style rating when they have one
+ * (3.5 = 1500, each full point = 200).
+ *
+ * Only players linked to the registry (participant.playerIds) are rated,
+ * and only the players who played the match (see substitution.service.js).
+ * Matches that were not played out (walkovers, retirements,
+ * disqualifications, double forfeits) are not rated.
+ * Rating a match again (e.g. after an amendment) first reverts its previous
+ * changes, so every match counts once.
+ */
+
+import Player from '../models/player.model.js';
+import RatingHistory from '../models/ratingHistory.model.js';
+import Match from '../models/match.model.js';
+import { summarizeMatch } from './scoring.service.js';
+import { getMatchLineup } from './substitution.service.js';
+
+export const DEFAULT_RATING = 1500;
+export const PROVISIONAL_MATCHES = 10;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 20;
+
+/**
+ * Get Starting Rating
+ *
+ * @param {Object} player - Player object
+ * @returns {number} Current Elo rating, or the starting rating for unrated players
+ */
+export const getStartingRating = (player) => {
+  if (player?.eloRating !== null && player?.eloRating !== undefined) {
+    return player.eloRating;
+  }
+  if (player?.rating) {
+    return Math.round(DEFAULT_RATING + (player.rating - 3.5) * 200);
+  }
+  return DEFAULT_RATING;
+};
+
+/**
+ * Expected Score
+ *
+ * @param {number} rating - Rating of the side
+ * @param {number} opponentRating - Rating of the other side
+ * @returns {number} Expected score between 0 and 1
+ */
+export const expectedScore = (rating, opponentRating) =>
+  1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+/**
+ * Get Team Rating
+ *
+ * @param {Array<number>} ratings - Ratings of the players of a side
+ * @returns {number} Average rating
+ */
+export const getTeamRating = (ratings) =>
+  ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+
+/**
+ * Get Margin Multiplier
+ *
+ * @param {number} pointDifference - Winner's points minus loser's points
+ * @param {number} winnerLead - Winner's team rating minus loser's team rating
+ * @returns {number} Multiplier for the rating change
+ */
+export const getMarginMultiplier = (pointDifference, winnerLead) => {
+  const margin = Math.log(Math.max(1, Math.abs(pointDifference)) + 1);
+  return margin * (2.2 / (Math.max(winnerLead, -1000) * 0.001 + 2.2));
+};
+
+/**
+ * Calculate Rating Changes
+ *
+ * @param {Object} input - Match to rate:
+ *   - sideA, sideB: [{ playerId, rating, ratedMatches }]
+ *   - winner: 'A' or 'B'
+ *   - points: { a, b } total match points
+ * @returns {Array} [{ playerId, side, before, after, change, teamRating, opponentRating, expected, result, margin }]
+ */
+export const calculateRatingChanges = ({ sideA, sideB, winner, points }) => {
+  const teamA = getTeamRating(sideA.map(player => player.rating));
+  const teamB = getTeamRating(sideB.map(player => player.rating));
+  const expectedA = expectedScore(teamA, teamB);
+
+  const winnerLead = winner === 'A' ? teamA - teamB : teamB - teamA;
+  const multiplier = getMarginMultiplier(points.a - points.b, winnerLead);
+
+  const rateSide = (players, side) => {
+    const won = winner === side;
+    const teamRating = side === 'A' ? teamA : teamB;
+    const opponentRating = side === 'A' ? teamB : teamA;
+    const expected = side === 'A' ? expectedA : 1 - expectedA;
+    const margin = side === 'A' ? points.a - points.b : points.b - points.a;
+
+    return players.map(player => {
+      const k = player.ratedMatches < PROVISIONAL_MATCHES ? K_PROVISIONAL : K_ESTABLISHED;
+      const change = Math.round(k * multiplier * ((won ? 1 : 0) - expected) * 10) / 10;
+      return {
+        playerId: player.playerId,
+        side,
+        before: player.rating,
+        after: Math.round((player.rating + change) * 10) / 10,
+        change,
+        teamRating: Math.round(teamRating * 10) / 10,
+        opponentRating: Math.round(opponentRating * 10) / 10,
+        expected: Math.round(expected * 1000) / 1000,
+        result: won ? 'won' : 'lost',
+        margin
+      };
+    });
+  };
+
+  return [...rateSide(sideA, 'A'), ...rateSide(sideB, 'B')];
+};
+
+/**
+ * Linked Player IDs (Helper)
+ *
+ * @param {Object} participant - Participant with playerIds and substitutions
+ * @param {string} matchId - Match played (optional: the current players)
+ * @returns {Array<string>} IDs of the registry players who played the match for the participant
+ */
+const linkedPlayerIds = (participant, matchId) =>
+  (participant ? getMatchLineup(participant, matchId).playerIds : [])
+    .filter(playerId => playerId)
+    .map(playerId => playerId.toString());
+
+/**
+ * Revert Match Ratings
+ *
+ * Undoes the rating changes of a match and removes its history entries.
+ *
+ * @param {string} matchId - Match ID
+ * @returns {Promise<number>} Number of players reverted
+ */
+export const revertMatchRatings = async (matchId) => {
+  const entries = await RatingHistory.find({ matchId }).lean();
+
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  await Player.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { _id: entry.playerId },
+      update: { $inc: { eloRating: -entry.change, ratedMatches: -1 } }
+    }
+  })));
+  await RatingHistory.deleteMany({ matchId });
+
+  return entries.length;
+};
+
+/**
+ * Rate Match
+ *
+ * Updates the ratings of the players of a completed match. Any earlier
+ * rating of the match is reverted first. Matches without a winner, or
+ * where a side has no registry players, are not rated.
+ *
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Array|null>} Rating changes, or null if the match was not rated
+ */
+export const rateMatch = async (matchId) => {
+  await revertMatchRatings(matchId);
+
+  const match = await Match.findById(matchId)
+    .populate('participantA', 'playerIds substitutions')
+    .populate('participantB', 'playerIds substitutions')
+    .populate('partnerA', 'playerIds substitutions')
+    .populate('partnerB', 'playerIds substitutions')
+    .lean();
+
+  if (!match || match.status !== 'completed' || (match.outcome && match.outcome !== 'played')) {
+    return null;
+  }
+
+  const { winner, points } = summarizeMatch(match);
+  const idsA = [...linkedPlayerIds(match.participantA, match._id), ...linkedPlayerIds(match.partnerA, match._id)];
+  const idsB = [...linkedPlayerIds(match.participantB, match._id), ...linkedPlayerIds(match.partnerB, match._id)];
+
+  if (!winner || idsA.length === 0 || idsB.length === 0) {
+    return null;
+  }
+
+  const players = await Player.find({ _id: { $in: [...idsA, ...idsB] } })
+    .select('eloRating rating ratedMatches')
+    .lean();
+  const playersById = new Map(players.map(player => [player._id.toString(), player]));
+
+  const toRated = (ids) => ids
+    .filter(playerId => playersById.has(playerId))
+    .map(playerId => ({
+      playerId,
+      rating: getStartingRating(playersById.get(playerId)),
+      ratedMatches: playersById.get(playerId).ratedMatches || 0
+    }));
+
+  const sideA = toRated(idsA);
+  const sideB = toRated(idsB);
+  if (sideA.length === 0 || sideB.length === 0) {
+    return null;
+  }
+
+  const changes = calculateRatingChanges({ sideA, sideB, winner, points });
+
+  await Player.bulkWrite(changes.map(change => ({
+    updateOne: {
+      filter: { _id: change.playerId },
+      update: { $set: { eloRating: change.after }, $inc: { ratedMatches: 1 } }
+    }
+  })));
+
+  await RatingHistory.insertMany(changes.map(change => ({
+    playerId: change.playerId,
+    matchId: match._id,
+    tournamentId: match.tournamentId,
+    before: change.before,
+    after: change.after,
+    change: change.change,
+    teamRating: change.teamRating,
+    opponentRating: change.opponentRating,
+    expected: change.expected,
+    result: change.result,
+    margin: change.margin
+  })));
+
+  return changes;
+};
+
+/**
+ * Get Participant Ratings
+ *
+ * Team rating of every participant (average of its registry players).
+ *
+ * @param {Array} participants - Participant objects with _id and playerIds
+ * @returns {Promise<Map>} participantId -> rating (participants without registry players are left out)
+ */
+export const getParticipantRatings = async (participants) => {
+  const allIds = [...new Set(participants.flatMap(participant => linkedPlayerIds(participant)))];
+  const players = allIds.length > 0
+    ? await Player.find({ _id: { $in: allIds } }).select('eloRating rating').lean()
+    : [];
+  const playersById = new Map(players.map(player => [player._id.toString(), player]));
+
+  const ratings = new Map();
+  participants.forEach(participant => {
+    const playerRatings = linkedPlayerIds(participant)
+      .filter(playerId => playersById.has(playerId))
+      .map(playerId => getStartingRating(playersById.get(playerId)));
+
+    if (playerRatings.length > 0) {
+      ratings.set(participant._id.toString(), Math.round(getTeamRating(playerRatings)));
+    }
+  });
+
+  return ratings;
+};
+
+/**
+ * With Participant Ratings
+ *
+ * @param {Array} participants - Participant objects with _id and playerIds
+ * @returns {Promise<Array>} Copies of the participants with a rating field (null when unrated)
+ */
+export const withParticipantRatings = async (participants) => {
+  const ratings = await getParticipantRatings(participants);
+  return participants.map(participant => ({
+    ...participant,
+    rating: ratings.get(participant._id.toString()) ?? null
+  }));
+};
+
+/**
+ * Get Rating History
+ *
+ * @param {string} playerId - Player ID
+ * @param {number} limit - Maximum entries (newest first)
+ * @returns {Promise<Array>} Rating history entries with match round and tournament name
+ */
+export const getRatingHistory = async (playerId, limit = 100) => {
+  return RatingHistory.find({ playerId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('matchId', 'round')
+    .populate('tournamentId', 'name isPublic')
+    .lean();
+};
@@ -0,0 +1,419 @@
+/**
+ * Registration Service
+ *
+ * Public self-registration for a tournament or division
+ * (tournament.registration):
+ * - Entries are taken while registration is enabled, between opensAt and
+ *   closesAt, and before the tournament starts
+ * - capacity limits the places. Participants (added by an admin or from
+ *   approved entries) and pending entries take a place; once they fill the
+ *   capacity, new entries go on the waitlist
+ * - With requireApproval, entries wait for an admin to approve them;
+ *   without it, an entry with a place becomes a participant straight away
+ * - When a place frees up (an entry is withdrawn or rejected, a participant
+ *   is removed, the capacity is raised), the oldest waitlisted entries are
+ *   promoted into it
+ *
+ * Entries are stored in registration.model.js; an approved entry is linked
+ * to the participant created for it. Only a hash of the withdraw token
+ * given to the player is stored.
+ */
+
+import crypto from 'crypto';
+import Participant from '../models/participant.model.js';
+import Match from '../models/match.model.js';
+import Registration from '../models/registration.model.js';
+import { parsePlayerDetails, linkParticipantPlayers, getEntryType, PLAYER_DETAIL_FIELDS } from './player.service.js';
+
+// Entries that still hold (or wait for) a place
+const ACTIVE_STATUSES = ['pending', 'approved', 'waitlisted'];
+
+// Tournament statuses in which entries are no longer taken
+const STARTED_STATUSES = ['live', 'completed', 'cancelled'];
+
+/**
+ * Registration Error
+ *
+ * An entry that cannot be made, approved or withdrawn as asked (e.g. a
+ * duplicate name). Controllers answer it with a 400; other errors are
+ * unexpected.
+ */
+export class RegistrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RegistrationError';
+  }
+}
+
+/**
+ * Hash Withdraw Token
+ *
+ * @param {string} token - Withdraw token given to the player
+ * @returns {string} sha256 hash (hex), as stored on the entry
+ */
+export const hashWithdrawToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Is Withdraw Token Valid
+ *
+ * @param {Object} registration - Entry, selected with +withdrawToken
+ * @param {string} token - Token sent by the player
+ * @returns {boolean} Whether the token is the entry's
+ */
+export const isWithdrawTokenValid = (registration, token) => {
+  if (!token || !registration.withdrawToken) return false;
+  const given = Buffer.from(hashWithdrawToken(token), 'hex');
+  const stored = Buffer.from(registration.withdrawToken, 'hex');
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+};
+
+/**
+ * Validate Registration Settings
+ *
+ * @param {Object} settings - Settings from the request body
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateRegistrationSettings = (settings) => {
+  const { opensAt, closesAt, capacity, waiver } = settings;
+
+  const opens = opensAt ? new Date(opensAt) : null;
+  const closes = closesAt ? new Date(closesAt) : null;
+  if ((opens && isNaN(opens)) || (closes && isNaN(closes))) {
+    return 'Registration open and close times must be valid dates';
+  }
+  if (opens && closes && opens >= closes) {
+    return 'Registration must open before it closes';
+  }
+
+  if (capacity !== undefined && capacity !== null && capacity !== '') {
+    const value = Number(capacity);
+    if (!Number.isInteger(value) || value < 2) {
+      return 'Capacity must be a whole number of at least 2';
+    }
+  }
+
+  if (waiver !== undefined && waiver !== null && typeof waiver !== 'string') {
+    return 'Waiver must be text';
+  }
+  if (waiver && waiver.length > 5000) {
+    return 'Waiver cannot exceed 5000 characters';
+  }
+
+  return null;
+};
+
+/**
+ * Get Registration State
+ *
+ * @param {Object} tournament - Tournament or division
+ * @param {Object} options - { now: Date (defaults to the current time) }
+ * @returns {Promise<Object>} { open, reason, entryType, opensAt, closesAt, capacity,
+ *   requireApproval, waiver, taken, spotsLeft (null = no limit), waitlisted }
+ */
+export const getRegistrationState = async (tournament, { now = new Date() } = {}) => {
+  const settings = tournament.registration || {};
+
+  const [participants, pending, waitlisted] = await Promise.all([
+    Participant.countDocuments({ tournamentId: tournament._id }),
+    Registration.countDocuments({ tournamentId: tournament._id, status: 'pending' }),
+    Registration.countDocuments({ tournamentId: tournament._id, status: 'waitlisted' })
+  ]);
+
+  let reason = null;
+  if (!settings.enabled) {
+    reason = 'Registration is not open for this event';
+  } else if (STARTED_STATUSES.includes(tournament.status)) {
+    reason = 'This event has already started';
+  } else if (settings.opensAt && new Date(settings.opensAt) > now) {
+    reason = 'Registration has not opened yet';
+  } else if (settings.closesAt && new Date(settings.closesAt) <= now) {
+    reason = 'Registration has closed';
+  }
+
+  const capacity = settings.capacity || null;
+  const taken = participants + pending;
+
+  return {
+    open: reason === null,
+    reason,
+    entryType: getEntryType(tournament),
+    opensAt: settings.opensAt || null,
+    closesAt: settings.closesAt || null,
+    capacity,
+    requireApproval: settings.requireApproval !== false,
+    waiver: settings.waiver || null,
+    taken,
+    spotsLeft: capacity === null ? null : Math.max(capacity - taken, 0),
+    waitlisted
+  };
+};
+
+/**
+ * Validate Entry
+ *
+ * @param {Object} tournament - Tournament or division entered
+ * @param {Object} entry - { players: [{ name, email, rating, club, gender, dateOfBirth }], contactEmail, acceptWaiver }
+ * @returns {Object} { players, contactEmail, error }
+ */
+export const validateEntry = (tournament, { players, contactEmail, acceptWaiver }) => {
+  const playerCount = getEntryType(tournament) === 'doubles' ? 2 : 1;
+
+  if (!Array.isArray(players) || players.length !== playerCount) {
+    return { error: playerCount === 2 ? 'Enter your details and your partner\'s' : 'Enter the details of 1 player' };
+  }
+
+  const entryPlayers = [];
+  for (const player of players) {
+    const name = String(player?.name || '').trim();
+    if (!name) {
+      return { error: 'Every player needs a name' };
+    }
+    const { details, error } = parsePlayerDetails(player);
+    if (error) {
+      return { error: `${name}: ${error}` };
+    }
+    entryPlayers.push({ name, ...details });
+  }
+
+  if (new Set(entryPlayers.map(player => player.name.toLowerCase())).size !== entryPlayers.length) {
+    return { error: 'A player cannot partner themselves' };
+  }
+
+  const email = String(contactEmail || '').trim().toLowerCase();
+  if (!/^\S+@\S+\.\S+$/.test(email)) {
+    return { error: 'A valid contact email is required' };
+  }
+
+  if (tournament.registration?.waiver && acceptWaiver !== true) {
+    return { error: 'You must accept the waiver to enter' };
+  }
+
+  return { players: entryPlayers, contactEmail: email, error: null };
+};
+
+/**
+ * Get Entry Name (Helper)
+ *
+ * @param {Object} registration - Entry
+ * @returns {string} Players joined with " & ", the name the participant gets
+ */
+const getEntryName = (registration) => registration.players.map(player => player.name).join(' & ');
+
+/**
+ * Participant Name Exists (Helper)
+ *
+ * @param {Object} tournament - Tournament
+ * @param {string} name - Participant name (case-insensitive)
+ * @returns {Promise<boolean>} Whether a participant has the name
+ */
+const participantNameExists = async (tournament, name) => Boolean(await Participant.exists({
+  tournamentId: tournament._id,
+  name: { $regex: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+}));
+
+/**
+ * Approve Entry
+ *
+ * Creates the participant for an entry, with its players linked to the
+ * player registry.
+ *
+ * @param {Object} registration - Entry (document), pending or waitlisted
+ * @param {Object} tournament - Tournament entered
+ * @param {string} adminId - Admin approving (the tournament's admin for automatic approval)
+ * @returns {Promise<Object>} The participant created
+ * @throws {RegistrationError} If a participant of the same name is already in the tournament
+ */
+export const approveEntry = async (registration, tournament, adminId) => {
+  const name = getEntryName(registration);
+
+  if (await participantNameExists(tournament, name)) {
+    throw new RegistrationError(`Participant with name "${name}" already exists in this tournament`);
+  }
+
+  const { playerIds } = await linkParticipantPlayers([{
+    players: registration.players.map(player => player.name),
+    playerDetails: registration.players.map(player => Object.fromEntries(
+      PLAYER_DETAIL_FIELDS
+        .filter(field => player[field] !== null && player[field] !== undefined)
+        .map(field => [field, player[field]])
+    ))
+  }], adminId);
+
+  const participant = await Participant.create({
+    name,
+    players: registration.players.map(player => player.name),
+    playerIds: playerIds[0],
+    tournamentId: tournament._id
+  });
+
+  registration.status = 'approved';
+  registration.participantId = participant._id;
+  registration.reviewedBy = adminId;
+  registration.reviewedAt = new Date();
+  await registration.save();
+
+  return participant;
+};
+
+/**
+ * Approve If Possible (Helper)
+ *
+ * Automatic approval: an entry whose name is already taken by a
+ * participant is left pending for an admin.
+ *
+ * @param {Object} registration - Pending entry (document)
+ * @param {Object} tournament - Tournament entered
+ */
+const approveIfPossible = async (registration, tournament) => {
+  try {
+    await approveEntry(registration, tournament, tournament.createdBy);
+  } catch (error) {
+    if (!(error instanceof RegistrationError)) throw error;
+  }
+};
+
+/**
+ * Fill From Waitlist
+ *
+ * Promotes the oldest waitlisted entries into the free places.
+ *
+ * @param {Object} tournament - Tournament or division
+ * @returns {Promise<Array>} Entries promoted
+ */
+export const fillFromWaitlist = async (tournament) => {
+  const state = await getRegistrationState(tournament);
+  if (state.spotsLeft === 0) return [];
+
+  let query = Registration.find({ tournamentId: tournament._id, status: 'waitlisted' }).sort({ createdAt: 1 });
+  if (state.spotsLeft !== null) query = query.limit(state.spotsLeft);
+  const promoted = await query;
+
+  for (const registration of promoted) {
+    registration.status = 'pending';
+    await registration.save();
+
+    if (!state.requireApproval) {
+      await approveIfPossible(registration, tournament);
+    }
+  }
+
+  return promoted;
+};
+
+/**
+ * Create Entry
+ *
+ * Stores an entry that passed validateEntry, pending or on the waitlist
+ * (approved straight away when the tournament does not require approval).
+ *
+ * @param {Object} tournament - Tournament entered, open for registration
+ * @param {Object} entry - { players, contactEmail } from validateEntry
+ * @returns {Promise<Object>} { registration, withdrawToken, waitlistPosition (null unless waitlisted) }
+ * An entry stored pending when another one took the last place at the
+ * same time is moved to the waitlist.
+ *
+ * @throws {RegistrationError} If the same players already have an entry or are participants
+ */
+export const createEntry = async (tournament, { players, contactEmail }) => {
+  const name = players.map(player => player.name).join(' & ');
+
+  const entries = await Registration.find({ tournamentId: tournament._id, status: { $in: ACTIVE_STATUSES } })
+    .select('players')
+    .lean();
+  const alreadyEntered = entries.some(entry => getEntryName(entry).toLowerCase() === name.toLowerCase())
+    || await participantNameExists(tournament, name);
+  if (alreadyEntered) {
+    throw new RegistrationError(`"${name}" is already entered in this event`);
+  }
+
+  const state = await getRegistrationState(tournament);
+  const withdrawToken = crypto.randomBytes(24).toString('hex');
+
+  const registration = await Registration.create({
+    tournamentId: tournament._id,
+    players,
+    contactEmail,
+    waiver: state.waiver,
+    waiverAcceptedAt: state.waiver ? new Date() : null,
+    status: state.spotsLeft === 0 ? 'waitlisted' : 'pending',
+    withdrawToken: hashWithdrawToken(withdrawToken)
+  });
+
+  // Places are counted before the insert: entries stored earlier keep theirs
+  if (registration.status === 'pending' && state.capacity !== null) {
+    const [participants, earlierPending] = await Promise.all([
+      Participant.countDocuments({ tournamentId: tournament._id }),
+      Registration.countDocuments({ tournamentId: tournament._id, status: 'pending', _id: { $lt: registration._id } })
+    ]);
+    if (participants + earlierPending >= state.capacity) {
+      registration.status = 'waitlisted';
+      await registration.save();
+    }
+  }
+
+  if (registration.status === 'pending' && !state.requireApproval) {
+    await approveIfPossible(registration, tournament);
+  }
+
+  const waitlistPosition = registration.status === 'waitlisted'
+    ? await Registration.countDocuments({ tournamentId: tournament._id, status: 'waitlisted', _id: { $lte: registration._id } })
+    : null;
+
+  return { registration, withdrawToken, waitlistPosition };
+};
+
+/**
+ * Withdraw Entry
+ *
+ * Withdraws an entry (removing its participant if it was approved) and
+ * promotes the waitlist into the place it held.
+ *
+ * @param {Object} registration - Entry (document)
+ * @param {Object} tournament - Tournament entered
+ * @returns {Promise<Array>} Entries promoted from the waitlist
+ * @throws {RegistrationError} If the entry was already withdrawn or rejected, or its participant has matches
+ */
+export const withdrawEntry = async (registration, tournament) => {
+  if (!ACTIVE_STATUSES.includes(registration.status)) {
+    throw new RegistrationError(`This entry is already ${registration.status}`);
+  }
+
+  if (registration.participantId) {
+    const participantId = registration.participantId;
+    const hasMatches = await Match.exists({
+      $or: [
+        { participantA: participantId },
+        { participantB: participantId },
+        { partnerA: participantId },
+        { partnerB: participantId }
+      ]
+    });
+    if (hasMatches) {
+      throw new RegistrationError('This entry is already in the fixtures. Please contact the organiser to withdraw.');
+    }
+    await Participant.deleteOne({ _id: participantId });
+  }
+
+  registration.status = 'withdrawn';
+  await registration.save();
+
+  return fillFromWaitlist(tournament);
+};
+
+/**
+ * Release Participant Entry
+ *
+ * Marks the entry of a participant an admin removed as withdrawn, and
+ * promotes the waitlist into its place.
+ *
+ * @param {Object} tournament - Tournament the participant was removed from
+ * @param {string} participantId - Participant removed
+ * @returns {Promise<Array>} Entries promoted from the waitlist
+ */
+export const releaseParticipantEntry = async (tournament, participantId) => {
+  await Registration.updateMany(
+    { tournamentId: tournament._id, participantId, status: 'approved' },
+    { $set: { status: 'withdrawn' } }
+  );
+  return fillFromWaitlist(tournament);
+};
@@ -0,0 +1,346 @@
+/**
+ * Pickleball Rules Service
+ *
+ * This service enforces the scoring rules configured in tournament.rules:
+ * - Games are played to rules.points (11 or 15) and must be won by 2
+ * - Optional rules.cap ends a game at the cap even without a 2-point lead
+ *   (e.g. to 11, cap 15: 15-14 is a valid final score)
+ * - rules.scoringSystem:
+ *   - 'rally': every rally scores a point, the rally winner serves next
+ *   - 'pickleball': traditional side-out scoring, only the serving team scores
+ *
+ * Side-out scoring tracks who is serving:
+ * - serve.team: 'A' or 'B'
+ * - serve.serverNumber: 1 or 2 (doubles only, singles is always 1)
+ * - Doubles games start at 0-0-2 (first server exception)
+ * - The score is called as serving score, receiving score, server number
+ *   (e.g. "4-2-1")
+ */
+
+import { validateGames } from './scoring.service.js';
+
+/**
+ * Points a game must be won by
+ */
+export const WIN_BY = 2;
+
+/**
+ * Get Game Rules
+ *
+ * Extracts the scoring rules for games in a tournament.
+ *
+ * @param {Object} tournament - Tournament object with rules
+ * @returns {Object} { points, cap, winBy, scoringSystem, type }
+ */
+export const getGameRules = (tournament) => {
+  const rules = tournament?.rules || {};
+  return {
+    points: rules.points || 11,
+    cap: rules.cap || null,
+    winBy: WIN_BY,
+    scoringSystem: rules.scoringSystem || 'rally',
+    type: tournament?.type || 'singles'
+  };
+};
+
+/**
+ * Is Game Over
+ *
+ * A game ends as soon as a side reaches the target points with a 2-point lead,
+ * or reaches the cap (if one is set).
+ *
+ * @param {Object} game - { a, b } game score
+ * @param {Object} rules - Game rules from getGameRules
+ * @returns {boolean} True if the game is over at this score
+ */
+export const isGameOver = (game, rules) => {
+  const high = Math.max(game.a, game.b);
+  const low = Math.min(game.a, game.b);
+
+  if (rules.cap && high >= rules.cap) {
+    return true;
+  }
+
+  return high >= rules.points && high - low >= rules.winBy;
+};
+
+/**
+ * Is Valid Final Score
+ *
+ * A final score is valid when the game is over at this score and was not
+ * already over one point earlier (the winner scored the last point).
+ *
+ * @param {Object} game - { a, b } game score
+ * @param {Object} rules - Game rules from getGameRules
+ * @returns {boolean} True if the score is a possible final score
+ */
+export const isValidFinalScore = (game, rules) => {
+  if (game.a === game.b) {
+    return false;
+  }
+
+  const high = Math.max(game.a, game.b);
+  const low = Math.min(game.a, game.b);
+
+  if (rules.cap && high > rules.cap) {
+    return false;
+  }
+
+  return isGameOver({ a: high, b: low }, rules) && !isGameOver({ a: high - 1, b: low }, rules);
+};
+
+/**
+ * Describe Rules (Helper)
+ *
+ * @param {Object} rules - Game rules from getGameRules
+ * @returns {string} e.g. "Games to 11, win by 2, cap 15"
+ */
+const describeRules = (rules) => {
+  return `Games to ${rules.points}, win by ${rules.winBy}${rules.cap ? `, cap ${rules.cap}` : ''}`;
+};
+
+/**
+ * Validate Game Score
+ *
+ * Checks a single game score against the tournament rules.
+ *
+ * @param {Object} game - { a, b } game score
+ * @param {number} gameNumber - 1-based game number (for error messages)
+ * @param {Object} rules - Game rules from getGameRules
+ * @param {Object} options - { finished: true if the game must be over }
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateGameScore = (game, gameNumber, rules, options = {}) => {
+  const { finished = false } = options;
+  const score = `${game.a}-${game.b}`;
+
+  if (rules.cap && Math.max(game.a, game.b) > rules.cap) {
+    return `Game ${gameNumber}: ${score} is not possible. ${describeRules(rules)}.`;
+  }
+
+  if (isValidFinalScore(game, rules)) {
+    return null;
+  }
+
+  // Score is past the point where the game would have ended
+  if (isGameOver(game, rules)) {
+    return `Game ${gameNumber}: ${score} is not possible. The game ends as soon as a side reaches ${rules.points} with a ${rules.winBy}-point lead${rules.cap ? ` or reaches ${rules.cap}` : ''}.`;
+  }
+
+  if (finished) {
+    return `Game ${gameNumber}: ${score} is not a finished game. ${describeRules(rules)}.`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate Match Score
+ *
+ * Validates game scores for a match: the best-of structure (see
+ * scoring.service.js) and each game against the tournament rules.
+ * Every game before the last must be finished. The last game must be
+ * finished when the match is being completed.
+ *
+ * @param {Array} games - Normalized games array
+ * @param {number} bestOf - Number of games in the match
+ * @param {Object} rules - Game rules from getGameRules
+ * @param {Object} options - { complete: boolean }
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateMatchScore = (games, bestOf, rules, options = {}) => {
+  const { complete = false } = options;
+
+  const structureError = validateGames(games, bestOf, { complete });
+  if (structureError) {
+    return structureError;
+  }
+
+  for (let i = 0; i < games.length; i++) {
+    const isLastGame = i === games.length - 1;
+    const error = validateGameScore(games[i], i + 1, rules, {
+      finished: !isLastGame || complete
+    });
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get Initial Serve State
+ *
+ * Doubles side-out games start with server number 2 (first server exception).
+ *
+ * @param {string} type - Tournament type ('singles' or 'doubles')
+ * @param {string} team - Team serving first ('A' or 'B')
+ * @returns {Object} { team, serverNumber }
+ */
+export const getInitialServeState = (type, team = 'A') => {
+  return {
+    team,
+    serverNumber: type === 'doubles' ? 2 : 1
+  };
+};
+
+/**
+ * Validate Serve State
+ *
+ * @param {Object} serve - { team, serverNumber }
+ * @param {string} type - Tournament type ('singles' or 'doubles')
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateServeState = (serve, type) => {
+  if (!serve || !['A', 'B'].includes(serve.team)) {
+    return 'Serving team must be "A" or "B"';
+  }
+
+  const maxServer = type === 'doubles' ? 2 : 1;
+  if (![1, 2].includes(serve.serverNumber) || serve.serverNumber > maxServer) {
+    return type === 'doubles'
+      ? 'Server number must be 1 or 2'
+      : 'Server number must be 1 in singles';
+  }
+
+  return null;
+};
+
+/**
+ * Apply Rally
+ *
+ * Returns the game score and serve state after one rally.
+ *
+ * Rally scoring: the rally winner scores a point and serves next.
+ * Side-out scoring:
+ * - Serving team wins: serving team scores a point, same server continues
+ * - Receiving team wins (doubles, server 1): second server serves, no point
+ * - Receiving team wins (otherwise): side-out, other team serves with server 1
+ *
+ * @param {Object} state - { score: { a, b }, serve: { team, serverNumber } }
+ * @param {string} rallyWinner - 'A' or 'B'
+ * @param {Object} rules - Game rules from getGameRules
+ * @returns {Object} { score, serve, pointScored, sideOut }
+ */
+export const applyRally = (state, rallyWinner, rules) => {
+  const score = { a: state.score.a, b: state.score.b };
+  const serve = { ...state.serve };
+  const winnerKey = rallyWinner === 'A' ? 'a' : 'b';
+
+  if (rules.scoringSystem !== 'pickleball') {
+    score[winnerKey]++;
+    const sideOut = serve.team !== rallyWinner;
+    return {
+      score,
+      serve: { team: rallyWinner, serverNumber: 1 },
+      pointScored: true,
+      sideOut
+    };
+  }
+
+  if (serve.team === rallyWinner) {
+    score[winnerKey]++;
+    return { score, serve, pointScored: true, sideOut: false };
+  }
+
+  if (rules.type === 'doubles' && serve.serverNumber === 1) {
+    return {
+      score,
+      serve: { team: serve.team, serverNumber: 2 },
+      pointScored: false,
+      sideOut: false
+    };
+  }
+
+  return {
+    score,
+    serve: { team: rallyWinner, serverNumber: 1 },
+    pointScored: false,
+    sideOut: true
+  };
+};
+
+/**
+ * Resolve Serve Update
+ *
+ * Works out the serve state after an admin score update in side-out scoring
+ * and rejects updates where the receiving team gained points without a
+ * side-out (only the serving team can score).
+ *
+ * A new game resets the serve to the start-of-game state unless a serve
+ * state is supplied with the update.
+ *
+ * @param {Object} params
+ * @param {Array} params.previousGames - Games before the update
+ * @param {Object|null} params.previousServe - Serve state before the update
+ * @param {Array} params.games - Games after the update
+ * @param {Object|undefined} params.serve - Serve state sent with the update
+ * @param {Object} params.rules - Game rules from getGameRules
+ * @returns {Object} { serve, error }
+ */
+export const resolveServeUpdate = ({ previousGames, previousServe, games, serve, rules }) => {
+  if (serve !== undefined && serve !== null) {
+    const serveError = validateServeState(serve, rules.type);
+    if (serveError) {
+      return { serve: null, error: serveError };
+    }
+  }
+
+  const gameIndex = games.length - 1;
+  const previousGameIndex = previousGames.length - 1;
+  const currentGame = games[gameIndex];
+
+  // New game (or first serve of the match)
+  if (gameIndex !== previousGameIndex || !previousServe) {
+    return {
+      serve: serve || getInitialServeState(rules.type),
+      error: null
+    };
+  }
+
+  const previousGame = previousGames[previousGameIndex];
+  const servingTeamChanged = serve && serve.team !== previousServe.team;
+
+  if (currentGame && previousGame && !servingTeamChanged) {
+    const receivingKey = previousServe.team === 'A' ? 'b' : 'a';
+    if (currentGame[receivingKey] > previousGame[receivingKey]) {
+      const receivingTeam = previousServe.team === 'A' ? 'B' : 'A';
+      return {
+        serve: null,
+        error: `Team ${receivingTeam} is receiving. In side-out scoring only the serving team can score. Record the side-out first.`
+      };
+    }
+  }
+
+  return {
+    serve: serve || previousServe,
+    error: null
+  };
+};
+
+/**
+ * Get Score Call
+ *
+ * Builds the score as called by the server: serving score first.
+ * Side-out doubles adds the server number (e.g. "4-2-1").
+ *
+ * @param {Object} game - { a, b } current game score
+ * @param {Object} serve - { team, serverNumber }
+ * @param {Object} rules - Game rules from getGameRules
+ * @returns {string|null} Score call or null if serve is unknown
+ */
+export const getScoreCall = (game, serve, rules) => {
+  if (!game || !serve) {
+    return null;
+  }
+
+  const servingScore = serve.team === 'A' ? game.a : game.b;
+  const receivingScore = serve.team === 'A' ? game.b : game.a;
+
+  if (rules.scoringSystem === 'pickleball' && rules.type === 'doubles') {
+    return `${servingScore}-${receivingScore}-${serve.serverNumber}`;
+  }
+
+  return `${servingScore}-${receivingScore}`;
+};
@@ -0,0 +1,389 @@
+/**
+ * Court Schedule Service
+ *
+ * This service places upcoming matches on courts and in time slots.
+ *
+ * The tournament's schedule settings (tournament.schedule) define:
+ * - courts: court numbers, each optionally open only between
+ *   availableFrom and availableUntil
+ * - startTime and slotMinutes: a grid of equal time slots
+ * - restMinutes: minimum time between a participant's matches
+ *
+ * Scheduling is greedy, in match order. Each upcoming match gets the
+ * earliest slot (lowest court number first) where:
+ * - the court is free and open for the whole slot
+ * - both participants have had their rest since their previous match
+ *   (players entered in more than one division count as the same player)
+ * - every match it depends on has finished (plus rest):
+ *   - matches linked to it (nextMatchId / loserMatchId)
+ *   - for the first knockout round after a group stage: every group match
+ *   - for brackets without links: the previous round (see getNextRoundName)
+ *
+ * Live matches keep their court for the current slot. Slots in the past
+ * are never used. Completed and cancelled matches are not moved.
+ *
+ * A main tournament and its divisions are scheduled together on the main
+ * tournament's courts (see division.service.js); dependencies between
+ * matches only apply within a division.
+ */
+
+import { getNextRoundName } from './progression.service.js';
+
+// Upper bound on how far ahead a match is searched for (in slots)
+const MAX_SLOTS_AHEAD = 2000;
+
+/**
+ * Get Schedule Settings
+ *
+ * @param {Object} tournament - Tournament object
+ * @returns {Object} { courts, startTime, slotMinutes, restMinutes } with defaults applied
+ */
+export const getScheduleSettings = (tournament) => {
+  const schedule = tournament?.schedule || {};
+  return {
+    courts: [...(schedule.courts || [])].sort((a, b) => a.number - b.number),
+    startTime: schedule.startTime || null,
+    slotMinutes: schedule.slotMinutes || 20,
+    restMinutes: schedule.restMinutes || 0
+  };
+};
+
+/**
+ * Validate Schedule Settings
+ *
+ * @param {Object} settings - Settings from the request body
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateScheduleSettings = (settings) => {
+  const { courts, startTime, slotMinutes, restMinutes } = settings;
+
+  if (courts !== undefined) {
+    if (!Array.isArray(courts)) {
+      return 'Courts must be an array';
+    }
+
+    const numbers = new Set();
+    for (const court of courts) {
+      const number = Number(court?.number);
+      if (!Number.isInteger(number) || number < 1) {
+        return 'Each court needs a number of at least 1';
+      }
+      if (numbers.has(number)) {
+        return `Court ${number} is listed more than once`;
+      }
+      numbers.add(number);
+
+      const from = court.availableFrom ? new Date(court.availableFrom) : null;
+      const until = court.availableUntil ? new Date(court.availableUntil) : null;
+      if ((from && isNaN(from)) || (until && isNaN(until))) {
+        return `Court ${number} has an invalid availability time`;
+      }
+      if (from && until && from >= until) {
+        return `Court ${number} must become available before it closes`;
+      }
+    }
+  }
+
+  if (startTime !== undefined && startTime !== null && isNaN(new Date(startTime))) {
+    return 'Start time must be a valid date';
+  }
+
+  if (slotMinutes !== undefined) {
+    const value = Number(slotMinutes);
+    if (!Number.isInteger(value) || value < 5 || value > 240) {
+      return 'Slot length must be a whole number of minutes between 5 and 240';
+    }
+  }
+
+  if (restMinutes !== undefined) {
+    const value = Number(restMinutes);
+    if (!Number.isInteger(value) || value < 0) {
+      return 'Rest time must be a whole number of minutes (0 or more)';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * ID Of (Helper)
+ *
+ * @param {*} value - ObjectId, populated document or null
+ * @returns {string|null} ID as a string
+ */
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+/**
+ * Build Dependencies (Helper)
+ *
+ * Works out which matches must finish before each match can start, for
+ * each tournament (division) separately.
+ *
+ * @param {Array} matches - All matches being scheduled
+ * @returns {Map} matchId -> Array of match IDs it depends on
+ */
+const buildDependencies = (matches) => {
+  const byTournament = new Map();
+  matches.forEach(match => {
+    const tournamentId = idOf(match.tournamentId);
+    if (!byTournament.has(tournamentId)) byTournament.set(tournamentId, []);
+    byTournament.get(tournamentId).push(match);
+  });
+
+  const dependencies = new Map();
+  byTournament.forEach(tournamentMatches => {
+    buildTournamentDependencies(tournamentMatches).forEach((matchDependencies, matchId) => {
+      dependencies.set(matchId, matchDependencies);
+    });
+  });
+  return dependencies;
+};
+
+/**
+ * Build Tournament Dependencies (Helper)
+ *
+ * @param {Array} matches - All matches in one tournament
+ * @returns {Map} matchId -> Array of match IDs it depends on
+ */
+const buildTournamentDependencies = (matches) => {
+  const dependencies = new Map(matches.map(match => [idOf(match), []]));
+
+  // Linked brackets
+  matches.forEach(match => {
+    [match.nextMatchId, match.loserMatchId].forEach(targetId => {
+      const target = idOf(targetId);
+      if (target && dependencies.has(target)) {
+        dependencies.get(target).push(idOf(match));
+      }
+    });
+  });
+
+  const groupMatchIds = matches
+    .filter(match => match.round?.startsWith('Group '))
+    .map(match => idOf(match));
+
+  matches.forEach(match => {
+    const matchId = idOf(match);
+    if (match.round?.startsWith('Group ') || dependencies.get(matchId).length > 0) {
+      return;
+    }
+
+    // First knockout round after a group stage
+    if (groupMatchIds.length > 0) {
+      dependencies.set(matchId, [...groupMatchIds]);
+      return;
+    }
+
+    // Brackets without links: the previous round by name
+    const previousRoundMatches = matches.filter(other =>
+      !other.nextMatchId && getNextRoundName(other.round) === match.round
+    );
+    dependencies.set(matchId, previousRoundMatches.map(other => idOf(other)));
+  });
+
+  return dependencies;
+};
+
+/**
+ * Build Schedule
+ *
+ * Assigns a court and time slot to every upcoming match. Does not save
+ * anything.
+ *
+ * @param {Object} tournament - Tournament with schedule settings (the main tournament for divisions)
+ * @param {Array} matches - All matches in the tournament and its divisions (any status)
+ * @param {Object} options - { now: Date (defaults to the current time),
+ *   playersOf: Map participantId -> [playerId] (see getPlayersOfParticipants) }
+ * @returns {Object} { assignments, unscheduled }
+ *   - assignments: [{ matchId, courtNumber, scheduledTime }]
+ *   - unscheduled: [{ matchId, round, reason }]
+ * @throws {Error} If the schedule settings are incomplete
+ */
+export const buildSchedule = (tournament, matches, options = {}) => {
+  const { courts, startTime, slotMinutes, restMinutes } = getScheduleSettings(tournament);
+
+  if (courts.length === 0) {
+    throw new Error('Add at least one court before scheduling matches');
+  }
+  if (!startTime) {
+    throw new Error('Set a start time before scheduling matches');
+  }
+
+  const now = options.now ? new Date(options.now) : new Date();
+  const base = new Date(startTime).getTime();
+  const slotMs = slotMinutes * 60 * 1000;
+  const restSlots = Math.ceil(restMinutes / slotMinutes);
+
+  const slotOf = (time) => Math.ceil((new Date(time).getTime() - base) / slotMs);
+  const timeOf = (slot) => new Date(base + slot * slotMs);
+
+  // First slot that has not started yet
+  const firstSlot = Math.max(0, slotOf(now));
+
+  const isCourtOpen = (court, slot) => {
+    const slotStart = timeOf(slot);
+    const slotEnd = timeOf(slot + 1);
+    if (court.availableFrom && slotStart < new Date(court.availableFrom)) return false;
+    if (court.availableUntil && slotEnd > new Date(court.availableUntil)) return false;
+    return true;
+  };
+
+  const sortedMatches = [...matches].sort((a, b) => {
+    if ((a.order || 0) !== (b.order || 0)) return (a.order || 0) - (b.order || 0);
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  });
+
+  const dependencies = buildDependencies(sortedMatches);
+  const occupied = new Map(courts.map(court => [court.number, new Set()])); // court -> busy slots
+  const matchEnd = new Map(); // matchId -> first slot after the match
+  const participantReady = new Map(); // participant or player ID -> first slot they can play
+
+  // Registry players of the participants where known, so entries in other divisions are respected
+  const entrantsOf = (match) => [match.participantA, match.participantB, match.partnerA, match.partnerB]
+    .map(participant => idOf(participant))
+    .filter(Boolean)
+    .flatMap(participantId => {
+      const playerIds = options.playersOf?.get(participantId);
+      return playerIds?.length ? playerIds : [participantId];
+    });
+
+  const setParticipantsReady = (match, slot) => {
+    entrantsOf(match).forEach(entrantId => {
+      participantReady.set(entrantId, Math.max(participantReady.get(entrantId) || 0, slot));
+    });
+  };
+
+  // Matches that are finished or being played
+  sortedMatches.forEach(match => {
+    const matchId = idOf(match);
+
+    if (match.status === 'completed') {
+      const endSlot = Math.min(firstSlot, slotOf(match.updatedAt || now));
+      matchEnd.set(matchId, endSlot);
+      setParticipantsReady(match, slotOf(match.updatedAt || now) + restSlots);
+    } else if (match.status === 'cancelled') {
+      matchEnd.set(matchId, firstSlot);
+    } else if (match.status === 'live') {
+      // Assume a live match needs the rest of the current slot
+      occupied.get(match.courtNumber)?.add(firstSlot);
+      matchEnd.set(matchId, firstSlot + 1);
+      setParticipantsReady(match, firstSlot + 1 + restSlots);
+    }
+  });
+
+  const assignments = [];
+  const unscheduled = [];
+  let pending = sortedMatches.filter(match => match.status === 'upcoming');
+
+  // Schedule matches once everything they depend on has a slot
+  while (pending.length > 0) {
+    const waiting = [];
+
+    for (const match of pending) {
+      const matchId = idOf(match);
+      const matchDependencies = dependencies.get(matchId) || [];
+
+      if (matchDependencies.some(dependencyId => !matchEnd.has(dependencyId))) {
+        waiting.push(match);
+        continue;
+      }
+
+      let earliest = firstSlot;
+      matchDependencies.forEach(dependencyId => {
+        earliest = Math.max(earliest, matchEnd.get(dependencyId) + restSlots);
+      });
+      entrantsOf(match).forEach(entrantId => {
+        if (participantReady.has(entrantId)) {
+          earliest = Math.max(earliest, participantReady.get(entrantId));
+        }
+      });
+
+      // Matches after an unschedulable match cannot be placed either
+      if (earliest === Infinity) {
+        unscheduled.push({ matchId: match._id, round: match.round, reason: 'Depends on a match that cannot be scheduled' });
+        continue;
+      }
+
+      let placed = null;
+      for (let slot = earliest; slot < earliest + MAX_SLOTS_AHEAD && !placed; slot++) {
+        const court = courts.find(c => !occupied.get(c.number).has(slot) && isCourtOpen(c, slot));
+        if (court) {
+          placed = { court, slot };
+        }
+      }
+
+      if (!placed) {
+        unscheduled.push({ matchId: match._id, round: match.round, reason: 'No court is open in time for this match' });
+        matchEnd.set(matchId, Infinity);
+        continue;
+      }
+
+      occupied.get(placed.court.number).add(placed.slot);
+      matchEnd.set(matchId, placed.slot + 1);
+      setParticipantsReady(match, placed.slot + 1 + restSlots);
+      assignments.push({
+        matchId: match._id,
+        courtNumber: placed.court.number,
+        scheduledTime: timeOf(placed.slot)
+      });
+    }
+
+    // Matches left waiting on each other (e.g. circular links) cannot be scheduled
+    if (waiting.length === pending.length) {
+      waiting.forEach(match => {
+        unscheduled.push({ matchId: match._id, round: match.round, reason: 'Depends on a match that cannot be scheduled' });
+      });
+      break;
+    }
+    pending = waiting;
+  }
+
+  return { assignments, unscheduled };
+};
+
+/**
+ * Get Court Queues
+ *
+ * Lists, for every court, the match being played now and the upcoming
+ * matches assigned to it in the order they will be played.
+ *
+ * @param {Object} tournament - Tournament with schedule settings
+ * @param {Array} matches - Matches in the tournament
+ * @returns {Array} [{ number, name, current, nextUp, queue }]
+ */
+export const getCourtQueues = (tournament, matches) => {
+  const { courts } = getScheduleSettings(tournament);
+
+  // Courts used by matches but not defined in the schedule still get a queue
+  const courtNumbers = new Set(courts.map(court => court.number));
+  const allCourts = [...courts];
+  matches.forEach(match => {
+    if (match.courtNumber && !courtNumbers.has(match.courtNumber)) {
+      courtNumbers.add(match.courtNumber);
+      allCourts.push({ number: match.courtNumber, name: null });
+    }
+  });
+  allCourts.sort((a, b) => a.number - b.number);
+
+  const byScheduledTime = (a, b) => {
+    const timeA = a.scheduledTime ? new Date(a.scheduledTime).getTime() : Infinity;
+    const timeB = b.scheduledTime ? new Date(b.scheduledTime).getTime() : Infinity;
+    if (timeA !== timeB) return timeA - timeB;
+    return (a.order || 0) - (b.order || 0);
+  };
+
+  return allCourts.map(court => {
+    const courtMatches = matches.filter(match => match.courtNumber === court.number);
+    const queue = courtMatches
+      .filter(match => match.status === 'upcoming')
+      .sort(byScheduledTime);
+
+    return {
+      number: court.number,
+      name: court.name || null,
+      current: courtMatches.find(match => match.status === 'live') || null,
+      nextUp: queue[0] || null,
+      queue
+    };
+  });
+};
@@ -0,0 +1,356 @@
+/**
+ * Match Scoring Service
+ *
+ * This service contains the game-by-game scoring helpers shared by the match
+ * controller, the progression service and the standings calculators.
+ *
+ * Scoring model:
+ * - A match is played as best-of-N games (N = 1, 3 or 5)
+ * - Each game is stored in order in match.games as { a, b } points
+ * - match.score holds the headline score shown to viewers:
+ *   - Best of 1: points of the single game (e.g. 11 - 7)
+ *   - Best of 3/5: games won (e.g. 2 - 1)
+ * - The winner is whoever wins the majority of games
+ *
+ * Outcomes (match.outcome) other than 'played' decide the winner whatever
+ * the score: the side in match.forfeitedBy loses.
+ * - walkover / disqualified: the winner is given forfeit games
+ *   (rules.forfeitPoints, default the points of a game, to 0)
+ * - retired: the score at retirement is kept
+ * - doubleForfeit: both sides lose, no games are recorded
+ *
+ * Matches recorded before game scoring existed have no games array.
+ * Their score is treated as a single game so standings stay correct.
+ */
+
+/**
+ * Allowed best-of values for a match
+ */
+export const BEST_OF_OPTIONS = [1, 3, 5];
+
+/**
+ * Ways a match can be decided besides playing it out
+ */
+export const FORFEIT_OUTCOMES = ['walkover', 'retired', 'disqualified', 'doubleForfeit'];
+
+/**
+ * Resolve Best Of
+ *
+ * Determines how many games a match is played over.
+ *
+ * Priority (first one set wins):
+ * 1. match.bestOf (set per match)
+ * 2. tournament.rules.roundBestOf[match.round] (set per round)
+ * 3. tournament.rules.bestOf (tournament default)
+ * 4. 1 (single game)
+ *
+ * @param {Object} match - Match object (document or lean)
+ * @param {Object} tournament - Tournament object with rules (optional)
+ * @returns {number} Number of games (1, 3 or 5)
+ */
+export const resolveBestOf = (match, tournament = null) => {
+  if (match?.bestOf) {
+    return match.bestOf;
+  }
+
+  const rules = tournament?.rules || {};
+  const roundBestOf = rules.roundBestOf;
+
+  if (roundBestOf && match?.round) {
+    // Handle both Mongoose Map (document) and plain object (lean)
+    const roundValue = roundBestOf instanceof Map
+      ? roundBestOf.get(match.round)
+      : roundBestOf[match.round];
+    if (roundValue) {
+      return roundValue;
+    }
+  }
+
+  return rules.bestOf || 1;
+};
+
+/**
+ * Get Games Needed to Win
+ *
+ * @param {number} bestOf - Number of games in the match
+ * @returns {number} Games needed to win (e.g. 2 for best of 3)
+ */
+export const getGamesToWin = (bestOf) => {
+  return Math.floor(bestOf / 2) + 1;
+};
+
+/**
+ * Get Match Games
+ *
+ * Returns the ordered list of game scores for a match.
+ * Falls back to the headline score as a single game for matches
+ * recorded before game-by-game scoring.
+ *
+ * @param {Object} match - Match object
+ * @returns {Array} Array of { a, b } game scores
+ */
+export const getMatchGames = (match) => {
+  if (match?.games && match.games.length > 0) {
+    return match.games.map(game => ({
+      a: game.a || 0,
+      b: game.b || 0
+    }));
+  }
+
+  const a = match?.score?.a || 0;
+  const b = match?.score?.b || 0;
+
+  // No score recorded yet
+  if (a === 0 && b === 0) {
+    return [];
+  }
+
+  return [{ a, b }];
+};
+
+/**
+ * Summarize Match
+ *
+ * Calculates games won, total points and the leader/winner of a match
+ * from its game scores.
+ *
+ * @param {Object} match - Match object
+ * @returns {Object} Summary:
+ *   - games: Array of { a, b }
+ *   - gamesWon: { a, b }
+ *   - points: { a, b } (sum of all game points)
+ *   - winner: 'A', 'B' or null (null when games won are level, or
+ *     nobody won a double forfeit)
+ */
+export const summarizeMatch = (match) => {
+  const games = getMatchGames(match);
+  const summary = {
+    games,
+    gamesWon: { a: 0, b: 0 },
+    points: { a: 0, b: 0 },
+    winner: null
+  };
+
+  games.forEach(game => {
+    summary.points.a += game.a;
+    summary.points.b += game.b;
+
+    if (game.a > game.b) {
+      summary.gamesWon.a++;
+    } else if (game.b > game.a) {
+      summary.gamesWon.b++;
+    }
+  });
+
+  if (match?.outcome && match.outcome !== 'played') {
+    summary.winner = { A: 'B', B: 'A' }[match.forfeitedBy] || null;
+  } else if (summary.gamesWon.a > summary.gamesWon.b) {
+    summary.winner = 'A';
+  } else if (summary.gamesWon.b > summary.gamesWon.a) {
+    summary.winner = 'B';
+  }
+
+  return summary;
+};
+
+/**
+ * Build Headline Score
+ *
+ * Calculates the value stored in match.score from the game scores.
+ *
+ * @param {Array} games - Array of { a, b } game scores
+ * @param {number} bestOf - Number of games in the match
+ * @returns {Object} { a, b } headline score
+ */
+export const buildHeadlineScore = (games, bestOf) => {
+  if (bestOf === 1) {
+    const game = games[0] || { a: 0, b: 0 };
+    return { a: game.a, b: game.b };
+  }
+
+  const { gamesWon } = summarizeMatch({ games });
+  return { a: gamesWon.a, b: gamesWon.b };
+};
+
+/**
+ * Normalize Games Input
+ *
+ * Converts request input into an array of { a, b } integer game scores.
+ * Accepts [{ a: 11, b: 7 }] as well as [[11, 7]].
+ *
+ * @param {Array} games - Raw games input
+ * @returns {Array|null} Normalized games or null if input is not an array
+ */
+export const normalizeGames = (games) => {
+  if (!Array.isArray(games)) {
+    return null;
+  }
+
+  return games.map(game => {
+    const a = Array.isArray(game) ? game[0] : game?.a;
+    const b = Array.isArray(game) ? game[1] : game?.b;
+    return {
+      a: a === undefined || a === null || a === '' ? NaN : Number(a),
+      b: b === undefined || b === null || b === '' ? NaN : Number(b)
+    };
+  });
+};
+
+/**
+ * Validate Games
+ *
+ * Validates an ordered list of game scores for a best-of-N match.
+ *
+ * Rules:
+ * - Scores must be non-negative whole numbers
+ * - No more games than bestOf
+ * - Every game except the last must have a winner
+ * - No games may be recorded after a side has already won the match
+ * - When complete = true: the last game must have a winner and one side
+ *   must have won the required number of games
+ *
+ * @param {Array} games - Normalized games array
+ * @param {number} bestOf - Number of games in the match
+ * @param {Object} options - { complete: boolean }
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateGames = (games, bestOf, options = {}) => {
+  const { complete = false } = options;
+
+  if (!Array.isArray(games)) {
+    return 'Games must be an array of game scores';
+  }
+
+  if (games.length > bestOf) {
+    return `This match is best of ${bestOf}. Cannot record ${games.length} games.`;
+  }
+
+  for (let i = 0; i < games.length; i++) {
+    const { a, b } = games[i];
+    if (!Number.isInteger(a) || !Number.isInteger(b) || a < 0 || b < 0) {
+      return `Game ${i + 1}: scores must be non-negative whole numbers`;
+    }
+  }
+
+  const gamesToWin = getGamesToWin(bestOf);
+  let gamesWonA = 0;
+  let gamesWonB = 0;
+
+  for (let i = 0; i < games.length; i++) {
+    const { a, b } = games[i];
+    const isLastGame = i === games.length - 1;
+
+    if (gamesWonA >= gamesToWin || gamesWonB >= gamesToWin) {
+      return `Game ${i + 1} cannot be played. The match was already decided after game ${i}.`;
+    }
+
+    if (a === b && (!isLastGame || complete)) {
+      return `Game ${i + 1} cannot end in a draw (${a}-${b})`;
+    }
+
+    if (a > b) gamesWonA++;
+    if (b > a) gamesWonB++;
+  }
+
+  if (complete) {
+    if (games.length === 0) {
+      return 'At least one game score is required to complete a match';
+    }
+    if (gamesWonA < gamesToWin && gamesWonB < gamesToWin) {
+      return `Match is not finished. A side must win ${gamesToWin} of ${bestOf} games (currently ${gamesWonA}-${gamesWonB}).`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Apply Games to Match
+ *
+ * Stores the game scores, best-of setting and headline score on a match.
+ * Does not save the match.
+ *
+ * @param {Object} match - Match document
+ * @param {Array} games - Validated games array
+ * @param {number} bestOf - Number of games in the match
+ * @returns {Object} The same match document
+ */
+export const applyGamesToMatch = (match, games, bestOf) => {
+  match.games = games.map(game => ({ a: game.a, b: game.b }));
+  match.bestOf = bestOf;
+
+  const headline = buildHeadlineScore(games, bestOf);
+  match.score.a = headline.a;
+  match.score.b = headline.b;
+
+  return match;
+};
+
+/**
+ * Build Forfeit Games
+ *
+ * Games credited to the winner of a walkover or disqualification.
+ *
+ * @param {string} winner - 'A' or 'B'
+ * @param {number} bestOf - Number of games in the match
+ * @param {Object} rules - Tournament rules (forfeitPoints, points)
+ * @returns {Array} Games needed to win, each forfeitPoints-0 (empty when forfeitPoints is 0)
+ */
+export const buildForfeitGames = (winner, bestOf, rules = {}) => {
+  const points = rules.forfeitPoints ?? rules.points ?? 11;
+  if (points === 0) {
+    return [];
+  }
+
+  return Array.from({ length: getGamesToWin(bestOf) }, () => (
+    winner === 'A' ? { a: points, b: 0 } : { a: 0, b: points }
+  ));
+};
+
+/**
+ * Apply Outcome to Match
+ *
+ * Completes a match that was not played out. Does not save the match.
+ *
+ * @param {Object} match - Match document
+ * @param {Object} outcome - { outcome, forfeitedBy, games (retired: validated score at retirement), reason }
+ * @param {Object} tournament - Tournament with rules
+ * @returns {Object} The same match document
+ */
+export const applyOutcomeToMatch = (match, { outcome, forfeitedBy, games, reason }, tournament) => {
+  const bestOf = resolveBestOf(match, tournament);
+  let outcomeGames = [];
+
+  if (outcome === 'retired') {
+    outcomeGames = games || getMatchGames(match);
+  } else if (outcome === 'walkover' || outcome === 'disqualified') {
+    outcomeGames = buildForfeitGames(forfeitedBy === 'A' ? 'B' : 'A', bestOf, tournament?.rules);
+  }
+
+  applyGamesToMatch(match, outcomeGames, bestOf);
+  match.outcome = outcome;
+  match.forfeitedBy = outcome === 'doubleForfeit' ? 'both' : forfeitedBy;
+  match.outcomeReason = reason?.trim() || null;
+  match.serve = null;
+  match.status = 'completed';
+
+  return match;
+};
+
+/**
+ * Clear Match Outcome
+ *
+ * Makes a match a played one again, so its games decide the winner. Used
+ * whenever the score or status of a match is changed. Does not save the
+ * match.
+ *
+ * @param {Object} match - Match document
+ * @returns {Object} The same match document
+ */
+export const clearMatchOutcome = (match) => {
+  match.outcome = 'played';
+  match.forfeitedBy = null;
+  match.outcomeReason = null;
+
+  return match;
+};
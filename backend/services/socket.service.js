@@ -9,11 +9,17 @@
  * - match_started: Match status changed to live
  * - score_updated: Match score was updated
  * - match_completed: Match was completed
+ * - match_updated: Match was created, edited or cancelled
+ * - match_deleted: Match was deleted
+ * - standings_updated: Standings changed after a result was recorded or changed
+ * - point_event: A point/fault/side-out/timeout/undo was recorded in a match log
+ * - schedule_updated: Courts and start times of upcoming matches were (re)assigned
  */
 
 import { getIO, emitToTournament, emitToAll } from '../sockets/socket.io.js';
 import Match from '../models/match.model.js';
 import Tournament from '../models/tournament.model.js';
+import { loadStandings } from './standings.service.js';
 
 /**
  * Emit Tournament Live Event
@@ -60,6 +66,8 @@ export const emitMatchStarted = async (matchId, matchData = null) => {
       data = await Match.findById(matchId)
         .populate('participantA', 'name players')
         .populate('participantB', 'name players')
+        .populate('partnerA', 'name players')
+        .populate('partnerB', 'name players')
         .populate('tournamentId', 'name format type')
         .lean();
     }
@@ -94,6 +102,8 @@ export const emitScoreUpdated = async (matchId, matchData = null) => {
       data = await Match.findById(matchId)
         .populate('participantA', 'name players')
         .populate('participantB', 'name players')
+        .populate('partnerA', 'name players')
+        .populate('partnerB', 'name players')
         .populate('tournamentId', 'name format type')
         .lean();
     }
@@ -134,6 +144,8 @@ export const emitMatchCompleted = async (matchId, matchData = null, winnerData =
       data = await Match.findById(matchId)
         .populate('participantA', 'name players')
         .populate('participantB', 'name players')
+        .populate('partnerA', 'name players')
+        .populate('partnerB', 'name players')
         .populate('tournamentId', 'name format type status currentRound')
         .lean();
     }
@@ -154,3 +166,139 @@ export const emitMatchCompleted = async (matchId, matchData = null, winnerData =
   }
 };
 
+/**
+ * Emit Match Updated Event
+ * 
+ * Emits event when a match is created, edited or cancelled.
+ * 
+ * @param {string} matchId - Match ID
+ * @param {Object} matchData - Match data to send (optional)
+ */
+export const emitMatchUpdated = async (matchId, matchData = null) => {
+  try {
+    // Fetch match data if not provided
+    let data = matchData;
+    if (!data) {
+      data = await Match.findById(matchId)
+        .populate('participantA', 'name players')
+        .populate('participantB', 'name players')
+        .populate('partnerA', 'name players')
+        .populate('partnerB', 'name players')
+        .populate('tournamentId', 'name format type')
+        .lean();
+    }
+
+    if (data && data.tournamentId) {
+      const tournamentId = data.tournamentId._id?.toString() || data.tournamentId.toString();
+      
+      emitToTournament(tournamentId, 'match_updated', {
+        matchId: matchId,
+        match: data,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error emitting match_updated event:', error);
+  }
+};
+
+/**
+ * Emit Match Deleted Event
+ * 
+ * Emits event when a match is deleted.
+ * 
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} matchId - Match ID
+ */
+export const emitMatchDeleted = (tournamentId, matchId) => {
+  try {
+    emitToTournament(tournamentId.toString(), 'match_deleted', {
+      tournamentId: tournamentId.toString(),
+      matchId: matchId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error emitting match_deleted event:', error);
+  }
+};
+
+/**
+ * Emit Standings Updated Event
+ * 
+ * Recalculates the tournament standings (same as the public standings
+ * endpoint) and emits them, so viewers don't need to refetch after
+ * every result.
+ * 
+ * @param {string} tournamentId - Tournament ID
+ */
+export const emitStandingsUpdated = async (tournamentId) => {
+  try {
+    // Skip the standings queries when nobody can be listening
+    if (!getIO()) {
+      return;
+    }
+
+    const tournament = await Tournament.findById(tournamentId)
+      .select('rules tiebreakDecisions')
+      .lean();
+    if (!tournament) {
+      return;
+    }
+
+    const { standings, placings } = await loadStandings(tournament);
+
+    emitToTournament(tournamentId.toString(), 'standings_updated', {
+      tournamentId: tournamentId.toString(),
+      standings: standings,
+      placings,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error emitting standings_updated event:', error);
+  }
+};
+
+/**
+ * Emit Point Event
+ * 
+ * Emits event when an entry is appended to a match's point log
+ * (including 'undo' entries), so viewers can follow the rally-by-rally flow.
+ * 
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} matchId - Match ID
+ * @param {Object} payload - { event, match, scoreCall }
+ */
+export const emitPointEvent = (tournamentId, matchId, payload) => {
+  try {
+    emitToTournament(tournamentId, 'point_event', {
+      matchId: matchId,
+      event: payload.event,
+      match: payload.match,
+      scoreCall: payload.scoreCall,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error emitting point_event event:', error);
+  }
+};
+
+/**
+ * Emit Schedule Updated Event
+ * 
+ * Emits event when the scheduler assigned (or cleared) courts and start
+ * times, or a new round of matches was created (e.g. a Swiss round). Many
+ * matches change at once, so viewers reload the matches instead of
+ * receiving each one.
+ * 
+ * @param {string} tournamentId - Tournament ID
+ */
+export const emitScheduleUpdated = (tournamentId) => {
+  try {
+    emitToTournament(tournamentId, 'schedule_updated', {
+      tournamentId: tournamentId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error emitting schedule_updated event:', error);
+  }
+};
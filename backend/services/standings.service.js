@@ -1,16 +1,100 @@
 /**
  * Standings Calculation Service
  * 
- * This service calculates tournament standings with proper tie-breaking rules.
+ * This service is the one standings engine used by every standings endpoint
+ * (overall and group standings, public and admin), the live socket updates
+ * and group-to-knockout progression.
  * 
- * Ranking Priority (in order):
- * 1. Highest Wins
- * 2. Highest Point Difference (Points Scored - Points Conceded)
- * 3. Highest Points Scored
- * 4. Head-to-head result (if tied participants played each other)
- * 5. Random / Admin decision (fallback)
+ * Ranking:
+ * 1. Highest Wins (always first)
+ * 2. The tournament's tiebreakers (rules.tiebreakers), in order:
+ *    - headToHead: mini-league of the matches between the tied participants
+ *      (works for ties of any size; a smaller tie left after it is checked
+ *      head-to-head again among itself)
+ *    - buchholz: sum of the wins of every opponent played (Swiss)
+ *    - sonnebornBerger: sum of the wins of every opponent beaten (Swiss)
+ *    - pointDifference: points scored - points conceded
+ *    - pointsFor: most points scored
+ *    - gameRatio: games won / games lost
+ *    - pointRatio: points scored / points conceded
+ *    - fewestPointsAgainst: fewest points conceded
+ *    - coinFlip: a seeded coin flip, made once the standings are final and
+ *      recorded on the tournament (tiebreakDecisions) so it never changes
+ *    - adminDecision: the order an admin recorded for the tied participants
+ * 
+ * Swiss byes (matches with bye set and no participantB) count as a win and
+ * a match played, with no points and no opponent for Buchholz.
+ * 
+ * Forfeits (match.outcome, see scoring.service.js) count as a match played:
+ * - walkover / disqualified: a win for the opponent, with the forfeit games
+ *   (rules.forfeitPoints per game needed, to 0)
+ * - retired: a win for the opponent, with the points played until then
+ * - doubleForfeit: a loss for both sides, with no points
+ * 
+ * Participants still tied after every tiebreaker keep their order and are
+ * marked tied. Every standing shows the tiebreaker that placed it.
+ * 
+ * Group locks: an admin can lock the final positions of a group and mark
+ * its qualifiers and reserves (tournament.groupLocks). A locked group shows
+ * the locked order, and qualification for the knockout follows the lock.
+ * 
+ * Placings: knockouts also publish final places (1st, 2nd, 3rd, ...) from
+ * the places recorded on their matches (see calculatePlacings).
+ * 
+ * Rotating partners: standings are individual. Each player is credited with
+ * the result and points of the side they played on, whoever their partner was.
+ * 
+ * Matches are summarized with scoring.service.js, so best-of-3/5 matches
+ * count every game's points towards points scored/conceded and the winner
+ * is whoever won the majority of games.
  */
 
+import Match from '../models/match.model.js';
+import Participant from '../models/participant.model.js';
+import Tournament from '../models/tournament.model.js';
+import { summarizeMatch } from './scoring.service.js';
+import { createDrawSeed, createRandom, shuffle } from './random.service.js';
+import { withParticipantRatings } from './rating.service.js';
+
+export const TIEBREAKERS = [
+  'headToHead',
+  'buchholz',
+  'sonnebornBerger',
+  'pointDifference',
+  'pointsFor',
+  'gameRatio',
+  'pointRatio',
+  'fewestPointsAgainst',
+  'coinFlip',
+  'adminDecision'
+];
+
+// Used when a tournament has not configured its own tiebreakers
+export const DEFAULT_TIEBREAKERS = ['pointDifference', 'pointsFor', 'headToHead'];
+
+// Default for Swiss tournaments, where opponents' strength matters most
+export const SWISS_TIEBREAKERS = ['buchholz', 'sonnebornBerger', 'headToHead', 'pointDifference'];
+
+// Default for rotating partners: wins, then total points (there is no fixed head-to-head)
+export const ROTATING_PARTNER_TIEBREAKERS = ['pointsFor', 'pointDifference'];
+
+// Format defaults (other formats use DEFAULT_TIEBREAKERS)
+const FORMAT_TIEBREAKERS = {
+  swiss: SWISS_TIEBREAKERS,
+  rotatingPartners: ROTATING_PARTNER_TIEBREAKERS
+};
+
+/**
+ * ID Of (Helper)
+ * 
+ * @param {Object|string|null} participant - Populated participant or its ID
+ * @returns {string|undefined} Participant ID
+ */
+const idOf = (participant) => (participant?._id || participant)?.toString();
+
+// Scope of the overall standings (group standings use the round, e.g. "Group A")
+export const OVERALL_SCOPE = 'overall';
+
 /**
  * Calculate Head-to-Head Result
  * 
@@ -23,6 +107,8 @@
  */
 export const getHeadToHeadResult = (participantId1, participantId2, completedMatches) => {
   const match = completedMatches.find(m => {
+    if (m.bye) return false;
+
     const isA1 = m.participantA._id.toString() === participantId1.toString();
     const isB1 = m.participantB._id.toString() === participantId1.toString();
     const isA2 = m.participantA._id.toString() === participantId2.toString();
@@ -35,17 +121,17 @@ export const getHeadToHeadResult = (participantId1, participantId2, completedMat
     return null; // No head-to-head match
   }
 
-  const participant1Score = match.participantA._id.toString() === participantId1.toString()
-    ? match.score.a
-    : match.score.b;
-  const participant2Score = match.participantA._id.toString() === participantId2.toString()
-    ? match.score.a
-    : match.score.b;
-
-  if (participant1Score > participant2Score) {
-    return { winner: participantId1, loser: participantId2 };
-  } else if (participant2Score > participant1Score) {
-    return { winner: participantId2, loser: participantId1 };
+  const { winner } = summarizeMatch(match);
+  const participant1IsA = match.participantA._id.toString() === participantId1.toString();
+
+  if (winner === 'A') {
+    return participant1IsA
+      ? { winner: participantId1, loser: participantId2 }
+      : { winner: participantId2, loser: participantId1 };
+  } else if (winner === 'B') {
+    return participant1IsA
+      ? { winner: participantId2, loser: participantId1 }
+      : { winner: participantId1, loser: participantId2 };
   }
 
   return null; // Draw (shouldn't happen in pickleball, but handle it)
@@ -58,13 +144,20 @@ export const getHeadToHeadResult = (participantId1, participantId2, completedMat
  * - Matches Played
  * - Wins
  * - Losses
- * - Points Scored
- * - Points Conceded
+ * - Games Won / Games Lost
+ * - Points Scored (all games)
+ * - Points Conceded (all games)
  * - Point Difference
  * - Win Rate
+ * - Byes (Swiss)
+ * - Buchholz: sum of the wins of every opponent played
+ * - Sonneborn-Berger: sum of the wins of every opponent beaten
+ * 
+ * Rotating partners: a participant plays for the side of the match they
+ * are on as participant or partner, so wins and points are their own.
  * 
  * @param {Array} participants - Array of participant objects
- * @param {Array} completedMatches - Array of completed match objects (populated)
+ * @param {Array} completedMatches - Array of completed match objects (populated), including byes
  * @returns {Array} Array of standing objects with participant and stats
  */
 export const calculateStandings = (participants, completedMatches) => {
@@ -73,26 +166,46 @@ export const calculateStandings = (participants, completedMatches) => {
     let losses = 0;
     let pointsFor = 0;
     let pointsAgainst = 0;
+    let gamesWon = 0;
+    let gamesLost = 0;
     let matchesPlayed = 0;
+    let byes = 0;
+    const opponents = [];
 
     // Process all matches involving this participant
     completedMatches.forEach(match => {
-      const isParticipantA = match.participantA._id.toString() === participant._id.toString();
-      const isParticipantB = match.participantB._id.toString() === participant._id.toString();
+      if (match.bye) {
+        if (match.participantA._id.toString() === participant._id.toString()) {
+          matchesPlayed++;
+          wins++;
+          byes++;
+        }
+        return;
+      }
+
+      // Rotating partners: the partner of a side plays for that side too
+      const id = participant._id.toString();
+      const isParticipantA = match.participantA._id.toString() === id || idOf(match.partnerA) === id;
+      const isParticipantB = match.participantB._id.toString() === id || idOf(match.partnerB) === id;
 
       if (isParticipantA || isParticipantB) {
         matchesPlayed++;
-        const participantScore = isParticipantA ? match.score.a : match.score.b;
-        const opponentScore = isParticipantA ? match.score.b : match.score.a;
+        const summary = summarizeMatch(match);
+        const side = isParticipantA ? 'a' : 'b';
+        const opponentSide = isParticipantA ? 'b' : 'a';
 
-        pointsFor += participantScore;
-        pointsAgainst += opponentScore;
+        pointsFor += summary.points[side];
+        pointsAgainst += summary.points[opponentSide];
+        gamesWon += summary.gamesWon[side];
+        gamesLost += summary.gamesWon[opponentSide];
 
-        if (participantScore > opponentScore) {
+        const won = summary.winner === side.toUpperCase();
+        if (won) {
           wins++;
         } else {
           losses++;
         }
+        opponents.push({ id: (isParticipantA ? match.participantB : match.participantA)._id.toString(), won });
       }
     });
 
@@ -104,109 +217,607 @@ export const calculateStandings = (participants, completedMatches) => {
       participant: {
         id: participant._id,
         name: participant.name,
-        players: participant.players
+        players: participant.players,
+        playerIds: participant.playerIds || [],
+        rating: participant.rating ?? null
       },
       stats: {
         matchesPlayed,
         wins,
         losses,
+        gamesWon,
+        gamesLost,
         pointsFor,
         pointsAgainst,
         pointDifference,
-        winRate: parseFloat(winRate)
-      }
+        winRate: parseFloat(winRate),
+        byes
+      },
+      opponents
     };
   });
 
+  // Buchholz and Sonneborn-Berger need every participant's wins first
+  const winsById = new Map(standings.map(standing => [standing.participant.id.toString(), standing.stats.wins]));
+  standings.forEach(standing => {
+    standing.stats.buchholz = 0;
+    standing.stats.sonnebornBerger = 0;
+    standing.opponents.forEach(opponent => {
+      const opponentWins = winsById.get(opponent.id) || 0;
+      standing.stats.buchholz += opponentWins;
+      if (opponent.won) standing.stats.sonnebornBerger += opponentWins;
+    });
+    delete standing.opponents;
+  });
+
   return standings;
 };
 
+/**
+ * Get Standings Rules
+ * 
+ * @param {Object} tournament - Tournament with format, rules.tiebreakers, tiebreakDecisions and groupLocks
+ * @returns {Object} { tiebreakers, decisions, groupLocks } for sortStandings and calculateGroupStandings
+ */
+export const getStandingsRules = (tournament) => {
+  const tiebreakers = tournament?.rules?.tiebreakers;
+  const defaults = FORMAT_TIEBREAKERS[tournament?.format] || DEFAULT_TIEBREAKERS;
+  return {
+    tiebreakers: Array.isArray(tiebreakers) && tiebreakers.length > 0 ? tiebreakers : defaults,
+    decisions: tournament?.tiebreakDecisions || [],
+    groupLocks: tournament?.groupLocks || []
+  };
+};
+
+/**
+ * Validate Tiebreakers
+ * 
+ * @param {*} tiebreakers - rules.tiebreakers from a request body
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateTiebreakers = (tiebreakers) => {
+  if (!Array.isArray(tiebreakers)) {
+    return 'Tiebreakers must be a list';
+  }
+  const unknown = tiebreakers.filter(tiebreaker => !TIEBREAKERS.includes(tiebreaker));
+  if (unknown.length > 0) {
+    return `Unknown tiebreaker(s): ${unknown.join(', ')}. Use: ${TIEBREAKERS.join(', ')}`;
+  }
+  if (new Set(tiebreakers).size !== tiebreakers.length) {
+    return 'Each tiebreaker can only be listed once';
+  }
+  return null;
+};
+
+/**
+ * Tie Key (Helper)
+ * 
+ * @param {Array} participantIds - IDs of tied participants
+ * @returns {string} Key that is the same for the same participants in any order
+ */
+const tieKey = (participantIds) => participantIds.map(id => id.toString()).sort().join(',');
+
+/**
+ * Split By Value (Helper)
+ * 
+ * @param {Array} entries - Tied standings
+ * @param {Function} valueOf - Standing -> number (higher ranks first)
+ * @returns {Array<Array>} Entries grouped by value, best first
+ */
+const splitByValue = (entries, valueOf) => {
+  const sorted = [...entries].sort((a, b) => valueOf(b) - valueOf(a));
+  const buckets = [];
+  sorted.forEach(entry => {
+    const last = buckets[buckets.length - 1];
+    if (last && valueOf(last[0]) === valueOf(entry)) {
+      last.push(entry);
+    } else {
+      buckets.push([entry]);
+    }
+  });
+  return buckets;
+};
+
+/**
+ * Share (Helper)
+ * 
+ * Ranks the same as won / lost, without dividing by zero.
+ * 
+ * @param {number} won - Games or points won
+ * @param {number} lost - Games or points lost
+ * @returns {number} won / (won + lost), 0 when nothing was played
+ */
+const share = (won, lost) => (won + lost > 0 ? won / (won + lost) : 0);
+
+/**
+ * Mini-League Wins (Helper)
+ * 
+ * @param {Array} entries - Tied standings
+ * @param {Array} completedMatches - Completed matches
+ * @returns {Map} participantId -> wins in matches between the tied participants
+ */
+const getMiniLeagueWins = (entries, completedMatches) => {
+  const ids = new Set(entries.map(entry => entry.participant.id.toString()));
+  const wins = new Map([...ids].map(id => [id, 0]));
+
+  completedMatches.forEach(match => {
+    const idA = match.participantA?._id?.toString();
+    const idB = match.participantB?._id?.toString();
+    if (!ids.has(idA) || !ids.has(idB)) return;
+
+    const { winner } = summarizeMatch(match);
+    if (winner === 'A') wins.set(idA, wins.get(idA) + 1);
+    if (winner === 'B') wins.set(idB, wins.get(idB) + 1);
+  });
+
+  return wins;
+};
+
+/**
+ * Find Decision (Helper)
+ * 
+ * @param {Array} entries - Tied standings
+ * @param {Object} context - Ranking context
+ * @param {string} method - 'coinFlip' or 'admin'
+ * @returns {Object|undefined} Recorded decision for exactly these participants
+ */
+const findDecision = (entries, context, method) => {
+  const key = tieKey(entries.map(entry => entry.participant.id));
+  return context.decisions.find(decision =>
+    decision.method === method &&
+    decision.scope === context.scope &&
+    tieKey(decision.participantIds) === key
+  );
+};
+
+/**
+ * Order By Decision (Helper)
+ * 
+ * @param {Array} entries - Tied standings
+ * @param {Array} order - Participant IDs, first = highest
+ * @returns {Array<Array>} One bucket per participant, in the decided order
+ */
+const orderByDecision = (entries, order) => {
+  const rank = new Map(order.map((id, index) => [id.toString(), index]));
+  return [...entries]
+    .sort((a, b) => rank.get(a.participant.id.toString()) - rank.get(b.participant.id.toString()))
+    .map(entry => [entry]);
+};
+
+/**
+ * Ranking Criteria (Helper)
+ * 
+ * Each criterion splits tied standings into groups, best first.
+ */
+const CRITERIA = {
+  wins: (entries) => splitByValue(entries, s => s.stats.wins),
+  headToHead: (entries, context) => {
+    const wins = getMiniLeagueWins(entries, context.completedMatches);
+    return splitByValue(entries, s => wins.get(s.participant.id.toString()));
+  },
+  buchholz: (entries) => splitByValue(entries, s => s.stats.buchholz),
+  sonnebornBerger: (entries) => splitByValue(entries, s => s.stats.sonnebornBerger),
+  pointDifference: (entries) => splitByValue(entries, s => s.stats.pointDifference),
+  pointsFor: (entries) => splitByValue(entries, s => s.stats.pointsFor),
+  gameRatio: (entries) => splitByValue(entries, s => share(s.stats.gamesWon, s.stats.gamesLost)),
+  pointRatio: (entries) => splitByValue(entries, s => share(s.stats.pointsFor, s.stats.pointsAgainst)),
+  fewestPointsAgainst: (entries) => splitByValue(entries, s => -s.stats.pointsAgainst),
+  coinFlip: (entries, context) => {
+    // Ties can still change while matches are left to play
+    if (!context.final) return [entries];
+
+    const recorded = findDecision(entries, context, 'coinFlip');
+    if (recorded) return orderByDecision(entries, recorded.order);
+
+    const seed = createDrawSeed();
+    const participantIds = entries.map(entry => entry.participant.id);
+    const order = shuffle(participantIds, createRandom(seed));
+    context.coinFlips.push({ scope: context.scope, participantIds, order, seed });
+    return orderByDecision(entries, order);
+  },
+  adminDecision: (entries, context) => {
+    const recorded = findDecision(entries, context, 'admin');
+    return recorded ? orderByDecision(entries, recorded.order) : [entries];
+  }
+};
+
+/**
+ * Rank Tied (Helper)
+ * 
+ * Applies the criteria in order until the entries are no longer tied.
+ * 
+ * @param {Array} entries - Standings tied so far
+ * @param {Array<string>} criteria - Remaining criteria
+ * @param {Object} context - Ranking context
+ * @returns {Array<Array>} Standings grouped by rank (groups of more than one are still tied)
+ */
+const rankTied = (entries, criteria, context) => {
+  if (entries.length < 2 || criteria.length === 0) {
+    return [entries];
+  }
+
+  const [criterion, ...rest] = criteria;
+  const buckets = CRITERIA[criterion](entries, context);
+
+  if (buckets.length === 1) {
+    return rankTied(entries, rest, context);
+  }
+
+  return buckets.flatMap(bucket => {
+    if (bucket.length === 1) {
+      bucket[0].tiebreaker = criterion === 'wins' ? null : criterion;
+      return [bucket];
+    }
+    // Mini-league: a smaller tie is decided head-to-head among itself first
+    return rankTied(bucket, criterion === 'headToHead' ? criteria : rest, context);
+  });
+};
+
 /**
  * Sort Standings with Tie-Breaking Rules
  * 
- * Sorts standings according to the priority rules:
- * 1. Wins (descending)
- * 2. Point Difference (descending)
- * 3. Points Scored (descending)
- * 4. Head-to-head result
- * 5. Random (fallback)
+ * Sorts standings by wins, then the tiebreakers in order (see the top of
+ * this file). Adds to every standing:
+ * - position: 1, 2, 3, ...
+ * - tiebreaker: the tiebreaker that placed it (null when wins did)
+ * - tied: true when no tiebreaker could separate it from its neighbours
+ * - tiedWith: IDs of all participants in its tie (null when not tied), for
+ *   recording an admin decision
  * 
  * @param {Array} standings - Array of standing objects
  * @param {Array} completedMatches - Array of completed match objects (for head-to-head)
+ * @param {Object} options - Optional:
+ *   - tiebreakers: Tiebreakers in order (default DEFAULT_TIEBREAKERS)
+ *   - decisions: Recorded coin flips and admin decisions (tournament.tiebreakDecisions)
+ *   - scope: OVERALL_SCOPE or the group round (e.g. "Group A")
+ *   - final: All matches are played (coin flips are only made then)
+ *   - coinFlips: Array that new coin flips are added to, for the caller to record
  * @returns {Array} Sorted standings array
  */
-export const sortStandings = (standings, completedMatches) => {
-  // First, sort by primary criteria (wins, point difference, points scored)
-  standings.sort((a, b) => {
-    // 1. Highest Wins
-    if (b.stats.wins !== a.stats.wins) {
-      return b.stats.wins - a.stats.wins;
-    }
-    
-    // 2. Highest Point Difference
-    if (b.stats.pointDifference !== a.stats.pointDifference) {
-      return b.stats.pointDifference - a.stats.pointDifference;
-    }
-    
-    // 3. Highest Points Scored
-    if (b.stats.pointsFor !== a.stats.pointsFor) {
-      return b.stats.pointsFor - a.stats.pointsFor;
-    }
-    
-    // 4. Head-to-head (if tied on all above)
-    const headToHead = getHeadToHeadResult(
-      a.participant.id,
-      b.participant.id,
-      completedMatches
-    );
-    
-    if (headToHead) {
-      if (headToHead.winner.toString() === a.participant.id.toString()) {
-        return -1; // A wins head-to-head
-      } else {
-        return 1; // B wins head-to-head
-      }
+export const sortStandings = (standings, completedMatches, {
+  tiebreakers = DEFAULT_TIEBREAKERS,
+  decisions = [],
+  scope = OVERALL_SCOPE,
+  final = false,
+  coinFlips = []
+} = {}) => {
+  const context = { completedMatches, decisions, scope, final, coinFlips };
+
+  standings.forEach(standing => {
+    standing.tiebreaker = null;
+    standing.tied = false;
+    standing.tiedWith = null;
+  });
+
+  const ranked = rankTied(standings, ['wins', ...tiebreakers], context);
+
+  ranked.forEach(bucket => {
+    if (bucket.length > 1) {
+      const tiedWith = bucket.map(standing => standing.participant.id);
+      bucket.forEach(standing => {
+        standing.tied = true;
+        standing.tiedWith = tiedWith;
+      });
     }
-    
-    // 5. Random / Admin decision (fallback - maintain current order)
-    return 0;
   });
 
   // Add position/rank to each standing
-  standings.forEach((standing, index) => {
+  const sorted = ranked.flat();
+  sorted.forEach((standing, index) => {
     standing.position = index + 1;
   });
 
-  return standings;
+  return sorted;
+};
+
+/**
+ * Apply Group Lock (Helper)
+ * 
+ * Puts standings in the locked order and marks qualifiers and reserves.
+ * Participants missing from the lock keep their order after the locked ones.
+ * 
+ * @param {Array} standings - Sorted standings of the group
+ * @param {Object|undefined} lock - Group lock (see tournament.groupLocks)
+ * @returns {Array} Standings with position, locked and qualification
+ */
+const applyGroupLock = (standings, lock) => {
+  if (!lock) {
+    standings.forEach(standing => {
+      standing.locked = false;
+      standing.qualification = null;
+    });
+    return standings;
+  }
+
+  const rank = new Map(lock.order.map((id, index) => [id.toString(), index]));
+  const rankOf = (standing) => rank.get(standing.participant.id.toString()) ?? lock.order.length;
+  const qualifiers = new Set(lock.qualifiers.map(id => id.toString()));
+  const reserves = new Set(lock.reserves.map(id => id.toString()));
+
+  const locked = [...standings].sort((a, b) => rankOf(a) - rankOf(b) || a.position - b.position);
+  locked.forEach((standing, index) => {
+    const id = standing.participant.id.toString();
+    standing.position = index + 1;
+    standing.locked = true;
+    standing.qualification = qualifiers.has(id) ? 'qualified' : reserves.has(id) ? 'reserve' : null;
+  });
+
+  return locked;
 };
 
 /**
  * Calculate Group Standings
  * 
- * Calculates standings for a specific group in a group stage tournament.
+ * Standings of every group of a group stage. Group membership comes from
+ * the group matches (round "Group A", "Group B", ...), played or not.
  * 
- * @param {Array} groupParticipants - Array of participant IDs in the group
- * @param {Array} allParticipants - Array of all participant objects
- * @param {Array} completedMatches - Array of completed match objects
- * @param {string} groupName - Name of the group (e.g., "Group A")
- * @returns {Array} Sorted standings for the group
+ * @param {Array} participants - Participant objects of the tournament
+ * @param {Array} groupMatches - All group matches (populated or with participant IDs)
+ * @param {Object} rules - From getStandingsRules, plus coinFlips (Array that new coin flips are added to)
+ * @returns {Array} [{ groupName: 'A', fullGroupName: 'Group A', complete, lock, standings }] sorted by
+ *   group; lock is { reason, decidedAt } when an admin locked the group, otherwise null
+ */
+export const calculateGroupStandings = (participants, groupMatches, { tiebreakers, decisions, groupLocks = [], coinFlips = [] } = {}) => {
+  const participantsById = new Map(participants.map(p => [p._id.toString(), p]));
+
+  // Matches by group, with participant IDs in a consistent form
+  const matchesByGroup = new Map();
+  groupMatches.forEach(match => {
+    if (!matchesByGroup.has(match.round)) {
+      matchesByGroup.set(match.round, []);
+    }
+    matchesByGroup.get(match.round).push({
+      ...match,
+      participantA: match.participantA ? { _id: idOf(match.participantA) } : null,
+      participantB: match.participantB ? { _id: idOf(match.participantB) } : null
+    });
+  });
+
+  return [...matchesByGroup.keys()].sort().map(fullGroupName => {
+    const matches = matchesByGroup.get(fullGroupName);
+    const memberIds = new Set(
+      matches.flatMap(m => [m.participantA?._id, m.participantB?._id]).filter(id => id)
+    );
+    const members = [...memberIds].map(id => participantsById.get(id)).filter(p => p);
+    const completed = matches.filter(m => m.status === 'completed' && m.participantA && m.participantB);
+    const complete = matches.every(m => m.status === 'completed');
+    const groupName = fullGroupName.replace('Group ', '');
+
+    const lock = groupLocks.find(groupLock => groupLock.group === fullGroupName);
+    const sorted = sortStandings(calculateStandings(members, completed), completed, {
+      tiebreakers,
+      decisions,
+      scope: fullGroupName,
+      final: complete,
+      coinFlips
+    });
+    const standings = applyGroupLock(sorted, lock);
+    standings.forEach(standing => { standing.group = groupName; });
+
+    return {
+      groupName,
+      fullGroupName,
+      complete,
+      lock: lock ? { reason: lock.reason, decidedAt: lock.decidedAt } : null,
+      standings
+    };
+  });
+};
+
+/**
+ * Get Group Qualifiers
+ * 
+ * Participants of a group that advance to the knockout:
+ * - locked with qualifiers: the qualifiers, then reserves for open places,
+ *   never more than count
+ * - otherwise: the top places
+ * 
+ * A group that is not locked is undecided when a tie the tiebreakers could
+ * not break crosses the last qualifying place.
+ * 
+ * @param {Object} group - Group from calculateGroupStandings
+ * @param {number} count - Places for the group
+ * @returns {Object} { qualified: Array of standings, undecided: boolean }
  */
-export const calculateGroupStandings = (groupParticipants, allParticipants, completedMatches, groupName) => {
-  // Filter participants in this group
-  const groupParticipantObjects = allParticipants.filter(p =>
-    groupParticipants.some(gp => gp.toString() === p._id.toString())
+export const getGroupQualifiers = (group, count) => {
+  const { standings } = group;
+
+  if (group.lock) {
+    const qualifiers = standings.filter(standing => standing.qualification === 'qualified');
+    if (qualifiers.length === 0) {
+      return { qualified: standings.slice(0, count), undecided: false };
+    }
+    const reserves = standings.filter(standing => standing.qualification === 'reserve');
+    return {
+      qualified: [...qualifiers, ...reserves].slice(0, count),
+      undecided: false
+    };
+  }
+
+  const last = standings[count - 1];
+  const next = standings[count];
+  const undecided = Boolean(
+    last?.tied && next?.tied &&
+    last.tiedWith.some(id => id.toString() === next.participant.id.toString())
   );
 
-  // Filter matches for this group
-  const groupMatches = completedMatches.filter(match => {
-    const matchRound = match.round || '';
-    return matchRound.includes(groupName);
+  return { qualified: standings.slice(0, count), undecided };
+};
+
+/**
+ * Record Coin Flips
+ * 
+ * Saves coin flips made while sorting standings, so they never change.
+ * A flip for the same tie that was recorded in the meantime (e.g. by a
+ * request at the same time) is kept, so callers sort again with the
+ * returned decisions.
+ * 
+ * @param {string} tournamentId - Tournament ID
+ * @param {Array} coinFlips - New coin flips from sortStandings
+ * @returns {Promise<Array>} The tournament's stored tiebreak decisions
+ */
+export const recordCoinFlips = async (tournamentId, coinFlips) => {
+  for (const flip of coinFlips) {
+    await Tournament.updateOne(
+      {
+        _id: tournamentId,
+        tiebreakDecisions: {
+          $not: { $elemMatch: { method: 'coinFlip', scope: flip.scope, key: tieKey(flip.participantIds) } }
+        }
+      },
+      {
+        $push: {
+          tiebreakDecisions: {
+            scope: flip.scope,
+            key: tieKey(flip.participantIds),
+            participantIds: flip.participantIds,
+            order: flip.order,
+            method: 'coinFlip',
+            seed: flip.seed,
+            decidedAt: new Date()
+          }
+        }
+      }
+    );
+  }
+
+  const stored = await Tournament.findById(tournamentId).select('tiebreakDecisions').lean();
+  return stored?.tiebreakDecisions || [];
+};
+
+/**
+ * Calculate Placings
+ * 
+ * Final places of a knockout: the winner of a completed match with a
+ * winnerPlace, and the loser of one with a loserPlace, finish in that place
+ * (see addPlacementMatches in fixture.service.js). Losers of a round without
+ * placement matches share its place.
+ * 
+ * @param {Array} standings - Standings (see calculateStandings), for the participants
+ * @param {Array} completedMatches - Completed matches
+ * @returns {Array} [{ place, participant, shared }], best place first
+ */
+export const calculatePlacings = (standings, completedMatches) => {
+  const participants = new Map(standings.map(standing => [standing.participant.id.toString(), standing.participant]));
+  const placings = [];
+
+  completedMatches.forEach(match => {
+    if ((match.winnerPlace === null || match.winnerPlace === undefined) &&
+        (match.loserPlace === null || match.loserPlace === undefined)) {
+      return;
+    }
+    if (!match.participantA || !match.participantB) {
+      return;
+    }
+
+    const { winner } = summarizeMatch(match);
+    if (!winner) {
+      return;
+    }
+    const [won, lost] = winner === 'A'
+      ? [match.participantA, match.participantB]
+      : [match.participantB, match.participantA];
+
+    if (match.winnerPlace) {
+      placings.push({ place: match.winnerPlace, participantId: idOf(won) });
+    }
+    if (match.loserPlace) {
+      placings.push({ place: match.loserPlace, participantId: idOf(lost) });
+    }
+  });
+
+  return placings
+    .filter(placing => participants.has(placing.participantId))
+    .sort((a, b) => a.place - b.place)
+    .map(placing => ({
+      place: placing.place,
+      participant: participants.get(placing.participantId),
+      shared: placings.filter(other => other.place === placing.place).length > 1
+    }));
+};
+
+/**
+ * Load Standings
+ * 
+ * Overall standings of a tournament from its completed matches.
+ * 
+ * @param {Object} tournament - Tournament (with _id, rules and tiebreakDecisions)
+ * @param {Object} options - { withRatings: add participants' team rating (default true) }
+ * @returns {Promise<Object>} { standings, placings (see calculatePlacings), participants, completedMatches }
+ */
+export const loadStandings = async (tournament, { withRatings = true } = {}) => {
+  const tournamentId = tournament._id;
+
+  let participants = await Participant.find({ tournamentId })
+    .sort({ name: 1 })
+    .lean();
+  if (withRatings) {
+    participants = await withParticipantRatings(participants);
+  }
+
+  const [completedMatches, remainingMatches] = await Promise.all([
+    Match.find({ tournamentId, status: 'completed' })
+      .populate('participantA', 'name players playerIds')
+      .populate('participantB', 'name players playerIds')
+      .lean(),
+    Match.countDocuments({ tournamentId, status: { $in: ['upcoming', 'live'] } })
+  ]);
+  const played = completedMatches.filter(m => m.participantA && (m.participantB || m.bye));
+
+  const rankStandings = (decisions, coinFlips = []) => sortStandings(calculateStandings(participants, played), played, {
+    ...getStandingsRules(tournament),
+    decisions,
+    scope: OVERALL_SCOPE,
+    final: played.length > 0 && remainingMatches === 0,
+    coinFlips
   });
 
-  // Calculate standings
-  const standings = calculateStandings(groupParticipantObjects, groupMatches);
-  
-  // Sort with tie-breaking
-  return sortStandings(standings, groupMatches);
+  const coinFlips = [];
+  let standings = rankStandings(getStandingsRules(tournament).decisions, coinFlips);
+  if (coinFlips.length > 0) {
+    // Another request may have stored a different flip for the same tie first
+    standings = rankStandings(await recordCoinFlips(tournamentId, coinFlips));
+  }
+
+  return { standings, placings: calculatePlacings(standings, played), participants, completedMatches };
 };
 
+/**
+ * Load Group Standings
+ * 
+ * Standings of every group of a tournament's group stage.
+ * 
+ * @param {Object} tournament - Tournament (with _id, rules and tiebreakDecisions)
+ * @param {Object} options - { withRatings: add participants' team rating (default true) }
+ * @returns {Promise<Object>} { groupStandings (see calculateGroupStandings), participants }
+ */
+export const loadGroupStandings = async (tournament, { withRatings = true } = {}) => {
+  const tournamentId = tournament._id;
+
+  let participants = await Participant.find({ tournamentId })
+    .sort({ name: 1 })
+    .lean();
+  if (withRatings) {
+    participants = await withParticipantRatings(participants);
+  }
+
+  const groupMatches = await Match.find({
+    tournamentId,
+    round: { $regex: /^Group / }
+  }).lean();
+
+  const coinFlips = [];
+  let groupStandings = calculateGroupStandings(participants, groupMatches, {
+    ...getStandingsRules(tournament),
+    coinFlips
+  });
+  if (coinFlips.length > 0) {
+    // Another request may have stored a different flip for the same tie first
+    groupStandings = calculateGroupStandings(participants, groupMatches, {
+      ...getStandingsRules(tournament),
+      decisions: await recordCoinFlips(tournamentId, coinFlips)
+    });
+  }
+
+  return { groupStandings, participants };
+};
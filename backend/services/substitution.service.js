@@ -0,0 +1,77 @@
+/**
+ * Substitution Service
+ *
+ * The players of a participant can be changed mid-event (e.g. a doubles
+ * partner is injured). The participant stays the same, so its matches,
+ * standings and bracket place are kept. The change is recorded in
+ * participant.substitutions together with the completed matches, which
+ * stay with the players who played them:
+ * - player profiles list those matches for the previous players
+ * - ratings of those matches (e.g. re-rated after an amendment) go to the
+ *   previous players
+ */
+
+import Match from '../models/match.model.js';
+
+/**
+ * Get Match Lineup
+ *
+ * The players a participant played a match with: the players before the
+ * first substitution made after the match, or the current players.
+ *
+ * @param {Object} participant - Participant with players, playerIds and substitutions
+ * @param {string} matchId - Match ID
+ * @returns {Object} { players, playerIds }
+ */
+export const getMatchLineup = (participant, matchId) => {
+  const id = matchId?.toString();
+  const substitution = (participant?.substitutions || []).find(entry =>
+    (entry.matchIds || []).some(playedId => playedId.toString() === id)
+  );
+
+  if (substitution) {
+    return { players: substitution.previousPlayers, playerIds: substitution.previousPlayerIds };
+  }
+  return { players: participant?.players || [], playerIds: participant?.playerIds || [] };
+};
+
+/**
+ * Record Substitution
+ *
+ * Replaces the players of a participant and records the change with the
+ * matches played so far. Does not save the participant.
+ *
+ * @param {Object} participant - Participant document
+ * @param {Object} lineup - { players, playerIds } from now on
+ * @param {Object} options - { reason, adminId }
+ * @returns {Promise<Object>} The recorded substitution
+ */
+export const recordSubstitution = async (participant, { players, playerIds }, { reason = null, adminId = null } = {}) => {
+  const playedMatches = await Match.find({
+    tournamentId: participant.tournamentId,
+    status: 'completed',
+    $or: [
+      { participantA: participant._id },
+      { participantB: participant._id },
+      { partnerA: participant._id },
+      { partnerB: participant._id }
+    ]
+  })
+    .select('_id')
+    .lean();
+
+  participant.substitutions.push({
+    previousPlayers: [...participant.players],
+    previousPlayerIds: [...participant.playerIds],
+    players,
+    playerIds,
+    matchIds: playedMatches.map(match => match._id),
+    reason: reason?.trim() || null,
+    substitutedBy: adminId,
+    at: new Date()
+  });
+  participant.players = players;
+  participant.playerIds = playerIds;
+
+  return participant.substitutions[participant.substitutions.length - 1];
+};
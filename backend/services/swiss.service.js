@@ -0,0 +1,144 @@
+/**
+ * Swiss Service
+ *
+ * Pairs the rounds of a Swiss tournament from the current standings, one
+ * round at a time (the first round is a random draw, see createCustomRound):
+ * - Players on the same number of wins (a score group) play each other,
+ *   top half against bottom half (1st v 5th, 2nd v 6th, ... in a group of 8)
+ * - A player who cannot be paired in their score group plays the next one down
+ * - Nobody meets the same opponent twice while any other pairing is possible
+ * - With an odd number, the lowest-placed player who has not had a bye sits
+ *   the round out and is given the win (see calculateStandings)
+ *
+ * Pairing is deterministic: the same standings and history give the same round.
+ */
+
+// Search steps before giving up on a pairing without rematches
+const MAX_SEARCH_STEPS = 20000;
+
+/**
+ * Get Swiss History
+ *
+ * @param {Array} matches - Matches of the earlier rounds (participant IDs or populated)
+ * @returns {Object} { opponents: Map participantId -> Set of opponent IDs, byes: Set of participant IDs }
+ */
+export const getSwissHistory = (matches) => {
+  const idOf = (side) => (side?._id || side)?.toString();
+  const opponents = new Map();
+  const byes = new Set();
+
+  const meet = (id, opponentId) => {
+    if (!opponents.has(id)) opponents.set(id, new Set());
+    opponents.get(id).add(opponentId);
+  };
+
+  matches.forEach(match => {
+    const idA = idOf(match.participantA);
+    const idB = idOf(match.participantB);
+    if (match.bye && idA) {
+      byes.add(idA);
+    } else if (idA && idB) {
+      meet(idA, idB);
+      meet(idB, idA);
+    }
+  });
+
+  return { opponents, byes };
+};
+
+/**
+ * Order Candidates (Helper)
+ *
+ * Opponents for the top remaining player, best first: their own score
+ * group from the middle down, then the middle up, then lower score groups
+ * in standings order.
+ *
+ * @param {Object} player - { id, wins }, first of remaining
+ * @param {Array} others - The other remaining players in standings order
+ * @returns {Array} Others in order of preference
+ */
+const orderCandidates = (player, others) => {
+  const sameScore = others.filter(other => other.wins === player.wins);
+  const lower = others.filter(other => other.wins !== player.wins);
+  // Index of the player's "half a group down" opponent among the others
+  const half = Math.floor((sameScore.length + 1) / 2) - 1;
+
+  return [
+    ...sameScore.slice(Math.max(half, 0)),
+    ...sameScore.slice(0, Math.max(half, 0)).reverse(),
+    ...lower
+  ];
+};
+
+/**
+ * Pair Players (Helper)
+ *
+ * Depth-first search over the candidates of the top remaining player.
+ *
+ * @param {Array} players - Remaining players in standings order
+ * @param {Object} history - From getSwissHistory
+ * @param {Object} search - { allowRematches, steps }
+ * @returns {Array|null} [[playerA, playerB], ...] or null when no pairing is found
+ */
+const pairPlayers = (players, history, search) => {
+  if (players.length === 0) return [];
+  if (++search.steps > MAX_SEARCH_STEPS && !search.allowRematches) return null;
+
+  const [player, ...others] = players;
+  const met = history.opponents.get(player.id) || new Set();
+  let candidates = orderCandidates(player, others);
+
+  if (search.allowRematches) {
+    // Rematches only when nothing else is left, so the first path always works
+    candidates = [...candidates.filter(c => !met.has(c.id)), ...candidates.filter(c => met.has(c.id))];
+  } else {
+    candidates = candidates.filter(c => !met.has(c.id));
+  }
+
+  for (const candidate of candidates) {
+    const rest = pairPlayers(others.filter(other => other !== candidate), history, search);
+    if (rest) {
+      return [[player, candidate], ...rest];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pair Swiss Round
+ *
+ * @param {Array} ranked - [{ id, wins }] in standings order (best first)
+ * @param {Object} history - From getSwissHistory
+ * @returns {Object} { pairs: [{ participantA, participantB }], bye: participant ID or null, rematches }
+ */
+export const pairSwissRound = (ranked, history) => {
+  const players = ranked.map(player => ({ id: player.id.toString(), wins: player.wins }));
+
+  // Odd number: try bye candidates from the bottom, those without a bye first
+  let byeCandidates = [null];
+  if (players.length % 2 !== 0) {
+    const fromBottom = [...players].reverse();
+    byeCandidates = [
+      ...fromBottom.filter(player => !history.byes.has(player.id)),
+      ...fromBottom.filter(player => history.byes.has(player.id))
+    ];
+  }
+
+  const attempt = (allowRematches) => {
+    for (const bye of byeCandidates) {
+      const search = { allowRematches, steps: 0 };
+      const pairs = pairPlayers(players.filter(player => player !== bye), history, search);
+      if (pairs) return { pairs, bye };
+    }
+    return null;
+  };
+
+  const { pairs, bye } = attempt(false) || attempt(true);
+
+  return {
+    pairs: pairs.map(([playerA, playerB]) => ({ participantA: playerA.id, participantB: playerB.id })),
+    bye: bye ? bye.id : null,
+    rematches: pairs.filter(([playerA, playerB]) => history.opponents.get(playerA.id)?.has(playerB.id)).length
+  };
+};
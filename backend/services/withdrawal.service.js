@@ -0,0 +1,66 @@
+/**
+ * Withdrawal Service
+ *
+ * Takes a participant out of a tournament that has started:
+ * - withdrawn: their remaining matches are walkovers for their opponents
+ *   (a match they are playing when they withdraw is a retirement at the
+ *   current score)
+ * - disqualified: their remaining matches are disqualifications
+ *
+ * Matches already played keep their results. Matches whose opponent is not
+ * known yet (later bracket rounds) are decided by forfeit once the opponent
+ * is placed (see resolveForfeits in progression.service.js). Withdrawn and
+ * disqualified participants are not paired in new Swiss rounds.
+ */
+
+import Match from '../models/match.model.js';
+import { resolveForfeits } from './progression.service.js';
+
+/**
+ * Withdraw Participant
+ *
+ * @param {Object} participant - Participant document
+ * @param {Object} tournament - Tournament document
+ * @param {Object} options - { disqualify: boolean, reason: string }
+ * @returns {Promise<Object>} { participant, progression, waitingMatches }:
+ *   - progression: updatedRounds, updatedMatches, forfeitedMatches (decided
+ *     by forfeit, including follow-on matches), tournamentComplete
+ *   - waitingMatches: their matches still waiting for an opponent
+ */
+export const withdrawParticipant = async (participant, tournament, { disqualify = false, reason = null } = {}) => {
+  participant.status = disqualify ? 'disqualified' : 'withdrawn';
+  participant.withdrawal = { reason: reason?.trim() || null, at: new Date() };
+  await participant.save();
+
+  const participantMatches = {
+    tournamentId: tournament._id,
+    status: { $in: ['upcoming', 'live'] },
+    $or: [
+      { participantA: participant._id },
+      { participantB: participant._id },
+      { partnerA: participant._id },
+      { partnerB: participant._id }
+    ]
+  };
+
+  const progression = {
+    updatedRounds: [],
+    updatedMatches: [],
+    forfeitedMatches: [],
+    tournamentComplete: false
+  };
+
+  const remainingMatches = await Match.find(participantMatches).sort({ order: 1 }).select('_id').lean();
+  for (const match of remainingMatches) {
+    // Earlier forfeits may already have decided this one (resolveForfeits skips it)
+    await resolveForfeits(match._id, tournament, progression);
+  }
+
+  progression.updatedRounds = [...new Set(progression.updatedRounds)];
+
+  return {
+    participant,
+    progression,
+    waitingMatches: await Match.countDocuments(participantMatches)
+  };
+};
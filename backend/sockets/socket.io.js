@@ -9,6 +9,10 @@
  * - match_started: Match status changed to live
  * - score_updated: Match score was updated
  * - match_completed: Match was completed
+ * - match_updated: Match was created, edited or cancelled
+ * - match_deleted: Match was deleted
+ * - standings_updated: Standings changed after a result
+ * - point_event: A point log entry was recorded in a match
  */
 
 import { Server } from 'socket.io';
@@ -7,6 +7,9 @@ import TournamentView from './pages/TournamentView'
 import MatchList from './pages/MatchList'
 import BracketView from './pages/BracketView'
 import StandingsView from './pages/StandingsView'
+import PlayerProfile from './pages/PlayerProfile'
+import RegistrationPage from './pages/RegistrationPage'
+import RegistrationWithdraw from './pages/RegistrationWithdraw'
 import AdminLogin from './pages/admin/AdminLogin'
 import AdminDashboard from './pages/admin/AdminDashboard'
 import CustomTournamentCreator from './pages/admin/CustomTournamentCreator'
@@ -33,6 +36,9 @@ function App() {
           <Route path="/tournament/:id/matches" element={<Layout><MatchList /></Layout>} />
           <Route path="/tournament/:id/bracket" element={<Layout><BracketView /></Layout>} />
           <Route path="/tournament/:id/standings" element={<Layout><StandingsView /></Layout>} />
+          <Route path="/tournament/:id/register" element={<Layout><RegistrationPage /></Layout>} />
+          <Route path="/registration/:registrationId/withdraw" element={<Layout><RegistrationWithdraw /></Layout>} />
+          <Route path="/player/:id" element={<Layout><PlayerProfile /></Layout>} />
           
           {/* Admin Routes */}
           <Route path="/admin/login" element={<AdminLogin />} />
@@ -0,0 +1,204 @@
+import { useEffect, useState } from 'react'
+import { adminAPI } from '../services/api'
+import { getMatchParticipantName } from '../utils/participantDisplay'
+import { resolveBestOf, getMatchGames, summarizeMatch } from '../utils/matchScore'
+
+/**
+ * Correct the result of a completed match
+ * Later matches that have already started block the amendment until the
+ * admin confirms it again with force
+ */
+const AmendResultModal = ({ match, tournament, onClose, onAmended }) => {
+  const bestOf = resolveBestOf(match, tournament)
+  const [games, setGames] = useState(() => getMatchGames(match))
+  const [reason, setReason] = useState('')
+  const [blockedMatches, setBlockedMatches] = useState(null)
+  const [amendments, setAmendments] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const nameA = getMatchParticipantName(match.participantA, match) || 'Team A'
+  const nameB = getMatchParticipantName(match.participantB, match) || 'Team B'
+
+  useEffect(() => {
+    adminAPI.getMatchAmendments(match._id)
+      .then(response => setAmendments(response.data.data || []))
+      .catch(err => console.error(err))
+  }, [match._id])
+
+  const handleGameChange = (index, side, value) => {
+    const score = parseInt(value) || 0
+    if (score < 0) return
+    setGames(prev => prev.map((game, i) => i === index ? { ...game, [side]: score } : game))
+    setBlockedMatches(null)
+  }
+
+  const addGame = () => setGames(prev => [...prev, { a: 0, b: 0 }])
+  const removeGame = () => setGames(prev => prev.slice(0, -1))
+
+  const handleSubmit = async (e, force = false) => {
+    e?.preventDefault()
+    if (!reason.trim()) {
+      setError('Please give a reason for the amendment')
+      return
+    }
+
+    try {
+      setSubmitting(true)
+      setError('')
+      const response = await adminAPI.amendMatchResult(match._id, { games, reason: reason.trim(), force })
+      onAmended(response.data.data)
+    } catch (err) {
+      if (err.response?.status === 409) {
+        setBlockedMatches(err.response.data.data?.blockedMatches || [])
+      } else {
+        setError(err.response?.data?.message || 'Failed to amend result')
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const newWinner = summarizeMatch({ games }).winner
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 sm:p-6">
+          <h2 className="text-xl font-bold text-navy-blue mb-1">Amend Result</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {match.round}: {nameA} vs {nameB}
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <div className="grid grid-cols-[3rem_1fr_1fr] gap-2 text-xs font-medium text-navy-blue">
+                <span></span>
+                <span className="truncate">{nameA}</span>
+                <span className="truncate">{nameB}</span>
+              </div>
+              {games.map((game, index) => (
+                <div key={index} className="grid grid-cols-[3rem_1fr_1fr] gap-2 items-center">
+                  <span className="text-xs font-semibold text-gray-500">G{index + 1}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={game.a}
+                    onChange={(e) => handleGameChange(index, 'a', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={game.b}
+                    onChange={(e) => handleGameChange(index, 'b', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                  />
+                </div>
+              ))}
+              {bestOf > 1 && (
+                <div className="flex gap-2">
+                  {games.length < bestOf && (
+                    <button type="button" onClick={addGame} className="text-xs text-forest-green font-semibold">
+                      + Add game
+                    </button>
+                  )}
+                  {games.length > 1 && (
+                    <button type="button" onClick={removeGame} className="text-xs text-red-600 font-semibold">
+                      − Remove last game
+                    </button>
+                  )}
+                </div>
+              )}
+              {newWinner && (
+                <p className="text-xs text-gray-600">
+                  Winner: {newWinner === 'A' ? nameA : nameB}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-navy-blue mb-1">
+                Reason <span className="text-red-500">*</span>
+              </label>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                maxLength={500}
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                placeholder="e.g., Scores were entered for the wrong teams"
+              />
+            </div>
+
+            {error && (
+              <p className="text-sm text-red-600">{error}</p>
+            )}
+
+            {blockedMatches && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800 space-y-2">
+                <p className="font-semibold">Later matches have already started:</p>
+                <ul className="list-disc list-inside text-xs">
+                  {blockedMatches.map(blocked => (
+                    <li key={`${blocked.matchId}-${blocked.slot}`}>
+                      {blocked.round} ({blocked.status})
+                    </li>
+                  ))}
+                </ul>
+                <p className="text-xs">
+                  Amending anyway replaces the participant in these matches and keeps their scores.
+                </p>
+                <button
+                  type="button"
+                  disabled={submitting}
+                  onClick={() => handleSubmit(null, true)}
+                  className="w-full px-3 py-2 bg-yellow-500 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+                >
+                  Amend anyway
+                </button>
+              </div>
+            )}
+
+            <div className="flex gap-3 pt-2">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex-1 btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Saving...' : 'Amend Result'}
+              </button>
+              <button type="button" onClick={onClose} className="flex-1 btn-secondary text-sm">
+                Cancel
+              </button>
+            </div>
+          </form>
+
+          {amendments.length > 0 && (
+            <div className="mt-6 border-t border-gray-100 pt-4">
+              <h3 className="text-xs font-semibold text-gray-500 uppercase mb-2">Previous Amendments</h3>
+              <ul className="space-y-2">
+                {amendments.map(amendment => (
+                  <li key={amendment._id} className="text-xs bg-gray-50 rounded-lg p-2">
+                    <div className="font-semibold text-navy-blue">
+                      {amendment.previousGames.map(game => `${game.a}-${game.b}`).join(', ')}
+                      {' → '}
+                      {amendment.games.map(game => `${game.a}-${game.b}`).join(', ')}
+                      {amendment.forced && <span className="ml-2 text-yellow-700">(forced)</span>}
+                    </div>
+                    <div className="text-gray-600">{amendment.reason}</div>
+                    <div className="text-gray-400">{new Date(amendment.createdAt).toLocaleString()}</div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AmendResultModal
@@ -0,0 +1,349 @@
+import { useEffect, useState } from 'react'
+import { adminAPI } from '../services/api'
+import { getMatchParticipantName } from '../utils/participantDisplay'
+import { formatSlotTime, toDateTimeInputValue, getCourtLabel } from '../utils/schedule'
+
+const EMPTY_COURT = { number: '', name: '', availableFrom: '', availableUntil: '' }
+
+/**
+ * Court schedule for admins: courts and time slot settings, automatic
+ * court assignment, and the "next up" queue for every court.
+ * A main tournament and its divisions share one schedule.
+ */
+const CourtSchedulePanel = ({ tournamentId, onScheduled }) => {
+  const [settings, setSettings] = useState({ courts: [], startTime: '', slotMinutes: 20, restMinutes: 0 })
+  const [courtQueues, setCourtQueues] = useState([])
+  const [unassigned, setUnassigned] = useState([])
+  const [unscheduled, setUnscheduled] = useState([])
+  const [events, setEvents] = useState({ main: null, divisions: [] }) // Events sharing the schedule
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchSchedule()
+  }, [tournamentId])
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await adminAPI.getSchedule(tournamentId)
+      const data = response.data.data
+      setSettings({
+        courts: data.settings.courts.map(court => ({
+          number: court.number,
+          name: court.name || '',
+          availableFrom: toDateTimeInputValue(court.availableFrom),
+          availableUntil: toDateTimeInputValue(court.availableUntil)
+        })),
+        startTime: toDateTimeInputValue(data.settings.startTime),
+        slotMinutes: data.settings.slotMinutes,
+        restMinutes: data.settings.restMinutes
+      })
+      setCourtQueues(data.courts)
+      setUnassigned(data.unassigned)
+      setEvents({ main: data.tournament, divisions: data.divisions || [] })
+      setError('')
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load schedule')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const showMessage = (text) => {
+    setMessage(text)
+    setTimeout(() => setMessage(''), 4000)
+  }
+
+  const updateCourt = (index, field, value) => {
+    setSettings(prev => ({
+      ...prev,
+      courts: prev.courts.map((court, i) => i === index ? { ...court, [field]: value } : court)
+    }))
+  }
+
+  const addCourt = () => {
+    const nextNumber = Math.max(0, ...settings.courts.map(court => Number(court.number) || 0)) + 1
+    setSettings(prev => ({ ...prev, courts: [...prev.courts, { ...EMPTY_COURT, number: nextNumber }] }))
+  }
+
+  const removeCourt = (index) => {
+    setSettings(prev => ({ ...prev, courts: prev.courts.filter((_, i) => i !== index) }))
+  }
+
+  const toISO = (value) => value ? new Date(value).toISOString() : null
+
+  const saveSettings = async () => {
+    await adminAPI.updateScheduleSettings(tournamentId, {
+      courts: settings.courts.map(court => ({
+        number: Number(court.number),
+        name: court.name,
+        availableFrom: toISO(court.availableFrom),
+        availableUntil: toISO(court.availableUntil)
+      })),
+      startTime: toISO(settings.startTime),
+      slotMinutes: Number(settings.slotMinutes),
+      restMinutes: Number(settings.restMinutes)
+    })
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      await saveSettings()
+      showMessage('Schedule settings saved')
+      fetchSchedule()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save schedule settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleGenerate = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      await saveSettings()
+      const response = await adminAPI.generateSchedule(tournamentId)
+      setUnscheduled(response.data.data.unscheduled || [])
+      showMessage(response.data.message)
+      fetchSchedule()
+      onScheduled?.()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to schedule matches')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm('Remove courts and start times from all upcoming matches?')) return
+
+    try {
+      setSaving(true)
+      setError('')
+      await adminAPI.clearSchedule(tournamentId)
+      setUnscheduled([])
+      showMessage('Schedule cleared')
+      fetchSchedule()
+      onScheduled?.()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to clear schedule')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Matches of other divisions on the shared courts are labelled with their division
+  const eventNames = Object.fromEntries([
+    ...(events.main ? [[events.main.id, events.main.name]] : []),
+    ...events.divisions.map(division => [division._id, division.name])
+  ])
+  const describeMatch = (match) => {
+    const description = `${match.round}: ${getMatchParticipantName(match.participantA, match)} vs ${getMatchParticipantName(match.participantB, match)}`
+    return events.divisions.length > 0 && eventNames[match.tournamentId]
+      ? `[${eventNames[match.tournamentId]}] ${description}`
+      : description
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 mb-3 text-center">
+        <div className="w-8 h-8 border-4 border-lime-green border-t-transparent rounded-full animate-spin mx-auto"></div>
+      </div>
+    )
+  }
+
+  const inputClass = 'w-full px-2 py-1.5 border border-gray-300 rounded text-xs sm:text-sm'
+
+  return (
+    <div className="bg-white rounded-lg shadow p-3 sm:p-4 mb-3 space-y-4">
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-3 py-2 rounded text-xs sm:text-sm">
+          {message}
+        </div>
+      )}
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded text-xs sm:text-sm">
+          {error}
+        </div>
+      )}
+
+      {events.divisions.length > 0 && (
+        <p className="text-xs text-gray-600">
+          Courts and times are shared by {events.main?.name} and its divisions: {events.divisions.map(division => division.name).join(', ')}
+        </p>
+      )}
+
+      {/* Time Slots */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <div>
+          <label className="block text-xs font-medium text-navy-blue mb-1">Start time</label>
+          <input
+            type="datetime-local"
+            value={settings.startTime}
+            onChange={(e) => setSettings({ ...settings, startTime: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-navy-blue mb-1">Slot length (minutes)</label>
+          <input
+            type="number"
+            min="5"
+            max="240"
+            value={settings.slotMinutes}
+            onChange={(e) => setSettings({ ...settings, slotMinutes: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-navy-blue mb-1">Rest between matches (minutes)</label>
+          <input
+            type="number"
+            min="0"
+            value={settings.restMinutes}
+            onChange={(e) => setSettings({ ...settings, restMinutes: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {/* Courts */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-navy-blue">Courts</h3>
+          <button onClick={addCourt} className="text-xs font-semibold text-forest-green">
+            + Add court
+          </button>
+        </div>
+        {settings.courts.length === 0 ? (
+          <p className="text-xs text-gray-500">No courts yet. Add the courts matches can be played on.</p>
+        ) : (
+          <div className="space-y-2">
+            {settings.courts.map((court, index) => (
+              <div key={index} className="grid grid-cols-[4rem_1fr_auto] sm:grid-cols-[4rem_1fr_1fr_1fr_auto] gap-2 items-end">
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">No.</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={court.number}
+                    onChange={(e) => updateCourt(index, 'number', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">Name</label>
+                  <input
+                    type="text"
+                    value={court.name}
+                    onChange={(e) => updateCourt(index, 'name', e.target.value)}
+                    className={inputClass}
+                    placeholder="Optional"
+                  />
+                </div>
+                <div className="hidden sm:block">
+                  <label className="block text-xs text-gray-500 mb-1">Open from</label>
+                  <input
+                    type="datetime-local"
+                    value={court.availableFrom}
+                    onChange={(e) => updateCourt(index, 'availableFrom', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="hidden sm:block">
+                  <label className="block text-xs text-gray-500 mb-1">Open until</label>
+                  <input
+                    type="datetime-local"
+                    value={court.availableUntil}
+                    onChange={(e) => updateCourt(index, 'availableUntil', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <button
+                  onClick={() => removeCourt(index)}
+                  className="px-2 py-1.5 text-xs text-red-600 hover:bg-red-50 rounded"
+                  title="Remove court"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <button onClick={handleSave} disabled={saving} className="flex-1 btn-secondary text-xs sm:text-sm py-2 disabled:opacity-50">
+          Save Settings
+        </button>
+        <button onClick={handleGenerate} disabled={saving} className="flex-1 btn-primary text-xs sm:text-sm py-2 disabled:opacity-50">
+          {saving ? 'Working...' : '🗓️ Schedule Upcoming Matches'}
+        </button>
+        <button onClick={handleClear} disabled={saving} className="sm:w-auto px-3 py-2 text-xs sm:text-sm text-red-600 hover:bg-red-50 rounded disabled:opacity-50">
+          Clear
+        </button>
+      </div>
+
+      {unscheduled.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-xs text-yellow-800">
+          <p className="font-semibold mb-1">{unscheduled.length} match{unscheduled.length === 1 ? '' : 'es'} could not be scheduled:</p>
+          <ul className="list-disc list-inside">
+            {unscheduled.map(entry => (
+              <li key={entry.matchId}>{entry.round}: {entry.reason}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Court Queues */}
+      {courtQueues.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-navy-blue mb-2">Court Queues</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+            {courtQueues.map(court => (
+              <div key={court.number} className="border border-gray-200 rounded-lg p-3">
+                <div className="font-semibold text-navy-blue text-sm mb-2">{getCourtLabel(court)}</div>
+                {court.current && (
+                  <div className="text-xs mb-2">
+                    <span className="inline-block px-2 py-0.5 rounded-full bg-pink text-white font-semibold mr-1">LIVE</span>
+                    {describeMatch(court.current)}
+                  </div>
+                )}
+                {court.nextUp ? (
+                  <div className="text-xs mb-2">
+                    <span className="inline-block px-2 py-0.5 rounded-full bg-lime-green text-navy-blue font-semibold mr-1">NEXT UP</span>
+                    {formatSlotTime(court.nextUp.scheduledTime)} {describeMatch(court.nextUp)}
+                  </div>
+                ) : (
+                  <p className="text-xs text-gray-500">No upcoming matches</p>
+                )}
+                {court.queue.length > 1 && (
+                  <ul className="text-xs text-gray-600 space-y-1 border-t border-gray-100 pt-2">
+                    {court.queue.slice(1).map(match => (
+                      <li key={match._id}>
+                        <span className="font-semibold">{formatSlotTime(match.scheduledTime)}</span> {describeMatch(match)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {unassigned.length > 0 && (
+        <p className="text-xs text-gray-500">
+          {unassigned.length} upcoming match{unassigned.length === 1 ? ' has' : 'es have'} no court yet.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default CourtSchedulePanel
@@ -0,0 +1,198 @@
+import { useState } from 'react'
+import { adminAPI } from '../services/api'
+import { getMatchParticipantName } from '../utils/participantDisplay'
+import { resolveBestOf, getMatchGames, FORFEIT_OUTCOMES } from '../utils/matchScore'
+
+/**
+ * Decide a match that was not played out: walkover, retirement (with the
+ * score at retirement), disqualification or double forfeit
+ */
+const MatchOutcomeModal = ({ match, tournament, onClose, onSaved }) => {
+  const bestOf = resolveBestOf(match, tournament)
+  const [outcome, setOutcome] = useState(match.status === 'live' ? 'retired' : 'walkover')
+  const [forfeitedBy, setForfeitedBy] = useState('A')
+  const [games, setGames] = useState(() => {
+    const current = getMatchGames(match)
+    return current.length > 0 ? current : [{ a: 0, b: 0 }]
+  })
+  const [reason, setReason] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const nameA = getMatchParticipantName(match.participantA, match) || 'Team A'
+  const nameB = getMatchParticipantName(match.participantB, match) || 'Team B'
+
+  const handleGameChange = (index, side, value) => {
+    const score = parseInt(value) || 0
+    if (score < 0) return
+    setGames(prev => prev.map((game, i) => i === index ? { ...game, [side]: score } : game))
+  }
+
+  const addGame = () => setGames(prev => [...prev, { a: 0, b: 0 }])
+  const removeGame = () => setGames(prev => prev.slice(0, -1))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSubmitting(true)
+      setError('')
+      const data = { outcome, reason: reason.trim() || null }
+      if (outcome !== 'doubleForfeit') data.forfeitedBy = forfeitedBy
+      if (outcome === 'retired') data.games = games
+      const response = await adminAPI.setMatchOutcome(match._id, data)
+      onSaved(response.data)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to record outcome')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const forfeitVerb = {
+    walkover: 'Did not play',
+    retired: 'Retired',
+    disqualified: 'Disqualified'
+  }[outcome]
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 sm:p-6">
+          <h2 className="text-xl font-bold text-navy-blue mb-1">Record Outcome</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {match.round}: {nameA} vs {nameB}
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-2">
+              {FORFEIT_OUTCOMES.map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setOutcome(option.value)}
+                  className={`px-3 py-2 rounded-lg text-sm font-semibold border-2 ${
+                    outcome === option.value
+                      ? 'border-forest-green bg-forest-green text-white'
+                      : 'border-gray-300 text-navy-blue hover:border-forest-green'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {outcome === 'doubleForfeit' ? (
+              <p className="text-xs text-gray-600">
+                Neither side played. Both lose with no points, and nobody moves on to the next match.
+              </p>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-1">{forfeitVerb}</label>
+                <div className="grid grid-cols-2 gap-2">
+                  {[['A', nameA], ['B', nameB]].map(([side, name]) => (
+                    <label
+                      key={side}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg border-2 text-sm cursor-pointer ${
+                        forfeitedBy === side ? 'border-red-400 bg-red-50' : 'border-gray-300'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="forfeitedBy"
+                        checked={forfeitedBy === side}
+                        onChange={() => setForfeitedBy(side)}
+                      />
+                      <span className="truncate">{name}</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-600 mt-1">
+                  {forfeitedBy === 'A' ? nameB : nameA} wins
+                  {outcome === 'retired' ? ' with the score at retirement.' : ' and moves on.'}
+                </p>
+              </div>
+            )}
+
+            {outcome === 'retired' && (
+              <div className="space-y-2">
+                <div className="grid grid-cols-[3rem_1fr_1fr] gap-2 text-xs font-medium text-navy-blue">
+                  <span></span>
+                  <span className="truncate">{nameA}</span>
+                  <span className="truncate">{nameB}</span>
+                </div>
+                {games.map((game, index) => (
+                  <div key={index} className="grid grid-cols-[3rem_1fr_1fr] gap-2 items-center">
+                    <span className="text-xs font-semibold text-gray-500">G{index + 1}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={game.a}
+                      onChange={(e) => handleGameChange(index, 'a', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      value={game.b}
+                      onChange={(e) => handleGameChange(index, 'b', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                    />
+                  </div>
+                ))}
+                {bestOf > 1 && (
+                  <div className="flex gap-2">
+                    {games.length < bestOf && (
+                      <button type="button" onClick={addGame} className="text-xs text-forest-green font-semibold">
+                        + Add game
+                      </button>
+                    )}
+                    {games.length > 1 && (
+                      <button type="button" onClick={removeGame} className="text-xs text-red-600 font-semibold">
+                        − Remove last game
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-navy-blue mb-1">Reason</label>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                maxLength={500}
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                placeholder="e.g., Injury, no show"
+              />
+            </div>
+
+            {error && (
+              <p className="text-sm text-red-600">{error}</p>
+            )}
+
+            <div className="flex gap-3 pt-2">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex-1 btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Saving...' : 'Record Outcome'}
+              </button>
+              <button type="button" onClick={onClose} className="flex-1 btn-secondary text-sm">
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MatchOutcomeModal
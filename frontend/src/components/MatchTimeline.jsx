@@ -0,0 +1,166 @@
+import { useEffect, useState } from 'react'
+import { publicAPI } from '../services/api'
+import { getSocket } from '../services/socket'
+import { getMatchParticipantName } from '../utils/participantDisplay'
+
+// Labels for point log event types
+const EVENT_LABELS = {
+  point: 'Point',
+  fault: 'Fault',
+  sideOut: 'Side out',
+  timeout: 'Timeout',
+  undo: 'Undo'
+}
+
+/**
+ * Point-by-point timeline for a match, read from the match's point log
+ */
+const MatchTimeline = ({ match, onClose }) => {
+  const [timeline, setTimeline] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchTimeline()
+  }, [match._id])
+
+  // Reload when a point is recorded or undone in this match
+  useEffect(() => {
+    const socket = getSocket()
+    const handlePointEvent = (payload) => {
+      if (payload?.matchId?.toString() === match._id) {
+        fetchTimeline({ silent: true })
+      }
+    }
+    socket.on('point_event', handlePointEvent)
+    return () => socket.off('point_event', handlePointEvent)
+  }, [match._id])
+
+  // Silent reloads keep the current timeline on screen while fetching
+  const fetchTimeline = async ({ silent = false } = {}) => {
+    try {
+      if (!silent) setLoading(true)
+      const response = await publicAPI.getMatchTimeline(match._id)
+      setTimeline(response.data.data)
+      setError(null)
+    } catch (err) {
+      setError('Failed to load match timeline')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const teamName = (team) => team === 'A'
+    ? getMatchParticipantName(match.participantA, match)
+    : getMatchParticipantName(match.participantB, match)
+
+  const describeEvent = (event) => {
+    switch (event.type) {
+      case 'point':
+        return `Rally won by ${teamName(event.team)}`
+      case 'fault':
+        return `Fault by ${teamName(event.team)}`
+      case 'sideOut':
+        return 'Side out'
+      case 'timeout':
+        return `Timeout: ${teamName(event.team)}`
+      case 'undo':
+        return 'Last point undone'
+      default:
+        return event.type
+    }
+  }
+
+  // Group events by game, newest first
+  const events = [...(timeline?.events || [])].reverse()
+  const eventsByGame = {}
+  events.forEach(event => {
+    if (!eventsByGame[event.gameNumber]) {
+      eventsByGame[event.gameNumber] = []
+    }
+    eventsByGame[event.gameNumber].push(event)
+  })
+  const gameNumbers = Object.keys(eventsByGame).sort((a, b) => b - a)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[85vh] overflow-hidden flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-lime-green/80 to-forest-green/80 p-4">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <h2 className="text-lg font-bold text-white">{match.round} Timeline</h2>
+              <p className="text-sm text-white/90">
+                {getMatchParticipantName(match.participantA, match)} vs {getMatchParticipantName(match.participantB, match)}
+              </p>
+            </div>
+            <button onClick={onClose} className="text-white hover:text-navy-blue text-xl leading-none">
+              ×
+            </button>
+          </div>
+          {timeline?.scoreCall && (
+            <div className="mt-2 text-sm text-white font-semibold">
+              Score call: {timeline.scoreCall}
+            </div>
+          )}
+        </div>
+
+        <div className="overflow-y-auto p-4 flex-1">
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="w-10 h-10 border-4 border-lime-green border-t-transparent rounded-full animate-spin mx-auto"></div>
+            </div>
+          ) : error ? (
+            <p className="text-center text-red-600 text-sm">{error}</p>
+          ) : events.length === 0 ? (
+            <p className="text-center text-gray-500 text-sm py-6">
+              No point-by-point record for this match yet
+            </p>
+          ) : (
+            <div className="space-y-4">
+              {gameNumbers.map(gameNumber => (
+                <div key={gameNumber}>
+                  <h3 className="text-xs font-semibold text-gray-500 uppercase mb-2">Game {gameNumber}</h3>
+                  <ul className="space-y-1">
+                    {eventsByGame[gameNumber].map(event => (
+                      <li
+                        key={event.id}
+                        className={`flex items-center justify-between gap-3 px-3 py-2 rounded-lg text-sm ${
+                          event.undone ? 'bg-gray-100 text-gray-400 line-through' :
+                          event.type === 'point' ? 'bg-lime-green/10 text-navy-blue' :
+                          event.type === 'undo' ? 'bg-yellow-50 text-yellow-800' :
+                          'bg-white text-navy-blue border border-gray-100'
+                        }`}
+                      >
+                        <span className="flex items-center gap-2">
+                          <span className="text-xs font-semibold uppercase text-gray-500 w-16">
+                            {EVENT_LABELS[event.type] || event.type}
+                          </span>
+                          {describeEvent(event)}
+                        </span>
+                        <span className="font-bold whitespace-nowrap">
+                          {event.scoreAfter?.a ?? 0} - {event.scoreAfter?.b ?? 0}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="p-3 border-t border-gray-100 flex justify-end">
+          <button onClick={() => fetchTimeline()} className="btn-secondary text-sm px-4 py-2">
+            Refresh
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MatchTimeline
@@ -0,0 +1,31 @@
+import { Fragment } from 'react'
+import { Link } from 'react-router-dom'
+import { getParticipantDisplayName } from '../utils/participantDisplay'
+
+/**
+ * Participant players joined with " & ", each linked to their player
+ * profile when the player is in the player registry
+ */
+const ParticipantPlayers = ({ participant, className = 'hover:text-forest-green hover:underline' }) => {
+  const players = participant?.players || []
+  const playerIds = participant?.playerIds || []
+
+  if (players.length === 0 || !playerIds.some(playerId => playerId)) {
+    return getParticipantDisplayName(participant)
+  }
+
+  return players.map((player, index) => (
+    <Fragment key={index}>
+      {index > 0 && ' & '}
+      {playerIds[index] ? (
+        <Link to={`/player/${playerIds[index]}`} className={className}>
+          {player}
+        </Link>
+      ) : (
+        player
+      )}
+    </Fragment>
+  ))
+}
+
+export default ParticipantPlayers
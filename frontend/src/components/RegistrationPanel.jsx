@@ -0,0 +1,308 @@
+import { useEffect, useState } from 'react'
+import { adminAPI } from '../services/api'
+import { toDateTimeInputValue } from '../utils/schedule'
+
+const REVIEW_STATUSES = ['pending', 'waitlisted']
+const HISTORY_STATUSES = ['approved', 'rejected', 'withdrawn']
+
+/**
+ * Self-registration for admins: when entries are taken, capacity, approval
+ * and waiver, and the entries players sent (approve or reject pending and
+ * waitlisted ones).
+ */
+const RegistrationPanel = ({ tournamentId, onParticipantsChanged }) => {
+  const [settings, setSettings] = useState({ enabled: false, opensAt: '', closesAt: '', capacity: '', requireApproval: true, waiver: '' })
+  const [state, setState] = useState(null)
+  const [registrations, setRegistrations] = useState({ pending: [], waitlisted: [], approved: [], rejected: [], withdrawn: [] })
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchRegistrations()
+  }, [tournamentId])
+
+  const fetchRegistrations = async () => {
+    try {
+      const response = await adminAPI.getRegistrations(tournamentId)
+      const data = response.data.data
+      setSettings({
+        enabled: data.settings?.enabled || false,
+        opensAt: toDateTimeInputValue(data.settings?.opensAt),
+        closesAt: toDateTimeInputValue(data.settings?.closesAt),
+        capacity: data.settings?.capacity ?? '',
+        requireApproval: data.settings?.requireApproval !== false,
+        waiver: data.settings?.waiver || ''
+      })
+      setState(data.state)
+      setRegistrations(data.registrations)
+      setError('')
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load registrations')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const showMessage = (text) => {
+    setMessage(text)
+    setTimeout(() => setMessage(''), 4000)
+  }
+
+  const toISO = (value) => value ? new Date(value).toISOString() : null
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError('')
+      const response = await adminAPI.updateRegistrationSettings(tournamentId, {
+        ...settings,
+        opensAt: toISO(settings.opensAt),
+        closesAt: toISO(settings.closesAt),
+        capacity: settings.capacity === '' ? null : Number(settings.capacity)
+      })
+      const promoted = response.data.data.promoted
+      showMessage(promoted > 0
+        ? `Registration settings saved. ${promoted} entr${promoted === 1 ? 'y' : 'ies'} let in from the waitlist`
+        : 'Registration settings saved')
+      fetchRegistrations()
+      if (promoted > 0) onParticipantsChanged?.()
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.errors?.join(', ') || 'Failed to save registration settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleApprove = async (registration) => {
+    try {
+      setSaving(true)
+      setError('')
+      await adminAPI.approveRegistration(tournamentId, registration._id)
+      showMessage(`${getEntryName(registration)} approved`)
+      fetchRegistrations()
+      onParticipantsChanged?.()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to approve entry')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReject = async (registration) => {
+    const reason = window.prompt(`Reject ${getEntryName(registration)}? Reason (optional):`)
+    if (reason === null) return
+
+    try {
+      setSaving(true)
+      setError('')
+      await adminAPI.rejectRegistration(tournamentId, registration._id, { reason })
+      showMessage(`${getEntryName(registration)} rejected`)
+      fetchRegistrations()
+      onParticipantsChanged?.()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reject entry')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const getEntryName = (registration) => registration.players.map(player => player.name).join(' & ')
+
+  const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+
+  if (loading) {
+    return (
+      <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-6 border border-white/20 text-center">
+        <div className="w-8 h-8 border-4 border-lime-green border-t-transparent rounded-full animate-spin mx-auto"></div>
+      </div>
+    )
+  }
+
+  const inputClass = 'w-full px-3 py-2 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm'
+  const publicLink = `${window.location.origin}/tournament/${tournamentId}/register`
+
+  return (
+    <div className="space-y-4 sm:space-y-6">
+      {message && (
+        <div className="bg-green-100 border-2 border-green-400 text-green-700 px-4 py-3 rounded-xl text-sm">
+          {message}
+        </div>
+      )}
+      {error && (
+        <div className="bg-red-100 border-2 border-red-400 text-red-700 px-4 py-3 rounded-xl text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Settings */}
+      <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20 space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+          <h2 className="text-lg sm:text-xl font-bold text-navy-blue">Registration</h2>
+          {state && (
+            <span className={`inline-block px-3 py-1 rounded-full text-xs font-bold ${state.open ? 'bg-forest-green text-white' : 'bg-gray-200 text-gray-700'}`}>
+              {state.open ? 'OPEN' : state.reason}
+            </span>
+          )}
+        </div>
+
+        <label className="flex items-center gap-2 text-sm font-medium text-navy-blue">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+          />
+          Take entries through the public registration form
+        </label>
+        {settings.enabled && (
+          <p className="text-xs text-gray-600 break-all">
+            Form: <a href={publicLink} className="text-forest-green hover:underline">{publicLink}</a>
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-navy-blue mb-1">Opens</label>
+            <input
+              type="datetime-local"
+              value={settings.opensAt}
+              onChange={(e) => setSettings({ ...settings, opensAt: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-navy-blue mb-1">Closes</label>
+            <input
+              type="datetime-local"
+              value={settings.closesAt}
+              onChange={(e) => setSettings({ ...settings, closesAt: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-navy-blue mb-1">Capacity (entries)</label>
+            <input
+              type="number"
+              min="2"
+              value={settings.capacity}
+              onChange={(e) => setSettings({ ...settings, capacity: e.target.value })}
+              className={inputClass}
+              placeholder="No limit"
+            />
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-navy-blue">
+          <input
+            type="checkbox"
+            checked={settings.requireApproval}
+            onChange={(e) => setSettings({ ...settings, requireApproval: e.target.checked })}
+          />
+          Approve entries before they become participants
+        </label>
+
+        <div>
+          <label className="block text-xs font-medium text-navy-blue mb-1">Waiver</label>
+          <textarea
+            value={settings.waiver}
+            onChange={(e) => setSettings({ ...settings, waiver: e.target.value })}
+            className={inputClass}
+            rows={4}
+            maxLength={5000}
+            placeholder="Optional. Players must accept it to enter."
+          />
+        </div>
+
+        <button onClick={handleSave} disabled={saving} className="btn-primary w-full sm:w-auto disabled:opacity-50">
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+
+        {state && (
+          <div className="grid grid-cols-3 gap-3 pt-2">
+            {[
+              { label: 'Places taken', value: state.capacity === null ? state.taken : `${state.taken} / ${state.capacity}` },
+              { label: 'Places left', value: state.spotsLeft === null ? '∞' : state.spotsLeft },
+              { label: 'Waitlisted', value: state.waitlisted }
+            ].map(stat => (
+              <div key={stat.label} className="bg-white/60 rounded-xl p-3 text-center">
+                <div className="text-xl font-bold text-navy-blue">{stat.value}</div>
+                <div className="text-xs text-gray-600 font-medium">{stat.label}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Entries to review */}
+      {REVIEW_STATUSES.map(status => (
+        <div key={status} className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
+          <h3 className="text-base sm:text-lg font-bold text-navy-blue mb-3 capitalize">
+            {status} ({registrations[status].length})
+          </h3>
+          {registrations[status].length === 0 ? (
+            <p className="text-sm text-gray-500">No {status} entries</p>
+          ) : (
+            <div className="space-y-2">
+              {registrations[status].map((registration, index) => (
+                <div key={registration._id} className="bg-white/80 rounded-xl p-3 flex flex-col sm:flex-row sm:items-center gap-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-semibold text-navy-blue text-sm">
+                      {status === 'waitlisted' && <span className="text-gray-500 mr-1">#{index + 1}</span>}
+                      {getEntryName(registration)}
+                    </div>
+                    <div className="text-xs text-gray-600 break-all">
+                      {registration.contactEmail} · {formatDate(registration.createdAt)}
+                      {registration.players.some(player => player.rating) &&
+                        ` · ${registration.players.map(player => player.rating ?? '–').join(' / ')}`}
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleApprove(registration)}
+                      disabled={saving}
+                      className="btn-secondary text-xs py-1.5 px-3 disabled:opacity-50"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReject(registration)}
+                      disabled={saving}
+                      className="px-3 py-1.5 text-xs text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Reviewed entries */}
+      {HISTORY_STATUSES.some(status => registrations[status].length > 0) && (
+        <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
+          <h3 className="text-base sm:text-lg font-bold text-navy-blue mb-3">History</h3>
+          <ul className="text-sm space-y-1">
+            {HISTORY_STATUSES.flatMap(status => registrations[status].map(registration => (
+              <li key={registration._id} className="flex justify-between gap-2">
+                <span className="text-navy-blue">{getEntryName(registration)}</span>
+                <span className="text-xs text-gray-600 capitalize">
+                  {status}{registration.reason && `: ${registration.reason}`}
+                </span>
+              </li>
+            )))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RegistrationPanel
@@ -0,0 +1,29 @@
+import { useCallback, useSyncExternalStore } from 'react'
+import {
+  subscribeToTournament,
+  getTournamentState,
+  refreshTournament
+} from '../services/liveTournamentStore'
+
+/**
+ * Live data for a public tournament page
+ * Loads the tournament and its matches, then keeps them current over Socket.IO
+ *
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} options - { standings: also load and follow standings }
+ * @returns {Object} { tournament, matches, standings, placings, groupStandings, loading, error, connected, refresh }
+ */
+export const useLiveTournament = (tournamentId, { standings = false } = {}) => {
+  const subscribe = useCallback(
+    (listener) => subscribeToTournament(tournamentId, listener, { standings }),
+    [tournamentId, standings]
+  )
+  const getSnapshot = useCallback(() => getTournamentState(tournamentId), [tournamentId])
+
+  const state = useSyncExternalStore(subscribe, getSnapshot)
+  const refresh = useCallback(() => refreshTournament(tournamentId), [tournamentId])
+
+  return { ...state, refresh }
+}
+
+export default useLiveTournament
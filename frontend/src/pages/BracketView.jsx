@@ -1,33 +1,13 @@
-import { useEffect, useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
-import { publicAPI } from '../services/api'
+import { useLiveTournament } from '../hooks/useLiveTournament'
 import { getMatchParticipantName } from '../utils/participantDisplay'
+import { summarizeMatch, formatGameScores, getOutcomeLabel } from '../utils/matchScore'
 
 const BracketView = () => {
   const { id } = useParams()
-  const [matches, setMatches] = useState({ past: [], live: [], upcoming: [], cancelled: [] })
-  const [tournament, setTournament] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-
-  useEffect(() => {
-    fetchMatches()
-  }, [id])
-
-  const fetchMatches = async () => {
-    try {
-      setLoading(true)
-      const response = await publicAPI.getTournamentMatches(id)
-      setMatches(response.data.matches)
-      setTournament(response.data.tournament)
-      setError(null)
-    } catch (err) {
-      setError('Failed to load bracket')
-      console.error(err)
-    } finally {
-      setLoading(false)
-    }
-  }
+  // Matches, kept up to date over Socket.IO
+  const { tournament, matches, loading, error: loadError } = useLiveTournament(id)
+  const error = loadError ? 'Failed to load bracket' : null
 
   // Convert matches to bracket format
   const convertToBracketFormat = () => {
@@ -35,7 +15,21 @@ const BracketView = () => {
     
     // Separate group stages and knockout rounds
     const groupMatches = allMatches.filter(m => m.round?.startsWith('Group '))
-    const knockoutMatches = allMatches.filter(m => !m.round?.startsWith('Group '))
+    const knockoutMatches = allMatches.filter(m => !m.round?.startsWith('Group ') && m.bracket !== 'placement')
+
+    // Placement matches (3rd place, 5th-8th, ...) are shown on their own, best places first
+    const placementByRound = {}
+    const placementRounds = []
+    allMatches
+      .filter(m => m.bracket === 'placement')
+      .sort((a, b) => (a.winnerPlace || 0) - (b.winnerPlace || 0) || (a.order || 0) - (b.order || 0))
+      .forEach(match => {
+        if (!placementByRound[match.round]) {
+          placementByRound[match.round] = []
+          placementRounds.push(match.round)
+        }
+        placementByRound[match.round].push(match)
+      })
     
     // Group knockout matches by round
     const knockoutByRound = {}
@@ -61,7 +55,48 @@ const BracketView = () => {
     return {
       groupMatches,
       knockoutByRound,
-      sortedRounds
+      sortedRounds,
+      placementByRound,
+      placementRounds
+    }
+  }
+
+  // Double elimination: split matches into winners, losers and grand final sections
+  const convertToDoubleEliminationFormat = () => {
+    const allMatches = [...matches.past, ...matches.live, ...matches.upcoming]
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+
+    const buildSection = (brackets) => {
+      const byRound = {}
+      const rounds = []
+      allMatches
+        .filter(m => brackets.includes(m.bracket))
+        .forEach(match => {
+          if (!byRound[match.round]) {
+            byRound[match.round] = []
+            rounds.push(match.round) // Rounds appear in play order
+          }
+          byRound[match.round].push(match)
+        })
+      return { byRound, rounds }
+    }
+
+    const grandFinal = allMatches.find(m => m.bracket === 'grandFinal')
+    const reset = allMatches.find(m => m.bracket === 'grandFinalReset')
+
+    // The reset decides the title if it is played; a cancelled reset is not listed
+    let championMatch = null
+    if (reset?.status === 'completed') {
+      championMatch = reset
+    } else if (grandFinal?.status === 'completed' && !(reset?.participantA && reset?.participantB)) {
+      championMatch = grandFinal
+    }
+
+    return {
+      winners: buildSection(['winners']),
+      losers: buildSection(['losers']),
+      finals: buildSection(['grandFinal', 'grandFinalReset']),
+      championMatch
     }
   }
 
@@ -90,7 +125,9 @@ const BracketView = () => {
     )
   }
 
-  const { groupMatches, knockoutByRound, sortedRounds } = convertToBracketFormat()
+  const { groupMatches, knockoutByRound, sortedRounds, placementByRound, placementRounds } = convertToBracketFormat()
+  const isDoubleElimination = tournament?.format === 'doubleElimination'
+  const doubleElimination = isDoubleElimination ? convertToDoubleEliminationFormat() : null
 
   const MatchBracketCard = ({ match, isFinal = false, isWinner = false }) => {
     const getStatusColor = (status) => {
@@ -105,15 +142,17 @@ const BracketView = () => {
 
     const isLive = match.status === 'live'
     const isCompleted = match.status === 'completed'
-    const winnerA = isCompleted && match.score?.a > match.score?.b
-    const winnerB = isCompleted && match.score?.b > match.score?.a
+    const matchWinner = isCompleted ? summarizeMatch(match).winner : null
+    const winnerA = matchWinner === 'A'
+    const winnerB = matchWinner === 'B'
+    const gameScores = formatGameScores(match)
 
     return (
       <div className={`backdrop-blur-md rounded-xl p-3 sm:p-4 shadow-lg ${getStatusColor(match.status)} ${isFinal ? 'ring-2 ring-lime-green ring-opacity-50' : ''} ${isWinner ? 'bg-gradient-to-br from-yellow-50 to-lime-green/20' : ''} transition-all hover:shadow-xl`}>
         <div className="space-y-2">
           <div className={`flex justify-between items-center p-2 rounded-lg ${winnerA ? 'bg-lime-green/30' : ''}`}>
             <span className="text-xs sm:text-sm font-bold text-navy-blue flex-1 truncate">
-              {getMatchParticipantName(match.participantA)}
+              {getMatchParticipantName(match.participantA, match)}
             </span>
             <span className={`text-base sm:text-lg md:text-xl font-bold ml-2 ${
               isLive ? 'text-pink' : 
@@ -125,7 +164,7 @@ const BracketView = () => {
           </div>
           <div className={`flex justify-between items-center p-2 rounded-lg ${winnerB ? 'bg-lime-green/30' : ''}`}>
             <span className="text-xs sm:text-sm font-bold text-navy-blue flex-1 truncate">
-              {getMatchParticipantName(match.participantB)}
+              {getMatchParticipantName(match.participantB, match)}
             </span>
             <span className={`text-base sm:text-lg md:text-xl font-bold ml-2 ${
               isLive ? 'text-pink' : 
@@ -136,6 +175,16 @@ const BracketView = () => {
             </span>
           </div>
         </div>
+        {gameScores && (
+          <div className="mt-1 text-center text-xs text-gray-500">
+            {gameScores}
+          </div>
+        )}
+        {isCompleted && getOutcomeLabel(match) && (
+          <div className="mt-1 text-center text-xs font-semibold text-red-600">
+            {getOutcomeLabel(match)}
+          </div>
+        )}
         {isLive && (
           <div className="mt-2 text-center">
             <span className="text-xs bg-pink text-white px-2 py-1 rounded-full animate-pulse font-semibold">
@@ -158,6 +207,66 @@ const BracketView = () => {
   const groupRounds = [...new Set(groupMatches.map(m => m.round))].sort()
   const knockoutRounds = sortedRounds
 
+  // One column per round, left to right
+  const renderRoundColumns = (rounds, matchesByRound, isFinalRound) => (
+    <div className="overflow-x-auto">
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-center gap-4 sm:gap-6 md:gap-8 lg:gap-12 min-w-max pb-8">
+        {rounds.map((round) => {
+          const roundMatches = matchesByRound[round] || []
+          const isFinal = isFinalRound(round)
+
+          return (
+            <div key={round} className="flex-shrink-0 w-full sm:w-auto">
+              {/* Round Label */}
+              <div className="mb-4 sm:mb-6">
+                <h3 className="text-base sm:text-lg md:text-xl lg:text-2xl font-bold text-navy-blue text-center bg-white/80 backdrop-blur-sm rounded-lg px-3 sm:px-4 py-2 shadow-lg">
+                  {round.toUpperCase()}
+                </h3>
+              </div>
+
+              {/* Matches */}
+              <div className="space-y-3 sm:space-y-4">
+                {roundMatches.map((match) => {
+                  const isWinner = isFinal && match.status === 'completed'
+                  return (
+                    <MatchBracketCard
+                      key={match._id}
+                      match={match}
+                      isFinal={isFinal}
+                      isWinner={isWinner}
+                    />
+                  )
+                })}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+
+  const isKnockoutFinal = (round) => round.toLowerCase().includes('final') && !round.toLowerCase().includes('semi') && !round.toLowerCase().includes('quarter')
+  const isGrandFinal = (round) => round.startsWith('Grand Final')
+
+  const renderChampion = (championMatch) => {
+    const winner = summarizeMatch(championMatch).winner === 'A'
+      ? getMatchParticipantName(championMatch.participantA, championMatch)
+      : getMatchParticipantName(championMatch.participantB, championMatch)
+    return (
+      <div className="mt-8 sm:mt-12 text-center">
+        <div className="bg-gradient-to-br from-yellow-100 to-lime-green/30 backdrop-blur-md rounded-2xl shadow-2xl p-6 sm:p-8 md:p-12 border-4 border-lime-green inline-block">
+          <div className="text-5xl sm:text-6xl md:text-7xl mb-4">🏆</div>
+          <div className="text-xl sm:text-2xl md:text-3xl font-bold text-navy-blue mb-2">
+            CHAMPION
+          </div>
+          <div className="text-2xl sm:text-3xl md:text-4xl font-bold text-forest-green">
+            {winner || 'TBD'}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen ">
       {/* Header */}
@@ -226,78 +335,53 @@ const BracketView = () => {
             </div>
           )}
 
+          {/* Double Elimination Bracket */}
+          {isDoubleElimination && (
+            <>
+              {[
+                { title: 'Winners Bracket', section: doubleElimination.winners },
+                { title: 'Losers Bracket', section: doubleElimination.losers },
+                { title: 'Grand Final', section: doubleElimination.finals }
+              ].filter(({ section }) => section.rounds.length > 0).map(({ title, section }) => (
+                <div key={title} className="mb-8">
+                  <h2 className="text-2xl sm:text-3xl md:text-4xl font-bold text-navy-blue mb-6 text-center">
+                    {title}
+                  </h2>
+                  {renderRoundColumns(section.rounds, section.byRound, isGrandFinal)}
+                </div>
+              ))}
+              {doubleElimination.championMatch && renderChampion(doubleElimination.championMatch)}
+            </>
+          )}
+
           {/* Knockout Bracket */}
-          {knockoutRounds.length > 0 && (
+          {!isDoubleElimination && knockoutRounds.length > 0 && (
             <div className="mb-8">
               <h2 className="text-2xl sm:text-3xl md:text-4xl font-bold text-navy-blue mb-6 text-center">
                 Knockout Bracket
               </h2>
               
               {/* Custom bracket display with better mobile responsiveness */}
-              <div className="overflow-x-auto">
-                <div className="flex flex-col sm:flex-row items-start sm:items-center justify-center gap-4 sm:gap-6 md:gap-8 lg:gap-12 min-w-max pb-8">
-                  {knockoutRounds.map((round, roundIndex) => {
-                    const roundMatches = knockoutByRound[round] || []
-                    const isFinal = round.toLowerCase().includes('final') && !round.toLowerCase().includes('semi') && !round.toLowerCase().includes('quarter')
-                    
-                    return (
-                      <div key={round} className="flex-shrink-0 w-full sm:w-auto">
-                        {/* Round Label */}
-                        <div className="mb-4 sm:mb-6">
-                          <h3 className="text-base sm:text-lg md:text-xl lg:text-2xl font-bold text-navy-blue text-center bg-white/80 backdrop-blur-sm rounded-lg px-3 sm:px-4 py-2 shadow-lg">
-                            {round.toUpperCase()}
-                          </h3>
-                        </div>
-
-                        {/* Matches */}
-                        <div className="space-y-3 sm:space-y-4">
-                          {roundMatches.map((match, matchIndex) => {
-                            const isWinner = isFinal && match.status === 'completed'
-                            return (
-                              <MatchBracketCard
-                                key={match._id}
-                                match={match}
-                                isFinal={isFinal}
-                                isWinner={isWinner}
-                              />
-                            )
-                          })}
-                        </div>
-                      </div>
-                    )
-                  })}
-                </div>
-              </div>
+              {renderRoundColumns(knockoutRounds, knockoutByRound, isKnockoutFinal)}
             </div>
           )}
 
-          {/* Winner Display */}
-          {knockoutRounds.some(r => r.toLowerCase().includes('final') && !r.toLowerCase().includes('semi') && !r.toLowerCase().includes('quarter')) && 
-           knockoutByRound[knockoutRounds.find(r => r.toLowerCase().includes('final') && !r.toLowerCase().includes('semi') && !r.toLowerCase().includes('quarter'))]?.some(m => m.status === 'completed') && (
-            <div className="mt-8 sm:mt-12 text-center">
-              <div className="bg-gradient-to-br from-yellow-100 to-lime-green/30 backdrop-blur-md rounded-2xl shadow-2xl p-6 sm:p-8 md:p-12 border-4 border-lime-green inline-block">
-                <div className="text-5xl sm:text-6xl md:text-7xl mb-4">🏆</div>
-                <div className="text-xl sm:text-2xl md:text-3xl font-bold text-navy-blue mb-2">
-                  CHAMPION
-                </div>
-                {(() => {
-                  const finalRound = knockoutRounds.find(r => r.toLowerCase().includes('final') && !r.toLowerCase().includes('semi') && !r.toLowerCase().includes('quarter'))
-                  const finalMatch = knockoutByRound[finalRound]?.find(m => m.status === 'completed')
-                  if (finalMatch) {
-                    const winner = finalMatch.score?.a > finalMatch.score?.b 
-                      ? getMatchParticipantName(finalMatch.participantA)
-                      : getMatchParticipantName(finalMatch.participantB)
-                    return (
-                      <div className="text-2xl sm:text-3xl md:text-4xl font-bold text-forest-green">
-                        {winner || 'TBD'}
-                      </div>
-                    )
-                  }
-                  return null
-                })()}
-              </div>
+          {/* Placement Matches */}
+          {!isDoubleElimination && placementRounds.length > 0 && (
+            <div className="mb-8">
+              <h2 className="text-2xl sm:text-3xl md:text-4xl font-bold text-navy-blue mb-6 text-center">
+                Placement Matches
+              </h2>
+              {renderRoundColumns(placementRounds, placementByRound, () => false)}
             </div>
           )}
+
+          {/* Winner Display */}
+          {!isDoubleElimination && (() => {
+            const finalRound = knockoutRounds.find(isKnockoutFinal)
+            const finalMatch = knockoutByRound[finalRound]?.find(m => m.status === 'completed')
+            return finalMatch ? renderChampion(finalMatch) : null
+          })()}
         </div>
       )}
     </div>
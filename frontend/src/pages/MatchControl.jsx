@@ -1,158 +1,173 @@
-import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { matchApi } from '../api/matchApi';
-import { tournamentApi } from '../api/tournamentApi';
-import { useSocket } from '../hooks/useSocket';
-import MatchCard from '../components/MatchCard';
-import toast from 'react-hot-toast';
-
+import { useState } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { useLiveTournament } from '../hooks/useLiveTournament'
+import { adminAPI } from '../services/api'
+import { getMatchParticipantName } from '../utils/participantDisplay'
+import { formatGameScores, getOutcomeLabel } from '../utils/matchScore'
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'live', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' }
+]
+
+/**
+ * Match control for a tournament: matches by round, kept up to date over
+ * Socket.IO, with quick start and cancel actions. Scores are entered in
+ * the match manager.
+ */
 const MatchControl = () => {
-  const { id } = useParams();
-  const [tournament, setTournament] = useState(null);
-  const [matches, setMatches] = useState([]);
-  const [filter, setFilter] = useState('all'); // all, upcoming, in-progress, completed
-  const [loading, setLoading] = useState(true);
-
-  // Socket.IO connection
-  const socket = useSocket(id);
-
-  useEffect(() => {
-    fetchTournament();
-    fetchMatches();
-  }, [id]);
-
-  useEffect(() => {
-    if (!socket) return;
-
-    socket.on('match_started', (match) => {
-      setMatches(prev => prev.map(m => m._id === match._id ? match : m));
-      toast.success('Match started');
-    });
+  const { id } = useParams()
+  const { tournament, matches, loading, error } = useLiveTournament(id)
+  const [filter, setFilter] = useState('all')
+  const [busyMatchId, setBusyMatchId] = useState(null)
 
-    socket.on('score_updated', (match) => {
-      setMatches(prev => prev.map(m => m._id === match._id ? match : m));
-    });
+  const allMatches = [
+    ...(matches.live || []),
+    ...(matches.upcoming || []),
+    ...(matches.past || []),
+    ...(matches.cancelled || [])
+  ]
 
-    socket.on('match_completed', (match) => {
-      setMatches(prev => prev.map(m => m._id === match._id ? match : m));
-      toast.success('Match completed');
-    });
-
-    return () => {
-      socket.off('match_started');
-      socket.off('score_updated');
-      socket.off('match_completed');
-    };
-  }, [socket]);
-
-  const fetchTournament = async () => {
-    try {
-      const response = await tournamentApi.getTournament(id);
-      // Handle different response structures
-      if (response.success && response.data) {
-        setTournament(response.data);
-      } else if (response.data) {
-        setTournament(response.data);
-      }
-    } catch (error) {
-      console.error('Failed to load tournament', error);
-      toast.error('Failed to load tournament');
-    }
-  };
+  const filteredMatches = allMatches.filter(match => filter === 'all' || match.status === filter)
 
-  const fetchMatches = async () => {
+  const groupedMatches = filteredMatches.reduce((acc, match) => {
+    const round = match.round || 'Other'
+    if (!acc[round]) acc[round] = []
+    acc[round].push(match)
+    return acc
+  }, {})
+
+  // The socket event for the change updates the list
+  const runAction = async (matchId, action, failMessage) => {
     try {
-      const response = await matchApi.getMatches(id);
-      // Handle different response structures
-      let matchesData = [];
-      if (response.success && response.data) {
-        matchesData = response.data;
-      } else if (response.data) {
-        matchesData = Array.isArray(response.data) ? response.data : [];
-      } else if (Array.isArray(response)) {
-        matchesData = response;
-      }
-      setMatches(matchesData || []); // Ensure it's always an array
-    } catch (error) {
-      console.error('Failed to load matches', error);
-      toast.error('Failed to load matches');
-      setMatches([]); // Ensure matches is always an array
+      setBusyMatchId(matchId)
+      await action()
+    } catch (err) {
+      alert(err.response?.data?.message || failMessage)
     } finally {
-      setLoading(false);
+      setBusyMatchId(null)
     }
-  };
+  }
 
-  const filteredMatches = (matches || []).filter(match => {
-    if (filter === 'all') return true;
-    return match.status === filter;
-  });
+  const handleStartMatch = (match) => runAction(
+    match._id,
+    () => adminAPI.updateMatch(match._id, { status: 'live' }),
+    'Failed to start match'
+  )
 
-  const groupedMatches = filteredMatches.reduce((acc, match) => {
-    const round = match.round || 'other';
-    if (!acc[round]) acc[round] = [];
-    acc[round].push(match);
-    return acc;
-  }, {});
+  const handleCancelMatch = (match) => {
+    if (!window.confirm(`Cancel ${match.round}: ${getMatchParticipantName(match.participantA, match)} vs ${getMatchParticipantName(match.participantB, match)}?`)) {
+      return
+    }
+    runAction(match._id, () => adminAPI.cancelMatch(match._id), 'Failed to cancel match')
+  }
+
+  const getStatusBadge = (status) => {
+    const badges = {
+      live: 'bg-pink text-white animate-pulse',
+      completed: 'bg-forest-green text-white',
+      upcoming: 'bg-lime-green text-navy-blue',
+      cancelled: 'bg-red-500 text-white'
+    }
+    return badges[status] || 'bg-gray-400 text-white'
+  }
 
   return (
     <div className="min-h-screen">
-      <header className="glass-strong sticky top-0 z-50 border-b border-border/50">
+      <header className="bg-white/80 backdrop-blur-lg sticky top-0 z-50 border-b border-white/30 shadow-sm">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
-          <div className="flex justify-between items-center">
-            <div>
-              <Link to="/dashboard" className="text-primary hover:opacity-80 mb-2 inline-block">
-                ← Back to Dashboard
-              </Link>
-              <h1 className="text-2xl font-bold text-navy mt-2">
-                {tournament?.name || 'Match Control'}
-              </h1>
-            </div>
-          </div>
+          <Link to="/admin/dashboard" className="text-forest-green hover:underline text-sm font-semibold">
+            ← Back to Dashboard
+          </Link>
+          <h1 className="text-2xl font-bold text-navy-blue mt-2">
+            {tournament?.name || 'Match Control'}
+          </h1>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Filter Tabs */}
-        <div className="glass-card rounded-lg p-4 mb-6">
-          <div className="flex gap-2 flex-wrap">
-            {['all', 'upcoming', 'in-progress', 'completed'].map((status) => (
-              <button
-                key={status}
-                onClick={() => setFilter(status)}
-                className={`px-4 py-2 rounded-lg font-medium transition-all ${
-                  filter === status
-                    ? 'bg-primary text-navy shadow-pickle'
-                    : 'glass-button text-foreground hover:bg-primary/10'
-                }`}
-              >
-                {status.charAt(0).toUpperCase() + status.slice(1).replace('-', ' ')}
-              </button>
-            ))}
-          </div>
+        <div className="bg-white/70 backdrop-blur-sm rounded-xl shadow-md p-4 mb-6 flex gap-2 flex-wrap">
+          {FILTERS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setFilter(option.value)}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${
+                filter === option.value
+                  ? 'bg-forest-green text-white'
+                  : 'bg-white text-navy-blue hover:bg-lime-green/20'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
         </div>
 
         {loading ? (
-          <div className="text-center py-12 text-foreground">Loading matches...</div>
+          <div className="text-center py-12 text-navy-blue font-semibold">Loading matches...</div>
+        ) : error ? (
+          <div className="text-center py-12 text-red-600 font-semibold">{error}</div>
         ) : filteredMatches.length === 0 ? (
-          <div className="glass-card text-center py-12 rounded-lg">
-            <p className="text-foreground">No matches found</p>
+          <div className="bg-white/70 rounded-xl text-center py-12">
+            <p className="text-gray-600">No matches found</p>
           </div>
         ) : (
           <div className="space-y-8">
             {Object.entries(groupedMatches).map(([round, roundMatches]) => (
               <div key={round}>
-                <h2 className="text-xl font-semibold mb-4 capitalize text-navy">
-                  {round.replace('-', ' ')}
-                </h2>
+                <h2 className="text-xl font-semibold mb-4 text-navy-blue">{round}</h2>
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {roundMatches.map((match) => (
-                    <MatchCard
-                      key={match._id}
-                      match={match}
-                      tournament={tournament}
-                      onUpdate={fetchMatches}
-                    />
-                  ))}
+                  {roundMatches.map(match => {
+                    const outcomeLabel = getOutcomeLabel(match)
+                    const gameScores = formatGameScores(match)
+                    return (
+                      <div key={match._id} className="bg-white/70 backdrop-blur-sm border-2 border-white/30 rounded-xl p-4 shadow-md">
+                        <div className="flex justify-between items-center mb-3">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${getStatusBadge(match.status)}`}>
+                            {match.status}
+                          </span>
+                          {match.courtNumber && (
+                            <span className="text-xs text-gray-600">Court {match.courtNumber}</span>
+                          )}
+                        </div>
+                        <div className="flex justify-between items-center text-sm text-navy-blue">
+                          <span className="truncate">{getMatchParticipantName(match.participantA, match)}</span>
+                          <span className="font-bold ml-2">{match.score?.a || 0}</span>
+                        </div>
+                        <div className="flex justify-between items-center text-sm text-navy-blue">
+                          <span className="truncate">{getMatchParticipantName(match.participantB, match)}</span>
+                          <span className="font-bold ml-2">{match.score?.b || 0}</span>
+                        </div>
+                        {(gameScores || outcomeLabel) && (
+                          <p className="text-xs text-gray-600 mt-1">
+                            {[gameScores, outcomeLabel].filter(Boolean).join(' · ')}
+                          </p>
+                        )}
+                        {(match.status === 'upcoming' || match.status === 'live') && (
+                          <div className="mt-3 flex gap-3">
+                            {match.status === 'upcoming' && match.participantA && match.participantB && (
+                              <button
+                                onClick={() => handleStartMatch(match)}
+                                disabled={busyMatchId === match._id}
+                                className="text-xs font-semibold text-forest-green hover:underline disabled:opacity-50"
+                              >
+                                Start
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleCancelMatch(match)}
+                              disabled={busyMatchId === match._id}
+                              className="text-xs font-semibold text-red-600 hover:underline disabled:opacity-50"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    )
+                  })}
                 </div>
               </div>
             ))}
@@ -160,8 +175,7 @@ const MatchControl = () => {
         )}
       </main>
     </div>
-  );
-};
-
-export default MatchControl;
+  )
+}
 
+export default MatchControl
@@ -1,33 +1,16 @@
-import { useEffect, useState } from 'react'
+import { useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
-import { publicAPI } from '../services/api'
+import { useLiveTournament } from '../hooks/useLiveTournament'
 import { getMatchParticipantName } from '../utils/participantDisplay'
+import { formatGameScores, getOutcomeLabel } from '../utils/matchScore'
+import { buildTimetable, formatSlotTime, getCourtLabel } from '../utils/schedule'
 
 const MatchList = () => {
   const { id } = useParams()
-  const [matches, setMatches] = useState({ past: [], live: [], upcoming: [], cancelled: [] })
-  const [tournament, setTournament] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-
-  useEffect(() => {
-    fetchMatches()
-  }, [id])
-
-  const fetchMatches = async () => {
-    try {
-      setLoading(true)
-      const response = await publicAPI.getTournamentMatches(id)
-      setMatches(response.data.matches)
-      setTournament(response.data.tournament)
-      setError(null)
-    } catch (err) {
-      setError('Failed to load matches')
-      console.error(err)
-    } finally {
-      setLoading(false)
-    }
-  }
+  // Matches, kept up to date over Socket.IO
+  const { tournament, matches, loading, error: loadError } = useLiveTournament(id)
+  const error = loadError ? 'Failed to load matches' : null
+  const [view, setView] = useState('rounds') // 'rounds' or 'courts'
 
   // Get all matches
   const allMatches = [
@@ -61,6 +44,11 @@ const MatchList = () => {
     if (roundOrder[round] !== undefined) {
       return roundOrder[round]
     }
+    // Round of 32, then Round of 16, before the quarterfinals
+    const roundOf = round.match(/^Round of (\d+)$/)
+    if (roundOf) return -Number(roundOf[1])
+    // Placement matches (3rd Place, Places 5-8, ...) just before the final
+    if (/^(\d+\w{2} Place|Places \d+-\d+)$/.test(round)) return 2.5
     if (round.toLowerCase().includes('quarter')) return 1
     if (round.toLowerCase().includes('semi')) return 2
     if (round.toLowerCase().includes('final') && !round.toLowerCase().includes('semi') && !round.toLowerCase().includes('quarter')) return 3
@@ -82,6 +70,13 @@ const MatchList = () => {
     return 0
   })
 
+  // Court-by-court timetable of scheduled matches
+  const scheduleCourts = tournament?.schedule?.courts || []
+  const timetable = buildTimetable(allMatches, scheduleCourts)
+  const hasTimetable = timetable.rows.length > 0
+  const getCourt = (courtNumber) =>
+    scheduleCourts.find(court => court.number === courtNumber) || { number: courtNumber }
+
   const getStatusBadge = (status) => {
     const badges = {
       live: 'bg-pink text-white animate-pulse',
@@ -164,7 +159,75 @@ const MatchList = () => {
 
       {/* Matches by Round - Table Format */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 py-6 sm:py-8">
-        {sortedRounds.length === 0 ? (
+        {hasTimetable && (
+          <div className="flex gap-2 mb-4">
+            {[['rounds', 'By Round'], ['courts', 'Court Timetable']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setView(value)}
+                className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${
+                  view === value ? 'bg-forest-green text-white' : 'bg-white/60 text-navy-blue hover:bg-white/80'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {hasTimetable && view === 'courts' ? (
+          <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl overflow-hidden border border-white/20">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gradient-to-r from-lime-green/80 to-forest-green/80">
+                  <tr>
+                    <th className="px-3 sm:px-4 py-3 text-left text-xs sm:text-sm font-semibold text-white">Time</th>
+                    {timetable.courts.map(courtNumber => (
+                      <th key={courtNumber} className="px-3 sm:px-4 py-3 text-left text-xs sm:text-sm font-semibold text-white whitespace-nowrap">
+                        {getCourtLabel(getCourt(courtNumber))}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/20">
+                  {timetable.rows.map(row => (
+                    <tr key={row.time}>
+                      <td className="px-3 sm:px-4 py-3 text-xs sm:text-sm font-semibold text-navy-blue whitespace-nowrap align-top">
+                        {formatSlotTime(row.time)}
+                      </td>
+                      {timetable.courts.map(courtNumber => {
+                        const match = row.matchesByCourt[courtNumber]
+                        if (!match) {
+                          return <td key={courtNumber} className="px-3 sm:px-4 py-3"></td>
+                        }
+                        return (
+                          <td key={courtNumber} className="px-3 sm:px-4 py-3 align-top">
+                            <div className={`rounded-lg p-2 text-xs sm:text-sm ${
+                              match.status === 'live' ? 'bg-pink/10 border border-pink' :
+                              match.status === 'completed' ? 'bg-forest-green/10' :
+                              match.status === 'cancelled' ? 'bg-gray-200/50 line-through text-gray-500' :
+                              'bg-white/60'
+                            }`}>
+                              <div className="text-xs text-gray-500 mb-1">{match.round}</div>
+                              <div className="font-semibold text-navy-blue">{getMatchParticipantName(match.participantA, match)}</div>
+                              <div className="font-semibold text-navy-blue">{getMatchParticipantName(match.participantB, match)}</div>
+                              {(match.status === 'live' || match.status === 'completed') && (
+                                <div className={`mt-1 font-bold ${match.status === 'live' ? 'text-pink' : 'text-forest-green'}`}>
+                                  {match.score?.a || 0} - {match.score?.b || 0}
+                                  {getOutcomeLabel(match, true) && ` (${getOutcomeLabel(match, true)})`}
+                                </div>
+                              )}
+                            </div>
+                          </td>
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : sortedRounds.length === 0 ? (
           <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-8 sm:p-12 text-center border border-white/20">
             <div className="text-6xl mb-4">🏸</div>
             <p className="text-gray-600 text-base sm:text-lg mb-2">No matches scheduled yet</p>
@@ -232,7 +295,7 @@ const MatchList = () => {
                               <td className="px-3 sm:px-4 py-3 sm:py-4">
                                 <div className="flex flex-col">
                                   <span className="font-semibold text-navy-blue text-sm sm:text-base">
-                                    {getMatchParticipantName(match.participantA)}
+                                    {getMatchParticipantName(match.participantA, match)}
                                   </span>
                                 </div>
                               </td>
@@ -263,13 +326,23 @@ const MatchList = () => {
                                     )}
                                   </div>
                                 )}
+                                {!isCancelled && formatGameScores(match) && (
+                                  <div className="text-xs text-gray-500 mt-1">
+                                    {formatGameScores(match)}
+                                  </div>
+                                )}
+                                {isCompleted && getOutcomeLabel(match) && (
+                                  <div className="text-xs font-semibold text-red-600 mt-1">
+                                    {getOutcomeLabel(match)}
+                                  </div>
+                                )}
                               </td>
 
                               {/* Team B */}
                               <td className="px-3 sm:px-4 py-3 sm:py-4 text-right">
                                 <div className="flex flex-col items-end">
                                   <span className="font-semibold text-navy-blue text-sm sm:text-base">
-                                    {getMatchParticipantName(match.participantB)}
+                                    {getMatchParticipantName(match.participantB, match)}
                                   </span>
                                 </div>
                               </td>
@@ -284,6 +357,11 @@ const MatchList = () => {
                                 }`}>
                                   {match.status.toUpperCase()}
                                 </span>
+                                {match.courtNumber && (
+                                  <div className="text-xs text-gray-500 mt-1 whitespace-nowrap">
+                                    Court {match.courtNumber}{match.scheduledTime ? ` · ${formatSlotTime(match.scheduledTime)}` : ''}
+                                  </div>
+                                )}
                               </td>
                             </tr>
                           )
@@ -0,0 +1,229 @@
+import { useEffect, useState } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { publicAPI } from '../services/api'
+import { getMatchGames } from '../utils/matchScore'
+import ParticipantPlayers from '../components/ParticipantPlayers'
+
+const PlayerProfile = () => {
+  const { id } = useParams()
+  const [profile, setProfile] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchProfile()
+  }, [id])
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true)
+      const response = await publicAPI.getPlayer(id)
+      setProfile(response.data.data)
+      setError('')
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load player')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatDate = (date) => {
+    if (!date) return 'TBA'
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    })
+  }
+
+  // Game scores from the player's side, e.g. "11-7, 9-11, 11-5"
+  const formatPlayerScore = (match) => {
+    const games = getMatchGames(match)
+    if (games.length === 0) return '-'
+    return games
+      .map(game => match.side === 'A' ? `${game.a}-${game.b}` : `${game.b}-${game.a}`)
+      .join(', ')
+  }
+
+  const getResultBadge = (match) => {
+    if (match.result === 'won') return { label: 'WON', className: 'bg-forest-green text-white' }
+    if (match.result === 'lost') return { label: 'LOST', className: 'bg-red-500 text-white' }
+    if (match.status === 'live') return { label: 'LIVE', className: 'bg-pink text-white animate-pulse' }
+    return { label: 'UPCOMING', className: 'bg-lime-green text-navy-blue' }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="text-center">
+          <div className="w-16 h-16 border-4 border-lime-green border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-navy-blue text-lg font-semibold">Loading player...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 max-w-md w-full text-center">
+          <div className="text-6xl mb-4">😕</div>
+          <p className="text-red-600 mb-4 text-lg font-semibold">{error || 'Player not found'}</p>
+          <Link to="/" className="btn-primary inline-block">
+            ← Back to Tournaments
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const { player, stats, tournaments, matches, ratingHistory = [] } = profile
+
+  return (
+    <div className="min-h-screen">
+      {/* Header Section */}
+      <div className="relative overflow-hidden">
+        <div className="relative backdrop-blur-sm p-4 sm:p-6 md:p-8">
+          <div className="max-w-7xl mx-auto">
+            <Link
+              to="/"
+              className="inline-flex items-center text-navy-blue hover:text-forest-green mb-4 text-sm sm:text-base font-medium"
+            >
+              <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Back to Tournaments
+            </Link>
+
+            <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 md:p-8 border border-white/20">
+              <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-navy-blue mb-3">
+                {player.name}
+              </h1>
+              <div className="flex flex-wrap gap-2 text-sm">
+                {player.eloRating !== null && player.eloRating !== undefined && (
+                  <span className="px-3 py-1 rounded-full bg-forest-green text-white font-semibold">
+                    Elo {Math.round(player.eloRating)}
+                    {player.ratedMatches < 10 && <span className="font-normal"> (provisional)</span>}
+                  </span>
+                )}
+                {player.rating && (
+                  <span className="px-3 py-1 rounded-full bg-lime-green/30 text-navy-blue font-semibold">
+                    DUPR {player.rating.toFixed(2)}
+                  </span>
+                )}
+                {player.club && (
+                  <span className="px-3 py-1 rounded-full bg-white/80 text-navy-blue">🏟️ {player.club}</span>
+                )}
+                {player.gender && (
+                  <span className="px-3 py-1 rounded-full bg-white/80 text-navy-blue capitalize">{player.gender}</span>
+                )}
+              </div>
+
+              {/* Stats */}
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-6">
+                {[
+                  { label: 'Matches', value: stats.matchesPlayed },
+                  { label: 'Wins', value: stats.wins },
+                  { label: 'Losses', value: stats.losses },
+                  { label: 'Win Rate', value: `${stats.winRate.toFixed(1)}%` }
+                ].map(stat => (
+                  <div key={stat.label} className="bg-white/60 rounded-xl p-3 text-center">
+                    <div className="text-xl sm:text-2xl font-bold text-navy-blue">{stat.value}</div>
+                    <div className="text-xs text-gray-600 font-medium">{stat.label}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 py-6 sm:py-8 space-y-6">
+        {/* Tournaments */}
+        {tournaments.length > 0 && (
+          <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
+            <h2 className="text-lg sm:text-xl font-bold text-navy-blue mb-3">Tournaments</h2>
+            <div className="flex flex-wrap gap-2">
+              {tournaments.map(tournament => (
+                <Link
+                  key={tournament._id}
+                  to={`/tournament/${tournament._id}`}
+                  className="px-3 py-2 rounded-xl bg-white/80 hover:bg-lime-green/30 text-sm text-navy-blue font-semibold transition-colors"
+                >
+                  {tournament.name}
+                  <span className="text-xs text-gray-500 font-normal ml-2">{formatDate(tournament.date)}</span>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Rating History */}
+        {ratingHistory.length > 0 && (
+          <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
+            <h2 className="text-lg sm:text-xl font-bold text-navy-blue mb-3">Rating History</h2>
+            <div className="divide-y divide-white/40">
+              {ratingHistory.map((entry, index) => (
+                <div key={`${entry.matchId}-${index}`} className="py-2 flex items-center justify-between gap-3 text-xs sm:text-sm">
+                  <div className="min-w-0 text-gray-700">
+                    <span className="font-semibold text-navy-blue">{entry.tournament.name}</span>
+                    {entry.round && <span> · {entry.round}</span>}
+                    <span className="text-gray-500"> · {formatDate(entry.createdAt)}</span>
+                  </div>
+                  <div className="whitespace-nowrap font-semibold">
+                    <span className="text-gray-600">{Math.round(entry.before)} → {Math.round(entry.after)}</span>
+                    <span className={`ml-2 ${entry.change >= 0 ? 'text-forest-green' : 'text-red-600'}`}>
+                      {entry.change >= 0 ? '+' : ''}{entry.change.toFixed(1)}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Match History */}
+        <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl overflow-hidden border border-white/20">
+          <div className="bg-gradient-to-r from-lime-green/80 to-forest-green/80 p-4">
+            <h2 className="text-xl font-bold text-white">Match History</h2>
+          </div>
+          {matches.length === 0 ? (
+            <p className="p-6 text-center text-gray-600 text-sm sm:text-base">No matches in public tournaments yet.</p>
+          ) : (
+            <div className="divide-y divide-white/20">
+              {matches.map(match => {
+                const badge = getResultBadge(match)
+                return (
+                  <div key={match.id} className="p-3 sm:p-4 flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
+                    <span className={`self-start sm:self-center px-2 py-0.5 rounded-full text-xs font-bold ${badge.className}`}>
+                      {badge.label}
+                    </span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm sm:text-base font-semibold text-navy-blue">
+                        <ParticipantPlayers participant={match.team} />
+                        <span className="text-gray-500 font-normal"> vs </span>
+                        <ParticipantPlayers participant={match.opponent} />
+                      </div>
+                      <div className="text-xs text-gray-600">
+                        <Link to={`/tournament/${match.tournament?._id}`} className="hover:text-forest-green hover:underline">
+                          {match.tournament?.name}
+                        </Link>
+                        {' · '}{match.round}
+                        {' · '}{formatDate(match.scheduledTime || match.updatedAt)}
+                      </div>
+                    </div>
+                    <div className="text-sm font-semibold text-navy-blue sm:text-right">
+                      {formatPlayerScore(match)}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PlayerProfile
@@ -0,0 +1,336 @@
+import { useEffect, useState } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { publicAPI } from '../services/api'
+
+const emptyPlayer = () => ({ name: '', email: '', rating: '', club: '', gender: '', dateOfBirth: '' })
+
+const inputClassName = 'w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base'
+
+const RegistrationPage = () => {
+  const { id } = useParams()
+  const [form, setForm] = useState(null)
+  const [eventId, setEventId] = useState('')
+  const [players, setPlayers] = useState([emptyPlayer()])
+  const [contactEmail, setContactEmail] = useState('')
+  const [acceptWaiver, setAcceptWaiver] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null)
+
+  useEffect(() => {
+    fetchForm()
+  }, [id])
+
+  const fetchForm = async () => {
+    try {
+      setLoading(true)
+      const response = await publicAPI.getRegistration(id)
+      const data = response.data.data
+      setForm(data)
+      // Start on the event the link was for, or the first one taking entries
+      const event = data.events.find(e => e.id === id && e.registration.open)
+        || data.events.find(e => e.registration.open)
+      if (event) selectEvent(event)
+      setError('')
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load registration')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const selectEvent = (event) => {
+    setEventId(event.id)
+    setPlayers(current => {
+      const count = event.registration.entryType === 'doubles' ? 2 : 1
+      return Array.from({ length: count }, (_, index) => current[index] || emptyPlayer())
+    })
+    setAcceptWaiver(false)
+  }
+
+  const handlePlayerChange = (index, field, value) => {
+    setPlayers(current => current.map((player, i) => (i === index ? { ...player, [field]: value } : player)))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSubmitting(true)
+      setError('')
+      const response = await publicAPI.register(eventId, { players, contactEmail, acceptWaiver })
+      setResult({ ...response.data.data, message: response.data.message })
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.errors?.join(', ') || 'Failed to send entry')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+
+  const getPlacesLabel = (registration) => {
+    if (registration.capacity === null) return 'No entry limit'
+    if (registration.spotsLeft === 0) return `Full – ${registration.waitlisted} on the waitlist`
+    return `${registration.spotsLeft} of ${registration.capacity} places left`
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="text-center">
+          <div className="w-16 h-16 border-4 border-lime-green border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-navy-blue text-lg font-semibold">Loading registration...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!form) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 max-w-md w-full text-center">
+          <div className="text-6xl mb-4">😕</div>
+          <p className="text-red-600 mb-4 text-lg font-semibold">{error || 'Tournament not found'}</p>
+          <Link to="/" className="btn-primary inline-block">
+            ← Back to Tournaments
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const event = form.events.find(e => e.id === eventId)
+
+  // Details the event's eligibility rules are checked with
+  const rules = event?.eligibility?.rules || {}
+  const needs = {
+    rating: rules.minRating != null || rules.maxRating != null,
+    dateOfBirth: rules.minAge != null,
+    gender: Boolean(rules.gender) && rules.gender !== 'open'
+  }
+  const requiredMark = (field) => needs[field] && <span className="text-red-500">*</span>
+
+  if (result) {
+    const withdrawLink = `${window.location.origin}/registration/${result.registration.id}/withdraw?token=${result.withdrawToken}`
+    return (
+      <div className="min-h-screen p-4 sm:p-6 md:p-8">
+        <div className="max-w-2xl mx-auto bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-6 sm:p-8 border border-white/20">
+          <div className="text-5xl mb-4 text-center">{result.registration.status === 'waitlisted' ? '⏳' : '🎉'}</div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-navy-blue mb-2 text-center">{result.message}</h1>
+          <p className="text-center text-gray-700 mb-6">
+            {result.registration.players.join(' & ')} – {event?.name}
+          </p>
+          <div className="bg-white/80 rounded-xl p-4 text-sm text-navy-blue">
+            <p className="font-semibold mb-2">Keep this link to withdraw your entry. It is not shown again.</p>
+            <a href={withdrawLink} className="break-all text-forest-green hover:underline">{withdrawLink}</a>
+          </div>
+          <div className="text-center mt-6">
+            <Link to={`/tournament/${result.registration.tournamentId}`} className="btn-primary inline-block">
+              View Tournament
+            </Link>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen">
+      <div className="relative backdrop-blur-sm p-4 sm:p-6 md:p-8">
+        <div className="max-w-3xl mx-auto">
+          <Link
+            to={`/tournament/${form.tournament.id}`}
+            className="inline-flex items-center text-navy-blue hover:text-forest-green mb-4 text-sm sm:text-base font-medium"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back to Tournament
+          </Link>
+
+          <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-navy-blue mb-6">
+            Enter {form.tournament.name}
+          </h1>
+
+          {error && (
+            <div className="bg-red-100 border-2 border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6 text-sm sm:text-base">
+              {error}
+            </div>
+          )}
+
+          {/* Events */}
+          <div className="grid gap-3 mb-6">
+            {form.events.map(e => (
+              <button
+                key={e.id}
+                type="button"
+                onClick={() => selectEvent(e)}
+                disabled={!e.registration.open}
+                className={`text-left rounded-xl p-4 border-2 transition-all ${
+                  e.id === eventId
+                    ? 'border-lime-green bg-lime-green/20'
+                    : 'border-white/40 bg-white/60 hover:border-lime-green/60'
+                } disabled:opacity-60 disabled:cursor-not-allowed`}
+              >
+                <div className="flex flex-wrap justify-between gap-2">
+                  <span className="font-bold text-navy-blue">{e.name}</span>
+                  <span className="text-xs font-semibold text-navy-blue capitalize">{e.registration.entryType}</span>
+                </div>
+                <div className="text-xs text-gray-600 mt-1">
+                  {e.registration.open ? getPlacesLabel(e.registration) : e.registration.reason}
+                  {e.registration.open && e.registration.closesAt && ` · Closes ${formatDateTime(e.registration.closesAt)}`}
+                  {!e.registration.open && e.registration.opensAt && new Date(e.registration.opensAt) > new Date() &&
+                    ` · Opens ${formatDateTime(e.registration.opensAt)}`}
+                </div>
+                {e.eligibility?.description?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {e.eligibility.description.map(rule => (
+                      <span key={rule} className="px-2 py-0.5 rounded-full bg-white/80 text-xs text-navy-blue">{rule}</span>
+                    ))}
+                  </div>
+                )}
+              </button>
+            ))}
+          </div>
+
+          {event && (
+            <form onSubmit={handleSubmit} className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 md:p-8 border border-white/20 space-y-6">
+              {event.registration.spotsLeft === 0 && (
+                <div className="bg-yellow-50 border-2 border-yellow-300 text-yellow-800 px-4 py-3 rounded-xl text-sm">
+                  This event is full. Your entry will go on the waitlist and is let in if a place frees up.
+                </div>
+              )}
+
+              {players.map((player, index) => (
+                <div key={index} className="space-y-3">
+                  <h2 className="text-lg font-bold text-navy-blue">{index === 0 ? 'Your details' : 'Your partner'}</h2>
+                  <div>
+                    <label className="block text-sm font-medium text-navy-blue mb-2">
+                      Name <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      type="text"
+                      value={player.name}
+                      onChange={(e) => handlePlayerChange(index, 'name', e.target.value)}
+                      className={inputClassName}
+                      required
+                    />
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">Email</label>
+                      <input
+                        type="email"
+                        value={player.email}
+                        onChange={(e) => handlePlayerChange(index, 'email', e.target.value)}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">Rating (DUPR) {requiredMark('rating')}</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="8"
+                        step="0.01"
+                        value={player.rating}
+                        onChange={(e) => handlePlayerChange(index, 'rating', e.target.value)}
+                        className={inputClassName}
+                        required={needs.rating}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">Club</label>
+                      <input
+                        type="text"
+                        value={player.club}
+                        onChange={(e) => handlePlayerChange(index, 'club', e.target.value)}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">Gender {requiredMark('gender')}</label>
+                      <select
+                        value={player.gender}
+                        onChange={(e) => handlePlayerChange(index, 'gender', e.target.value)}
+                        className={inputClassName}
+                        required={needs.gender}
+                      >
+                        <option value="">–</option>
+                        <option value="male">Male</option>
+                        <option value="female">Female</option>
+                        <option value="other">Other</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">Date of Birth {requiredMark('dateOfBirth')}</label>
+                      <input
+                        type="date"
+                        value={player.dateOfBirth}
+                        onChange={(e) => handlePlayerChange(index, 'dateOfBirth', e.target.value)}
+                        className={inputClassName}
+                        required={needs.dateOfBirth}
+                      />
+                    </div>
+                  </div>
+                </div>
+              ))}
+
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-2">
+                  Contact Email <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="email"
+                  value={contactEmail}
+                  onChange={(e) => setContactEmail(e.target.value)}
+                  className={inputClassName}
+                  required
+                />
+                <p className="text-xs text-gray-600 mt-1">Where the organiser can reach you about this entry</p>
+              </div>
+
+              {event.registration.waiver && (
+                <div>
+                  <h2 className="text-lg font-bold text-navy-blue mb-2">Waiver</h2>
+                  <div className="bg-white/80 rounded-xl p-4 text-sm text-gray-700 whitespace-pre-wrap max-h-60 overflow-y-auto mb-3">
+                    {event.registration.waiver}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-navy-blue">
+                    <input
+                      type="checkbox"
+                      checked={acceptWaiver}
+                      onChange={(e) => setAcceptWaiver(e.target.checked)}
+                      required
+                    />
+                    I have read and accept the waiver
+                  </label>
+                </div>
+              )}
+
+              <button type="submit" disabled={submitting} className="btn-primary w-full disabled:opacity-50">
+                {submitting
+                  ? 'Sending...'
+                  : event.registration.spotsLeft === 0 ? 'Join the Waitlist' : 'Send Entry'}
+              </button>
+            </form>
+          )}
+
+          {!event && (
+            <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-6 border border-white/20 text-center text-navy-blue">
+              No event of this tournament is taking entries at the moment.
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RegistrationPage
@@ -0,0 +1,70 @@
+import { useState } from 'react'
+import { useParams, useSearchParams, Link } from 'react-router-dom'
+import { publicAPI } from '../services/api'
+
+const RegistrationWithdraw = () => {
+  const { registrationId } = useParams()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [withdrawn, setWithdrawn] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleWithdraw = async () => {
+    try {
+      setSubmitting(true)
+      setError('')
+      const response = await publicAPI.withdrawRegistration(registrationId, token)
+      setWithdrawn(response.data.data.registration)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to withdraw entry')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 max-w-md w-full text-center">
+        {withdrawn ? (
+          <>
+            <div className="text-6xl mb-4">👋</div>
+            <h1 className="text-2xl font-bold text-navy-blue mb-2">Entry withdrawn</h1>
+            <p className="text-gray-700 mb-6">
+              {withdrawn.players.join(' & ')} no longer {withdrawn.players.length > 1 ? 'play' : 'plays'} in {withdrawn.tournament.name}.
+            </p>
+            <Link to={`/tournament/${withdrawn.tournament.id}`} className="btn-primary inline-block">
+              View Tournament
+            </Link>
+          </>
+        ) : (
+          <>
+            <h1 className="text-2xl font-bold text-navy-blue mb-4">Withdraw your entry?</h1>
+            <p className="text-gray-700 mb-6">
+              Your place is given to the next entry on the waitlist. This cannot be undone.
+            </p>
+            {error && (
+              <div className="bg-red-100 border-2 border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6 text-sm">
+                {error}
+              </div>
+            )}
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              <button
+                onClick={handleWithdraw}
+                disabled={submitting || !token}
+                className="bg-red-500 text-white font-semibold py-2 px-6 rounded-lg hover:opacity-90 transition-opacity disabled:opacity-50"
+              >
+                {submitting ? 'Withdrawing...' : 'Withdraw Entry'}
+              </button>
+              <Link to="/" className="btn-primary inline-block">
+                Keep My Entry
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RegistrationWithdraw
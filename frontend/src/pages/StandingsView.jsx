@@ -1,56 +1,14 @@
-import { useEffect, useState } from 'react'
+import { useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
-import { publicAPI } from '../services/api'
-import { getParticipantDisplayName } from '../utils/participantDisplay'
+import { useLiveTournament } from '../hooks/useLiveTournament'
+import ParticipantPlayers from '../components/ParticipantPlayers'
 
 const StandingsView = () => {
   const { id } = useParams()
-  const [standings, setStandings] = useState([])
-  const [groupStandings, setGroupStandings] = useState([])
-  const [matches, setMatches] = useState({ past: [], live: [], upcoming: [], cancelled: [] })
-  const [tournament, setTournament] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
+  // Standings and matches, kept up to date over Socket.IO
+  const { tournament, matches, standings, placings, groupStandings, loading, error } = useLiveTournament(id, { standings: true })
   const [selectedStage, setSelectedStage] = useState('all')
 
-  useEffect(() => {
-    fetchStandings()
-    fetchGroupStandings()
-    fetchMatches()
-  }, [id])
-
-  const fetchStandings = async () => {
-    try {
-      const response = await publicAPI.getTournamentStandings(id)
-      setStandings(response.data.standings || [])
-      setTournament(response.data.tournament)
-      setError(null)
-    } catch (err) {
-      console.error('Failed to load standings:', err)
-    }
-  }
-
-  const fetchGroupStandings = async () => {
-    try {
-      const response = await publicAPI.getTournamentGroupStandings(id)
-      setGroupStandings(response.data.groupStandings || [])
-    } catch (err) {
-      // Not all tournaments have groups, so this is optional
-      console.log('No group standings available')
-    }
-  }
-
-  const fetchMatches = async () => {
-    try {
-      const response = await publicAPI.getTournamentMatches(id)
-      setMatches(response.data.matches || { past: [], live: [], upcoming: [], cancelled: [] })
-    } catch (err) {
-      console.error('Failed to load matches for stage filtering')
-    } finally {
-      setLoading(false)
-    }
-  }
-
   // Get all matches to determine available stages
   const allMatches = [
     ...(matches.upcoming || []),
@@ -66,6 +24,8 @@ const StandingsView = () => {
     const round = match.round || ''
     if (round.startsWith('Group ')) {
       stageSet.add('Stage 1')
+    } else if (/^Round of \d+$/.test(round)) {
+      stageSet.add(round)
     } else if (round.toLowerCase().includes('quarter')) {
       stageSet.add('Quarterfinal')
     } else if (round.toLowerCase().includes('semi')) {
@@ -92,7 +52,7 @@ const StandingsView = () => {
       'Final': ['final']
     }
 
-    const relevantRounds = stageRounds[selectedStage] || []
+    const relevantRounds = stageRounds[selectedStage] || [selectedStage.toLowerCase()] // e.g. Round of 16
     const stageMatches = allMatches.filter(m => {
       const round = (m.round || '').toLowerCase()
       return relevantRounds.some(r => round.includes(r))
@@ -139,6 +99,13 @@ const StandingsView = () => {
     )
   }
 
+  // Swiss tiebreaker columns (Buchholz, Sonneborn-Berger)
+  const isSwiss = tournament?.format === 'swiss'
+
+  // Elo rating column only when players are linked to the player registry
+  const hasRatings = (standingsData) =>
+    standingsData.some(standing => standing.participant.rating !== null && standing.participant.rating !== undefined)
+
   const StandingsTable = ({ standingsData, title }) => (
     <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl overflow-hidden border border-white/20">
       {title && (
@@ -152,12 +119,21 @@ const StandingsView = () => {
             <tr>
               <th className="px-3 sm:px-6 py-3 text-left text-xs sm:text-sm font-bold text-navy-blue uppercase">Rank</th>
               <th className="px-3 sm:px-6 py-3 text-left text-xs sm:text-sm font-bold text-navy-blue uppercase">Participant</th>
+              {hasRatings(standingsData) && (
+                <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase hidden md:table-cell">Rating</th>
+              )}
               <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase">Matches</th>
               <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase">Wins</th>
               <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase hidden sm:table-cell">Losses</th>
               <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase hidden md:table-cell">Points For</th>
               <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase hidden md:table-cell">Points Against</th>
               <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase">Difference</th>
+              {isSwiss && (
+                <>
+                  <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase hidden md:table-cell">Buchholz</th>
+                  <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase hidden lg:table-cell">S-B</th>
+                </>
+              )}
               <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold text-navy-blue uppercase hidden lg:table-cell">Win Rate</th>
             </tr>
           </thead>
@@ -183,9 +159,16 @@ const StandingsView = () => {
                 </td>
                 <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap">
                   <div className="text-sm sm:text-base font-semibold text-navy-blue">
-                    {getParticipantDisplayName(standing.participant)}
+                    <ParticipantPlayers participant={standing.participant} />
                   </div>
                 </td>
+                {hasRatings(standingsData) && (
+                  <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap text-center hidden md:table-cell">
+                    <span className="text-sm sm:text-base text-gray-700">
+                      {standing.participant.rating ?? '-'}
+                    </span>
+                  </td>
+                )}
                 <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap text-center">
                   <span className="text-sm sm:text-base text-gray-700 font-semibold">
                     {standing.stats.matchesPlayed}
@@ -221,6 +204,16 @@ const StandingsView = () => {
                     {standing.stats.pointDifference}
                   </span>
                 </td>
+                {isSwiss && (
+                  <>
+                    <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap text-center hidden md:table-cell">
+                      <span className="text-sm sm:text-base text-gray-700">{standing.stats.buchholz ?? '-'}</span>
+                    </td>
+                    <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap text-center hidden lg:table-cell">
+                      <span className="text-sm sm:text-base text-gray-700">{standing.stats.sonnebornBerger ?? '-'}</span>
+                    </td>
+                  </>
+                )}
                 <td className="px-3 sm:px-6 py-3 sm:py-4 whitespace-nowrap text-center hidden lg:table-cell">
                   <span className="text-sm sm:text-base text-gray-700">
                     {standing.stats.winRate.toFixed(1)}%
@@ -285,6 +278,30 @@ const StandingsView = () => {
 
       {/* Standings Content */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8 py-6 sm:py-8">
+        {/* Final Placings from the knockout (final and placement matches) */}
+        {selectedStage === 'all' && placings.length > 0 && (
+          <div className="mb-6 sm:mb-8 bg-white/60 backdrop-blur-md rounded-2xl shadow-xl overflow-hidden border border-white/20">
+            <div className="bg-gradient-to-r from-lime-green/80 to-forest-green/80 p-4">
+              <h3 className="text-xl font-bold text-white">Final Placings</h3>
+            </div>
+            <ul className="divide-y divide-white/20">
+              {placings.map((placing) => (
+                <li key={placing.participant.id} className="flex items-center px-3 sm:px-6 py-3">
+                  <span className={`w-16 text-sm sm:text-base font-bold ${
+                    placing.place === 1 ? 'text-lime-green' : 'text-navy-blue'
+                  }`}>
+                    {placing.place === 1 && <span className="text-yellow-500 mr-1">🏆</span>}
+                    {placing.shared ? `T${placing.place}` : placing.place}
+                  </span>
+                  <div className="text-sm sm:text-base font-semibold text-navy-blue">
+                    <ParticipantPlayers participant={placing.participant} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {showGroupStandings ? (
           // Show Group-wise Standings for Stage 1
           <div className="space-y-6 sm:space-y-8">
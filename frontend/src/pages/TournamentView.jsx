@@ -1,36 +1,15 @@
-import { useEffect, useState } from 'react'
+import { useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
-import { publicAPI } from '../services/api'
+import { useLiveTournament } from '../hooks/useLiveTournament'
 import { getMatchParticipantName } from '../utils/participantDisplay'
+import { formatGameScores, getOutcomeLabel } from '../utils/matchScore'
+import MatchTimeline from '../components/MatchTimeline'
 
 const TournamentView = () => {
   const { id } = useParams()
-  const [tournament, setTournament] = useState(null)
-  const [matches, setMatches] = useState({ past: [], live: [], upcoming: [], cancelled: [] })
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-
-  useEffect(() => {
-    fetchTournamentData()
-  }, [id])
-
-  const fetchTournamentData = async () => {
-    try {
-      setLoading(true)
-      const [tournamentRes, matchesRes] = await Promise.all([
-        publicAPI.getTournament(id),
-        publicAPI.getTournamentMatches(id).catch(() => ({ data: { matches: { past: [], live: [], upcoming: [], cancelled: [] } } }))
-      ])
-      setTournament(tournamentRes.data.data)
-      setMatches(matchesRes.data.matches || { past: [], live: [], upcoming: [], cancelled: [] })
-      setError(null)
-    } catch (err) {
-      setError('Failed to load tournament')
-      console.error(err)
-    } finally {
-      setLoading(false)
-    }
-  }
+  // Tournament and matches, kept up to date over Socket.IO
+  const { tournament, matches, loading, error, connected } = useLiveTournament(id)
+  const [timelineMatch, setTimelineMatch] = useState(null) // Match whose point-by-point timeline is open
 
   // Get all matches
   const allMatches = [
@@ -64,6 +43,11 @@ const TournamentView = () => {
     if (roundOrder[round] !== undefined) {
       return roundOrder[round]
     }
+    // Round of 32, then Round of 16, before the quarterfinals
+    const roundOf = round.match(/^Round of (\d+)$/)
+    if (roundOf) return -Number(roundOf[1])
+    // Placement matches (3rd Place, Places 5-8, ...) just before the final
+    if (/^(\d+\w{2} Place|Places \d+-\d+)$/.test(round)) return 2.5
     if (round.toLowerCase().includes('quarter')) return 1
     if (round.toLowerCase().includes('semi')) return 2
     if (round.toLowerCase().includes('final') && !round.toLowerCase().includes('semi') && !round.toLowerCase().includes('quarter')) return 3
@@ -85,6 +69,20 @@ const TournamentView = () => {
     return 0
   })
 
+  // Division tabs: the main tournament and its divisions, when it has any
+  const getDivisionTabs = () => {
+    const divisions = tournament?.divisions || []
+    const main = tournament?.parentTournament ? tournament.parent : tournament
+    if (divisions.length === 0) return []
+    return [...(main ? [main] : []), ...divisions]
+  }
+
+  // Whether an event of the weekend takes entries (the form lists them all)
+  const isRegistrationEnabled = () => (
+    Boolean(tournament?.registration?.enabled) ||
+    getDivisionTabs().some(division => division.registration?.enabled)
+  )
+
   // Format date
   const formatDate = (date) => {
     if (!date) return 'TBA'
@@ -154,6 +152,28 @@ const TournamentView = () => {
               Back to Tournaments
             </Link>
 
+            {/* Division Tabs */}
+            {getDivisionTabs().length > 0 && (
+              <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-2 border border-white/20 overflow-x-auto">
+                <div className="flex gap-2">
+                  {getDivisionTabs().map(division => (
+                    <Link
+                      key={division._id}
+                      to={`/tournament/${division._id}`}
+                      className={`flex-shrink-0 px-3 sm:px-4 py-2 font-semibold rounded-xl transition-all text-sm sm:text-base whitespace-nowrap ${
+                        division._id === id
+                          ? 'bg-gradient-to-r from-lime-green to-forest-green text-white shadow-lg'
+                          : 'text-gray-600 hover:bg-white/40'
+                      }`}
+                    >
+                      {division.name}
+                      {division.status === 'live' && <span className="ml-2 inline-block w-2 h-2 rounded-full bg-pink animate-pulse"></span>}
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Tournament Header */}
             <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 md:p-8 mt-4 border border-white/20">
               <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
@@ -195,10 +215,13 @@ const TournamentView = () => {
                 </div>
 
                 {/* Status Badge */}
-                <div className="flex-shrink-0">
+                <div className="flex-shrink-0 text-right">
                   <span className={`inline-block px-4 py-2 rounded-full text-xs sm:text-sm font-bold ${getStatusBadge(tournament.status)}`}>
                     {tournament.status.toUpperCase()}
                   </span>
+                  <div className={`mt-2 text-xs font-semibold ${connected ? 'text-forest-green' : 'text-gray-400'}`}>
+                    {connected ? '● Live updates' : '○ Reconnecting...'}
+                  </div>
                 </div>
               </div>
 
@@ -276,6 +299,15 @@ const TournamentView = () => {
               <div className="text-2xl mb-2">🏆</div>
               <div className="text-sm sm:text-base">View Bracket</div>
             </Link>
+            {isRegistrationEnabled() && (
+              <Link
+                to={`/tournament/${id}/register`}
+                className="bg-gradient-to-r from-navy-blue to-pink text-white hover:from-navy-blue/90 hover:to-pink/90 rounded-xl p-4 text-center font-semibold transition-all shadow-lg hover:shadow-xl"
+              >
+                <div className="text-2xl mb-2">📝</div>
+                <div className="text-sm sm:text-base">Register</div>
+              </Link>
+            )}
           </div>
         </div>
       </div>
@@ -340,7 +372,9 @@ const TournamentView = () => {
                           return (
                             <tr 
                               key={match._id}
-                              className={`hover:bg-white/40 transition-colors ${
+                              onClick={() => (isLive || isCompleted) && setTimelineMatch(match)}
+                              title={isLive || isCompleted ? 'View point-by-point timeline' : undefined}
+                              className={`hover:bg-white/40 transition-colors ${isLive || isCompleted ? 'cursor-pointer' : ''} ${
                                 isLive ? 'bg-pink/10' : 
                                 isCompleted ? 'bg-forest-green/10' :
                                 isCancelled ? 'bg-gray-200/50' : ''
@@ -350,7 +384,7 @@ const TournamentView = () => {
                               <td className="px-3 sm:px-4 py-3 sm:py-4">
                                 <div className="flex flex-col">
                                   <span className="font-semibold text-navy-blue text-sm sm:text-base">
-                                    {getMatchParticipantName(match.participantA)}
+                                    {getMatchParticipantName(match.participantA, match)}
                                   </span>
                                 </div>
                               </td>
@@ -381,13 +415,23 @@ const TournamentView = () => {
                                     )}
                                   </div>
                                 )}
+                                {!isCancelled && formatGameScores(match) && (
+                                  <div className="text-xs text-gray-500 mt-1">
+                                    {formatGameScores(match)}
+                                  </div>
+                                )}
+                                {isCompleted && getOutcomeLabel(match) && (
+                                  <div className="text-xs font-semibold text-red-600 mt-1">
+                                    {getOutcomeLabel(match)}
+                                  </div>
+                                )}
                               </td>
 
                               {/* Team B */}
                               <td className="px-3 sm:px-4 py-3 sm:py-4 text-right">
                                 <div className="flex flex-col items-end">
                                   <span className="font-semibold text-navy-blue text-sm sm:text-base">
-                                    {getMatchParticipantName(match.participantB)}
+                                    {getMatchParticipantName(match.participantB, match)}
                                   </span>
                                 </div>
                               </td>
@@ -415,6 +459,11 @@ const TournamentView = () => {
           </div>
         )}
       </div>
+
+      {/* Point-by-point timeline */}
+      {timelineMatch && (
+        <MatchTimeline match={timelineMatch} onClose={() => setTimelineMatch(null)} />
+      )}
     </div>
   )
 }
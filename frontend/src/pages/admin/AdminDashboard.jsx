@@ -148,7 +148,7 @@ const AdminDashboard = () => {
                       </button>
                     </div>
                   </div>
-                  {tournament.format === 'custom' && (
+                  {['custom', 'swiss', 'rotatingPartners'].includes(tournament.format) && (
                     <div className="flex flex-wrap gap-2 pt-3 border-t border-gray-200">
                       <Link
                         to={`/admin/tournaments/custom/${tournament._id}/edit`}
@@ -234,7 +234,7 @@ const AdminDashboard = () => {
                       </button>
                     </td>
                     <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      {tournament.format === 'custom' ? (
+                      {['custom', 'swiss', 'rotatingPartners'].includes(tournament.format) ? (
                         <>
                           <Link
                             to={`/admin/tournaments/custom/${tournament._id}/edit`}
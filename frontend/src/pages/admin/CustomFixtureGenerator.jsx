@@ -1,9 +1,9 @@
 import { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { adminAPI } from '../../services/api'
-import { calculateStandings, sortStandings } from '../../services/standingsService.js'
 import { scrollToTop } from '../../utils/scrollToTop'
 import { getMatchParticipantName, getParticipantDisplayName } from '../../utils/participantDisplay'
+import { TIEBREAKER_LABELS, getTiebreakers, getUnresolvedTies } from '../../utils/tiebreakers'
 
 const CustomFixtureGenerator = () => {
   const { id } = useParams()
@@ -11,6 +11,8 @@ const CustomFixtureGenerator = () => {
   const [participants, setParticipants] = useState([])
   const [rounds, setRounds] = useState([])
   const [standings, setStandings] = useState([])
+  const [groupStandings, setGroupStandings] = useState([])
+  const [wildcardRace, setWildcardRace] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [activeTab, setActiveTab] = useState('rounds')
@@ -22,36 +24,39 @@ const CustomFixtureGenerator = () => {
     topPlayersCount: 4
   })
 
-  const getCompletedMatches = async () => {
-    try {
-      const response = await adminAPI.getTournamentMatches(id)
-      const allMatches = [
-        ...(response.data.matches.past || []),
-        ...(response.data.matches.live || []),
-        ...(response.data.matches.upcoming || []),
-        ...(response.data.matches.cancelled || [])
-      ]
-      return allMatches.filter(m => m.status === 'completed' && m.participantA && m.participantB)
-    } catch (err) {
-      return []
-    }
+  // Rotating partners: the whole rotation is generated at once
+  const [rotationForm, setRotationForm] = useState({ rounds: 6, courts: '' })
+
+  // Admin decision for a tie in the standings or between wildcards: { scope, order: [standing], reason }
+  const [tieDecision, setTieDecision] = useState(null)
+
+  // Group lock being edited: { group, order: [standing], qualification: { id: 'qualified' | 'reserve' }, reason }
+  const [groupLock, setGroupLock] = useState(null)
+
+  // Standings are ranked on the server with the tournament's tiebreakers
+  const getStandings = async () => {
+    const response = await adminAPI.getStandings(id)
+    const { standings: ranked, summary } = response.data.data
+    return summary.completedMatches > 0 ? ranked : []
+  }
+
+  const getGroupStandings = async () => {
+    const response = await adminAPI.getGroupStandings(id)
+    return response.data.data
+  }
+
+  const applyGroupStandings = (data) => {
+    setGroupStandings(data?.groupStandings || [])
+    setWildcardRace(data?.wildcards || null)
   }
 
   const refreshStandings = async () => {
     if (participants.length === 0) return
     
     try {
-      const completedMatches = await getCompletedMatches()
-      if (completedMatches.length > 0) {
-        const calculatedStandings = calculateStandings(participants, completedMatches)
-        const sortedStandings = sortStandings(calculatedStandings, completedMatches)
-        sortedStandings.forEach((standing, index) => {
-          standing.position = index + 1
-        })
-        setStandings(sortedStandings)
-      } else {
-        setStandings([])
-      }
+      const [ranked, groups] = await Promise.all([getStandings(), getGroupStandings().catch(() => null)])
+      setStandings(ranked)
+      applyGroupStandings(groups)
     } catch (err) {
       console.error('Error refreshing standings:', err)
     }
@@ -82,17 +87,8 @@ const CustomFixtureGenerator = () => {
       setParticipants(participantsList)
       setRounds(roundsRes.data.data.rounds || [])
       
-      const completedMatches = await getCompletedMatches()
-      if (participantsList.length > 0 && completedMatches.length > 0) {
-        const calculatedStandings = calculateStandings(participantsList, completedMatches)
-        const sortedStandings = sortStandings(calculatedStandings, completedMatches)
-        sortedStandings.forEach((standing, index) => {
-          standing.position = index + 1
-        })
-        setStandings(sortedStandings)
-      } else {
-        setStandings([])
-      }
+      setStandings(participantsList.length > 0 ? await getStandings().catch(() => []) : [])
+      applyGroupStandings(await getGroupStandings().catch(() => null))
       
       setError('')
     } catch (err) {
@@ -107,7 +103,9 @@ const CustomFixtureGenerator = () => {
     e.preventDefault()
     scrollToTop()
     
-    if (!roundForm.roundName.trim()) {
+    // Swiss rounds are numbered by the server when no name is given
+    const isSwiss = tournament.format === 'swiss'
+    if (!roundForm.roundName.trim() && !isSwiss) {
       alert('Please enter a round name')
       return
     }
@@ -115,7 +113,7 @@ const CustomFixtureGenerator = () => {
     try {
       let participantIds = null
       
-      if (roundForm.useTopPlayers && standings.length > 0) {
+      if (!isSwiss && roundForm.useTopPlayers && standings.length > 0) {
         const topN = standings.slice(0, parseInt(roundForm.topPlayersCount) || 4)
         participantIds = topN.map(s => s.participant.id)
         
@@ -125,20 +123,126 @@ const CustomFixtureGenerator = () => {
         }
       }
 
-      await adminAPI.createCustomRound(id, {
+      const response = await adminAPI.createCustomRound(id, {
         roundName: roundForm.roundName.trim(),
         participantIds: participantIds
       })
+      const { bye, rematches } = response.data.data
       
       setRoundForm({ roundName: '', useTopPlayers: false, topPlayersCount: 4 })
       setShowCreateRound(false)
       fetchData()
-      alert('Round created successfully!')
+      const byeParticipant = bye && participants.find(p => p._id === bye)
+      alert([
+        'Round created successfully!',
+        byeParticipant ? `Bye: ${getParticipantDisplayName(byeParticipant)}` : null,
+        rematches > 0 ? `${rematches} rematch(es) could not be avoided.` : null
+      ].filter(Boolean).join('\n'))
     } catch (err) {
       alert(err.response?.data?.message || 'Failed to create round')
     }
   }
 
+  const handleGenerateRotation = async (e) => {
+    e.preventDefault()
+    scrollToTop()
+
+    try {
+      const response = await adminAPI.generateFixtures(id, {
+        rounds: parseInt(rotationForm.rounds),
+        // Empty = the courts of the tournament schedule
+        courts: rotationForm.courts ? parseInt(rotationForm.courts) : undefined
+      })
+      setShowCreateRound(false)
+      fetchData()
+      alert(response.data.message || 'Rotation generated successfully!')
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to generate rotation')
+    }
+  }
+
+  const moveInTie = (index, direction) => {
+    const order = [...tieDecision.order]
+    const target = index + direction
+    if (target < 0 || target >= order.length) return
+    ;[order[index], order[target]] = [order[target], order[index]]
+    setTieDecision({ ...tieDecision, order })
+  }
+
+  const handleDecideTie = async () => {
+    try {
+      await adminAPI.decideTiebreak(id, {
+        scope: tieDecision.scope,
+        order: tieDecision.order.map(standing => standing.participant.id),
+        reason: tieDecision.reason
+      })
+      setTieDecision(null)
+      refreshStandings()
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to record tie decision')
+    }
+  }
+
+  const startGroupLock = (group) => {
+    const qualification = {}
+    group.standings.forEach(standing => {
+      if (standing.qualification) qualification[standing.participant.id] = standing.qualification
+    })
+    setGroupLock({ group, order: group.standings, qualification, reason: group.lock?.reason || '' })
+  }
+
+  const moveInGroupLock = (index, direction) => {
+    const order = [...groupLock.order]
+    const target = index + direction
+    if (target < 0 || target >= order.length) return
+    ;[order[index], order[target]] = [order[target], order[index]]
+    setGroupLock({ ...groupLock, order })
+  }
+
+  const setQualification = (participantId, value) => {
+    setGroupLock({ ...groupLock, qualification: { ...groupLock.qualification, [participantId]: value } })
+  }
+
+  const handleLockGroup = async () => {
+    if (!groupLock.reason.trim()) {
+      alert('Please enter a reason')
+      return
+    }
+
+    const idsWith = (value) => groupLock.order
+      .map(standing => standing.participant.id)
+      .filter(participantId => groupLock.qualification[participantId] === value)
+
+    try {
+      const response = await adminAPI.lockGroupStandings(id, groupLock.group.groupName, {
+        order: groupLock.order.map(standing => standing.participant.id),
+        qualifiers: idsWith('qualified'),
+        reserves: idsWith('reserve'),
+        reason: groupLock.reason.trim()
+      })
+      setGroupLock(null)
+      refreshStandings()
+      if (response.data.data.knockoutRoundsFilled) {
+        alert('Positions locked. The knockout round has been filled with the qualifiers.')
+      }
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to lock group positions')
+    }
+  }
+
+  const handleUnlockGroup = async (group) => {
+    if (!window.confirm(`Unlock the positions of ${group.fullGroupName}? Knockout places already filled are not changed.`)) {
+      return
+    }
+
+    try {
+      await adminAPI.unlockGroupStandings(id, group.groupName)
+      refreshStandings()
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to unlock group positions')
+    }
+  }
+
   const handleDeleteRound = async (roundName) => {
     if (!window.confirm(`Are you sure you want to delete all matches in "${roundName}"? This action cannot be undone.`)) {
       return
@@ -188,6 +292,11 @@ const CustomFixtureGenerator = () => {
     )
   }
 
+  const tiebreakers = getTiebreakers(tournament)
+  const isSwiss = tournament.format === 'swiss'
+  const isRotation = tournament.format === 'rotatingPartners'
+  const unresolvedTies = getUnresolvedTies(standings)
+
   return (
     <div className="min-h-screen p-4 sm:p-6 md:p-8">
       <div className="max-w-7xl mx-auto">
@@ -238,6 +347,18 @@ const CustomFixtureGenerator = () => {
             >
               Standings
             </button>
+            {groupStandings.length > 0 && (
+              <button
+                onClick={() => { setActiveTab('groups'); scrollToTop() }}
+                className={`flex-1 px-3 sm:px-4 py-2 sm:py-3 font-semibold rounded-xl transition-all text-sm sm:text-base ${
+                  activeTab === 'groups'
+                    ? 'bg-gradient-to-r from-lime-green to-forest-green text-white shadow-lg'
+                    : 'text-gray-600 hover:bg-white/40'
+                }`}
+              >
+                Groups ({groupStandings.length})
+              </button>
+            )}
           </div>
         </div>
 
@@ -247,32 +368,83 @@ const CustomFixtureGenerator = () => {
             {/* Create Round Section */}
             <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
               <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 mb-4">
-                <h2 className="text-xl sm:text-2xl font-bold text-navy-blue">Create New Round</h2>
+                <h2 className="text-xl sm:text-2xl font-bold text-navy-blue">{isRotation ? 'Generate Rotation' : 'Create New Round'}</h2>
                 <button
                   onClick={() => { setShowCreateRound(!showCreateRound); scrollToTop() }}
                   className="btn-primary text-sm sm:text-base px-4 py-2"
+                  disabled={isRotation && rounds.length > 0}
                 >
-                  {showCreateRound ? 'Cancel' : '+ Create Round'}
+                  {showCreateRound ? 'Cancel' : isRotation ? '+ Generate Rotation' : '+ Create Round'}
                 </button>
               </div>
 
-              {showCreateRound && (
+              {isRotation && rounds.length > 0 && (
+                <p className="text-xs sm:text-sm text-gray-600">
+                  The rotation has been generated. Delete its rounds to generate it again.
+                </p>
+              )}
+
+              {showCreateRound && isRotation && rounds.length === 0 && (
+                <form onSubmit={handleGenerateRotation} className="space-y-4 p-4 sm:p-6 bg-white/40 backdrop-blur-sm rounded-xl">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">
+                        Rounds <span className="text-red-500">*</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="50"
+                        value={rotationForm.rounds}
+                        onChange={(e) => setRotationForm({ ...rotationForm, rounds: e.target.value })}
+                        className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">
+                        Courts
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={rotationForm.courts}
+                        onChange={(e) => setRotationForm({ ...rotationForm, courts: e.target.value })}
+                        className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                        placeholder={tournament.schedule?.courts?.length ? `${tournament.schedule.courts.length} (scheduled courts)` : 'e.g., 3'}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="bg-blue-50 border-2 border-blue-200 rounded-xl p-3 sm:p-4">
+                    <p className="text-xs sm:text-sm text-blue-800">
+                      <strong>Note:</strong> Every round, players are split into new doubles teams on the courts, repeating partners as little as possible. Players who do not fit on a court sit out in turn. The tournament must still be a draft.
+                    </p>
+                  </div>
+
+                  <button type="submit" className="btn-primary w-full sm:w-auto text-sm sm:text-base px-6 py-3">
+                    Generate Rotation
+                  </button>
+                </form>
+              )}
+
+              {showCreateRound && !isRotation && (
                 <form onSubmit={handleCreateRound} className="space-y-4 p-4 sm:p-6 bg-white/40 backdrop-blur-sm rounded-xl">
                   <div>
                     <label className="block text-sm font-medium text-navy-blue mb-2">
-                      Round Name <span className="text-red-500">*</span>
+                      Round Name {!isSwiss && <span className="text-red-500">*</span>}
                     </label>
                     <input
                       type="text"
                       value={roundForm.roundName}
                       onChange={(e) => setRoundForm({ ...roundForm, roundName: e.target.value })}
                       className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
-                      placeholder="e.g., Round 1, Quarter Finals"
-                      required
+                      placeholder={isSwiss ? `Round ${rounds.length + 1}` : 'e.g., Round 1, Quarter Finals'}
+                      required={!isSwiss}
                     />
                   </div>
 
-                  {rounds.length > 0 && standings.length > 0 && (
+                  {!isSwiss && rounds.length > 0 && standings.length > 0 && (
                     <div>
                       <label className="flex items-center cursor-pointer">
                         <input
@@ -309,7 +481,11 @@ const CustomFixtureGenerator = () => {
 
                   <div className="bg-blue-50 border-2 border-blue-200 rounded-xl p-3 sm:p-4">
                     <p className="text-xs sm:text-sm text-blue-800">
-                      <strong>Note:</strong> {roundForm.useTopPlayers 
+                      <strong>Note:</strong> {isSwiss
+                        ? (rounds.length === 0
+                          ? 'The first Swiss round is a random draw. If odd number, one participant gets a bye (counts as a win).'
+                          : 'Pairs players on equal wins from the current standings, avoiding rematches. If odd number, the lowest-placed participant without a bye gets one. Every match of the previous rounds must be finished.')
+                        : roundForm.useTopPlayers 
                         ? `This will create matches for the top ${roundForm.topPlayersCount} players from standings.`
                         : 'This will randomly pair all available participants. If odd number, one participant will get TBD partner.'}
                     </p>
@@ -374,7 +550,7 @@ const CustomFixtureGenerator = () => {
                           <div className="space-y-2 mb-3">
                             <div className="flex justify-between items-center">
                               <span className={`font-semibold text-sm sm:text-base ${!match.participantA ? 'italic text-gray-500' : 'text-navy-blue'}`}>
-                                {getMatchParticipantName(match.participantA)}
+                                {getMatchParticipantName(match.participantA, match)}
                               </span>
                               <span className="text-lg sm:text-xl font-bold text-lime-green">
                                 {match.score?.a || 0}
@@ -382,7 +558,7 @@ const CustomFixtureGenerator = () => {
                             </div>
                             <div className="flex justify-between items-center">
                               <span className={`font-semibold text-sm sm:text-base ${!match.participantB ? 'italic text-gray-500' : 'text-navy-blue'}`}>
-                                {getMatchParticipantName(match.participantB)}
+                                {getMatchParticipantName(match.participantB, match)}
                               </span>
                               <span className="text-lg sm:text-xl font-bold text-lime-green">
                                 {match.score?.b || 0}
@@ -415,6 +591,60 @@ const CustomFixtureGenerator = () => {
                 <h2 className="text-xl sm:text-2xl font-bold text-navy-blue">Tournament Standings</h2>
                 <span className="text-xs sm:text-sm text-gray-500 bg-white/40 backdrop-blur-sm px-3 py-1 rounded-lg">Auto-updates every 5 seconds</span>
               </div>
+              <p className="text-xs sm:text-sm text-gray-600 mb-4">
+                Ties broken by: {tiebreakers.map(tiebreaker => TIEBREAKER_LABELS[tiebreaker] || tiebreaker).join(' → ')}
+              </p>
+
+              {/* Unresolved ties */}
+              {unresolvedTies.length > 0 && (
+                <div className="mb-4 p-3 sm:p-4 bg-yellow-50 border-2 border-yellow-200 rounded-xl space-y-3">
+                  <p className="text-sm font-semibold text-navy-blue">
+                    {unresolvedTies.length} tie{unresolvedTies.length > 1 ? 's' : ''} could not be broken by the tiebreakers
+                  </p>
+                  {!tiebreakers.includes('adminDecision') && (
+                    <p className="text-xs text-gray-600">A recorded order only counts when "Admin decision" is one of the tournament's tiebreakers.</p>
+                  )}
+                  {unresolvedTies.map(tie => (
+                    <div key={tie[0].participant.id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                      <span className="text-sm text-gray-700">
+                        Positions {tie[0].position}–{tie[tie.length - 1].position}: {tie.map(standing => getParticipantDisplayName(standing.participant)).join(', ')}
+                      </span>
+                      <button
+                        onClick={() => setTieDecision({ scope: 'overall', order: tie, reason: '' })}
+                        className="px-3 py-1.5 bg-navy-blue text-white rounded-lg text-xs sm:text-sm font-semibold hover:bg-forest-green transition-colors"
+                      >
+                        Decide Order
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {tieDecision?.scope === 'overall' && (
+                <div className="mb-4 p-3 sm:p-4 bg-white/80 border-2 border-lime-green rounded-xl space-y-3">
+                  <p className="text-sm font-semibold text-navy-blue">Order of tied participants (first = highest)</p>
+                  {tieDecision.order.map((standing, index) => (
+                    <div key={standing.participant.id} className="flex items-center gap-2">
+                      <span className="w-6 text-sm font-bold text-gray-600">{index + 1}.</span>
+                      <span className="flex-1 text-sm text-navy-blue">{getParticipantDisplayName(standing.participant)}</span>
+                      <button onClick={() => moveInTie(index, -1)} disabled={index === 0} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↑</button>
+                      <button onClick={() => moveInTie(index, 1)} disabled={index === tieDecision.order.length - 1} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↓</button>
+                    </div>
+                  ))}
+                  <input
+                    type="text"
+                    value={tieDecision.reason}
+                    onChange={(e) => setTieDecision({ ...tieDecision, reason: e.target.value })}
+                    placeholder="Reason (optional)"
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                  />
+                  <div className="flex gap-2">
+                    <button onClick={handleDecideTie} className="btn-primary text-sm">Save Order</button>
+                    <button onClick={() => setTieDecision(null)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-xl text-sm font-semibold hover:bg-gray-300 transition-colors">Cancel</button>
+                  </div>
+                </div>
+              )}
+
               {standings.length === 0 ? (
                 <div className="text-center py-8">
                   <p className="text-gray-600 text-sm sm:text-base">No standings available yet. Complete some matches to see standings.</p>
@@ -432,6 +662,12 @@ const CustomFixtureGenerator = () => {
                         <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold uppercase hidden lg:table-cell">Points For</th>
                         <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold uppercase hidden lg:table-cell">Points Against</th>
                         <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold uppercase">Diff</th>
+                        {isSwiss && (
+                          <>
+                            <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold uppercase hidden md:table-cell">Buchholz</th>
+                            <th className="px-3 sm:px-6 py-3 text-center text-xs sm:text-sm font-bold uppercase hidden lg:table-cell">S-B</th>
+                          </>
+                        )}
                       </tr>
                     </thead>
                     <tbody className="bg-white/40 backdrop-blur-sm divide-y divide-white/20">
@@ -446,6 +682,11 @@ const CustomFixtureGenerator = () => {
                           <td className="px-3 sm:px-6 py-3 sm:py-4 text-left">
                             <div>
                               <p className="font-semibold text-navy-blue text-sm sm:text-base">{getParticipantDisplayName(standing.participant)}</p>
+                              {standing.tied ? (
+                                <span className="text-xs text-yellow-700 font-semibold">Tied</span>
+                              ) : standing.tiebreaker && (
+                                <span className="text-xs text-gray-500">by {TIEBREAKER_LABELS[standing.tiebreaker] || standing.tiebreaker}</span>
+                              )}
                             </div>
                           </td>
                           <td className="px-3 sm:px-6 py-3 sm:py-4 text-center hidden sm:table-cell text-sm">{standing.stats.matchesPlayed}</td>
@@ -461,6 +702,12 @@ const CustomFixtureGenerator = () => {
                           }`}>
                             {standing.stats.pointDifference > 0 ? '+' : ''}{standing.stats.pointDifference}
                           </td>
+                          {isSwiss && (
+                            <>
+                              <td className="px-3 sm:px-6 py-3 sm:py-4 text-center hidden md:table-cell text-sm">{standing.stats.buchholz}</td>
+                              <td className="px-3 sm:px-6 py-3 sm:py-4 text-center hidden lg:table-cell text-sm">{standing.stats.sonnebornBerger}</td>
+                            </>
+                          )}
                         </tr>
                       ))}
                     </tbody>
@@ -470,6 +717,170 @@ const CustomFixtureGenerator = () => {
             </div>
           </div>
         )}
+
+        {/* Groups Tab */}
+        {activeTab === 'groups' && (
+          <div className="space-y-4 sm:space-y-6">
+            {wildcardRace && (
+              <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
+                <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-2">
+                  <h2 className="text-xl sm:text-2xl font-bold text-navy-blue">Wildcards</h2>
+                  {wildcardRace.undecided && (
+                    <button
+                      onClick={() => setTieDecision({
+                        scope: 'wildcards',
+                        order: wildcardRace.ranking.filter(standing => standing.tied),
+                        reason: ''
+                      })}
+                      className="px-3 py-1.5 bg-navy-blue text-white rounded-lg text-xs sm:text-sm font-semibold hover:bg-forest-green transition-colors"
+                    >
+                      Decide Order
+                    </button>
+                  )}
+                </div>
+                <p className="text-xs sm:text-sm text-gray-600 mb-3">
+                  Best {wildcardRace.count} qualify, compared per match played (win rate, then point difference, then points scored).
+                  {wildcardRace.undecided && ' Level wildcards cross the last place, so the knockout waits for your decision.'}
+                </p>
+
+                {tieDecision?.scope === 'wildcards' && (
+                  <div className="mb-4 p-3 sm:p-4 bg-white/80 border-2 border-lime-green rounded-xl space-y-3">
+                    <p className="text-sm font-semibold text-navy-blue">Order of level wildcards (first = highest)</p>
+                    {tieDecision.order.map((standing, index) => (
+                      <div key={standing.participant.id} className="flex items-center gap-2">
+                        <span className="w-6 text-sm font-bold text-gray-600">{index + 1}.</span>
+                        <span className="flex-1 text-sm text-navy-blue">{getParticipantDisplayName(standing.participant)} (Group {standing.group})</span>
+                        <button onClick={() => moveInTie(index, -1)} disabled={index === 0} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↑</button>
+                        <button onClick={() => moveInTie(index, 1)} disabled={index === tieDecision.order.length - 1} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↓</button>
+                      </div>
+                    ))}
+                    <input
+                      type="text"
+                      value={tieDecision.reason}
+                      onChange={(e) => setTieDecision({ ...tieDecision, reason: e.target.value })}
+                      placeholder="Reason (optional)"
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                    />
+                    <div className="flex gap-2">
+                      <button onClick={handleDecideTie} className="btn-primary text-sm">Save Order</button>
+                      <button onClick={() => setTieDecision(null)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-xl text-sm font-semibold hover:bg-gray-300 transition-colors">Cancel</button>
+                    </div>
+                  </div>
+                )}
+
+                <div className="divide-y divide-white/40">
+                  {wildcardRace.ranking.map(standing => (
+                    <div key={standing.participant.id} className="py-2 flex items-center gap-3 text-sm">
+                      <span className="w-6 font-bold text-navy-blue">{standing.wildcardRank}</span>
+                      <span className="flex-1 min-w-0 font-semibold text-navy-blue">
+                        {getParticipantDisplayName(standing.participant)}
+                        <span className="text-xs text-gray-500 font-normal ml-2">Group {standing.group}, place {standing.position}</span>
+                      </span>
+                      {standing.qualifies && (
+                        <span className="px-2 py-0.5 rounded-full bg-forest-green text-white text-xs font-bold">Q</span>
+                      )}
+                      {standing.tied && <span className="text-xs text-yellow-700 font-semibold">Tied</span>}
+                      <span className="text-gray-600">{standing.stats.wins}/{standing.stats.matchesPlayed}W</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {groupStandings.map(group => (
+              <div key={group.groupName} className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
+                <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
+                  <div>
+                    <h2 className="text-xl sm:text-2xl font-bold text-navy-blue">{group.fullGroupName}</h2>
+                    {group.lock ? (
+                      <p className="text-xs sm:text-sm text-gray-600">🔒 Positions locked: {group.lock.reason}</p>
+                    ) : !group.complete && (
+                      <p className="text-xs sm:text-sm text-gray-500">Matches still to play</p>
+                    )}
+                  </div>
+                  {group.complete && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => startGroupLock(group)}
+                        className="px-3 py-1.5 bg-navy-blue text-white rounded-lg text-xs sm:text-sm font-semibold hover:bg-forest-green transition-colors"
+                      >
+                        {group.lock ? 'Edit Lock' : 'Lock Positions'}
+                      </button>
+                      {group.lock && (
+                        <button
+                          onClick={() => handleUnlockGroup(group)}
+                          className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-xs sm:text-sm font-semibold hover:bg-gray-300 transition-colors"
+                        >
+                          Unlock
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {groupLock?.group.groupName === group.groupName ? (
+                  <div className="p-3 sm:p-4 bg-white/80 border-2 border-lime-green rounded-xl space-y-3">
+                    <p className="text-sm font-semibold text-navy-blue">Final positions (first = 1st)</p>
+                    {groupLock.order.map((standing, index) => (
+                      <div key={standing.participant.id} className="flex flex-wrap items-center gap-2">
+                        <span className="w-6 text-sm font-bold text-gray-600">{index + 1}.</span>
+                        <span className="flex-1 min-w-0 text-sm text-navy-blue">
+                          {getParticipantDisplayName(standing.participant)}
+                          <span className="text-xs text-gray-500 ml-2">{standing.stats.wins}W, {standing.stats.pointDifference > 0 ? '+' : ''}{standing.stats.pointDifference}</span>
+                        </span>
+                        <select
+                          value={groupLock.qualification[standing.participant.id] || ''}
+                          onChange={(e) => setQualification(standing.participant.id, e.target.value)}
+                          className="px-2 py-1 border-2 border-gray-300 rounded-lg text-xs sm:text-sm focus:ring-2 focus:ring-lime-green focus:border-lime-green"
+                        >
+                          <option value="">—</option>
+                          <option value="qualified">Qualifies</option>
+                          <option value="reserve">Reserve</option>
+                        </select>
+                        <button onClick={() => moveInGroupLock(index, -1)} disabled={index === 0} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↑</button>
+                        <button onClick={() => moveInGroupLock(index, 1)} disabled={index === groupLock.order.length - 1} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↓</button>
+                      </div>
+                    ))}
+                    <p className="text-xs text-gray-500">
+                      Without qualifiers marked, the top places qualify as usual. Reserves take places left open.
+                    </p>
+                    <input
+                      type="text"
+                      value={groupLock.reason}
+                      onChange={(e) => setGroupLock({ ...groupLock, reason: e.target.value })}
+                      placeholder="Reason (required)"
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                    />
+                    <div className="flex gap-2">
+                      <button onClick={handleLockGroup} className="btn-primary text-sm">Lock Positions</button>
+                      <button onClick={() => setGroupLock(null)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-xl text-sm font-semibold hover:bg-gray-300 transition-colors">Cancel</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="divide-y divide-white/40">
+                    {group.standings.map(standing => (
+                      <div key={standing.participant.id} className="py-2 flex items-center gap-3 text-sm">
+                        <span className="w-6 font-bold text-navy-blue">{standing.position}</span>
+                        <span className="flex-1 min-w-0 font-semibold text-navy-blue">{getParticipantDisplayName(standing.participant)}</span>
+                        {standing.qualification === 'qualified' && (
+                          <span className="px-2 py-0.5 rounded-full bg-forest-green text-white text-xs font-bold">Q</span>
+                        )}
+                        {standing.qualification === 'reserve' && (
+                          <span className="px-2 py-0.5 rounded-full bg-yellow-200 text-yellow-800 text-xs font-bold">Reserve</span>
+                        )}
+                        {standing.tied && !standing.locked && (
+                          <span className="text-xs text-yellow-700 font-semibold">Tied</span>
+                        )}
+                        <span className="text-gray-600">{standing.stats.wins}W</span>
+                        <span className="w-12 text-right text-gray-600">{standing.stats.pointDifference > 0 ? '+' : ''}{standing.stats.pointDifference}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   )
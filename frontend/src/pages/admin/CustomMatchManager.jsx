@@ -2,6 +2,23 @@ import { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { adminAPI } from '../../services/api'
 import { getMatchParticipantName } from '../../utils/participantDisplay'
+import AmendResultModal from '../../components/AmendResultModal'
+import MatchOutcomeModal from '../../components/MatchOutcomeModal'
+import CourtSchedulePanel from '../../components/CourtSchedulePanel'
+import { formatSlotTime } from '../../utils/schedule'
+import { resolveBestOf, getGamesToWin, getMatchGames, summarizeMatch, isGameOver, getScoreCall, getOutcomeLabel } from '../../utils/matchScore'
+
+const EMPTY_MATCH_FORM = {
+  round: '',
+  participantA: '',
+  participantB: '',
+  status: 'upcoming',
+  courtNumber: '',
+  order: 0,
+  bestOf: '',
+  nextMatchId: '',
+  nextMatchSlot: 'A'
+}
 
 const CustomMatchManager = () => {
   const { id } = useParams()
@@ -14,6 +31,7 @@ const CustomMatchManager = () => {
   const [success, setSuccess] = useState('')
   
   // Score update states - keyed by match ID
+  // Each entry: { games: finished games, scoreA/scoreB: current game, serve: side-out serve state }
   const [matchScores, setMatchScores] = useState({})
   const [updatingMatches, setUpdatingMatches] = useState(new Set())
   
@@ -21,17 +39,13 @@ const CustomMatchManager = () => {
   const [showCreateForm, setShowCreateForm] = useState(false)
   const [editingMatch, setEditingMatch] = useState(null)
   const [showMoreActions, setShowMoreActions] = useState(null) // Match ID for which to show more actions
+  const [amendingMatch, setAmendingMatch] = useState(null) // Completed match whose result is being corrected
+  const [outcomeMatch, setOutcomeMatch] = useState(null) // Match being decided by walkover, retirement, ...
+  const [showSchedule, setShowSchedule] = useState(false)
   const [filterStatus, setFilterStatus] = useState('all')
   const [filterRound, setFilterRound] = useState('all')
   
-  const [matchForm, setMatchForm] = useState({
-    round: '',
-    participantA: '',
-    participantB: '',
-    status: 'upcoming',
-    courtNumber: '',
-    order: 0
-  })
+  const [matchForm, setMatchForm] = useState(EMPTY_MATCH_FORM)
 
   useEffect(() => {
     fetchData()
@@ -46,7 +60,8 @@ const CustomMatchManager = () => {
         adminAPI.getTournamentMatches(id)
       ])
       
-      setTournament(tournamentRes.data.data)
+      const tournamentData = tournamentRes.data.data
+      setTournament(tournamentData)
       setParticipants(participantsRes.data.data.participants || [])
       setMatches(matchesRes.data.matches || { past: [], live: [], upcoming: [], cancelled: [] })
       
@@ -60,10 +75,7 @@ const CustomMatchManager = () => {
       
       const scores = {}
       allMatches.forEach(match => {
-        scores[match._id] = {
-          scoreA: match.score?.a || 0,
-          scoreB: match.score?.b || 0
-        }
+        scores[match._id] = buildScoreForm(match, tournamentData)
       })
       setMatchScores(scores)
       
@@ -78,6 +90,29 @@ const CustomMatchManager = () => {
 
   // Get max points from tournament rules
   const maxPoints = tournament?.rules?.points || 11
+  // Optional cap: games end at this score without a 2-point lead
+  const scoreCap = tournament?.rules?.cap || null
+  const isSideOut = tournament?.rules?.scoringSystem === 'pickleball'
+
+  // Build score form for a match: finished games plus the game in progress
+  const buildScoreForm = (match, tournamentData) => {
+    const bestOf = resolveBestOf(match, tournamentData)
+    const initialServe = { team: 'A', serverNumber: tournamentData?.type === 'doubles' ? 2 : 1 }
+    const games = getMatchGames(match)
+    const { gamesWon } = summarizeMatch(match)
+    const matchDecided = Math.max(gamesWon.a, gamesWon.b) >= getGamesToWin(bestOf)
+    const lastGame = games[games.length - 1]
+
+    // Start the next game once the previous one is finished and the match is still open
+    if (!lastGame || (isGameOver(lastGame, tournamentData?.rules) && !matchDecided && games.length < bestOf && match.status !== 'completed')) {
+      return { games, scoreA: 0, scoreB: 0, serve: initialServe }
+    }
+
+    return { games: games.slice(0, -1), scoreA: lastGame.a, scoreB: lastGame.b, serve: match.serve || initialServe }
+  }
+
+  // All games including the one in progress
+  const getFormGames = (scores) => [...(scores.games || []), { a: scores.scoreA, b: scores.scoreB }]
 
   // Get all matches
   const allMatches = [
@@ -120,6 +155,11 @@ const CustomMatchManager = () => {
     if (roundOrder[round] !== undefined) {
       return roundOrder[round]
     }
+    // Round of 32, then Round of 16, before the quarterfinals
+    const roundOf = round.match(/^Round of (\d+)$/)
+    if (roundOf) return -Number(roundOf[1])
+    // Placement matches (3rd Place, Places 5-8, ...) just before the final
+    if (/^(\d+\w{2} Place|Places \d+-\d+)$/.test(round)) return 2.5
     // Check if round contains these keywords
     if (round.toLowerCase().includes('quarter')) return 1
     if (round.toLowerCase().includes('semi')) return 2
@@ -163,8 +203,8 @@ const CustomMatchManager = () => {
   const handleScoreChange = (matchId, field, value) => {
     const numValue = parseInt(value) || 0
     if (numValue < 0) return
-    if (numValue > maxPoints) {
-      setError(`Score cannot exceed ${maxPoints} points`)
+    if (scoreCap && numValue > scoreCap) {
+      setError(`Score cannot exceed the cap of ${scoreCap} points`)
       setTimeout(() => setError(''), 3000)
       return
     }
@@ -178,7 +218,21 @@ const CustomMatchManager = () => {
     }))
   }
 
-  // Update score and auto-start match if needed, auto-complete if max points reached
+  // Side-out scoring: change serving team / server number
+  const handleServeChange = (matchId, field, value) => {
+    setMatchScores(prev => ({
+      ...prev,
+      [matchId]: {
+        ...prev[matchId],
+        serve: {
+          ...prev[matchId].serve,
+          [field]: field === 'serverNumber' ? parseInt(value) : value
+        }
+      }
+    }))
+  }
+
+  // Update score and auto-start match if needed, auto-complete if the deciding game is over
   const handleUpdateScore = async (match) => {
     const matchId = match._id
     const scores = matchScores[matchId]
@@ -186,8 +240,8 @@ const CustomMatchManager = () => {
     if (!scores) return
     
     // Validate scores
-    if (scores.scoreA > maxPoints || scores.scoreB > maxPoints) {
-      setError(`Score cannot exceed ${maxPoints} points`)
+    if (scoreCap && (scores.scoreA > scoreCap || scores.scoreB > scoreCap)) {
+      setError(`Score cannot exceed the cap of ${scoreCap} points`)
       setTimeout(() => setError(''), 3000)
       return
     }
@@ -197,8 +251,13 @@ const CustomMatchManager = () => {
       setError('')
       setSuccess('')
       
-      // Check if match should be completed (one team reached max points)
-      const shouldComplete = (scores.scoreA >= maxPoints || scores.scoreB >= maxPoints) && match.status !== 'completed'
+      // Check if match should be completed (one team won enough games)
+      const games = getFormGames(scores)
+      const bestOf = resolveBestOf(match, tournament)
+      const gamesToWin = getGamesToWin(bestOf)
+      const currentGameFinished = isGameOver({ a: scores.scoreA, b: scores.scoreB }, tournament?.rules)
+      const { gamesWon } = summarizeMatch({ games: currentGameFinished ? games : games.slice(0, -1) })
+      const shouldComplete = Math.max(gamesWon.a, gamesWon.b) >= gamesToWin && match.status !== 'completed'
       
       // If match is upcoming and score is being set, change to live
       const shouldBeLive = match.status === 'upcoming' && (scores.scoreA > 0 || scores.scoreB > 0) && !shouldComplete
@@ -209,18 +268,14 @@ const CustomMatchManager = () => {
       }
       
       // Update score
-      await adminAPI.updateMatchScore(matchId, {
-        scoreA: scores.scoreA,
-        scoreB: scores.scoreB
-      })
+      await adminAPI.updateMatchScore(matchId, isSideOut ? { games, serve: scores.serve } : { games })
       
-      // If one team reached max points, automatically complete the match
+      // If one team won enough games, automatically complete the match
       if (shouldComplete) {
-        await adminAPI.completeMatch(matchId, {
-          scoreA: scores.scoreA,
-          scoreB: scores.scoreB
-        })
-        setSuccess(`Match completed! Final score: ${scores.scoreA} - ${scores.scoreB}`)
+        await adminAPI.completeMatch(matchId, { games })
+        setSuccess(`Match completed! Final score: ${games.map(game => `${game.a}-${game.b}`).join(', ')}`)
+      } else if (currentGameFinished && bestOf > 1) {
+        setSuccess(`Game ${games.length} finished (${scores.scoreA}-${scores.scoreB})`)
       } else {
         setSuccess('Score updated successfully!')
       }
@@ -242,26 +297,34 @@ const CustomMatchManager = () => {
   // Complete match - SECONDARY important action
   const handleCompleteMatch = async (match) => {
     const matchId = match._id
-    const scores = matchScores[matchId] || { scoreA: match.score?.a || 0, scoreB: match.score?.b || 0 }
+    const scores = matchScores[matchId] || buildScoreForm(match, tournament)
+    const games = getFormGames(scores)
+    const bestOf = resolveBestOf(match, tournament)
+    const gamesToWin = getGamesToWin(bestOf)
+    const { gamesWon } = summarizeMatch({ games })
     
-    // Validate that one team has reached max points
-    if (scores.scoreA < maxPoints && scores.scoreB < maxPoints) {
-      setError(`One team must reach ${maxPoints} points to complete the match`)
+    // Validate that the current game is over (max points, win by 2, or cap)
+    if (!isGameOver({ a: scores.scoreA, b: scores.scoreB }, tournament?.rules)) {
+      setError(`Game is not finished. Games are played to ${maxPoints}, win by 2${scoreCap ? ` (cap ${scoreCap})` : ''}`)
+      setTimeout(() => setError(''), 3000)
+      return
+    }
+
+    // Validate that one team has won enough games
+    if (Math.max(gamesWon.a, gamesWon.b) < gamesToWin) {
+      setError(`One team must win ${gamesToWin} of ${bestOf} games to complete the match`)
       setTimeout(() => setError(''), 3000)
       return
     }
     
-    if (!window.confirm(`Complete this match? Final score: ${scores.scoreA} - ${scores.scoreB}`)) return
+    if (!window.confirm(`Complete this match? Final score: ${games.map(game => `${game.a}-${game.b}`).join(', ')}`)) return
     
     try {
       setUpdatingMatches(prev => new Set(prev).add(matchId))
       setError('')
       setSuccess('')
       
-      await adminAPI.completeMatch(matchId, {
-        scoreA: scores.scoreA,
-        scoreB: scores.scoreB
-      })
+      await adminAPI.completeMatch(matchId, { games })
       
       setSuccess('Match completed successfully!')
       setTimeout(() => setSuccess(''), 3000)
@@ -278,6 +341,51 @@ const CustomMatchManager = () => {
     }
   }
 
+  // Point-by-point scoring: append to the match's point log
+  const handleRecordEvent = async (match, type, team = null) => {
+    const matchId = match._id
+    try {
+      setUpdatingMatches(prev => new Set(prev).add(matchId))
+      setError('')
+      const response = await adminAPI.recordPointEvent(matchId, { type, team })
+      if (response.data.data.matchDecided) {
+        setSuccess('Match point won! Complete the match to confirm the result.')
+        setTimeout(() => setSuccess(''), 5000)
+      }
+      fetchData()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to record point')
+      setTimeout(() => setError(''), 5000)
+    } finally {
+      setUpdatingMatches(prev => {
+        const next = new Set(prev)
+        next.delete(matchId)
+        return next
+      })
+    }
+  }
+
+  const handleUndoPoint = async (match) => {
+    const matchId = match._id
+    try {
+      setUpdatingMatches(prev => new Set(prev).add(matchId))
+      setError('')
+      await adminAPI.undoPointEvent(matchId)
+      setSuccess('Last point undone')
+      setTimeout(() => setSuccess(''), 3000)
+      fetchData()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to undo point')
+      setTimeout(() => setError(''), 5000)
+    } finally {
+      setUpdatingMatches(prev => {
+        const next = new Set(prev)
+        next.delete(matchId)
+        return next
+      })
+    }
+  }
+
   // Less important actions - moved to icons/modals
   const handleCancelMatch = async (matchId) => {
     if (!window.confirm('Cancel this match? This action cannot be undone.')) return
@@ -311,6 +419,26 @@ const CustomMatchManager = () => {
     }
   }
 
+  const handleResultAmended = (data) => {
+    setAmendingMatch(null)
+    const changed = data.affectedMatches?.length || 0
+    setSuccess(changed > 0
+      ? `Result amended. ${changed} later match${changed === 1 ? '' : 'es'} updated.`
+      : 'Result amended successfully!')
+    setTimeout(() => setSuccess(''), 5000)
+    fetchData()
+  }
+
+  const handleOutcomeSaved = (data) => {
+    setOutcomeMatch(null)
+    const forfeited = data.data.progression?.forfeitedMatches?.length || 0
+    setSuccess(forfeited > 0
+      ? `${data.message}. ${forfeited} later match${forfeited === 1 ? '' : 'es'} decided by forfeit.`
+      : data.message)
+    setTimeout(() => setSuccess(''), 5000)
+    fetchData()
+  }
+
   const handleCreateMatch = async (e) => {
     e.preventDefault()
     try {
@@ -324,20 +452,16 @@ const CustomMatchManager = () => {
         participantB: matchForm.participantB || null,
         status: matchForm.status,
         courtNumber: matchForm.courtNumber ? parseInt(matchForm.courtNumber) : null,
-        order: parseInt(matchForm.order) || 0
+        order: parseInt(matchForm.order) || 0,
+        bestOf: matchForm.bestOf ? parseInt(matchForm.bestOf) : null,
+        nextMatchId: matchForm.nextMatchId || null,
+        nextMatchSlot: matchForm.nextMatchId ? matchForm.nextMatchSlot : null
       }
 
       await adminAPI.createMatch(matchData)
       setSuccess('Match created successfully!')
       setShowCreateForm(false)
-      setMatchForm({
-        round: '',
-        participantA: '',
-        participantB: '',
-        status: 'upcoming',
-        courtNumber: '',
-        order: 0
-      })
+      setMatchForm(EMPTY_MATCH_FORM)
       fetchData()
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to create match')
@@ -352,7 +476,10 @@ const CustomMatchManager = () => {
       participantB: match.participantB?._id || '',
       status: match.status || 'upcoming',
       courtNumber: match.courtNumber?.toString() || '',
-      order: match.order?.toString() || '0'
+      order: match.order?.toString() || '0',
+      bestOf: match.bestOf?.toString() || '',
+      nextMatchId: match.nextMatchId || '',
+      nextMatchSlot: match.nextMatchSlot || 'A'
     })
   }
 
@@ -368,26 +495,65 @@ const CustomMatchManager = () => {
         participantB: matchForm.participantB || null,
         status: matchForm.status,
         courtNumber: matchForm.courtNumber ? parseInt(matchForm.courtNumber) : null,
-        order: parseInt(matchForm.order) || 0
+        order: parseInt(matchForm.order) || 0,
+        bestOf: matchForm.bestOf ? parseInt(matchForm.bestOf) : null,
+        nextMatchId: matchForm.nextMatchId || null,
+        nextMatchSlot: matchForm.nextMatchId ? matchForm.nextMatchSlot : null
       }
 
       await adminAPI.updateMatch(editingMatch._id, updateData)
       setSuccess('Match updated successfully!')
       setEditingMatch(null)
-      setMatchForm({
-        round: '',
-        participantA: '',
-        participantB: '',
-        status: 'upcoming',
-        courtNumber: '',
-        order: 0
-      })
+      setMatchForm(EMPTY_MATCH_FORM)
       fetchData()
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to update match')
     }
   }
 
+  // Winner advancement: link a match to the match (and slot) its winner plays next
+  const renderNextMatchFields = () => {
+    const linkableMatches = [...matches.upcoming, ...matches.live, ...matches.past]
+      .filter(m => m._id !== editingMatch?._id)
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+
+    return (
+      <div className="grid grid-cols-3 gap-3">
+        <div className="col-span-2">
+          <label className="block text-sm font-medium text-navy-blue mb-1">
+            Winner Advances To
+          </label>
+          <select
+            value={matchForm.nextMatchId}
+            onChange={(e) => setMatchForm({ ...matchForm, nextMatchId: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+          >
+            <option value="">No next match</option>
+            {linkableMatches.map(m => (
+              <option key={m._id} value={m._id}>
+                {m.round}: {getMatchParticipantName(m.participantA)} vs {getMatchParticipantName(m.participantB, m)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-navy-blue mb-1">
+            Slot
+          </label>
+          <select
+            value={matchForm.nextMatchSlot}
+            disabled={!matchForm.nextMatchId}
+            onChange={(e) => setMatchForm({ ...matchForm, nextMatchSlot: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm disabled:bg-gray-100"
+          >
+            <option value="A">A</option>
+            <option value="B">B</option>
+          </select>
+        </div>
+      </div>
+    )
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen bg-cream flex items-center justify-center">
@@ -432,16 +598,25 @@ const CustomMatchManager = () => {
               </h1>
               {tournament && (
                 <p className="text-gray-600 text-xs sm:text-sm mt-1">
-                  {tournament.name} • Max Points: {maxPoints}
+                  {tournament.name} • Games to {maxPoints}, win by 2{scoreCap ? ` (cap ${scoreCap})` : ''}
+                  {isSideOut ? ' • Side-out scoring' : ' • Rally scoring'}
                 </p>
               )}
             </div>
-            <button
-              onClick={() => setShowCreateForm(true)}
-              className="btn-secondary text-xs sm:text-sm px-3 py-2 w-full sm:w-auto"
-            >
-              ➕ Add Match
-            </button>
+            <div className="flex gap-2 w-full sm:w-auto">
+              <button
+                onClick={() => setShowSchedule(!showSchedule)}
+                className="btn-secondary text-xs sm:text-sm px-3 py-2 flex-1 sm:flex-none"
+              >
+                🗓️ {showSchedule ? 'Hide Schedule' : 'Courts & Schedule'}
+              </button>
+              <button
+                onClick={() => setShowCreateForm(true)}
+                className="btn-secondary text-xs sm:text-sm px-3 py-2 flex-1 sm:flex-none"
+              >
+                ➕ Add Match
+              </button>
+            </div>
           </div>
 
           {/* Success/Error Messages */}
@@ -456,6 +631,10 @@ const CustomMatchManager = () => {
             </div>
           )}
 
+          {showSchedule && (
+            <CourtSchedulePanel tournamentId={id} onScheduled={fetchData} />
+          )}
+
           {/* Simple Filters */}
           <div className="bg-white rounded-lg shadow p-2 sm:p-3 mb-3">
             <div className="grid grid-cols-2 gap-2">
@@ -491,9 +670,13 @@ const CustomMatchManager = () => {
             </div>
           ) : (
             sortedMatches.map((match) => {
-              const scores = matchScores[match._id] || { scoreA: match.score?.a || 0, scoreB: match.score?.b || 0 }
+              const scores = matchScores[match._id] || buildScoreForm(match, tournament)
               const isUpdating = updatingMatches.has(match._id)
-              const canComplete = (scores.scoreA >= maxPoints || scores.scoreB >= maxPoints) && match.status !== 'completed'
+              const bestOf = resolveBestOf(match, tournament)
+              const formSummary = summarizeMatch({ games: getFormGames(scores) })
+              const canComplete = isGameOver({ a: scores.scoreA, b: scores.scoreB }, tournament?.rules) &&
+                Math.max(formSummary.gamesWon.a, formSummary.gamesWon.b) >= getGamesToWin(bestOf) &&
+                match.status !== 'completed'
               const isCompleted = match.status === 'completed'
               const isCancelled = match.status === 'cancelled'
               
@@ -523,11 +706,16 @@ const CustomMatchManager = () => {
                           {match.status.toUpperCase()}
                         </span>
                         {match.courtNumber && (
-                          <span className="text-xs text-gray-500">Court {match.courtNumber}</span>
+                          <span className="text-xs text-gray-500">
+                            Court {match.courtNumber}{match.scheduledTime ? ` · ${formatSlotTime(match.scheduledTime)}` : ''}
+                          </span>
+                        )}
+                        {bestOf > 1 && (
+                          <span className="text-xs text-gray-500">Best of {bestOf}</span>
                         )}
                       </div>
                       <div className="text-xs text-gray-600">
-                        {getMatchParticipantName(match.participantA)} vs {getMatchParticipantName(match.participantB)}
+                        {getMatchParticipantName(match.participantA, match)} vs {getMatchParticipantName(match.participantB, match)}
                       </div>
                     </div>
                     
@@ -554,6 +742,17 @@ const CustomMatchManager = () => {
                             >
                               ✏️ Edit
                             </button>
+                            {match.participantA && match.participantB && !match.bye && (
+                              <button
+                                onClick={() => {
+                                  setOutcomeMatch(match)
+                                  setShowMoreActions(null)
+                                }}
+                                className="w-full text-left px-3 py-2 text-xs hover:bg-gray-100 flex items-center gap-2"
+                              >
+                                🏳️ Walkover / Retired
+                              </button>
+                            )}
                             <button
                               onClick={() => {
                                 handleCancelMatch(match._id)
@@ -592,16 +791,32 @@ const CustomMatchManager = () => {
                           </div>
                         ) : (
                           <>
+                            {/* Finished Games */}
+                            {bestOf > 1 && scores.games?.length > 0 && (
+                              <div className="flex flex-wrap gap-2">
+                                {scores.games.map((game, index) => (
+                                  <span key={index} className="px-2 py-1 bg-gray-100 rounded text-xs font-semibold text-navy-blue">
+                                    G{index + 1}: {game.a}-{game.b}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                            {bestOf > 1 && (
+                              <p className="text-xs font-medium text-gray-600">
+                                Game {(scores.games?.length || 0) + 1} of {bestOf}
+                              </p>
+                            )}
+
                             {/* Score Inputs */}
                             <div className="grid grid-cols-2 gap-2">
                               <div>
                                 <label className="block text-xs font-medium text-navy-blue mb-1">
-                                  {getMatchParticipantName(match.participantA) || 'Team A (TBD)'}
+                                  {getMatchParticipantName(match.participantA, match) || 'Team A (TBD)'}
                                 </label>
                                 <input
                                   type="number"
                                   min="0"
-                                  max={maxPoints}
+                                  max={scoreCap || undefined}
                                   value={scores.scoreA}
                                   onChange={(e) => handleScoreChange(match._id, 'scoreA', e.target.value)}
                                   disabled={isUpdating || !match.participantA}
@@ -615,12 +830,12 @@ const CustomMatchManager = () => {
                               </div>
                               <div>
                                 <label className="block text-xs font-medium text-navy-blue mb-1">
-                                  {getMatchParticipantName(match.participantB) || 'Team B (TBD)'}
+                                  {getMatchParticipantName(match.participantB, match) || 'Team B (TBD)'}
                                 </label>
                                 <input
                                   type="number"
                                   min="0"
-                                  max={maxPoints}
+                                  max={scoreCap || undefined}
                                   value={scores.scoreB}
                                   onChange={(e) => handleScoreChange(match._id, 'scoreB', e.target.value)}
                                   disabled={isUpdating || !match.participantB}
@@ -634,7 +849,73 @@ const CustomMatchManager = () => {
                               </div>
                             </div>
 
-                            {/* Action Button - Auto-completes if max points reached */}
+                            {/* Serve Tracking - side-out scoring only */}
+                            {isSideOut && scores.serve && (
+                              <div className="flex flex-wrap items-center gap-2 bg-gray-50 rounded-lg p-2">
+                                <label className="text-xs font-medium text-navy-blue">Serving</label>
+                                <select
+                                  value={scores.serve.team}
+                                  onChange={(e) => handleServeChange(match._id, 'team', e.target.value)}
+                                  disabled={isUpdating}
+                                  className="px-2 py-1 border border-gray-300 rounded text-xs"
+                                >
+                                  <option value="A">{getMatchParticipantName(match.participantA, match)}</option>
+                                  <option value="B">{getMatchParticipantName(match.participantB, match)}</option>
+                                </select>
+                                {tournament?.type === 'doubles' && (
+                                  <select
+                                    value={scores.serve.serverNumber}
+                                    onChange={(e) => handleServeChange(match._id, 'serverNumber', e.target.value)}
+                                    disabled={isUpdating}
+                                    className="px-2 py-1 border border-gray-300 rounded text-xs"
+                                  >
+                                    <option value={1}>Server 1</option>
+                                    <option value={2}>Server 2</option>
+                                  </select>
+                                )}
+                                <span className="ml-auto text-sm font-bold text-navy-blue">
+                                  {getScoreCall({ a: scores.scoreA, b: scores.scoreB }, scores.serve, tournament)}
+                                </span>
+                              </div>
+                            )}
+
+                            {/* Point by Point - rally log with undo */}
+                            {match.participantA && match.participantB && (
+                              <div className="flex flex-wrap gap-2">
+                                <button
+                                  onClick={() => handleRecordEvent(match, 'point', 'A')}
+                                  disabled={isUpdating}
+                                  className="flex-1 px-2 py-1.5 bg-lime-green/20 text-navy-blue rounded-lg text-xs font-semibold hover:bg-lime-green/40 disabled:opacity-50"
+                                >
+                                  Rally: {getMatchParticipantName(match.participantA, match)}
+                                </button>
+                                <button
+                                  onClick={() => handleRecordEvent(match, 'point', 'B')}
+                                  disabled={isUpdating}
+                                  className="flex-1 px-2 py-1.5 bg-lime-green/20 text-navy-blue rounded-lg text-xs font-semibold hover:bg-lime-green/40 disabled:opacity-50"
+                                >
+                                  Rally: {getMatchParticipantName(match.participantB, match)}
+                                </button>
+                                {isSideOut && (
+                                  <button
+                                    onClick={() => handleRecordEvent(match, 'sideOut')}
+                                    disabled={isUpdating}
+                                    className="px-2 py-1.5 bg-gray-100 text-navy-blue rounded-lg text-xs font-semibold hover:bg-gray-200 disabled:opacity-50"
+                                  >
+                                    Side out
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => handleUndoPoint(match)}
+                                  disabled={isUpdating}
+                                  className="px-2 py-1.5 bg-yellow-50 text-yellow-800 rounded-lg text-xs font-semibold hover:bg-yellow-100 disabled:opacity-50"
+                                >
+                                  ↶ Undo
+                                </button>
+                              </div>
+                            )}
+
+                            {/* Action Button - Auto-completes once the deciding game is over */}
                             <div className="flex gap-2">
                               <button
                                 onClick={() => handleUpdateScore(match)}
@@ -656,13 +937,31 @@ const CustomMatchManager = () => {
                       <div className="text-2xl sm:text-3xl font-bold text-navy-blue">
                         {match.score?.a || 0} - {match.score?.b || 0}
                       </div>
-                      {isCompleted && match.score?.a !== match.score?.b && (
+                      {match.games?.length > 1 && (
+                        <div className="text-xs sm:text-sm text-gray-500 mt-1">
+                          {match.games.map(game => `${game.a}-${game.b}`).join(', ')}
+                        </div>
+                      )}
+                      {isCompleted && summarizeMatch(match).winner && (
                         <div className="text-xs sm:text-sm text-gray-600 mt-1">
-                          Winner: {match.score?.a > match.score?.b 
-                            ? getMatchParticipantName(match.participantA) || 'Team A'
-                            : getMatchParticipantName(match.participantB) || 'Team B'}
+                          Winner: {summarizeMatch(match).winner === 'A'
+                            ? getMatchParticipantName(match.participantA, match) || 'Team A'
+                            : getMatchParticipantName(match.participantB, match) || 'Team B'}
+                        </div>
+                      )}
+                      {isCompleted && getOutcomeLabel(match) && (
+                        <div className="text-xs sm:text-sm font-semibold text-red-600 mt-1">
+                          {getOutcomeLabel(match)}{match.outcomeReason && ` · ${match.outcomeReason}`}
                         </div>
                       )}
+                      {isCompleted && (
+                        <button
+                          onClick={() => setAmendingMatch(match)}
+                          className="mt-2 text-xs font-semibold text-forest-green hover:underline"
+                        >
+                          ✏️ Amend Result
+                        </button>
+                      )}
                     </div>
                   )}
                 </div>
@@ -691,6 +990,26 @@ const CustomMatchManager = () => {
           </div>
         </div>
 
+        {/* Amend Result Modal */}
+        {amendingMatch && (
+          <AmendResultModal
+            match={amendingMatch}
+            tournament={tournament}
+            onClose={() => setAmendingMatch(null)}
+            onAmended={handleResultAmended}
+          />
+        )}
+
+        {/* Match Outcome Modal */}
+        {outcomeMatch && (
+          <MatchOutcomeModal
+            match={outcomeMatch}
+            tournament={tournament}
+            onClose={() => setOutcomeMatch(null)}
+            onSaved={handleOutcomeSaved}
+          />
+        )}
+
         {/* Create Match Modal (Less Important) */}
         {showCreateForm && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -774,6 +1093,24 @@ const CustomMatchManager = () => {
                     </div>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-navy-blue mb-1">
+                      Best Of
+                    </label>
+                    <select
+                      value={matchForm.bestOf}
+                      onChange={(e) => setMatchForm({ ...matchForm, bestOf: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                    >
+                      <option value="">Tournament default</option>
+                      <option value="1">1 game</option>
+                      <option value="3">3 games</option>
+                      <option value="5">5 games</option>
+                    </select>
+                  </div>
+
+                  {renderNextMatchFields()}
+
                   <div className="flex gap-3 pt-2">
                     <button
                       type="submit"
@@ -785,14 +1122,7 @@ const CustomMatchManager = () => {
                       type="button"
                       onClick={() => {
                         setShowCreateForm(false)
-                        setMatchForm({
-                          round: '',
-                          participantA: '',
-                          participantB: '',
-                          status: 'upcoming',
-                          courtNumber: '',
-                          order: 0
-                        })
+                        setMatchForm(EMPTY_MATCH_FORM)
                       }}
                       className="flex-1 btn-secondary text-sm"
                     >
@@ -890,6 +1220,24 @@ const CustomMatchManager = () => {
                     </div>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-navy-blue mb-1">
+                      Best Of
+                    </label>
+                    <select
+                      value={matchForm.bestOf}
+                      onChange={(e) => setMatchForm({ ...matchForm, bestOf: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-lime-green focus:border-lime-green text-sm"
+                    >
+                      <option value="">Tournament default</option>
+                      <option value="1">1 game</option>
+                      <option value="3">3 games</option>
+                      <option value="5">5 games</option>
+                    </select>
+                  </div>
+
+                  {renderNextMatchFields()}
+
                   <div className="flex gap-3 pt-2">
                     <button
                       type="submit"
@@ -901,14 +1249,7 @@ const CustomMatchManager = () => {
                       type="button"
                       onClick={() => {
                         setEditingMatch(null)
-                        setMatchForm({
-                          round: '',
-                          participantA: '',
-                          participantB: '',
-                          status: 'upcoming',
-                          courtNumber: '',
-                          order: 0
-                        })
+                        setMatchForm(EMPTY_MATCH_FORM)
                       }}
                       className="flex-1 btn-secondary text-sm"
                     >
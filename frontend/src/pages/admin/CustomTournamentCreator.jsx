@@ -1,12 +1,17 @@
 import { useState, useEffect } from 'react'
-import { useNavigate, useParams, Link } from 'react-router-dom'
+import { useNavigate, useParams, useSearchParams, Link } from 'react-router-dom'
 import { adminAPI } from '../../services/api'
 import { scrollToTop } from '../../utils/scrollToTop'
+import { TIEBREAKERS, TIEBREAKER_LABELS, DEFAULT_TIEBREAKERS, getDefaultTiebreakers, getTiebreakers } from '../../utils/tiebreakers'
 
 const CustomTournamentCreator = () => {
   const navigate = useNavigate()
   const { id } = useParams()
   const isEdit = !!id
+  // New division of a main tournament (?parent=<id>)
+  const [searchParams] = useSearchParams()
+  const parentId = isEdit ? null : searchParams.get('parent')
+  const [parent, setParent] = useState(null)
 
   const [formData, setFormData] = useState({
     name: '',
@@ -16,7 +21,19 @@ const CustomTournamentCreator = () => {
     format: 'custom',
     rules: {
       points: 11,
-      scoringSystem: 'rally'
+      scoringSystem: 'rally',
+      cap: '',
+      bestOf: 1,
+      placement: 'none',
+      forfeitPoints: '',
+      tiebreakers: DEFAULT_TIEBREAKERS
+    },
+    // Who may enter (empty = no limit)
+    eligibility: {
+      minRating: '',
+      maxRating: '',
+      minAge: '',
+      gender: 'open'
     }
   })
 
@@ -30,26 +47,61 @@ const CustomTournamentCreator = () => {
     }
   }, [id])
 
+  useEffect(() => {
+    if (parentId) {
+      fetchParent()
+    }
+  }, [parentId])
+
+  // Divisions start with the location and date of their main tournament
+  const fetchParent = async () => {
+    try {
+      const response = await adminAPI.getTournament(parentId)
+      const main = response.data.data
+      setParent(main)
+      setFormData(prev => ({
+        ...prev,
+        location: prev.location || main.location || '',
+        date: prev.date || (main.date ? new Date(main.date).toISOString().split('T')[0] : '')
+      }))
+    } catch (err) {
+      setError('Failed to load the main tournament')
+      console.error(err)
+    }
+  }
+
   const fetchTournament = async () => {
     try {
       setFetching(true)
       const response = await adminAPI.getTournament(id)
       const tournament = response.data.data
 
-      if (tournament.format !== 'custom') {
+      if (!['custom', 'swiss', 'rotatingPartners'].includes(tournament.format)) {
         setError('This is not a custom tournament. Please use the general editor.')
         return
       }
 
+      setParent(tournament.parent)
       setFormData({
         name: tournament.name || '',
         location: tournament.location || '',
         date: tournament.date ? new Date(tournament.date).toISOString().split('T')[0] : '',
         type: tournament.type || 'singles',
-        format: 'custom',
+        format: tournament.format,
         rules: {
           points: tournament.rules?.points || 11,
-          scoringSystem: tournament.rules?.scoringSystem || 'rally'
+          scoringSystem: tournament.rules?.scoringSystem || 'rally',
+          cap: tournament.rules?.cap || '',
+          bestOf: tournament.rules?.bestOf || 1,
+          placement: tournament.rules?.placement || 'none',
+          forfeitPoints: tournament.rules?.forfeitPoints ?? '',
+          tiebreakers: getTiebreakers(tournament)
+        },
+        eligibility: {
+          minRating: tournament.eligibility?.minRating ?? '',
+          maxRating: tournament.eligibility?.maxRating ?? '',
+          minAge: tournament.eligibility?.minAge ?? '',
+          gender: tournament.eligibility?.gender || 'open'
         }
       })
       setError('')
@@ -61,6 +113,28 @@ const CustomTournamentCreator = () => {
     }
   }
 
+  // Switching format also switches untouched tiebreakers to the new format's default.
+  // Rotating partners is always doubles (teams are made up each round).
+  const handleFormatChange = (e) => {
+    const format = e.target.value
+    setFormData(prev => {
+      const previousDefault = getDefaultTiebreakers(prev.format)
+      const untouched = prev.rules.tiebreakers.join(',') === previousDefault.join(',')
+      return {
+        ...prev,
+        format,
+        type: format === 'rotatingPartners' ? 'doubles' : prev.type,
+        // Rotating partner entries are single players, so they cannot be mixed teams
+        eligibility: format === 'rotatingPartners' && prev.eligibility.gender === 'mixed'
+          ? { ...prev.eligibility, gender: 'open' }
+          : prev.eligibility,
+        rules: untouched
+          ? { ...prev.rules, tiebreakers: getDefaultTiebreakers(format) }
+          : prev.rules
+      }
+    })
+  }
+
   const handleInputChange = (e) => {
     const { name, value, type } = e.target
     
@@ -81,6 +155,25 @@ const CustomTournamentCreator = () => {
     }
   }
 
+  // Ratings can have decimals (e.g. 3.5), so eligibility values are kept as typed
+  const handleEligibilityChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, eligibility: { ...prev.eligibility, [name]: value } }))
+  }
+
+  // Tiebreakers are applied in list order after wins
+  const setTiebreakers = (tiebreakers) => {
+    setFormData(prev => ({ ...prev, rules: { ...prev.rules, tiebreakers } }))
+  }
+
+  const moveTiebreaker = (index, direction) => {
+    const tiebreakers = [...formData.rules.tiebreakers]
+    const target = index + direction
+    if (target < 0 || target >= tiebreakers.length) return
+    ;[tiebreakers[index], tiebreakers[target]] = [tiebreakers[target], tiebreakers[index]]
+    setTiebreakers(tiebreakers)
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
@@ -98,11 +191,17 @@ const CustomTournamentCreator = () => {
         location: formData.location,
         date: new Date(formData.date).toISOString(),
         type: formData.type,
-        format: 'custom',
+        format: formData.format,
         rules: {
           points: parseInt(formData.rules.points) || 11,
-          scoringSystem: formData.rules.scoringSystem
-        }
+          scoringSystem: formData.rules.scoringSystem,
+          cap: parseInt(formData.rules.cap) || null,
+          bestOf: parseInt(formData.rules.bestOf) || 1,
+          placement: formData.rules.placement,
+          forfeitPoints: formData.rules.forfeitPoints === '' ? null : parseInt(formData.rules.forfeitPoints),
+          tiebreakers: formData.rules.tiebreakers
+        },
+        eligibility: formData.eligibility
       }
 
       if (isEdit) {
@@ -113,6 +212,12 @@ const CustomTournamentCreator = () => {
             message: 'Custom tournament updated successfully!'
           }
         })
+      } else if (parentId) {
+        // Divisions are as visible as their main tournament
+        tournamentData.parentTournament = parentId
+        const response = await adminAPI.createTournament(tournamentData)
+        scrollToTop()
+        navigate(`/admin/tournaments/custom/${response.data.data._id}/manage`)
       } else {
         tournamentData.isPublic = false
         const response = await adminAPI.createTournament(tournamentData)
@@ -138,7 +243,7 @@ const CustomTournamentCreator = () => {
           <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
               <h1 className="text-2xl sm:text-3xl md:text-4xl font-bold text-navy-blue">
-                {isEdit ? 'Edit Tournament' : 'Create Tournament'}
+                {isEdit ? 'Edit Tournament' : parentId ? 'Add Division' : 'Create Tournament'}
               </h1>
               <Link
                 to="/admin/tournaments/custom/list"
@@ -154,6 +259,15 @@ const CustomTournamentCreator = () => {
             <p className="text-sm sm:text-base text-gray-600">
               {isEdit ? 'Edit your tournament details' : 'Create a tournament with manual fixture management'}
             </p>
+            {parent && (
+              <p className="text-sm text-gray-600 mt-2">
+                Division of{' '}
+                <Link to={`/admin/tournaments/custom/${parent._id}/manage`} className="font-semibold text-navy-blue hover:text-forest-green">
+                  {parent.name}
+                </Link>
+                {' '}(shares its courts and schedule)
+              </p>
+            )}
           </div>
         </div>
 
@@ -229,7 +343,8 @@ const CustomTournamentCreator = () => {
                   name="type"
                   value={formData.type}
                   onChange={handleInputChange}
-                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                  disabled={formData.format === 'rotatingPartners'}
+                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base disabled:bg-gray-100"
                   required
                 >
                   <option value="singles">Singles</option>
@@ -237,20 +352,28 @@ const CustomTournamentCreator = () => {
                 </select>
               </div>
 
-              {/* <div>
+              <div>
                 <label className="block text-sm font-medium text-navy-blue mb-2">
                   Tournament Format
                 </label>
-                <input
-                  type="text"
-                  value="Custom"
-                  disabled
-                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl bg-gray-100 text-gray-600 cursor-not-allowed text-sm sm:text-base"
-                />
+                <select
+                  name="format"
+                  value={formData.format}
+                  onChange={handleFormatChange}
+                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                >
+                  <option value="custom">Custom</option>
+                  <option value="swiss">Swiss</option>
+                  <option value="rotatingPartners">Rotating Partners</option>
+                </select>
                 <p className="text-xs text-gray-500 mt-2">
-                  Custom tournaments allow manual fixture management
+                  {formData.format === 'swiss'
+                    ? 'Each round pairs players on equal wins from the standings, without rematches'
+                    : formData.format === 'rotatingPartners'
+                      ? 'Players sign up alone and play doubles with a new partner every round, ranked individually'
+                      : 'Custom tournaments allow manual fixture management'}
                 </p>
-              </div> */}
+              </div>
 
               <div>
                 <label className="block text-sm font-medium text-navy-blue mb-2">
@@ -268,6 +391,26 @@ const CustomTournamentCreator = () => {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-2">
+                  Score Cap
+                </label>
+                <select
+                  name="rules.cap"
+                  value={formData.rules.cap}
+                  onChange={handleInputChange}
+                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                >
+                  <option value="">No cap (win by 2)</option>
+                  {[13, 15, 17, 21, 25].filter(cap => cap > parseInt(formData.rules.points)).map(cap => (
+                    <option key={cap} value={cap}>Cap at {cap}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  Games are won by 2 points. A cap ends the game at that score even without a 2-point lead.
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-navy-blue mb-2">
                   Scoring System <span className="text-red-500">*</span>
@@ -284,6 +427,169 @@ const CustomTournamentCreator = () => {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-2">
+                  Games per Match <span className="text-red-500">*</span>
+                </label>
+                <select
+                  name="rules.bestOf"
+                  value={formData.rules.bestOf}
+                  onChange={handleInputChange}
+                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                  required
+                >
+                  <option value={1}>Single Game</option>
+                  <option value={3}>Best of 3</option>
+                  <option value={5}>Best of 5</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  Individual matches can override this from the Score Manager
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-2">
+                  Placement Matches
+                </label>
+                <select
+                  name="rules.placement"
+                  value={formData.rules.placement}
+                  onChange={handleInputChange}
+                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                >
+                  <option value="none">None</option>
+                  <option value="thirdPlace">3rd Place Match</option>
+                  <option value="full">All Places</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  Knockout losers play on for 3rd place, or for every place (5th-8th, ...)
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-2">
+                  Walkover Score
+                </label>
+                <input
+                  type="number"
+                  name="rules.forfeitPoints"
+                  min="0"
+                  step="1"
+                  value={formData.rules.forfeitPoints}
+                  onChange={(e) => setFormData(prev => ({ ...prev, rules: { ...prev.rules, forfeitPoints: e.target.value } }))}
+                  placeholder={`${formData.rules.points} (points of a game)`}
+                  className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                />
+                <p className="text-xs text-gray-500 mt-2">
+                  Points the winner of a walkover or disqualification is given in every game needed (blank = the points of a game, 0 = the win only)
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-2">
+                  Standings Tiebreakers
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Participants level on wins are separated by these, in order. Coin flips are made once all matches are played and are recorded.
+                </p>
+                <div className="space-y-2">
+                  {formData.rules.tiebreakers.map((tiebreaker, index) => (
+                    <div key={tiebreaker} className="flex items-center gap-2 bg-white/60 border-2 border-gray-200 rounded-xl px-3 py-2">
+                      <span className="w-6 text-sm font-bold text-gray-600">{index + 1}.</span>
+                      <span className="flex-1 text-sm text-navy-blue">{TIEBREAKER_LABELS[tiebreaker]}</span>
+                      <button type="button" onClick={() => moveTiebreaker(index, -1)} disabled={index === 0} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↑</button>
+                      <button type="button" onClick={() => moveTiebreaker(index, 1)} disabled={index === formData.rules.tiebreakers.length - 1} className="px-2 py-1 rounded bg-gray-100 disabled:opacity-40">↓</button>
+                      <button
+                        type="button"
+                        onClick={() => setTiebreakers(formData.rules.tiebreakers.filter(t => t !== tiebreaker))}
+                        className="px-2 py-1 rounded bg-red-100 text-red-600"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                {TIEBREAKERS.some(tiebreaker => !formData.rules.tiebreakers.includes(tiebreaker)) && (
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && setTiebreakers([...formData.rules.tiebreakers, e.target.value])}
+                    className="mt-2 w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                  >
+                    <option value="">+ Add tiebreaker</option>
+                    {TIEBREAKERS.filter(tiebreaker => !formData.rules.tiebreakers.includes(tiebreaker)).map(tiebreaker => (
+                      <option key={tiebreaker} value={tiebreaker}>{TIEBREAKER_LABELS[tiebreaker]}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-navy-blue mb-2">
+                  Eligibility
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Checked when players are added, uploaded or register themselves. Leave empty for no limit.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Minimum rating</label>
+                    <input
+                      type="number"
+                      name="minRating"
+                      min="1"
+                      max="8"
+                      step="0.01"
+                      value={formData.eligibility.minRating}
+                      onChange={handleEligibilityChange}
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                      placeholder="e.g. 3.0"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Maximum rating</label>
+                    <input
+                      type="number"
+                      name="maxRating"
+                      min="1"
+                      max="8"
+                      step="0.01"
+                      value={formData.eligibility.maxRating}
+                      onChange={handleEligibilityChange}
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                      placeholder="e.g. 3.5"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Minimum age on the tournament date</label>
+                    <input
+                      type="number"
+                      name="minAge"
+                      min="0"
+                      value={formData.eligibility.minAge}
+                      onChange={handleEligibilityChange}
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                      placeholder="e.g. 50"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Gender</label>
+                    <select
+                      name="gender"
+                      value={formData.eligibility.gender}
+                      onChange={handleEligibilityChange}
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                    >
+                      <option value="open">Open</option>
+                      <option value="male">Men only</option>
+                      <option value="female">Women only</option>
+                      {formData.type === 'doubles' && formData.format !== 'rotatingPartners' && (
+                        <option value="mixed">Mixed (one man and one woman)</option>
+                      )}
+                    </select>
+                  </div>
+                </div>
+              </div>
+
               <div className="bg-yellow-50 border-2 border-yellow-200 rounded-xl p-3 sm:p-4">
                 <p className="text-xs sm:text-sm text-yellow-800">
                   <strong>Note:</strong> This tournament will be saved as a <strong>draft</strong> and will not be published until you manually publish it from the dashboard.
@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom'
 import { adminAPI } from '../../services/api'
 import { scrollToTop } from '../../utils/scrollToTop'
 import { getParticipantDisplayName } from '../../utils/participantDisplay'
+import RegistrationPanel from '../../components/RegistrationPanel'
 
 const CustomTournamentManagePage = () => {
   const { id } = useParams()
@@ -13,21 +14,37 @@ const CustomTournamentManagePage = () => {
   const [matches, setMatches] = useState({ past: [], live: [], upcoming: [], cancelled: [] })
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
-  const [activeTab, setActiveTab] = useState('overview') // overview, players, fixtures, matches
+  const [activeTab, setActiveTab] = useState('overview') // overview, players, registrations, fixtures
 
   // Form states for adding players
   const [showAddPlayerForm, setShowAddPlayerForm] = useState(false)
   const [playerForm, setPlayerForm] = useState({
     name: '',
     player1: '',
-    player2: ''
+    player2: '',
+    seed: ''
   })
   const [uploadFile, setUploadFile] = useState(null)
   const [uploading, setUploading] = useState(false)
   const [uploadErrors, setUploadErrors] = useState([])
   const [uploadSuccess, setUploadSuccess] = useState('')
+  const [playerMatches, setPlayerMatches] = useState(null) // Player registry matching report of the last upload
   const [showNoPlayersModal, setShowNoPlayersModal] = useState(false)
 
+  // Seed editing: participantId -> seed input value
+  const [editingSeeds, setEditingSeeds] = useState(false)
+  const [seedForm, setSeedForm] = useState({})
+  const [savingSeeds, setSavingSeeds] = useState(false)
+
+  // Participant editing: rename, change players or record a substitution
+  const [editingParticipantId, setEditingParticipantId] = useState(null)
+  const [participantForm, setParticipantForm] = useState({ name: '', player1: '', player2: '', substitute: false, reason: '' })
+  const [savingParticipant, setSavingParticipant] = useState(false)
+  const [participantFormError, setParticipantFormError] = useState('')
+
+  // Rotating-partner doubles register players one at a time
+  const twoPlayerEntries = tournament?.type === 'doubles' && tournament?.format !== 'rotatingPartners'
+
   useEffect(() => {
     fetchTournamentData()
   }, [id])
@@ -53,6 +70,16 @@ const CustomTournamentManagePage = () => {
     }
   }
 
+  // Entries approved from the registrations tab become participants
+  const fetchParticipants = async () => {
+    try {
+      const response = await adminAPI.getTournamentParticipants(id)
+      setParticipants(response.data.data.participants || [])
+    } catch (err) {
+      console.error(err)
+    }
+  }
+
   const handleStatusChange = async (newStatus) => {
     try {
       await adminAPI.updateTournamentStatus(id, { status: newStatus })
@@ -77,13 +104,13 @@ const CustomTournamentManagePage = () => {
     setError('')
     setUploadErrors([])
 
-    if (!playerForm.player1 || (tournament.type === 'doubles' && !playerForm.player2)) {
+    if (!playerForm.player1 || (twoPlayerEntries && !playerForm.player2)) {
       setError('Please fill in all required player fields.')
       return
     }
 
     const playersArray = [playerForm.player1.trim()]
-    if (tournament.type === 'doubles' && playerForm.player2) {
+    if (twoPlayerEntries && playerForm.player2) {
       playersArray.push(playerForm.player2.trim())
     }
 
@@ -93,9 +120,10 @@ const CustomTournamentManagePage = () => {
     try {
       await adminAPI.createParticipant(id, {
         name: generatedName,
-        players: playersArray
+        players: playersArray,
+        seed: playerForm.seed ? Number(playerForm.seed) : null
       })
-      setPlayerForm({ player1: '', player2: '' })
+      setPlayerForm({ player1: '', player2: '', seed: '' })
       setShowAddPlayerForm(false)
       fetchTournamentData()
       alert('Player added successfully!')
@@ -130,10 +158,12 @@ const CustomTournamentManagePage = () => {
     setError('')
     setUploadErrors([])
     setUploadSuccess('')
+    setPlayerMatches(null)
 
     try {
       const response = await adminAPI.uploadParticipants(id, uploadFile)
       setUploadSuccess(response.data.message || 'Participants uploaded successfully!')
+      setPlayerMatches(response.data.data?.playerMatches || null)
       setUploadFile(null)
       e.target.reset()
       fetchTournamentData()
@@ -155,6 +185,42 @@ const CustomTournamentManagePage = () => {
     }
   }
 
+  const handleStartEditSeeds = () => {
+    const form = {}
+    participants.forEach(participant => {
+      form[participant._id] = participant.seed ? String(participant.seed) : ''
+    })
+    setSeedForm(form)
+    setEditingSeeds(true)
+  }
+
+  const handleSaveSeeds = async () => {
+    // Only send seeds that changed
+    const seeds = participants
+      .filter(participant => (seedForm[participant._id] || '') !== (participant.seed ? String(participant.seed) : ''))
+      .map(participant => ({
+        participantId: participant._id,
+        seed: seedForm[participant._id] ? Number(seedForm[participant._id]) : null
+      }))
+
+    if (seeds.length === 0) {
+      setEditingSeeds(false)
+      return
+    }
+
+    try {
+      setSavingSeeds(true)
+      setError('')
+      await adminAPI.updateParticipantSeeds(id, seeds)
+      setEditingSeeds(false)
+      fetchTournamentData()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update seeds')
+    } finally {
+      setSavingSeeds(false)
+    }
+  }
+
   const handleDeletePlayer = async (participantId, participantName) => {
     if (!window.confirm(`Are you sure you want to delete participant "${participantName}"? This action cannot be undone.`)) {
       return
@@ -174,6 +240,74 @@ const CustomTournamentManagePage = () => {
     }
   }
 
+  const handleStartEditParticipant = (participant) => {
+    setEditingParticipantId(participant._id)
+    setParticipantForm({
+      name: participant.name,
+      player1: participant.players?.[0] || '',
+      player2: participant.players?.[1] || '',
+      // Players of a started tournament usually change mid-event
+      substitute: tournament.status === 'live',
+      reason: ''
+    })
+    setParticipantFormError('')
+  }
+
+  const handleSaveParticipant = async (e, participant) => {
+    e.preventDefault()
+
+    const players = [participantForm.player1, participantForm.player2]
+      .slice(0, twoPlayerEntries ? 2 : 1)
+      .map(p => p.trim())
+    if (!participantForm.name.trim() || players.some(p => !p)) {
+      setParticipantFormError('Please fill in the name and all player names')
+      return
+    }
+
+    const playersChanged = players.some((p, index) => p !== participant.players?.[index])
+    const data = { name: participantForm.name.trim() }
+    if (playersChanged) {
+      data.players = players
+      data.substitute = participantForm.substitute
+      data.reason = participantForm.reason.trim() || null
+      // A name generated from the old players follows the new ones
+      if (data.name === participant.name && participant.name === participant.players?.join(' & ')) {
+        delete data.name
+      }
+    }
+
+    try {
+      setSavingParticipant(true)
+      setParticipantFormError('')
+      await adminAPI.updateParticipant(id, participant._id, data)
+      setEditingParticipantId(null)
+      fetchParticipants()
+    } catch (err) {
+      setParticipantFormError(err.response?.data?.message || 'Failed to update participant')
+    } finally {
+      setSavingParticipant(false)
+    }
+  }
+
+  const handleWithdrawPlayer = async (participant, disqualify = false) => {
+    const name = getParticipantDisplayName(participant)
+    const reason = window.prompt(disqualify
+      ? `Disqualify "${name}"? Their remaining matches are lost by disqualification. Reason (optional):`
+      : `Withdraw "${name}"? Their remaining matches are walkovers for their opponents. Reason (optional):`)
+    if (reason === null) return
+
+    try {
+      const response = await adminAPI.withdrawParticipant(id, participant._id, { disqualify, reason })
+      fetchParticipants()
+      const { waitingMatches } = response.data.data
+      alert(waitingMatches > 0
+        ? `${response.data.message}\n\n${waitingMatches} match(es) will be forfeited once the opponent is known.`
+        : response.data.message)
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to withdraw participant')
+    }
+  }
+
   const handleDeleteTournament = async () => {
     if (!window.confirm(`Are you sure you want to delete "${tournament.name}"? This action cannot be undone and will delete all associated data (participants, matches).`)) {
       return
@@ -343,6 +477,16 @@ const CustomTournamentManagePage = () => {
             >
               Players ({participants.length})
             </button>
+            <button
+              onClick={() => { setActiveTab('registrations'); scrollToTop() }}
+              className={`flex-1 px-3 sm:px-4 py-2 sm:py-3 font-semibold rounded-xl transition-all text-xs sm:text-sm ${
+                activeTab === 'registrations'
+                  ? 'bg-gradient-to-r from-lime-green to-forest-green text-white shadow-lg'
+                  : 'text-gray-600 hover:bg-white/40'
+              }`}
+            >
+              Registrations
+            </button>
             <button
               onClick={() => { setActiveTab('fixtures'); scrollToTop() }}
               className={`flex-1 px-3 sm:px-4 py-2 sm:py-3 font-semibold rounded-xl transition-all text-xs sm:text-sm ${
@@ -392,6 +536,48 @@ const CustomTournamentManagePage = () => {
               </div>
             </div>
 
+            {/* Divisions: events of the same tournament weekend, sharing courts and schedule */}
+            <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
+              <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-navy-blue">Divisions</h2>
+                {!tournament.parent && (
+                  <Link
+                    to={`/admin/tournaments/custom?parent=${id}`}
+                    onClick={scrollToTop}
+                    className="btn-primary text-sm sm:text-base px-4 py-2 text-center"
+                  >
+                    + Add Division
+                  </Link>
+                )}
+              </div>
+              {tournament.parent ? (
+                <p className="text-sm sm:text-base text-gray-600">
+                  Division of{' '}
+                  <Link to={`/admin/tournaments/custom/${tournament.parent._id}/manage`} className="font-semibold text-navy-blue hover:text-forest-green">
+                    {tournament.parent.name}
+                  </Link>
+                  . Courts and schedule are shared with its other divisions.
+                </p>
+              ) : tournament.divisions?.length > 0 ? (
+                <ul className="divide-y divide-gray-200">
+                  {tournament.divisions.map(division => (
+                    <li key={division._id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                      <Link to={`/admin/tournaments/custom/${division._id}/manage`} className="font-semibold text-navy-blue hover:text-forest-green">
+                        {division.name}
+                      </Link>
+                      <span className="text-xs sm:text-sm text-gray-600 capitalize">
+                        {division.type} · {division.format} · {division.status}{division.isPublic ? '' : ' · not published'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm sm:text-base text-gray-600">
+                  Run several events at once (e.g. Men's Doubles 3.5, Mixed, Singles), each with its own format, players and fixtures, on the courts of this tournament.
+                </p>
+              )}
+            </div>
+
             {/* Status Management */}
             <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
               <h2 className="text-xl sm:text-2xl font-bold text-navy-blue mb-4">Status Management</h2>
@@ -477,7 +663,7 @@ const CustomTournamentManagePage = () => {
                         required
                       />
                     </div>
-                    {tournament.type === 'doubles' && (
+                    {twoPlayerEntries && (
                       <div>
                         <label className="block text-sm font-medium text-navy-blue mb-2">
                           Player 2 <span className="text-red-500">*</span>
@@ -491,6 +677,19 @@ const CustomTournamentManagePage = () => {
                         />
                       </div>
                     )}
+                    <div>
+                      <label className="block text-sm font-medium text-navy-blue mb-2">
+                        Seed <span className="text-gray-400 font-normal">(optional, 1 = top seed)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={playerForm.seed}
+                        onChange={(e) => setPlayerForm({ ...playerForm, seed: e.target.value })}
+                        className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                      />
+                    </div>
                   </div>
                   <div className="mt-4">
                     <button type="submit" className="btn-primary text-sm sm:text-base px-6 py-3" onClick={scrollToTop}>
@@ -509,6 +708,23 @@ const CustomTournamentManagePage = () => {
                   {uploadSuccess}
                 </div>
               )}
+              {playerMatches && (
+                <div className="bg-blue-50 border-2 border-blue-200 text-blue-800 px-3 sm:px-4 py-2 sm:py-3 rounded-xl mb-4 text-xs sm:text-sm">
+                  <p>
+                    Player registry: {playerMatches.matched.length} matched to existing players, {playerMatches.created} new
+                  </p>
+                  {playerMatches.ambiguous.length > 0 && (
+                    <>
+                      <p className="font-bold mt-2">Not linked (several players share this name, add an email to tell them apart):</p>
+                      <ul className="list-disc list-inside mt-1">
+                        {playerMatches.ambiguous.map((entry, index) => (
+                          <li key={index}>Line {entry.line}: {entry.name} ({entry.candidates.length} players)</li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
               {error && (
                 <div className="bg-red-100 border-2 border-red-400 text-red-700 px-3 sm:px-4 py-2 sm:py-3 rounded-xl mb-4 text-sm sm:text-base">
                   {error}
@@ -537,7 +753,10 @@ const CustomTournamentManagePage = () => {
                     className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
                   />
                   <p className="text-xs text-gray-500 mt-2">
-                    For {tournament.type === 'singles' ? 'singles' : 'doubles'}: CSV format with columns: name, player1{tournament.type === 'doubles' ? ', player2' : ''}
+                    For {twoPlayerEntries ? 'doubles' : 'singles'}: CSV format with columns: name, player1{twoPlayerEntries ? ', player2' : ''}, seed (optional)
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Optional per player: player1Email, player1Rating, player1Club, player1Gender, player1DOB{twoPlayerEntries ? ' (and the same for player2)' : ''}. Players are matched to existing players by email, then name.
                   </p>
                 </div>
                 <button type="submit" className="btn-primary text-sm sm:text-base px-6 py-3" disabled={!uploadFile || uploading} onClick={scrollToTop}>
@@ -548,7 +767,32 @@ const CustomTournamentManagePage = () => {
 
             {/* Players List */}
             <div className="bg-white/60 backdrop-blur-md rounded-2xl shadow-xl p-4 sm:p-6 border border-white/20">
-              <h2 className="text-xl sm:text-2xl font-bold text-navy-blue mb-4">Current Players ({participants.length})</h2>
+              <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-navy-blue">Current Players ({participants.length})</h2>
+                {participants.length > 0 && (
+                  editingSeeds ? (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={handleSaveSeeds}
+                        disabled={savingSeeds}
+                        className="btn-primary text-sm px-4 py-2 disabled:opacity-50"
+                      >
+                        {savingSeeds ? 'Saving...' : 'Save Seeds'}
+                      </button>
+                      <button
+                        onClick={() => setEditingSeeds(false)}
+                        className="btn-secondary text-sm px-4 py-2"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button onClick={handleStartEditSeeds} className="btn-secondary text-sm px-4 py-2">
+                      Edit Seeds
+                    </button>
+                  )
+                )}
+              </div>
               {participants.length === 0 ? (
                 <div className="text-center py-8">
                   <p className="text-gray-600 text-sm sm:text-base">No players added yet. Add players using the form above.</p>
@@ -568,6 +812,130 @@ const CustomTournamentManagePage = () => {
                         </svg>
                       </button>
                       <h3 className="font-semibold text-navy-blue mb-2 pr-10 sm:pr-12 break-words text-sm sm:text-base">{getParticipantDisplayName(participant)}</h3>
+                      {editingParticipantId === participant._id && (
+                        <form onSubmit={(e) => handleSaveParticipant(e, participant)} className="space-y-2 mb-2">
+                          <input
+                            type="text"
+                            value={participantForm.name}
+                            onChange={(e) => setParticipantForm({ ...participantForm, name: e.target.value })}
+                            placeholder="Name"
+                            className="w-full px-2 py-1 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm"
+                          />
+                          <input
+                            type="text"
+                            value={participantForm.player1}
+                            onChange={(e) => setParticipantForm({ ...participantForm, player1: e.target.value })}
+                            placeholder={twoPlayerEntries ? 'Player 1' : 'Player'}
+                            className="w-full px-2 py-1 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm"
+                          />
+                          {twoPlayerEntries && (
+                            <input
+                              type="text"
+                              value={participantForm.player2}
+                              onChange={(e) => setParticipantForm({ ...participantForm, player2: e.target.value })}
+                              placeholder="Player 2"
+                              className="w-full px-2 py-1 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm"
+                            />
+                          )}
+                          <label className="flex items-center gap-2 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={participantForm.substitute}
+                              onChange={(e) => setParticipantForm({ ...participantForm, substitute: e.target.checked })}
+                            />
+                            Record as substitution (matches played so far stay with the previous players)
+                          </label>
+                          {participantForm.substitute && (
+                            <input
+                              type="text"
+                              value={participantForm.reason}
+                              onChange={(e) => setParticipantForm({ ...participantForm, reason: e.target.value })}
+                              maxLength={500}
+                              placeholder="Reason (optional), e.g. Injury"
+                              className="w-full px-2 py-1 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm"
+                            />
+                          )}
+                          {participantFormError && (
+                            <p className="text-xs text-red-600">{participantFormError}</p>
+                          )}
+                          <div className="flex gap-2">
+                            <button
+                              type="submit"
+                              disabled={savingParticipant}
+                              className="btn-primary text-xs px-3 py-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              {savingParticipant ? 'Saving...' : 'Save'}
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setEditingParticipantId(null)}
+                              className="btn-secondary text-xs px-3 py-1"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </form>
+                      )}
+                      {editingSeeds ? (
+                        <label className="flex items-center gap-2 text-xs sm:text-sm text-gray-600">
+                          Seed
+                          <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={seedForm[participant._id] || ''}
+                            onChange={(e) => setSeedForm({ ...seedForm, [participant._id]: e.target.value })}
+                            placeholder="-"
+                            className="w-20 px-2 py-1 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm"
+                          />
+                        </label>
+                      ) : participant.seed ? (
+                        <span className="inline-block px-2 py-0.5 rounded-full bg-lime-green/20 text-navy-blue text-xs font-semibold">
+                          Seed {participant.seed}
+                        </span>
+                      ) : null}
+                      {participant.substitutions?.length > 0 && (
+                        <ul className="mt-2 space-y-0.5 text-xs text-gray-600">
+                          {participant.substitutions.map((substitution, index) => (
+                            <li key={index}>
+                              <span className="font-semibold">Substitution:</span>{' '}
+                              {substitution.previousPlayers.join(' & ')}
+                              {' → '}
+                              {substitution.players.join(' & ')}
+                              {substitution.reason && ` (${substitution.reason})`}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {editingParticipantId !== participant._id && (
+                        <button
+                          onClick={() => handleStartEditParticipant(participant)}
+                          className="mt-2 text-xs font-semibold text-forest-green hover:underline"
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {participant.status && participant.status !== 'active' ? (
+                        <div className="mt-2 text-xs text-red-600">
+                          <span className="font-semibold capitalize">{participant.status}</span>
+                          {participant.withdrawal?.reason && `: ${participant.withdrawal.reason}`}
+                        </div>
+                      ) : tournament.status === 'live' && (
+                        <div className="mt-2 flex gap-3">
+                          <button
+                            onClick={() => handleWithdrawPlayer(participant)}
+                            className="text-xs font-semibold text-navy-blue hover:underline"
+                          >
+                            Withdraw
+                          </button>
+                          <button
+                            onClick={() => handleWithdrawPlayer(participant, true)}
+                            className="text-xs font-semibold text-red-600 hover:underline"
+                          >
+                            Disqualify
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -576,6 +944,11 @@ const CustomTournamentManagePage = () => {
           </div>
         )}
 
+        {/* Registrations Tab */}
+        {activeTab === 'registrations' && (
+          <RegistrationPanel tournamentId={id} onParticipantsChanged={fetchParticipants} />
+        )}
+
         {/* Fixtures Tab */}
         {activeTab === 'fixtures' && (
           <div className="space-y-4 sm:space-y-6">
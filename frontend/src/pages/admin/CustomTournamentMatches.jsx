@@ -238,7 +238,7 @@ const CustomTournamentMatches = () => {
                             <div className="space-y-2 mb-3">
                               <div className="flex justify-between items-center">
                                 <span className={`font-semibold text-sm sm:text-base ${!match.participantA ? 'italic text-gray-500' : 'text-navy-blue'}`}>
-                                  {getMatchParticipantName(match.participantA)}
+                                  {getMatchParticipantName(match.participantA, match)}
                                 </span>
                                 <span className="text-lg sm:text-xl font-bold text-lime-green">
                                   {match.score?.a || 0}
@@ -246,7 +246,7 @@ const CustomTournamentMatches = () => {
                               </div>
                               <div className="flex justify-between items-center">
                                 <span className={`font-semibold text-sm sm:text-base ${!match.participantB ? 'italic text-gray-500' : 'text-navy-blue'}`}>
-                                  {getMatchParticipantName(match.participantB)}
+                                  {getMatchParticipantName(match.participantB, match)}
                                 </span>
                                 <span className="text-lg sm:text-xl font-bold text-lime-green">
                                   {match.score?.b || 0}
@@ -331,7 +331,7 @@ const CustomTournamentMatches = () => {
                         <div className="space-y-2">
                           <div className="flex justify-between items-center">
                             <span className="font-semibold text-sm sm:text-base text-navy-blue">
-                              {getMatchParticipantName(match.participantA)}
+                              {getMatchParticipantName(match.participantA, match)}
                             </span>
                             <span className="text-lg sm:text-xl font-bold text-lime-green">
                               {match.score?.a || 0}
@@ -339,7 +339,7 @@ const CustomTournamentMatches = () => {
                           </div>
                           <div className="flex justify-between items-center">
                             <span className="font-semibold text-sm sm:text-base text-navy-blue">
-                              {getMatchParticipantName(match.participantB)}
+                              {getMatchParticipantName(match.participantB, match)}
                             </span>
                             <span className="text-lg sm:text-xl font-bold text-lime-green">
                               {match.score?.b || 0}
@@ -398,7 +398,7 @@ const CustomTournamentMatches = () => {
                     <div className="space-y-2">
                       <div className="flex justify-between items-center">
                         <span className={`font-semibold text-sm sm:text-base ${!match.participantA ? 'italic text-gray-500' : 'text-navy-blue'}`}>
-                          {getMatchParticipantName(match.participantA)}
+                          {getMatchParticipantName(match.participantA, match)}
                         </span>
                         <span className="text-lg sm:text-xl font-bold text-lime-green">
                           {match.score?.a || 0}
@@ -406,7 +406,7 @@ const CustomTournamentMatches = () => {
                       </div>
                       <div className="flex justify-between items-center">
                         <span className={`font-semibold text-sm sm:text-base ${!match.participantB ? 'italic text-gray-500' : 'text-navy-blue'}`}>
-                          {getMatchParticipantName(match.participantB)}
+                          {getMatchParticipantName(match.participantB, match)}
                         </span>
                         <span className="text-lg sm:text-xl font-bold text-lime-green">
                           {match.score?.b || 0}
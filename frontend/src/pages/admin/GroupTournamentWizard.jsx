@@ -3,6 +3,29 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { adminAPI } from '../../services/api'
 import { scrollToTop } from '../../utils/scrollToTop'
 
+// Knockout after the groups; size = players it needs (null = any number, with byes)
+const KNOCKOUT_STRUCTURES = [
+  { value: 'roundOf32', label: 'Round of 32', size: 32 },
+  { value: 'roundOf16', label: 'Round of 16', size: 16 },
+  { value: 'quarterfinal', label: 'Quarterfinal', size: 8 },
+  { value: 'semifinal', label: 'Semifinal', size: 4 },
+  { value: 'directFinal', label: 'Direct Final', size: 2 },
+  { value: 'bracket', label: 'Full Bracket', size: null }
+]
+
+const fitsStructure = (structure, totalQualified) => {
+  const option = KNOCKOUT_STRUCTURES.find(s => s.value === structure)
+  if (!option) return false
+  return option.size === null ? totalQualified >= 2 : totalQualified === option.size
+}
+
+// Bracket size (next power of 2) and byes for the top seeds
+const getBracketShape = (totalQualified) => {
+  let bracketSize = 2
+  while (bracketSize < totalQualified) bracketSize *= 2
+  return { bracketSize, byes: bracketSize - totalQualified }
+}
+
 const GroupTournamentWizard = () => {
   const { id } = useParams()
   const navigate = useNavigate()
@@ -21,11 +44,16 @@ const GroupTournamentWizard = () => {
     maxPlayersPerGroup: 5,
     tournamentStructure: '',
     topPlayersPerGroup: 2,
+    wildcards: 0,
     stage1Format: '',
+    drawMethod: 'snakeRating',
+    separateClubs: false,
   })
 
   const [groupDistribution, setGroupDistribution] = useState([])
   const [calculatedGroups, setCalculatedGroups] = useState([])
+  const [drawPreview, setDrawPreview] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
 
   useEffect(() => {
     fetchData()
@@ -69,6 +97,11 @@ const GroupTournamentWizard = () => {
     }
   }, [formData.numGroups, participants.length])
 
+  // A previewed draw no longer fits once the group settings change
+  useEffect(() => {
+    setDrawPreview(null)
+  }, [formData.numGroups, formData.minPlayersPerGroup, formData.maxPlayersPerGroup, formData.drawMethod, formData.separateClubs])
+
   useEffect(() => {
     if (step === 3 && groupDistribution.length > 0) {
       const hasOddGroup = groupDistribution.some(size => size % 2 !== 0)
@@ -124,17 +157,12 @@ const GroupTournamentWizard = () => {
         alert('Please enter at least 1 top player per group')
         return
       }
-      const totalQualified = formData.topPlayersPerGroup * formData.numGroups
-      if (formData.tournamentStructure === 'quarterfinal' && totalQualified !== 8) {
-        alert('For quarterfinal, total qualified players must be exactly 8')
-        return
-      }
-      if (formData.tournamentStructure === 'semifinal' && totalQualified !== 4) {
-        alert('For semifinal, total qualified players must be exactly 4')
-        return
-      }
-      if (formData.tournamentStructure === 'directFinal' && totalQualified !== 2) {
-        alert('For direct final, total qualified players must be exactly 2')
+      const totalQualified = formData.topPlayersPerGroup * formData.numGroups + formData.wildcards
+      if (!fitsStructure(formData.tournamentStructure, totalQualified)) {
+        const option = KNOCKOUT_STRUCTURES.find(s => s.value === formData.tournamentStructure)
+        alert(option?.size
+          ? `For ${option.label.toLowerCase()}, total qualified players must be exactly ${option.size}`
+          : 'At least 2 players must qualify for a knockout')
         return
       }
     }
@@ -167,10 +195,24 @@ const GroupTournamentWizard = () => {
     }
   }
 
+  const handlePreviewDraw = async () => {
+    try {
+      setPreviewLoading(true)
+      const response = await adminAPI.previewGroupDraw(id, formData)
+      setDrawPreview(response.data.data)
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to preview group draw')
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
   const handleGenerate = async () => {
     try {
       setLoading(true)
-      const response = await adminAPI.generateGroupTournament(id, formData)
+      // The preview's seed repeats the previewed draw; without a preview the server draws with a new seed
+      const data = drawPreview ? { ...formData, drawSeed: drawPreview.drawSeed } : formData
+      const response = await adminAPI.generateGroupTournament(id, data)
       alert('Group tournament fixtures generated successfully!')
       scrollToTop()
       navigate(`/admin/tournaments/custom/${id}/manage`)
@@ -288,15 +330,8 @@ const GroupTournamentWizard = () => {
                     value={formData.numGroups}
                     onChange={(e) => {
                       const newNumGroups = parseInt(e.target.value) || 2
-                      const newTotalQualified = formData.topPlayersPerGroup * newNumGroups
-                      let newStructure = formData.tournamentStructure
-                      if (
-                        (newStructure === 'quarterfinal' && newTotalQualified !== 8) ||
-                        (newStructure === 'semifinal' && newTotalQualified !== 4) ||
-                        (newStructure === 'directFinal' && newTotalQualified !== 2)
-                      ) {
-                        newStructure = ''
-                      }
+                      const newTotalQualified = formData.topPlayersPerGroup * newNumGroups + formData.wildcards
+                      const newStructure = fitsStructure(formData.tournamentStructure, newTotalQualified) ? formData.tournamentStructure : ''
                       setFormData({ ...formData, numGroups: newNumGroups, tournamentStructure: newStructure })
                     }}
                     className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
@@ -375,10 +410,12 @@ const GroupTournamentWizard = () => {
 
           {/* Step 2: Tournament Structure */}
           {step === 2 && (() => {
-            const totalQualified = formData.topPlayersPerGroup * formData.numGroups
-            const isQuarterfinalPossible = totalQualified === 8
-            const isSemifinalPossible = totalQualified === 4
-            const isDirectFinalPossible = totalQualified === 2
+            const totalQualified = formData.topPlayersPerGroup * formData.numGroups + formData.wildcards
+            // Wildcards come from place topPlayersPerGroup + 1, so only groups bigger than that have one
+            const maxWildcards = groupDistribution.length > 0
+              ? groupDistribution.filter(size => size > formData.topPlayersPerGroup).length
+              : formData.numGroups
+            const { bracketSize, byes } = getBracketShape(totalQualified)
             
             return (
               <div>
@@ -395,19 +432,34 @@ const GroupTournamentWizard = () => {
                       value={formData.topPlayersPerGroup}
                       onChange={(e) => {
                         const newTopPlayers = parseInt(e.target.value) || 1
-                        const newTotalQualified = newTopPlayers * formData.numGroups
-                        let newStructure = formData.tournamentStructure
-                        if (
-                          (newStructure === 'quarterfinal' && newTotalQualified !== 8) ||
-                          (newStructure === 'semifinal' && newTotalQualified !== 4) ||
-                          (newStructure === 'directFinal' && newTotalQualified !== 2)
-                        ) {
-                          newStructure = ''
-                        }
+                        const newTotalQualified = newTopPlayers * formData.numGroups + formData.wildcards
+                        const newStructure = fitsStructure(formData.tournamentStructure, newTotalQualified) ? formData.tournamentStructure : ''
                         setFormData({ ...formData, topPlayersPerGroup: newTopPlayers, tournamentStructure: newStructure })
                       }}
                       className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
                     />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-navy-blue mb-2">
+                      Wildcards (best from place {formData.topPlayersPerGroup + 1})
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={maxWildcards}
+                      value={formData.wildcards}
+                      onChange={(e) => {
+                        const newWildcards = Math.min(Math.max(parseInt(e.target.value) || 0, 0), maxWildcards)
+                        const newTotalQualified = formData.topPlayersPerGroup * formData.numGroups + newWildcards
+                        const newStructure = fitsStructure(formData.tournamentStructure, newTotalQualified) ? formData.tournamentStructure : ''
+                        setFormData({ ...formData, wildcards: newWildcards, tournamentStructure: newStructure })
+                      }}
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                    />
+                    <p className="text-xs sm:text-sm text-gray-500 mt-2">
+                      E.g. 3 groups, top 2 plus the best 2 thirds = 8 for quarterfinals. Groups of different sizes are compared per match played (win rate, then point difference, then points scored).
+                    </p>
                     <p className="text-xs sm:text-sm text-gray-500 mt-2">
                       Total qualified: <span className="font-semibold text-navy-blue">{totalQualified} players</span>
                     </p>
@@ -418,100 +470,60 @@ const GroupTournamentWizard = () => {
                       Select Tournament Structure <span className="text-red-500">*</span>
                     </label>
                     
-                    {totalQualified !== 8 && totalQualified !== 4 && totalQualified !== 2 && (
+                    {totalQualified < 2 && (
                       <div className="bg-yellow-50/80 backdrop-blur-sm border-2 border-yellow-200 rounded-xl p-3 sm:p-4 mb-4">
                         <p className="text-xs sm:text-sm text-yellow-800">
                           <strong>⚠️ No valid tournament structure available</strong>
                           <br />
-                          With {totalQualified} qualified players, you need exactly 2, 4, or 8 players.
+                          At least 2 players must qualify for a knockout.
                           <br />
-                          <span className="text-xs">Adjust "Top Players per Group" or "Number of Groups" to get a valid combination.</span>
+                          <span className="text-xs">Adjust "Top Players per Group", "Wildcards" or "Number of Groups" to get a valid combination.</span>
                         </p>
                       </div>
                     )}
                     
                     <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4">
-                      <button
-                        onClick={() => setFormData({ ...formData, tournamentStructure: 'quarterfinal' })}
-                        disabled={!isQuarterfinalPossible}
-                        className={`p-4 sm:p-6 border-2 rounded-xl text-center transition-all ${
-                          formData.tournamentStructure === 'quarterfinal'
-                            ? 'border-lime-green bg-lime-green/20 shadow-lg'
-                            : isQuarterfinalPossible
-                            ? 'border-gray-300 hover:border-lime-green hover:bg-white/40 cursor-pointer bg-white/60 backdrop-blur-sm'
-                            : 'border-gray-200 bg-gray-100 opacity-50 cursor-not-allowed'
-                        }`}
-                      >
-                        <div className={`font-semibold text-sm sm:text-base ${isQuarterfinalPossible ? 'text-navy-blue' : 'text-gray-400'}`}>
-                          Quarterfinal
-                        </div>
-                        <div className={`text-xs mt-1 sm:mt-2 ${isQuarterfinalPossible ? 'text-gray-600' : 'text-gray-400'}`}>
-                          8 teams required
-                        </div>
-                        {!isQuarterfinalPossible && (
-                          <div className="text-xs text-red-500 mt-1">
-                            {totalQualified < 8 ? `Need ${8 - totalQualified} more` : `${totalQualified - 8} too many`}
-                          </div>
-                        )}
-                        {isQuarterfinalPossible && totalQualified === 8 && (
-                          <div className="text-xs text-green-600 mt-1 font-semibold">✓ Perfect match</div>
-                        )}
-                      </button>
-                      
-                      <button
-                        onClick={() => setFormData({ ...formData, tournamentStructure: 'semifinal' })}
-                        disabled={!isSemifinalPossible}
-                        className={`p-4 sm:p-6 border-2 rounded-xl text-center transition-all ${
-                          formData.tournamentStructure === 'semifinal'
-                            ? 'border-lime-green bg-lime-green/20 shadow-lg'
-                            : isSemifinalPossible
-                            ? 'border-gray-300 hover:border-lime-green hover:bg-white/40 cursor-pointer bg-white/60 backdrop-blur-sm'
-                            : 'border-gray-200 bg-gray-100 opacity-50 cursor-not-allowed'
-                        }`}
-                      >
-                        <div className={`font-semibold text-sm sm:text-base ${isSemifinalPossible ? 'text-navy-blue' : 'text-gray-400'}`}>
-                          Semifinal
-                        </div>
-                        <div className={`text-xs mt-1 sm:mt-2 ${isSemifinalPossible ? 'text-gray-600' : 'text-gray-400'}`}>
-                          4 teams required
-                        </div>
-                        {!isSemifinalPossible && (
-                          <div className="text-xs text-red-500 mt-1">
-                            {totalQualified < 4 ? `Need ${4 - totalQualified} more` : `${totalQualified - 4} too many`}
-                          </div>
-                        )}
-                        {isSemifinalPossible && totalQualified === 4 && (
-                          <div className="text-xs text-green-600 mt-1 font-semibold">✓ Perfect match</div>
-                        )}
-                      </button>
-                      
-                      <button
-                        onClick={() => setFormData({ ...formData, tournamentStructure: 'directFinal' })}
-                        disabled={!isDirectFinalPossible}
-                        className={`p-4 sm:p-6 border-2 rounded-xl text-center transition-all ${
-                          formData.tournamentStructure === 'directFinal'
-                            ? 'border-lime-green bg-lime-green/20 shadow-lg'
-                            : isDirectFinalPossible
-                            ? 'border-gray-300 hover:border-lime-green hover:bg-white/40 cursor-pointer bg-white/60 backdrop-blur-sm'
-                            : 'border-gray-200 bg-gray-100 opacity-50 cursor-not-allowed'
-                        }`}
-                      >
-                        <div className={`font-semibold text-sm sm:text-base ${isDirectFinalPossible ? 'text-navy-blue' : 'text-gray-400'}`}>
-                          Direct Final
-                        </div>
-                        <div className={`text-xs mt-1 sm:mt-2 ${isDirectFinalPossible ? 'text-gray-600' : 'text-gray-400'}`}>
-                          2 teams required
-                        </div>
-                        {!isDirectFinalPossible && (
-                          <div className="text-xs text-red-500 mt-1">
-                            {totalQualified < 2 ? `Need ${2 - totalQualified} more` : `${totalQualified - 2} too many`}
-                          </div>
-                        )}
-                        {isDirectFinalPossible && totalQualified === 2 && (
-                          <div className="text-xs text-green-600 mt-1 font-semibold">✓ Perfect match</div>
-                        )}
-                      </button>
+                      {KNOCKOUT_STRUCTURES.map(option => {
+                        const possible = fitsStructure(option.value, totalQualified)
+                        return (
+                          <button
+                            key={option.value}
+                            onClick={() => setFormData({ ...formData, tournamentStructure: option.value })}
+                            disabled={!possible}
+                            className={`p-4 sm:p-6 border-2 rounded-xl text-center transition-all ${
+                              formData.tournamentStructure === option.value
+                                ? 'border-lime-green bg-lime-green/20 shadow-lg'
+                                : possible
+                                ? 'border-gray-300 hover:border-lime-green hover:bg-white/40 cursor-pointer bg-white/60 backdrop-blur-sm'
+                                : 'border-gray-200 bg-gray-100 opacity-50 cursor-not-allowed'
+                            }`}
+                          >
+                            <div className={`font-semibold text-sm sm:text-base ${possible ? 'text-navy-blue' : 'text-gray-400'}`}>
+                              {option.label}
+                            </div>
+                            <div className={`text-xs mt-1 sm:mt-2 ${possible ? 'text-gray-600' : 'text-gray-400'}`}>
+                              {option.size ? `${option.size} teams required` : 'Any number of teams'}
+                            </div>
+                            {!possible && option.size && (
+                              <div className="text-xs text-red-500 mt-1">
+                                {totalQualified < option.size ? `Need ${option.size - totalQualified} more` : `${totalQualified - option.size} too many`}
+                              </div>
+                            )}
+                            {possible && option.size && (
+                              <div className="text-xs text-green-600 mt-1 font-semibold">✓ Perfect match</div>
+                            )}
+                            {possible && !option.size && (
+                              <div className="text-xs text-green-600 mt-1 font-semibold">
+                                Bracket of {bracketSize}{byes > 0 ? `, ${byes} bye${byes > 1 ? 's' : ''} for the top seeds` : ''}
+                              </div>
+                            )}
+                          </button>
+                        )
+                      })}
                     </div>
+                    <p className="text-xs sm:text-sm text-gray-500 mt-3">
+                      Group winners meet runners-up, and players from the same group are kept apart for as long as possible.
+                    </p>
                   </div>
                 </div>
               </div>
@@ -624,18 +636,22 @@ const GroupTournamentWizard = () => {
                 <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
                   <span className="text-gray-600 text-sm sm:text-base">Tournament Structure:</span>
                   <span className="font-semibold text-navy-blue text-sm sm:text-base capitalize">
-                    {formData.tournamentStructure === 'quarterfinal' ? 'Quarterfinal' :
-                     formData.tournamentStructure === 'semifinal' ? 'Semifinal' :
-                     formData.tournamentStructure === 'directFinal' ? 'Direct Final' : 'N/A'}
+                    {KNOCKOUT_STRUCTURES.find(s => s.value === formData.tournamentStructure)?.label || 'N/A'}
                   </span>
                 </div>
                 <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
                   <span className="text-gray-600 text-sm sm:text-base">Top Players per Group:</span>
                   <span className="font-semibold text-navy-blue text-sm sm:text-base">{formData.topPlayersPerGroup}</span>
                 </div>
+                {formData.wildcards > 0 && (
+                  <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
+                    <span className="text-gray-600 text-sm sm:text-base">Wildcards:</span>
+                    <span className="font-semibold text-navy-blue text-sm sm:text-base">Best {formData.wildcards} from place {formData.topPlayersPerGroup + 1}</span>
+                  </div>
+                )}
                 <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
                   <span className="text-gray-600 text-sm sm:text-base">Total Qualified:</span>
-                  <span className="font-semibold text-navy-blue text-sm sm:text-base">{formData.topPlayersPerGroup * formData.numGroups}</span>
+                  <span className="font-semibold text-navy-blue text-sm sm:text-base">{formData.topPlayersPerGroup * formData.numGroups + formData.wildcards}</span>
                 </div>
                 <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
                   <span className="text-gray-600 text-sm sm:text-base">Stage 1 Format:</span>
@@ -646,6 +662,76 @@ const GroupTournamentWizard = () => {
                 </div>
               </div>
 
+              {/* Group Draw */}
+              <div className="mt-4 sm:mt-6 bg-white/40 backdrop-blur-sm rounded-xl p-4 sm:p-6">
+                <h3 className="text-base sm:text-lg font-bold text-navy-blue mb-3">Group Draw</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-navy-blue mb-2">Draw Method</label>
+                    <select
+                      value={formData.drawMethod}
+                      onChange={(e) => setFormData({ ...formData, drawMethod: e.target.value })}
+                      className="w-full px-3 sm:px-4 py-2 sm:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-lime-green focus:border-lime-green text-sm sm:text-base"
+                    >
+                      <option value="snakeRating">Snake by rating</option>
+                      <option value="snakeSeed">Snake by seed</option>
+                      <option value="pots">Pots (seed, then rating)</option>
+                      <option value="random">Random</option>
+                    </select>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-navy-blue sm:mt-8 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.separateClubs}
+                      onChange={(e) => setFormData({ ...formData, separateClubs: e.target.checked })}
+                      className="w-5 h-5 text-lime-green focus:ring-lime-green border-gray-300 rounded"
+                    />
+                    Keep players from the same club apart
+                  </label>
+                </div>
+
+                <button
+                  onClick={handlePreviewDraw}
+                  disabled={previewLoading}
+                  className="btn-secondary text-sm px-4 py-2 mt-4"
+                >
+                  {previewLoading ? 'Drawing...' : drawPreview ? 'Redraw' : 'Preview Draw'}
+                </button>
+
+                {drawPreview && (
+                  <div className="mt-4">
+                    {drawPreview.clubConflicts.length > 0 && (
+                      <p className="text-xs sm:text-sm text-red-600 mb-3">
+                        Could not keep every club apart: {drawPreview.clubConflicts
+                          .map(conflict => `${conflict.club} in Group ${conflict.groupName}`)
+                          .join(', ')}
+                      </p>
+                    )}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                      {drawPreview.groups.map(group => (
+                        <div key={group.groupName} className="bg-white/60 rounded-xl p-3">
+                          <div className="font-bold text-navy-blue text-sm mb-2">Group {group.groupName}</div>
+                          <ul className="space-y-1">
+                            {group.participants.map(p => (
+                              <li key={p.id} className="text-xs sm:text-sm text-gray-700 flex justify-between gap-2">
+                                <span className="truncate">
+                                  {p.seed && <span className="text-forest-green font-semibold mr-1">[{p.seed}]</span>}
+                                  {p.name}
+                                </span>
+                                {p.rating !== null && <span className="text-gray-500">{p.rating}</span>}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-600 mt-2">
+                      Fixtures will be generated with exactly these groups. Draw seed: <span className="font-mono">{drawPreview.drawSeed}</span>
+                    </p>
+                  </div>
+                )}
+              </div>
+
               <div className="mt-4 sm:mt-6 bg-yellow-50/80 backdrop-blur-sm border-2 border-yellow-200 rounded-xl p-3 sm:p-4">
                 <p className="text-xs sm:text-sm text-yellow-800">
                   <strong>Note:</strong> This will generate all fixtures for the group tournament. 
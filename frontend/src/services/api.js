@@ -25,6 +25,18 @@ export const publicAPI = {
   
   // Get tournament group standings
   getTournamentGroupStandings: (id) => api.get(`/public/tournaments/${id}/group-standings`),
+  
+  // Get point-by-point match timeline
+  getMatchTimeline: (matchId) => api.get(`/public/matches/${matchId}/timeline`),
+  
+  // Player registry
+  searchPlayers: (search) => api.get('/public/players', { params: { search } }),
+  getPlayer: (id) => api.get(`/public/players/${id}`),
+
+  // Self-registration
+  getRegistration: (id) => api.get(`/public/tournaments/${id}/registration`),
+  register: (id, data) => api.post(`/public/tournaments/${id}/registrations`, data),
+  withdrawRegistration: (registrationId, token) => api.post(`/public/registrations/${registrationId}/withdraw`, { token }),
 }
 
 // Admin API endpoints
@@ -45,7 +57,10 @@ export const adminAPI = {
   // Participants
   getTournamentParticipants: (tournamentId) => api.get(`/admin/tournaments/${tournamentId}/participants`),
   createParticipant: (tournamentId, data) => api.post(`/admin/tournaments/${tournamentId}/participants`, data),
+  updateParticipant: (tournamentId, participantId, data) => api.put(`/admin/tournaments/${tournamentId}/participants/${participantId}`, data),
   deleteParticipant: (tournamentId, participantId) => api.delete(`/admin/tournaments/${tournamentId}/participants/${participantId}`),
+  updateParticipantSeeds: (tournamentId, seeds) => api.put(`/admin/tournaments/${tournamentId}/participants/seeds`, { seeds }),
+  withdrawParticipant: (tournamentId, participantId, data) => api.post(`/admin/tournaments/${tournamentId}/participants/${participantId}/withdraw`, data),
   uploadParticipants: (tournamentId, file) => {
     const formData = new FormData()
     formData.append('file', file)
@@ -53,14 +68,25 @@ export const adminAPI = {
       headers: { 'Content-Type': 'multipart/form-data' }
     })
   },
+
+  // Registrations
+  getRegistrations: (tournamentId) => api.get(`/admin/tournaments/${tournamentId}/registrations`),
+  updateRegistrationSettings: (tournamentId, data) => api.put(`/admin/tournaments/${tournamentId}/registration`, data),
+  approveRegistration: (tournamentId, registrationId) => api.post(`/admin/tournaments/${tournamentId}/registrations/${registrationId}/approve`),
+  rejectRegistration: (tournamentId, registrationId, data) => api.post(`/admin/tournaments/${tournamentId}/registrations/${registrationId}/reject`, data),
   
   // Fixtures
   generateFixtures: (tournamentId, options) => api.post(`/admin/tournaments/${tournamentId}/generate-fixtures`, options),
   createCustomRound: (tournamentId, data) => api.post(`/admin/tournaments/${tournamentId}/custom-round`, data),
   getCustomRounds: (tournamentId) => api.get(`/admin/tournaments/${tournamentId}/custom-rounds`),
   generateGroupTournament: (tournamentId, data) => api.post(`/admin/tournaments/${tournamentId}/generate-group-tournament`, data),
+  previewGroupDraw: (tournamentId, data) => api.post(`/admin/tournaments/${tournamentId}/group-draw/preview`, data),
   generateKnockoutRounds: (tournamentId, data) => api.post(`/admin/tournaments/${tournamentId}/generate-knockout-rounds`, data),
   getGroupStandings: (tournamentId) => api.get(`/admin/tournaments/${tournamentId}/group-standings`),
+  getStandings: (tournamentId) => api.get(`/admin/tournaments/${tournamentId}/standings`),
+  decideTiebreak: (tournamentId, data) => api.put(`/admin/tournaments/${tournamentId}/standings/tiebreak`, data),
+  lockGroupStandings: (tournamentId, group, data) => api.put(`/admin/tournaments/${tournamentId}/group-standings/${group}/lock`, data),
+  unlockGroupStandings: (tournamentId, group) => api.delete(`/admin/tournaments/${tournamentId}/group-standings/${group}/lock`),
   
   // Matches
   getTournamentMatches: (tournamentId) => api.get(`/admin/tournaments/${tournamentId}/matches`),
@@ -69,8 +95,27 @@ export const adminAPI = {
   updateMatch: (id, data) => api.put(`/admin/matches/${id}`, data),
   updateMatchScore: (id, data) => api.put(`/admin/matches/${id}/score`, data),
   completeMatch: (id, data) => api.post(`/admin/matches/${id}/complete`, data),
+  setMatchOutcome: (id, data) => api.post(`/admin/matches/${id}/outcome`, data),
   deleteMatch: (id) => api.delete(`/admin/matches/${id}`),
   cancelMatch: (id) => api.post(`/admin/matches/${id}/cancel`),
+  amendMatchResult: (id, data) => api.post(`/admin/matches/${id}/amend`, data),
+  getMatchAmendments: (id) => api.get(`/admin/matches/${id}/amendments`),
+  
+  // Point log
+  getMatchEvents: (id) => api.get(`/admin/matches/${id}/events`),
+  recordPointEvent: (id, data) => api.post(`/admin/matches/${id}/events`, data),
+  undoPointEvent: (id) => api.post(`/admin/matches/${id}/events/undo`),
+
+  // Court schedule
+  getSchedule: (tournamentId) => api.get(`/admin/tournaments/${tournamentId}/schedule`),
+  updateScheduleSettings: (tournamentId, data) => api.put(`/admin/tournaments/${tournamentId}/schedule`, data),
+  generateSchedule: (tournamentId) => api.post(`/admin/tournaments/${tournamentId}/schedule/generate`),
+  clearSchedule: (tournamentId) => api.delete(`/admin/tournaments/${tournamentId}/schedule`),
+
+  // Player registry
+  getPlayers: (search) => api.get('/admin/players', { params: { search } }),
+  createPlayer: (data) => api.post('/admin/players', data),
+  updatePlayer: (id, data) => api.put(`/admin/players/${id}`, data),
 }
 
 export default api
@@ -0,0 +1,294 @@
+import { publicAPI } from './api'
+import { getSocket, joinTournamentRoom, leaveTournamentRoom } from './socket'
+
+/**
+ * Live tournament store
+ *
+ * Keeps one copy of each viewed tournament (details, matches grouped by
+ * status and standings) shared by every public page. Data is loaded
+ * through publicAPI, then kept current with Socket.IO events from the
+ * tournament room. After a reconnect everything is reloaded, since events
+ * sent while disconnected are lost.
+ *
+ * Use it through hooks/useLiveTournament.js
+ */
+
+const EMPTY_MATCHES = { past: [], live: [], upcoming: [], cancelled: [] }
+
+// Match status -> bucket in the public matches response
+const STATUS_BUCKETS = {
+  completed: 'past',
+  live: 'live',
+  upcoming: 'upcoming',
+  cancelled: 'cancelled'
+}
+
+const INITIAL_STATE = {
+  tournament: null,
+  matches: EMPTY_MATCHES,
+  standings: [],
+  placings: [],
+  groupStandings: [],
+  loading: true,
+  error: null,
+  connected: false
+}
+
+const entries = new Map() // tournamentId -> state
+const listeners = new Map() // tournamentId -> Set of listeners
+const includeStandings = new Set() // tournaments whose standings are shown somewhere
+const pendingLoads = new Map() // tournamentId -> { promise, withStandings } of the in-flight load
+let socketBound = false
+
+const getEntry = (tournamentId) => entries.get(tournamentId) || INITIAL_STATE
+
+const setEntry = (tournamentId, changes) => {
+  entries.set(tournamentId, { ...getEntry(tournamentId), ...changes })
+  listeners.get(tournamentId)?.forEach(listener => listener())
+}
+
+const idOf = (value) => (value?._id || value)?.toString()
+
+// Sort a bucket the same way the public matches endpoint does
+const sortBucket = (bucket, list) => {
+  if (bucket === 'past' || bucket === 'cancelled') {
+    return list.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+  }
+  return list.sort((a, b) => {
+    if (a.order !== b.order) return (a.order || 0) - (b.order || 0)
+    return new Date(a.createdAt) - new Date(b.createdAt)
+  })
+}
+
+const findMatch = (matches, matchId) => {
+  for (const list of Object.values(matches)) {
+    const match = list.find(m => idOf(m) === matchId)
+    if (match) return match
+  }
+  return null
+}
+
+const removeMatch = (matches, matchId) => {
+  const next = {}
+  Object.keys(EMPTY_MATCHES).forEach(bucket => {
+    next[bucket] = (matches[bucket] || []).filter(m => idOf(m) !== matchId)
+  })
+  return next
+}
+
+/**
+ * Insert or replace a match, moving it to the bucket for its status
+ * Updates older than the copy we hold are ignored (events can arrive out of order)
+ */
+const upsertMatch = (matches, match) => {
+  const matchId = idOf(match)
+  const existing = findMatch(matches, matchId)
+  if (existing?.updatedAt && match.updatedAt && new Date(match.updatedAt) < new Date(existing.updatedAt)) {
+    return matches
+  }
+
+  const next = removeMatch(matches, matchId)
+  const bucket = STATUS_BUCKETS[match.status]
+  if (bucket) {
+    next[bucket] = sortBucket(bucket, [...next[bucket], match])
+  }
+  return next
+}
+
+// Fetch a tournament (and its standings when asked) into the store
+const loadTournament = (tournamentId, withStandings) =>
+  Promise.all([
+    publicAPI.getTournament(tournamentId),
+    publicAPI.getTournamentMatches(tournamentId).catch(() => null),
+    withStandings ? publicAPI.getTournamentStandings(tournamentId).catch(() => null) : null,
+    // Not all tournaments have groups, so this is optional
+    withStandings ? publicAPI.getTournamentGroupStandings(tournamentId).catch(() => null) : null
+  ])
+    .then(([tournamentRes, matchesRes, standingsRes, groupStandingsRes]) => {
+      const changes = {
+        tournament: tournamentRes.data.data,
+        loading: false,
+        error: null
+      }
+      if (matchesRes) changes.matches = matchesRes.data.matches || EMPTY_MATCHES
+      if (standingsRes) {
+        changes.standings = standingsRes.data.standings || []
+        changes.placings = standingsRes.data.placings || []
+      }
+      if (groupStandingsRes) changes.groupStandings = groupStandingsRes.data.groupStandings || []
+      setEntry(tournamentId, changes)
+    })
+    .catch(err => {
+      console.error(err)
+      setEntry(tournamentId, {
+        loading: false,
+        error: err.response?.data?.message || 'Failed to load tournament'
+      })
+    })
+
+/**
+ * Load (or reload) a tournament from the public API
+ * A load in flight is shared, unless standings are now wanted and it does
+ * not load them: then another load follows it
+ */
+export const refreshTournament = (tournamentId) => {
+  const pending = pendingLoads.get(tournamentId)
+  const withStandings = includeStandings.has(tournamentId)
+
+  if (pending && (pending.withStandings || !withStandings)) {
+    return pending.promise
+  }
+
+  const promise = pending
+    ? pending.promise.then(() => loadTournament(tournamentId, withStandings))
+    : loadTournament(tournamentId, withStandings)
+  const load = { promise, withStandings }
+  pendingLoads.set(tournamentId, load)
+
+  return promise.finally(() => {
+    if (pendingLoads.get(tournamentId) === load) pendingLoads.delete(tournamentId)
+  })
+}
+
+const refreshGroupStandings = async (tournamentId) => {
+  try {
+    const response = await publicAPI.getTournamentGroupStandings(tournamentId)
+    setEntry(tournamentId, { groupStandings: response.data.groupStandings || [] })
+  } catch (err) {
+    // Not all tournaments have groups
+  }
+}
+
+// Apply an event for a tournament only if someone is viewing it
+const isWatched = (tournamentId) => tournamentId && listeners.get(tournamentId)?.size > 0
+
+const handleMatchEvent = (payload) => {
+  const match = payload?.match
+  const tournamentId = idOf(match?.tournamentId)
+  if (!match || !isWatched(tournamentId)) return
+
+  setEntry(tournamentId, { matches: upsertMatch(getEntry(tournamentId).matches, match) })
+}
+
+const handleMatchCompleted = (payload) => {
+  handleMatchEvent(payload)
+
+  // A finished round (or bracket match) can fill or create later matches, so reload the fixtures
+  const tournamentId = idOf(payload?.match?.tournamentId)
+  const progression = payload?.progression
+  if ((progression?.roundComplete || progression?.nextRoundFilled) && isWatched(tournamentId)) {
+    refreshTournament(tournamentId)
+  }
+}
+
+// Courts and start times changed for many matches at once: reload them
+const handleScheduleUpdated = (payload) => {
+  const tournamentId = idOf(payload?.tournamentId)
+  if (isWatched(tournamentId)) {
+    refreshTournament(tournamentId)
+  }
+}
+
+const handleMatchDeleted = (payload) => {
+  const tournamentId = idOf(payload?.tournamentId)
+  if (!isWatched(tournamentId)) return
+
+  setEntry(tournamentId, { matches: removeMatch(getEntry(tournamentId).matches, idOf(payload.matchId)) })
+}
+
+const handleStandingsUpdated = (payload) => {
+  const tournamentId = idOf(payload?.tournamentId)
+  if (!isWatched(tournamentId) || !includeStandings.has(tournamentId)) return
+
+  setEntry(tournamentId, { standings: payload.standings || [], placings: payload.placings || [] })
+  refreshGroupStandings(tournamentId)
+}
+
+const handleTournamentLive = (payload) => {
+  const tournamentId = idOf(payload?.tournamentId)
+  if (!isWatched(tournamentId)) return
+
+  const current = getEntry(tournamentId).tournament
+  setEntry(tournamentId, {
+    tournament: payload.tournament ? { ...current, ...payload.tournament } : { ...current, status: 'live' }
+  })
+}
+
+const setConnected = (connected) => {
+  listeners.forEach((set, tournamentId) => {
+    if (set.size > 0) setEntry(tournamentId, { connected })
+  })
+}
+
+/**
+ * Register the store's event handlers on the shared socket (once)
+ */
+const bindSocket = () => {
+  if (socketBound) return
+  socketBound = true
+
+  const socket = getSocket()
+  socket.on('connect', () => setConnected(true))
+  socket.on('disconnect', () => setConnected(false))
+  socket.on('match_started', handleMatchEvent)
+  socket.on('score_updated', handleMatchEvent)
+  socket.on('match_updated', handleMatchEvent)
+  socket.on('point_event', handleMatchEvent)
+  socket.on('match_completed', handleMatchCompleted)
+  socket.on('match_deleted', handleMatchDeleted)
+  socket.on('standings_updated', handleStandingsUpdated)
+  socket.on('tournament_live', handleTournamentLive)
+  socket.on('schedule_updated', handleScheduleUpdated)
+
+  // Events sent while we were disconnected are lost: reload what is on screen
+  socket.io.on('reconnect', () => {
+    listeners.forEach((set, tournamentId) => {
+      if (set.size > 0) refreshTournament(tournamentId)
+    })
+  })
+}
+
+/**
+ * Current state of a tournament
+ * Returns the same object until the tournament changes
+ */
+export const getTournamentState = (tournamentId) => getEntry(tournamentId)
+
+/**
+ * Subscribe to a tournament
+ * Joins its room and loads it on the first subscriber, leaves the room
+ * after the last one. Loaded data stays cached for the next visit.
+ *
+ * @param {string} tournamentId - Tournament ID
+ * @param {Function} listener - Called whenever the tournament state changes
+ * @param {Object} options - { standings: also load and follow standings }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToTournament = (tournamentId, listener, { standings = false } = {}) => {
+  bindSocket()
+
+  if (!listeners.has(tournamentId)) {
+    listeners.set(tournamentId, new Set())
+  }
+  const set = listeners.get(tournamentId)
+  const isFirst = set.size === 0
+  const needsStandings = standings && !includeStandings.has(tournamentId)
+
+  set.add(listener)
+  if (standings) includeStandings.add(tournamentId)
+
+  if (isFirst) {
+    joinTournamentRoom(tournamentId)
+    setEntry(tournamentId, { connected: getSocket().connected })
+  }
+  if (isFirst || needsStandings) {
+    refreshTournament(tournamentId)
+  }
+
+  return () => {
+    set.delete(listener)
+    if (set.size === 0) {
+      leaveTournamentRoom(tournamentId)
+    }
+  }
+}
@@ -0,0 +1,61 @@
+import { io } from 'socket.io-client'
+
+// Socket.IO runs on the API server, without the /api prefix
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL ||
+  (import.meta.env.VITE_API_URL || 'http://localhost:3000/api').replace(/\/api\/?$/, '')
+
+let socket = null
+
+// Tournament rooms this client wants, with the number of subscribers per room
+const tournamentRooms = new Map()
+
+/**
+ * Get the shared Socket.IO client, connecting on first use
+ * One connection is shared by every page and component
+ */
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000
+    })
+
+    // Rooms belong to a connection, so join them again after every (re)connect
+    socket.on('connect', () => {
+      tournamentRooms.forEach((_, tournamentId) => {
+        socket.emit('subscribe_tournament', tournamentId)
+      })
+    })
+  }
+  return socket
+}
+
+/**
+ * Join a tournament room (counted, so several subscribers can share a room)
+ */
+export const joinTournamentRoom = (tournamentId) => {
+  const client = getSocket()
+  const count = tournamentRooms.get(tournamentId) || 0
+  tournamentRooms.set(tournamentId, count + 1)
+
+  if (count === 0 && client.connected) {
+    client.emit('subscribe_tournament', tournamentId)
+  }
+}
+
+/**
+ * Leave a tournament room once its last subscriber is gone
+ */
+export const leaveTournamentRoom = (tournamentId) => {
+  const count = tournamentRooms.get(tournamentId) || 0
+  if (count <= 1) {
+    tournamentRooms.delete(tournamentId)
+    if (socket?.connected) {
+      socket.emit('unsubscribe_tournament', tournamentId)
+    }
+  } else {
+    tournamentRooms.set(tournamentId, count - 1)
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Utility functions for game-by-game match scores
+ * Mirrors backend/services/scoring.service.js
+ */
+
+/**
+ * Resolve how many games a match is played over
+ * Match override, then round override, then tournament default, then 1
+ */
+export const resolveBestOf = (match, tournament) => {
+  if (match?.bestOf) return match.bestOf
+
+  const rules = tournament?.rules || {}
+  const roundValue = rules.roundBestOf?.[match?.round]
+  if (roundValue) return roundValue
+
+  return rules.bestOf || 1
+}
+
+/**
+ * Games needed to win a best-of-N match
+ */
+export const getGamesToWin = (bestOf) => Math.floor(bestOf / 2) + 1
+
+/**
+ * Get ordered game scores for a match
+ * Matches without games (older matches) use the headline score as a single game
+ */
+export const getMatchGames = (match) => {
+  if (match?.games && match.games.length > 0) {
+    return match.games.map(game => ({ a: game.a || 0, b: game.b || 0 }))
+  }
+
+  const a = match?.score?.a || 0
+  const b = match?.score?.b || 0
+  if (a === 0 && b === 0) return []
+
+  return [{ a, b }]
+}
+
+/**
+ * Summarize a match: games won, total points and winner ('A', 'B' or null)
+ * A forfeited match (outcome other than 'played') is lost by the side in
+ * forfeitedBy whatever the score
+ */
+export const summarizeMatch = (match) => {
+  const games = getMatchGames(match)
+  const summary = {
+    games,
+    gamesWon: { a: 0, b: 0 },
+    points: { a: 0, b: 0 },
+    winner: null
+  }
+
+  games.forEach(game => {
+    summary.points.a += game.a
+    summary.points.b += game.b
+    if (game.a > game.b) summary.gamesWon.a++
+    else if (game.b > game.a) summary.gamesWon.b++
+  })
+
+  if (match?.outcome && match.outcome !== 'played') summary.winner = { A: 'B', B: 'A' }[match.forfeitedBy] || null
+  else if (summary.gamesWon.a > summary.gamesWon.b) summary.winner = 'A'
+  else if (summary.gamesWon.b > summary.gamesWon.a) summary.winner = 'B'
+
+  return summary
+}
+
+/**
+ * Check if a game is over under tournament rules
+ * Games end at rules.points with a 2-point lead, or at rules.cap if set
+ */
+export const isGameOver = (game, rules) => {
+  const points = rules?.points || 11
+  const high = Math.max(game.a, game.b)
+  const low = Math.min(game.a, game.b)
+
+  if (rules?.cap && high >= rules.cap) return true
+  return high >= points && high - low >= 2
+}
+
+/**
+ * Build the score call, serving side first, e.g. "4-2-1"
+ * Server number is only called in side-out doubles
+ */
+export const getScoreCall = (game, serve, tournament) => {
+  if (!game || !serve) return null
+
+  const servingScore = serve.team === 'A' ? game.a : game.b
+  const receivingScore = serve.team === 'A' ? game.b : game.a
+
+  if (tournament?.rules?.scoringSystem === 'pickleball' && tournament?.type === 'doubles') {
+    return `${servingScore}-${receivingScore}-${serve.serverNumber}`
+  }
+  return `${servingScore}-${receivingScore}`
+}
+
+/**
+ * Format game scores for display, e.g. "11-7, 9-11, 11-5"
+ * Returns an empty string for single-game matches
+ */
+export const formatGameScores = (match) => {
+  if (!match?.games || match.games.length < 2) return ''
+  return match.games.map(game => `${game.a}-${game.b}`).join(', ')
+}
+
+/**
+ * Ways a match can be decided besides playing it out
+ */
+export const FORFEIT_OUTCOMES = [
+  { value: 'walkover', label: 'Walkover', short: 'W/O' },
+  { value: 'retired', label: 'Retired', short: 'RET' },
+  { value: 'disqualified', label: 'Disqualified', short: 'DQ' },
+  { value: 'doubleForfeit', label: 'Double forfeit', short: 'DBL W/O' }
+]
+
+/**
+ * Describe how a forfeited match ended, e.g. "W/O" (short) or "Walkover"
+ * Returns null for matches that were played out
+ */
+export const getOutcomeLabel = (match, short = false) => {
+  const outcome = FORFEIT_OUTCOMES.find(option => option.value === match?.outcome)
+  if (!outcome) return null
+  return short ? outcome.short : outcome.label
+}
@@ -20,15 +20,23 @@ export const getParticipantDisplayName = (participant) => {
 
 /**
  * Get participant display name for matches
- * Shows players or TBD
+ * Shows players, or TBD (BYE for the empty side of a Swiss bye when the match is given).
+ * In rotating-partner matches the side's partner is added when the match is given.
  */
-export const getMatchParticipantName = (participant) => {
-  if (!participant) return 'TBD'
+export const getMatchParticipantName = (participant, match = null) => {
+  if (!participant) return match?.bye ? 'BYE' : 'TBD'
   
-  if (participant.players && participant.players.length > 0) {
-    return participant.players.join(' & ')
+  const name = participant.players && participant.players.length > 0
+    ? participant.players.join(' & ')
+    : participant.name || 'TBD'
+
+  const partner = participant === match?.participantA ? match.partnerA
+    : participant === match?.participantB ? match.partnerB
+    : null
+  if (partner) {
+    return `${name} & ${getMatchParticipantName(partner)}`
   }
-  
-  return participant.name || 'TBD'
+
+  return name
 }
 
@@ -0,0 +1,55 @@
+/**
+ * Utility functions for court schedules
+ * Matches get a court (courtNumber) and a start time (scheduledTime)
+ */
+
+/**
+ * Format a scheduled start time, e.g. "9:40 AM"
+ */
+export const formatSlotTime = (time) => {
+  if (!time) return ''
+  return new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+}
+
+/**
+ * Convert a date to the value of a datetime-local input (local time)
+ */
+export const toDateTimeInputValue = (time) => {
+  if (!time) return ''
+  const date = new Date(time)
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16)
+}
+
+/**
+ * Court label, e.g. "Court 2" or "Court 2 · Center Court"
+ */
+export const getCourtLabel = (court) => {
+  if (!court) return ''
+  return court.name ? `Court ${court.number} · ${court.name}` : `Court ${court.number}`
+}
+
+/**
+ * Build a court-by-court timetable from matches with a court and start time
+ * Returns { courts: [courtNumber], rows: [{ time, matchesByCourt: { courtNumber: match } }] }
+ */
+export const buildTimetable = (matches, courts = []) => {
+  const scheduled = matches.filter(match => match.courtNumber && match.scheduledTime)
+
+  const courtNumbers = new Set(courts.map(court => court.number))
+  scheduled.forEach(match => courtNumbers.add(match.courtNumber))
+
+  const rowsByTime = new Map()
+  scheduled.forEach(match => {
+    const key = new Date(match.scheduledTime).getTime()
+    if (!rowsByTime.has(key)) {
+      rowsByTime.set(key, { time: match.scheduledTime, matchesByCourt: {} })
+    }
+    rowsByTime.get(key).matchesByCourt[match.courtNumber] = match
+  })
+
+  return {
+    courts: [...courtNumbers].sort((a, b) => a - b),
+    rows: [...rowsByTime.entries()].sort((a, b) => a[0] - b[0]).map(([, row]) => row)
+  }
+}
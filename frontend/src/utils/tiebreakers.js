@@ -0,0 +1,60 @@
+/**
+ * Standings tiebreakers
+ * Mirrors TIEBREAKERS in backend/services/standings.service.js
+ */
+
+export const TIEBREAKER_LABELS = {
+  headToHead: 'Head-to-head (mini-league)',
+  buchholz: 'Buchholz (opponents\' wins)',
+  sonnebornBerger: 'Sonneborn-Berger (beaten opponents\' wins)',
+  pointDifference: 'Point difference',
+  pointsFor: 'Most points scored',
+  gameRatio: 'Game ratio',
+  pointRatio: 'Point ratio',
+  fewestPointsAgainst: 'Fewest points conceded',
+  coinFlip: 'Coin flip (recorded)',
+  adminDecision: 'Admin decision'
+}
+
+export const TIEBREAKERS = Object.keys(TIEBREAKER_LABELS)
+
+// Used when a tournament has not configured its own tiebreakers
+export const DEFAULT_TIEBREAKERS = ['pointDifference', 'pointsFor', 'headToHead']
+
+// Default for Swiss tournaments
+export const SWISS_TIEBREAKERS = ['buchholz', 'sonnebornBerger', 'headToHead', 'pointDifference']
+
+// Default for rotating-partner tournaments (players never meet as fixed teams)
+export const ROTATING_PARTNER_TIEBREAKERS = ['pointsFor', 'pointDifference']
+
+const FORMAT_TIEBREAKERS = {
+  swiss: SWISS_TIEBREAKERS,
+  rotatingPartners: ROTATING_PARTNER_TIEBREAKERS
+}
+
+/**
+ * Default tiebreakers for a format
+ */
+export const getDefaultTiebreakers = (format) => FORMAT_TIEBREAKERS[format] || DEFAULT_TIEBREAKERS
+
+/**
+ * Tiebreakers in use: the tournament's own, or the default for its format
+ */
+export const getTiebreakers = (tournament) => {
+  if (tournament?.rules?.tiebreakers?.length) return tournament.rules.tiebreakers
+  return getDefaultTiebreakers(tournament?.format)
+}
+
+/**
+ * Group standings that are still tied (same tiedWith) in standings order
+ */
+export const getUnresolvedTies = (standings) => {
+  const ties = new Map()
+  standings.forEach(standing => {
+    if (!standing.tied || !standing.tiedWith) return
+    const key = [...standing.tiedWith].sort().join(',')
+    if (!ties.has(key)) ties.set(key, [])
+    ties.get(key).push(standing)
+  })
+  return [...ties.values()]
+}